@@ -0,0 +1,141 @@
+// Questions sent with kweenkl_ask, and waiting for their replies.
+//
+// An ask is a notification with action buttons. When one is tapped, the
+// kweenkl API is assumed to record it as the notification's response. This
+// endpoint is proposed, not documented by kweenkl:
+//
+//   GET /webhook/:token/notifications/:id/response
+//   → { "status": "pending" }
+//   → { "status": "answered", "action": "approve", "label": "Approve", "responded_at": "..." }
+//
+// The API must serve this endpoint for replies to work (the mock API does). An
+// API that answers it with 404 doesn't support replies: the wait ends with a
+// NOT_FOUND error right away.
+//
+// Asks are kept in a JSON file so kweenkl_get_response can still check a
+// reply after kweenkl_ask timed out or the server restarted. Only the newest
+// `maxEntries` are kept.
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { ErrorCodes } from "./errors.js";
+
+export const ASK_DEFAULT_TIMEOUT_SECONDS = 60;
+export const ASK_MAX_TIMEOUT_SECONDS = 600;
+export const ASK_POLL_INTERVAL_MS = 2000;
+
+const MAX_ASKS = 200;
+
+// Poll failures worth another try while waiting; anything else ends the wait
+const TRANSIENT_CODES = new Set([ErrorCodes.NETWORK, ErrorCodes.RATE_LIMITED, ErrorCodes.SERVER_ERROR]);
+
+export function createAskStore({ file, maxEntries = MAX_ASKS, debugLog = () => {}, now = Date.now }) {
+  let asks = null;
+
+  function load() {
+    if (asks) return asks;
+    try {
+      const data = JSON.parse(readFileSync(file, "utf8"));
+      asks = Array.isArray(data.asks) ? data.asks : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") debugLog(`Could not read asks ${file}:`, error.message);
+      asks = [];
+    }
+    return asks;
+  }
+
+  function save() {
+    asks = asks.slice(-maxEntries);
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ asks }, null, 2), { mode: 0o600 });
+    renameSync(tmp, file);
+  }
+
+  /**
+   * Remember a question that was sent. `ask` has the `notification_id`,
+   * `profile`, `webhook_token`, `target`, `question` and `actions`.
+   */
+  function add(ask) {
+    const entry = { ...ask, asked_at: new Date(now()).toISOString(), response: null };
+    load().push(entry);
+    try {
+      save();
+    } catch (error) {
+      // Waiting still works; only a later kweenkl_get_response would miss it
+      debugLog(`Could not save asks ${file}:`, error.message);
+    }
+    return entry;
+  }
+
+  function get(notificationId) {
+    return load().find((ask) => ask.notification_id === String(notificationId)) || null;
+  }
+
+  // Record the reply to an ask; the first one wins
+  function answer(notificationId, response) {
+    const ask = get(notificationId);
+    if (!ask) return null;
+    if (!ask.response) {
+      ask.response = response;
+      try {
+        save();
+      } catch (error) {
+        debugLog(`Could not save asks ${file}:`, error.message);
+      }
+    }
+    return ask;
+  }
+
+  return { add, get, answer };
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+/**
+ * Poll for the reply to an ask until it is answered, `timeoutMs` have passed
+ * or `signal` aborts. `poll()` resolves to a response as returned by
+ * KweenklClient#getResponse. Network, rate limit and server errors are
+ * retried on the next poll; other errors are thrown.
+ *
+ * @returns {Promise<{ response: object, waitedMs: number }>} `response.status`
+ *   is "answered", or "pending" when the wait ended without a reply
+ */
+export async function waitForResponse({
+  poll,
+  timeoutMs,
+  intervalMs = ASK_POLL_INTERVAL_MS,
+  signal,
+  onProgress = () => {},
+  now = Date.now,
+  sleep = abortableSleep,
+}) {
+  const started = now();
+  let response = { status: "pending" };
+
+  while (!signal?.aborted) {
+    try {
+      response = await poll();
+    } catch (error) {
+      if (!TRANSIENT_CODES.has(error.code)) throw error;
+    }
+
+    const waitedMs = now() - started;
+    if (response.status === "answered" || waitedMs >= timeoutMs) return { response, waitedMs };
+
+    onProgress(waitedMs, timeoutMs);
+    await sleep(Math.min(intervalMs, timeoutMs - waitedMs), signal);
+  }
+
+  return { response, waitedMs: now() - started };
+}
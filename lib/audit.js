@@ -0,0 +1,55 @@
+// Opt-in, append-only JSONL record of every notification sent and every
+// channel change, for reviewing what was pushed to people's phones.
+//
+// One line per event:
+//   {"time":"...","tool":"kweenkl","profile":"default","target":"Ops",
+//    "outcome":"sent","latency_ms":182,"notification_id":"..."}
+//
+// Entries are redacted before they are written. The file is only ever
+// appended to; rotate it with an external tool if needed.
+
+import { appendFileSync, mkdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+
+export const AUDIT_FILE_NAME = "audit.jsonl";
+
+/**
+ * Merge the `audit` section of the config file with KWEENKL_AUDIT_LOG, which
+ * is either "true" (default file in the data dir), "false" or a file path.
+ * Returns null when auditing is disabled.
+ */
+export function auditOptions(fileConfig = {}, dataDir) {
+  const env = process.env.KWEENKL_AUDIT_LOG;
+  const defaults = { file: join(dataDir, AUDIT_FILE_NAME), include_content: true };
+
+  if (env === "false") return null;
+  if (env === "true") return { ...defaults, ...fileConfig };
+  if (env) return { ...defaults, ...fileConfig, file: env };
+
+  return fileConfig.enabled === true ? { ...defaults, ...fileConfig } : null;
+}
+
+export function createAuditLog({ file, includeContent = true, redact = (value) => value, now = Date.now }) {
+  let warned = false;
+
+  function record(entry) {
+    const { title, message, ...rest } = entry;
+    const line = {
+      time: new Date(now()).toISOString(),
+      ...rest,
+      ...(includeContent && title !== undefined && { title }),
+      ...(includeContent && message !== undefined && { message }),
+    };
+
+    try {
+      mkdirSync(dirname(file), { recursive: true });
+      appendFileSync(file, JSON.stringify(redact(line)) + "\n", { mode: 0o600, flag: "a" });
+    } catch (error) {
+      // Auditing never blocks a send, but a broken audit log must not go unnoticed
+      if (!warned) console.error(`Could not write audit log ${file}: ${error.message}`);
+      warned = true;
+    }
+  }
+
+  return { record };
+}
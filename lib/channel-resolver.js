@@ -0,0 +1,136 @@
+// Resolve a channel reference (name or ID) to a channel and its webhook token.
+//
+// The channel list is cached and refreshed when a lookup misses, so channels
+// created from the iOS app after the server started are still found.
+
+import { ErrorCodes, KweenklError } from "./errors.js";
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const MAX_SUGGESTIONS = 5;
+
+// Extract the webhook token from a channel object returned by /api/v1/channels
+export function webhookTokenFor(channel) {
+  if (channel.webhook_token) return channel.webhook_token;
+  if (!channel.webhook_url) return null;
+
+  const match = /\/webhook\/([^/?#]+)/.exec(channel.webhook_url);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return prev[b.length];
+}
+
+// Names that look like what the caller meant, closest first
+function closeMatches(channels, reference) {
+  const needle = reference.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+
+  return channels
+    .map((ch) => {
+      const name = (ch.name || '').toLowerCase();
+      const contains = name.includes(needle) || needle.includes(name);
+      return { ch, distance: contains ? 0 : levenshtein(name, needle) };
+    })
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ ch }) => ch);
+}
+
+function describe(channels) {
+  return channels.map((ch) => `"${ch.name}" (ID: ${ch.id})`).join(', ');
+}
+
+function findChannel(channels, reference) {
+  const byId = channels.find((ch) => String(ch.id) === reference);
+  if (byId) return { channel: byId };
+
+  const needle = reference.toLowerCase();
+  const byName = channels.filter((ch) => (ch.name || '').trim().toLowerCase() === needle);
+  if (byName.length === 1) return { channel: byName[0] };
+  if (byName.length > 1) return { ambiguous: byName };
+
+  return {};
+}
+
+/**
+ * Create a resolver backed by `fetchChannels`, an async function returning
+ * the array of channels for the configured device token.
+ */
+export function createChannelResolver({ fetchChannels, ttlMs = DEFAULT_TTL_MS }) {
+  let channels = null;
+  let fetchedAt = 0;
+
+  async function refresh() {
+    channels = await fetchChannels();
+    fetchedAt = Date.now();
+    return channels;
+  }
+
+  function isStale() {
+    return !channels || Date.now() - fetchedAt > ttlMs;
+  }
+
+  async function resolve(reference) {
+    const ref = String(reference || '').trim();
+    if (!ref) {
+      throw new KweenklError('channel must be a non-empty channel name or ID', { code: ErrorCodes.VALIDATION });
+    }
+
+    const justFetched = isStale();
+    let list = justFetched ? await refresh() : channels;
+    let found = findChannel(list, ref);
+
+    // Refresh on miss: the channel may have been created since the last fetch
+    if (!found.channel && !found.ambiguous && !justFetched) {
+      list = await refresh();
+      found = findChannel(list, ref);
+    }
+
+    if (found.ambiguous) {
+      throw new KweenklError(
+        `Channel name "${ref}" is ambiguous. It matches ${describe(found.ambiguous)}. Use the channel ID instead.`,
+        { code: ErrorCodes.VALIDATION }
+      );
+    }
+
+    if (!found.channel) {
+      const suggestions = closeMatches(list, ref);
+      const hint = suggestions.length > 0
+        ? ` Did you mean: ${describe(suggestions)}?`
+        : ' Use kweenkl_list_channels to see available channels.';
+      throw new KweenklError(`Unknown channel "${ref}".${hint}`, { code: ErrorCodes.NOT_FOUND });
+    }
+
+    const webhookToken = webhookTokenFor(found.channel);
+    if (!webhookToken) {
+      throw new KweenklError(`Channel "${found.channel.name}" has no webhook URL.`, { code: ErrorCodes.NOT_FOUND });
+    }
+
+    return { channel: found.channel, webhookToken };
+  }
+
+  function invalidate() {
+    channels = null;
+    fetchedAt = 0;
+  }
+
+  return { resolve, invalidate };
+}
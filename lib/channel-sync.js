@@ -0,0 +1,145 @@
+// Channel definitions: export a profile's channels to a JSON file and
+// reconcile an account against one, e.g. to set up a teammate's account or
+// move to a new device token.
+//
+//   {
+//     "version": 1,
+//     "exported_at": "2025-06-01T10:00:00.000Z",
+//     "profile": "default",
+//     "channels": [
+//       { "name": "Production Alerts", "description": "Pager duty", "color": "#FF3B30", "icon": "exclamationmark.triangle" }
+//     ]
+//   }
+//
+// Channels are matched by name, case-insensitively. Webhook URLs are never
+// exported: they are secrets, and a new account gets new ones anyway.
+//
+// Files are read and written in the export directory only (KWEENKL_EXPORT_DIR,
+// default: "exports" in the data directory), so a remote client can't reach
+// other files on the host.
+
+import { isAbsolute, join, relative, resolve } from "node:path";
+import { dataDir } from "./config.js";
+import { ErrorCodes, KweenklError } from "./errors.js";
+import { HEX_COLOR_PATTERN, validateSchema } from "./validate.js";
+
+export const DEFINITION_VERSION = 1;
+export const CHANNEL_FIELDS = ["name", "description", "color", "icon"];
+
+export function exportDirectory(env = process.env) {
+  return env.KWEENKL_EXPORT_DIR || join(dataDir(), "exports");
+}
+
+/**
+ * The absolute path of `file` in `directory`. Throws a VALIDATION error for
+ * paths that lead outside of it.
+ */
+export function exportPath(file, directory = exportDirectory()) {
+  const root = resolve(directory);
+  const path = resolve(root, file);
+  const inside = relative(root, path);
+  if (!inside || inside.startsWith("..") || isAbsolute(inside)) {
+    throw new KweenklError(`file must be a file name inside the export directory ${root}`, {
+      code: ErrorCodes.VALIDATION,
+      field: "file",
+    });
+  }
+  return path;
+}
+
+// JSON Schema of one channel in a definition; `icons` are the allowed icon names
+export function channelDefinitionSchema(icons) {
+  return {
+    type: "object",
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 100 },
+      description: { type: ["string", "null"] },
+      color: { type: ["string", "null"], pattern: HEX_COLOR_PATTERN },
+      icon: { type: ["string", "null"], enum: [...icons, null] },
+    },
+    required: ["name"],
+  };
+}
+
+/**
+ * The definition file for `channels` as listed by the API: each channel's
+ * name, description, color and icon.
+ */
+export function channelDefinition(channels, { profile, now = Date.now } = {}) {
+  return {
+    version: DEFINITION_VERSION,
+    exported_at: new Date(now()).toISOString(),
+    profile,
+    channels: channels.map((channel) => Object.fromEntries(
+      CHANNEL_FIELDS.filter((field) => channel[field] !== undefined).map((field) => [field, channel[field]])
+    )),
+  };
+}
+
+/**
+ * Check a definition, either a whole file or just its list of channels.
+ * Returns `{ channels, errors }`; errors are `{ field, message }` as from
+ * validateSchema, e.g. for "channels[2].color".
+ */
+export function parseDefinition(data, { icons }) {
+  const list = Array.isArray(data) ? data : data?.channels;
+  if (!Array.isArray(list)) {
+    return { channels: [], errors: [{ field: "channels", message: "must be a list of channels, or a file with a channels list" }] };
+  }
+  if (!Array.isArray(data) && data.version !== undefined && data.version !== DEFINITION_VERSION) {
+    return { channels: [], errors: [{ field: "version", message: `must be ${DEFINITION_VERSION} (got ${JSON.stringify(data.version)})` }] };
+  }
+
+  const schema = { type: "array", items: channelDefinitionSchema(icons) };
+  const errors = validateSchema(schema, list, "channels");
+
+  const seen = new Set();
+  list.forEach((channel, i) => {
+    if (typeof channel?.name !== "string") return;
+    const key = channel.name.trim().toLowerCase();
+    if (seen.has(key)) errors.push({ field: `channels[${i}].name`, message: `repeats the channel "${channel.name}"` });
+    seen.add(key);
+  });
+
+  return { channels: errors.length > 0 ? [] : list, errors };
+}
+
+/**
+ * What importing `wanted` channels into an account with `existing` ones
+ * would do. Fields a wanted channel leaves out are not changed.
+ *
+ * @returns {{ create: object[], update: { channel: object, changes: object }[], unchanged: object[], extra: object[] }}
+ *   `changes` maps each changed field to `{ from, to }`
+ */
+export function planImport(wanted, existing) {
+  const byName = new Map();
+  for (const channel of existing) {
+    const key = String(channel.name).trim().toLowerCase();
+    if (!byName.has(key)) byName.set(key, channel);
+  }
+
+  const plan = { create: [], update: [], unchanged: [], extra: [] };
+  const matched = new Set();
+
+  for (const definition of wanted) {
+    const channel = byName.get(definition.name.trim().toLowerCase());
+    if (!channel) {
+      plan.create.push(definition);
+      continue;
+    }
+
+    matched.add(channel);
+    const changes = {};
+    for (const field of CHANNEL_FIELDS) {
+      if (definition[field] === undefined) continue;
+      const from = channel[field] ?? null;
+      const to = definition[field] ?? null;
+      if (from !== to) changes[field] = { from, to };
+    }
+    if (Object.keys(changes).length > 0) plan.update.push({ channel, changes });
+    else plan.unchanged.push(channel);
+  }
+
+  plan.extra = existing.filter((channel) => !matched.has(channel));
+  return plan;
+}
@@ -0,0 +1,509 @@
+// Command-line interface of the kweenkl-mcp bin, for shell scripts and cron
+// jobs. It goes through KweenklClient like the MCP tools do and reads the
+// same config file, sending policy and environment variables.
+//
+//   kweenkl-mcp send --channel ops --title "Backup" --priority high "Backup failed"
+//   df -h | kweenkl-mcp send --channel ops --title "Disk usage"
+//   kweenkl-mcp channels list --json
+//   kweenkl-mcp serve --transport http     (also the default without a command)
+//   kweenkl-mcp mock --port 4010           (local mock of the kweenkl API)
+//
+// The exit code tells API errors apart, see EXIT_CODES.
+//
+// The server's rate limits and duplicate suppression (lib/rate-limit.js) are
+// not applied here: they live in memory, and every command is a new process.
+// The sending policy's quotas are kept in a file, so those do apply.
+
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { KweenklClient } from "./client.js";
+import { ErrorCodes, KweenklError, codeForError, errorJson } from "./errors.js";
+import { dataDir, loadConfig } from "./config.js";
+import { httpOptionsFromEnv } from "./http.js";
+import { loadProfiles, resolveAlias, unknownProfileError } from "./profiles.js";
+import { channelJson } from "./resources.js";
+import { createRedactor } from "./redact.js";
+import { auditOptions, createAuditLog } from "./audit.js";
+import { deletionOptions, isProtected } from "./deletion.js";
+import { createPolicy, loadPolicy } from "./policy.js";
+import { MOCK_DEVICE_TOKEN, startMockApi } from "./mock-api.js";
+import { HEX_COLOR_PATTERN, checkNotification, describeErrors, iconNames, validationOptions } from "./validate.js";
+
+// One exit code per error code, so scripts can react to the kind of failure
+export const EXIT_CODES = Object.freeze({
+  OK: 0,
+  UNKNOWN: 1,
+  VALIDATION: 2,
+  INVALID_TOKEN: 3,
+  UNAUTHORIZED: 4,
+  NOT_FOUND: 5,
+  RATE_LIMITED: 6,
+  SERVER_ERROR: 7,
+  NETWORK: 8,
+  NOT_CONFIGURED: 9,
+  FORBIDDEN: 10,
+});
+
+export const USAGE = `Usage: kweenkl-mcp <command> [options]
+
+Commands:
+  serve [--transport stdio|http] [--host HOST] [--port PORT]
+      Run the MCP server (the default when no command is given)
+  send [MESSAGE] [--channel NAME | --webhook-token TOKEN] [--title TITLE]
+       [--priority low|normal|high] [--payload JSON]
+      Send a notification. Without MESSAGE, it is read from stdin.
+  channels list
+  channels create NAME [--description TEXT] [--color #RRGGBB] [--icon NAME]
+  channels update ID [--name NAME] [--description TEXT] [--color #RRGGBB] [--icon NAME]
+  channels delete ID (--yes | --confirm NAME)
+      Delete a channel; --confirm takes the channel's exact name
+  mock [--port PORT] [--host HOST] [--device-token TOKEN]
+      Run a local mock of the kweenkl API (default port 4010) for offline use
+  help
+
+Options for every command except serve:
+  --profile NAME   Profile from the config file (default: KWEENKL_PROFILE or default_profile)
+  --json           Print results and errors as JSON on stdout
+
+Set KWEENKL_DRY_RUN=true to check sends and channel changes without making them.
+
+Exit codes: 0 ok, 1 unknown error, 2 invalid arguments, 3 invalid webhook token,
+4 unauthorized, 5 not found, 6 rate limited, 7 server error, 8 network error,
+9 device token not configured, 10 forbidden by the config or policy file.
+`;
+
+const COMMON_OPTIONS = {
+  profile: { type: "string" },
+  json: { type: "boolean" },
+};
+
+function usageError(message) {
+  return new KweenklError(`${message}. Run "kweenkl-mcp help" for usage.`, { code: ErrorCodes.VALIDATION });
+}
+
+function parse(args, options) {
+  try {
+    return parseArgs({ args, options: { ...COMMON_OPTIONS, ...options }, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message.replace(/\.$/, ""));
+  }
+}
+
+async function readStream(stream) {
+  let text = "";
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+/**
+ * Run the CLI with `argv` (without node and the script). Resolves to the
+ * exit code, or null when the MCP server was started and keeps running.
+ */
+export async function runCli(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  const [command, ...args] = argv;
+
+  // No command, or only server flags: behave like the bin always did
+  if (command === undefined || command === "serve" || (command.startsWith("--") && command !== "--help")) {
+    const { startServer } = await import("./server.js");
+    await startServer(command === "serve" ? args : argv);
+    return null;
+  }
+
+  if (command === "help" || command === "--help" || command === "-h") {
+    stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  const redactor = createRedactor();
+  let json = argv.includes("--json");
+
+  try {
+    const config = loadConfig();
+    const { profiles, defaultProfile } = loadProfiles(config, env);
+    redactor.addCredential(...[...profiles.values()].map((profile) => profile.deviceToken));
+
+    const auditSettings = auditOptions(config.audit, dataDir());
+    const context = {
+      config,
+      profiles,
+      defaultProfile,
+      stdin,
+      stdout,
+      dryRun: env.KWEENKL_DRY_RUN === "true",
+      audit: auditSettings && createAuditLog({
+        file: auditSettings.file,
+        includeContent: auditSettings.include_content !== false,
+        redact: redactor.redact,
+      }),
+      print: (text, data) => stdout.write(json ? `${JSON.stringify(data, null, 2)}\n` : `${text}\n`),
+      warn: (text) => stderr.write(`⚠️ ${text}\n`),
+    };
+
+    switch (command) {
+      case "send": {
+        const parsed = parse(args, SEND_OPTIONS);
+        json = parsed.values.json === true;
+        await send(parsed, context);
+        break;
+      }
+
+      case "channels": {
+        const [action, ...rest] = args;
+        const handler = CHANNEL_COMMANDS[action];
+        if (!handler) {
+          throw usageError(action ? `Unknown channels command "${action}"` : "Missing channels command (list, create, update or delete)");
+        }
+        const parsed = parse(rest, handler.options);
+        json = parsed.values.json === true;
+        await handler.run(parsed, context);
+        break;
+      }
+
+      case "mock":
+        // Keeps running until the process is stopped
+        await mock(parse(args, MOCK_OPTIONS), context);
+        return null;
+
+      default:
+        throw usageError(`Unknown command "${command}"`);
+    }
+
+    return EXIT_CODES.OK;
+  } catch (error) {
+    const message = redactor.redactText(error.message);
+    if (json) {
+      stdout.write(`${JSON.stringify({ error: { ...errorJson(error), message } }, null, 2)}\n`);
+    } else {
+      stderr.write(`❌ ${message}\n`);
+    }
+    return EXIT_CODES[codeForError(error)] ?? EXIT_CODES.UNKNOWN;
+  }
+}
+
+// The profile named by --profile, and a client for it
+function profileClient({ values }, { profiles, defaultProfile, dryRun }) {
+  const name = values.profile || defaultProfile;
+  const profile = profiles.get(name);
+  if (!profile) throw unknownProfileError(name, profiles);
+
+  return {
+    profile,
+    client: new KweenklClient({
+      apiUrl: profile.apiUrl,
+      deviceToken: profile.deviceToken,
+      httpOptions: httpOptionsFromEnv(),
+      dryRun,
+    }),
+  };
+}
+
+function requireDeviceToken(profile) {
+  if (!profile.deviceToken) {
+    throw new KweenklError(
+      `Profile "${profile.name}" has no device token. Set KWEENKL_DEVICE_TOKEN or configure the profile to manage channels.`,
+      { code: ErrorCodes.NOT_CONFIGURED }
+    );
+  }
+}
+
+const SEND_OPTIONS = {
+  channel: { type: "string", short: "c" },
+  "webhook-token": { type: "string" },
+  message: { type: "string", short: "m" },
+  title: { type: "string", short: "t" },
+  priority: { type: "string", short: "p" },
+  payload: { type: "string" },
+};
+
+async function send(parsed, { config, stdin, audit, print, warn, ...context }) {
+  const { values, positionals } = parsed;
+  const { profile, client } = profileClient(parsed, context);
+
+  let message = values.message ?? (positionals.length > 0 ? positionals.join(" ") : undefined);
+  if (message === undefined || message === "-") {
+    if (stdin.isTTY) throw usageError("Missing message");
+    message = (await readStream(stdin)).trim();
+  }
+  if (!message) throw usageError("Missing message");
+
+  if (values.priority && !["low", "normal", "high"].includes(values.priority)) {
+    throw usageError(`--priority must be one of: low, normal, high (got "${values.priority}")`);
+  }
+
+  let payload;
+  if (values.payload !== undefined) {
+    try {
+      payload = JSON.parse(values.payload);
+    } catch (error) {
+      throw usageError(`--payload is not valid JSON: ${error.message}`);
+    }
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      throw usageError("--payload must be a JSON object");
+    }
+  }
+
+  const notification = { message, title: values.title, priority: values.priority, payload };
+  const { errors, warnings } = checkNotification(notification, validationOptions(config.validation));
+  if (errors.length > 0) throw usageError(describeErrors(errors).replace(/"(\w+)"/g, "--$1"));
+  warnings.forEach(warn);
+
+  // Same targets as the kweenkl tool: webhook token, alias, channel, or the profile's default channel
+  if (values["webhook-token"] && values.channel) {
+    throw usageError("Use either --channel or --webhook-token, not both");
+  }
+  const reference = values.channel || profile.defaultChannel;
+  if (!values["webhook-token"] && !reference) {
+    throw usageError("Missing --channel or --webhook-token");
+  }
+  const alias = values["webhook-token"] ? null : resolveAlias(profile, reference);
+  const target = values["webhook-token"] ? "webhook" : reference;
+
+  const started = Date.now();
+  const record = (entry) => audit?.record({
+    tool: "cli", command: "send", profile: profile.name, target, priority: notification.priority || "normal",
+    title: notification.title, message: notification.message, latency_ms: Date.now() - started, ...entry,
+  });
+
+  let result;
+  let checked = null;
+  try {
+    // The policy counts quotas per webhook token, so resolve the channel first
+    const webhookToken = values["webhook-token"] || alias?.webhook_token ||
+      (await client.resolveChannel(alias?.channel ?? reference)).webhookToken;
+    checked = checkPolicy({ channels: [values["webhook-token"] ? undefined : reference, alias?.channel], webhookToken, notification }, context);
+    checked.decisions.forEach((decision) => warn(`Policy (${decision.rule}): ${decision.message}`));
+    result = await client.send({ webhookToken, ...notification, priority: checked.priority });
+  } catch (error) {
+    checked?.release?.();
+    record({ outcome: "failed", error_code: codeForError(error), http_status: error.httpStatus, policy: error.policy });
+    throw error;
+  }
+
+  record({
+    outcome: "sent", notification_id: result.notificationId, dry_run: result.dryRun,
+    policy: checked.decisions.length > 0 ? checked.decisions.map((decision) => decision.rule) : undefined,
+  });
+
+  print(
+    result.dryRun
+      ? `🧪 Dry run: would send to ${target} (notification ${result.notificationId}); nothing was sent`
+      : `✅ Sent to ${target}: ${result.subscribersNotified} subscriber(s) notified (notification ${result.notificationId})`,
+    {
+      status: "sent",
+      notification_id: result.notificationId,
+      subscribers_notified: result.subscribersNotified,
+      attempts: result.attempts,
+      ...(result.dryRun && { dry_run: true }),
+      ...(checked.decisions.length > 0 && { policy: checked.decisions }),
+      ...(warnings.length > 0 && { warnings }),
+    }
+  );
+}
+
+// The sending policy applies to the CLI too. It can't hold a notification
+// for quiet hours the way the MCP server does, so those are refused instead.
+// Returns the priority to send at and the decisions, or throws.
+function checkPolicy({ channels, webhookToken, notification }, { dryRun }) {
+  const settings = loadPolicy();
+  const priority = notification.priority || "normal";
+  if (!settings) return { priority: notification.priority, decisions: [] };
+
+  const policy = createPolicy({
+    policy: settings,
+    file: join(dryRun ? join(dataDir(), "dry-run") : dataDir(), "quotas.json"),
+  });
+  const verdict = policy.check({ channels, webhook_token: webhookToken, priority });
+  const refuse = (message, code = ErrorCodes.FORBIDDEN) => {
+    const error = new KweenklError(message, { code });
+    error.policy = verdict.decisions.map((decision) => decision.rule);
+    return error;
+  };
+
+  if (verdict.action === "deny") throw refuse(`Not allowed: ${verdict.message}`);
+  if (verdict.action === "suppress") throw refuse(`Not sent: ${verdict.message}`, ErrorCodes.RATE_LIMITED);
+  if (verdict.action === "defer") {
+    throw refuse(`Not sent: ${verdict.decisions.at(-1).message.replace(/; it will be sent when they end$/, "")}. ` +
+      `The command line can't hold notifications; send it again after ${verdict.sendAt.toISOString()}.`);
+  }
+  return {
+    priority: verdict.priority === priority ? notification.priority : verdict.priority,
+    decisions: verdict.decisions,
+    release: verdict.counted && (() => policy.release({ channels, webhook_token: webhookToken })),
+  };
+}
+
+const CHANNEL_FIELDS = {
+  description: { type: "string" },
+  color: { type: "string" },
+  icon: { type: "string" },
+};
+
+// Check --color and --icon like the channel tools do
+function channelFields({ name, description, color, icon }, config) {
+  if (color !== undefined && !new RegExp(HEX_COLOR_PATTERN).test(color)) {
+    throw usageError(`--color must be a hex color such as #FF0000 (got "${color}")`);
+  }
+  const icons = iconNames(validationOptions(config.validation));
+  if (icon !== undefined && !icons.includes(icon)) {
+    throw usageError(`--icon must be one of: ${icons.join(", ")} (got "${icon}")`);
+  }
+  return { name, description, color, icon };
+}
+
+function onlyPositional(positionals, what) {
+  if (positionals.length !== 1) throw usageError(`Expected exactly one ${what}`);
+  return positionals[0];
+}
+
+// Record a channel change in the audit log, whatever its outcome
+async function auditedChange(action, { profile, target }, { audit }, change) {
+  const started = Date.now();
+  try {
+    const result = await change();
+    audit?.record({
+      tool: "cli", command: `channels ${action}`, profile: profile.name, target, outcome: "ok",
+      latency_ms: Date.now() - started, dry_run: result.dryRun,
+    });
+    return result;
+  } catch (error) {
+    audit?.record({
+      tool: "cli", command: `channels ${action}`, profile: profile.name, target, outcome: "failed",
+      latency_ms: Date.now() - started, error_code: codeForError(error), http_status: error.httpStatus,
+    });
+    throw error;
+  }
+}
+
+function dryRunPrefix(result) {
+  return result.dryRun ? "🧪 Dry run, nothing was changed: " : "";
+}
+
+function dryRunJson(result) {
+  return result.dryRun ? { dry_run: true } : {};
+}
+
+// The config file's channel_deletion settings apply to the CLI too. Returns
+// the channel to delete.
+async function checkDeletionAllowed(id, client, config) {
+  const deletion = deletionOptions(config.channel_deletion);
+  if (!deletion.enabled) {
+    throw new KweenklError("Deleting channels is disabled in the kweenkl config (channel_deletion.enabled).", { code: ErrorCodes.FORBIDDEN });
+  }
+
+  const channel = (await client.listChannels()).find((ch) => String(ch.id) === String(id));
+  if (!channel) {
+    throw new KweenklError(`Channel not found: ${id}. Run "kweenkl-mcp channels list" to see available channels.`, { code: ErrorCodes.NOT_FOUND });
+  }
+  if (isProtected(deletion, channel)) {
+    throw new KweenklError(
+      `Channel "${channel.name}" is protected by the kweenkl config (channel_deletion.protected) and can't be deleted.`,
+      { code: ErrorCodes.FORBIDDEN }
+    );
+  }
+  return channel;
+}
+
+// Deleting can't be undone, so like kweenkl_delete_channel the command needs
+// a confirmation: --yes, or the channel's exact name with --confirm
+function checkDeletionConfirmed(channel, { yes, confirm }) {
+  if (yes || (confirm !== undefined && confirm === channel.name)) return;
+
+  const problem = confirm === undefined
+    ? `deleting "${channel.name}" (ID: ${channel.id}) permanently removes the channel and its ${channel.notification_count ?? 0} notification(s)`
+    : `--confirm "${confirm}" is not the channel's exact name "${channel.name}"`;
+  throw new KweenklError(`Not deleted: ${problem}. Run again with --yes, or with --confirm "${channel.name}".`, {
+    code: ErrorCodes.VALIDATION,
+    field: "confirm",
+  });
+}
+
+const CHANNEL_COMMANDS = {
+  list: {
+    options: {},
+    async run(parsed, { print, ...context }) {
+      const { profile, client } = profileClient(parsed, context);
+      requireDeviceToken(profile);
+
+      const channels = await client.listChannels();
+      const lines = channels.map((ch) => `${ch.id}\t${ch.name}\t${ch.webhook_url}`);
+      print(lines.length > 0 ? lines.join("\n") : "📭 No channels found.", { channels: channels.map(channelJson) });
+    },
+  },
+
+  create: {
+    options: { name: { type: "string" }, ...CHANNEL_FIELDS },
+    async run(parsed, { print, ...context }) {
+      const { values, positionals } = parsed;
+      const { profile, client } = profileClient(parsed, context);
+      const name = values.name ?? onlyPositional(positionals, "channel name");
+      const fields = channelFields({ ...values, name }, context.config);
+      requireDeviceToken(profile);
+
+      const channel = await auditedChange("create", { profile, target: name }, context, () => client.createChannel(fields));
+      print(
+        `${dryRunPrefix(channel)}✅ Created ${channel.name} (ID: ${channel.id})\nWebhook URL: ${channel.webhook_url}`,
+        { channel: channelJson(channel), ...dryRunJson(channel) }
+      );
+    },
+  },
+
+  update: {
+    options: { name: { type: "string" }, ...CHANNEL_FIELDS },
+    async run(parsed, { print, ...context }) {
+      const { values, positionals } = parsed;
+      const { profile, client } = profileClient(parsed, context);
+      const id = onlyPositional(positionals, "channel ID");
+      const fields = channelFields(values, context.config);
+      requireDeviceToken(profile);
+
+      const channel = await auditedChange("update", { profile, target: id }, context, () => client.updateChannel(id, fields));
+      print(`${dryRunPrefix(channel)}✅ Updated ${channel.name} (ID: ${channel.id})`, { channel: channelJson(channel), ...dryRunJson(channel) });
+    },
+  },
+
+  delete: {
+    options: { yes: { type: "boolean" }, confirm: { type: "string" } },
+    async run(parsed, { print, ...context }) {
+      const { profile, client } = profileClient(parsed, context);
+      const id = onlyPositional(parsed.positionals, "channel ID");
+      requireDeviceToken(profile);
+      const channel = await checkDeletionAllowed(id, client, context.config);
+      checkDeletionConfirmed(channel, parsed.values);
+
+      const deleted = await auditedChange("delete", { profile, target: id }, context, () => client.deleteChannel(id));
+      print(
+        `${dryRunPrefix(deleted)}✅ Deleted ${deleted.name || channel.name}`,
+        { deleted_channel: { id: deleted.id ?? channel.id, name: deleted.name || channel.name }, ...dryRunJson(deleted) }
+      );
+    },
+  },
+};
+
+const MOCK_OPTIONS = {
+  port: { type: "string" },
+  host: { type: "string" },
+  "device-token": { type: "string" },
+};
+
+async function mock({ values }, { stdout }) {
+  const port = values.port === undefined ? 4010 : Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw usageError(`--port must be a port number (got "${values.port}")`);
+  }
+
+  const api = await startMockApi({
+    port,
+    host: values.host || "127.0.0.1",
+    deviceToken: values["device-token"] || MOCK_DEVICE_TOKEN,
+  });
+
+  const [channel] = api.channels();
+  stdout.write(
+    `🧪 Mock kweenkl API listening on ${api.url}\n\n` +
+    `   KWEENKL_API_URL=${api.url}\n` +
+    `   KWEENKL_DEVICE_TOKEN=${api.deviceToken}\n` +
+    `   Channel "${channel.name}": ${channel.webhook_url}\n\n` +
+    `Inject faults with POST ${api.url}/_mock/faults, e.g. {"path": "/webhook", "status": 429, "times": 2}.\n` +
+    `Press Ctrl+C to stop.\n`
+  );
+}
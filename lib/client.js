@@ -0,0 +1,310 @@
+// Plain JavaScript client for the kweenkl API, usable without MCP:
+//
+//   import { KweenklClient } from "kweenkl-mcp-server";
+//
+//   const kweenkl = new KweenklClient({ deviceToken: process.env.KWEENKL_DEVICE_TOKEN });
+//   await kweenkl.send({ channel: "Production Alerts", message: "Deploy finished" });
+//
+// Methods return plain data and throw KweenklError with a stable `code` (and
+// `httpStatus` and `attempts` when known). The MCP server is an adapter over
+// this class that turns both into tool results.
+//
+// With `dryRun: true`, sends and channel changes are checked but not made:
+// channels are still read from the API, and the results are realistic fakes
+// marked `dryRun: true`.
+
+import { randomUUID } from "node:crypto";
+import { createChannelResolver } from "./channel-resolver.js";
+import { ErrorCodes, KweenklError, codeForError, codeForStatus } from "./errors.js";
+import { DEFAULT_HTTP_OPTIONS, createHttpClient } from "./http.js";
+import { DEFAULT_API_URL } from "./profiles.js";
+
+// Turn a fetch failure or timeout into a KweenklError; ours pass through
+function asKweenklError(error) {
+  if (error instanceof KweenklError) return error;
+  return new KweenklError(error.message, { code: codeForError(error), attempts: error.attempts, cause: error });
+}
+
+// The message of a non-2xx response: the API's error message, else its body
+async function responseError(response, attempts, { webhook = false } = {}) {
+  const text = await response.text();
+  let message = text;
+
+  try {
+    message = JSON.parse(text).error?.message || text;
+  } catch {
+    // Not JSON; use the body as is
+  }
+
+  return new KweenklError(message || `HTTP ${response.status}`, {
+    code: codeForStatus(response.status, { webhook }),
+    httpStatus: response.status,
+    attempts,
+  });
+}
+
+export class KweenklClient {
+  #deviceToken;
+  #http;
+  #resolver;
+  #debugLog;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiUrl] - kweenkl API base URL
+   * @param {string} [options.deviceToken] - needed for channel management and channel names
+   * @param {object} [options.httpOptions] - retry and timeout settings, see lib/http.js
+   * @param {boolean} [options.dryRun] - check sends and channel changes without making them
+   * @param {Function} [options.debugLog] - receives retry and resolution details
+   */
+  constructor({ apiUrl = DEFAULT_API_URL, deviceToken = null, httpOptions = {}, dryRun = false, debugLog = () => {} } = {}) {
+    this.apiUrl = apiUrl;
+    this.dryRun = dryRun;
+    this.#deviceToken = deviceToken || null;
+    this.#debugLog = debugLog;
+    this.#http = createHttpClient({ baseUrl: apiUrl, debugLog, ...DEFAULT_HTTP_OPTIONS, ...httpOptions });
+    this.#resolver = createChannelResolver({ fetchChannels: () => this.listChannels() });
+  }
+
+  get canManageChannels() {
+    return this.#deviceToken !== null;
+  }
+
+  async #request(path, init = {}, { webhook = false } = {}) {
+    let result;
+    try {
+      result = await this.#http.request(path, init);
+    } catch (error) {
+      throw asKweenklError(error);
+    }
+
+    if (!result.response.ok) {
+      throw await responseError(result.response, result.attempts, { webhook });
+    }
+    return { data: await result.response.json(), attempts: result.attempts };
+  }
+
+  #authorized(headers = {}) {
+    if (!this.#deviceToken) {
+      throw new KweenklError("A device token is required to look up or manage channels.", { code: ErrorCodes.NOT_CONFIGURED });
+    }
+    return { ...headers, "Authorization": `Bearer ${this.#deviceToken}` };
+  }
+
+  // A channel as the API would find it for an update or delete, for dry runs
+  async #existingChannel(channelId) {
+    const channel = (await this.listChannels()).find((ch) => String(ch.id) === String(channelId));
+    if (!channel) {
+      throw new KweenklError("Channel not found", { code: ErrorCodes.NOT_FOUND, httpStatus: 404 });
+    }
+    return channel;
+  }
+
+  /**
+   * Resolve a channel name or ID to `{ channel, webhookToken }`. The channel
+   * list is cached and refreshed when a name is not found.
+   */
+  async resolveChannel(reference) {
+    this.#authorized();
+    return await this.#resolver.resolve(reference);
+  }
+
+  /**
+   * Send a notification to `webhookToken`, or to `channel` (a name or ID,
+   * which needs a device token). Reuse `idempotencyKey` when sending the
+   * same notification again so it is never delivered twice.
+   *
+   * @returns {Promise<{ notificationId: string, subscribersNotified: number, attempts: number, dryRun?: true }>}
+   */
+  async send({ webhookToken, channel, message, title, priority, payload, idempotencyKey = randomUUID() }) {
+    if (!message) {
+      throw new KweenklError("message is required", { code: ErrorCodes.VALIDATION });
+    }
+    if (!webhookToken && !channel) {
+      throw new KweenklError("Either webhookToken or channel is required", { code: ErrorCodes.VALIDATION });
+    }
+
+    const token = webhookToken || (await this.resolveChannel(channel)).webhookToken;
+    const body = { message };
+    if (title) body.title = title;
+    if (priority) body.priority = priority;
+    if (payload) body.payload = payload;
+
+    if (this.dryRun) {
+      this.#debugLog('Dry run, not sent:', body);
+      return { notificationId: `dry-run-${randomUUID()}`, subscribersNotified: 1, attempts: 1, dryRun: true };
+    }
+
+    const { data, attempts } = await this.#request(`/webhook/${encodeURIComponent(token)}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Idempotency-Key": idempotencyKey,
+      },
+      body: JSON.stringify(body),
+    }, { webhook: true });
+
+    return {
+      notificationId: String(data.notification_id || data.notificationId || "unknown"),
+      subscribersNotified: data.subscribers_notified || data.subscribersNotified || 0,
+      attempts,
+    };
+  }
+
+  /**
+   * The reply to a notification sent with action buttons: which button was
+   * tapped, if any. Only needs the webhook token the notification went to.
+   *
+   * Uses `GET /webhook/:token/notifications/:id/response`, a proposed
+   * endpoint the kweenkl API does not document (the mock API serves it). A
+   * 404 from it is a NOT_FOUND error saying replies may not be supported,
+   * so callers stop waiting instead of polling until they time out.
+   *
+   * @returns {Promise<{ status: "pending" | "answered", action?: string, label?: string, respondedAt?: string }>}
+   */
+  async getResponse({ webhookToken, notificationId }) {
+    let data;
+    try {
+      ({ data } = await this.#request(
+        `/webhook/${encodeURIComponent(webhookToken)}/notifications/${encodeURIComponent(notificationId)}/response`
+      ));
+    } catch (error) {
+      if (error.httpStatus !== 404) throw error;
+      throw new KweenklError(
+        `Replies are not supported by this kweenkl API, or it doesn't know notification ${notificationId} ` +
+          `(GET /webhook/:token/notifications/:id/response: ${error.message})`,
+        { code: ErrorCodes.NOT_FOUND, httpStatus: 404, attempts: error.attempts, cause: error }
+      );
+    }
+
+    if (data.status !== "answered" || !data.action) return { status: "pending" };
+    return {
+      status: "answered",
+      action: String(data.action),
+      label: data.label ?? null,
+      respondedAt: data.responded_at || data.respondedAt || null,
+    };
+  }
+
+  // All channels of the device, as returned by the API
+  async listChannels() {
+    const { data } = await this.#request("/api/v1/channels", { headers: this.#authorized() });
+    return data.channels || [];
+  }
+
+  /**
+   * Recent notifications of a channel, newest first. `since` and `until` are
+   * ISO 8601 timestamps; page with `limit` and `offset`.
+   *
+   * @returns {Promise<{ notifications: object[], hasMore: boolean }>} each
+   *   notification has `id`, `title`, `message`, `priority` and `sent_at`
+   */
+  async listNotifications(channelId, { limit = 20, offset = 0, since, until } = {}) {
+    const query = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+    if (since) query.set("since", since);
+    if (until) query.set("until", until);
+
+    const { data } = await this.#request(`/api/v1/channels/${encodeURIComponent(channelId)}/notifications?${query}`, {
+      headers: this.#authorized(),
+    });
+
+    const notifications = (data.notifications || []).map((notification) => ({
+      id: String(notification.id ?? notification.notification_id),
+      title: notification.title ?? null,
+      message: notification.message,
+      priority: notification.priority || "normal",
+      sent_at: notification.sent_at || notification.created_at,
+    }));
+
+    const hasMore = data.has_more ?? (typeof data.total === "number"
+      ? offset + notifications.length < data.total
+      : notifications.length === limit);
+
+    return { notifications, hasMore };
+  }
+
+  /**
+   * Create a channel. The result includes its `webhook_url`.
+   */
+  async createChannel({ name, description, color, icon }) {
+    const body = { name };
+    if (description) body.description = description;
+    if (color) body.color = color;
+    if (icon) body.icon = icon;
+
+    if (this.dryRun) {
+      this.#authorized();
+      this.#debugLog('Dry run, channel not created:', body);
+      const token = `dry-run-${randomUUID()}`;
+      return {
+        webhook_url: `${this.apiUrl}/webhook/${token}`,
+        id: token,
+        color: "#007AFF",
+        icon: "bell",
+        ...body,
+        notification_count: 0,
+        dryRun: true,
+      };
+    }
+
+    const { data } = await this.#request("/api/v1/channels", {
+      method: "POST",
+      headers: this.#authorized({ "Content-Type": "application/json" }),
+      body: JSON.stringify(body),
+    });
+
+    this.#resolver.invalidate();
+    return { webhook_url: data.webhook_url, ...data.channel };
+  }
+
+  /**
+   * Change a channel's name, description, color or icon. Fields left
+   * undefined are not changed.
+   */
+  async updateChannel(channelId, { name, description, color, icon }) {
+    const body = {};
+    if (name !== undefined) body.name = name;
+    if (description !== undefined) body.description = description;
+    if (color !== undefined) body.color = color;
+    if (icon !== undefined) body.icon = icon;
+
+    if (Object.keys(body).length === 0) {
+      throw new KweenklError("Provide at least one of: name, description, color, icon", { code: ErrorCodes.VALIDATION });
+    }
+
+    if (this.dryRun) {
+      const channel = await this.#existingChannel(channelId);
+      this.#debugLog('Dry run, channel not updated:', channelId, body);
+      return { ...channel, ...body, dryRun: true };
+    }
+
+    const { data } = await this.#request(`/api/v1/channels/${encodeURIComponent(channelId)}`, {
+      method: "PATCH",
+      headers: this.#authorized({ "Content-Type": "application/json" }),
+      body: JSON.stringify(body),
+    });
+
+    this.#resolver.invalidate();
+    return data.channel;
+  }
+
+  /**
+   * Delete a channel and its notifications. Returns the deleted channel's
+   * `id` and `name` as far as the API reports them.
+   */
+  async deleteChannel(channelId) {
+    if (this.dryRun) {
+      const { id, name } = await this.#existingChannel(channelId);
+      this.#debugLog('Dry run, channel not deleted:', channelId);
+      return { id, name, dryRun: true };
+    }
+
+    const { data } = await this.#request(`/api/v1/channels/${encodeURIComponent(channelId)}`, {
+      method: "DELETE",
+      headers: this.#authorized(),
+    });
+
+    this.#resolver.invalidate();
+    return data.deleted_channel || {};
+  }
+}
@@ -0,0 +1,41 @@
+// Optional JSON config file for settings that don't fit in env vars.
+//
+// Looked up at KWEENKL_CONFIG, falling back to ~/.config/kweenkl/config.json.
+// A missing file is not an error: every section has defaults.
+
+import { readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const DEFAULT_CONFIG_PATH = join(homedir(), ".config", "kweenkl", "config.json");
+
+export const DEFAULT_DATA_DIR = join(homedir(), ".local", "share", "kweenkl");
+
+// Where local state (scheduled jobs, journals) is kept
+export function dataDir() {
+  return process.env.KWEENKL_DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+export function configPath() {
+  return process.env.KWEENKL_CONFIG || DEFAULT_CONFIG_PATH;
+}
+
+export function loadConfig(path = configPath()) {
+  let raw;
+  try {
+    raw = readFileSync(path, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Cannot read kweenkl config ${path}: ${error.message}`);
+  }
+
+  try {
+    const config = JSON.parse(raw);
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      throw new Error("expected a JSON object");
+    }
+    return config;
+  } catch (error) {
+    throw new Error(`Invalid kweenkl config ${path}: ${error.message}`);
+  }
+}
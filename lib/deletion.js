@@ -0,0 +1,83 @@
+// Safeguards for deleting channels, which also deletes their notifications.
+//
+// kweenkl_delete_channel works in two phases: a call without `confirm` only
+// previews the channel and hands out a short-lived confirmation token, and a
+// second call with that token (or the channel's exact name) deletes it.
+//
+//   "channel_deletion": {
+//     "enabled": true,
+//     "protected": ["Production Alerts", "On-call"],
+//     "confirmation_ttl_seconds": 300
+//   }
+//
+// With "enabled": false nothing can be deleted. Protected channels, named by
+// name (case-insensitively) or ID, can never be deleted.
+
+import { randomUUID } from "node:crypto";
+
+export const DEFAULT_CHANNEL_DELETION = {
+  enabled: true,
+  protected: [],
+  confirmation_ttl_seconds: 300,
+};
+
+/**
+ * Merge the `channel_deletion` section of the config file with the defaults.
+ */
+export function deletionOptions(fileConfig = {}) {
+  const options = { ...DEFAULT_CHANNEL_DELETION, ...fileConfig };
+
+  if (typeof options.enabled !== "boolean") {
+    throw new Error("Invalid kweenkl config: channel_deletion.enabled must be true or false");
+  }
+  if (!Array.isArray(options.protected) ||
+      options.protected.some((entry) => (typeof entry !== "string" && typeof entry !== "number") || entry === "")) {
+    throw new Error("Invalid kweenkl config: channel_deletion.protected must be a list of channel names or IDs");
+  }
+  if (typeof options.confirmation_ttl_seconds !== "number" || !(options.confirmation_ttl_seconds > 0)) {
+    throw new Error("Invalid kweenkl config: channel_deletion.confirmation_ttl_seconds must be a positive number");
+  }
+  return options;
+}
+
+// Whether the config protects `channel` from deletion
+export function isProtected(options, channel) {
+  const name = String(channel.name ?? "").trim().toLowerCase();
+  return options.protected.some((entry) =>
+    String(entry) === String(channel.id) || String(entry).trim().toLowerCase() === name
+  );
+}
+
+/**
+ * Confirmation tokens, each valid once for one channel of one profile until
+ * it expires.
+ */
+export function createConfirmations({ ttlSeconds = DEFAULT_CHANNEL_DELETION.confirmation_ttl_seconds, now = Date.now } = {}) {
+  const pending = new Map();
+
+  function prune() {
+    for (const [token, entry] of pending) {
+      if (entry.expiresAt <= now()) pending.delete(token);
+    }
+  }
+
+  function issue({ profile, channelId }) {
+    prune();
+    const token = randomUUID();
+    const expiresAt = now() + ttlSeconds * 1000;
+    pending.set(token, { profile, channelId: String(channelId), expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // True when `token` confirms this channel; a token can only be used once
+  function consume({ token, profile, channelId }) {
+    prune();
+    const entry = pending.get(token);
+    if (!entry || entry.profile !== profile || entry.channelId !== String(channelId)) return false;
+
+    pending.delete(token);
+    return true;
+  }
+
+  return { issue, consume };
+}
@@ -0,0 +1,283 @@
+// Digest mode: low-priority notifications for a channel are held and sent
+// as one summary, either after an interval or once enough have piled up.
+//
+//   "digest": {
+//     "channels": {
+//       "Daily Reports": { "interval_minutes": 60, "max_items": 10 },
+//       "*": { "priorities": ["low", "normal"], "interval_minutes": 240 }
+//     }
+//   }
+//
+// Keys are channels as tool calls name them (name, ID or alias); "*" matches
+// every channel. High priority notifications are never held. Held
+// notifications live in a JSON file so a restart doesn't lose them.
+
+import { randomUUID } from "node:crypto";
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+export const DEFAULT_DIGEST_CHANNEL = {
+  interval_minutes: 60,
+  max_items: 20,
+  priorities: ["low"],
+};
+
+const DIGEST_PRIORITIES = ["low", "normal"];
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const MAX_LINE_LENGTH = 120;
+
+function invalid(channel, problem) {
+  return new Error(`Invalid kweenkl config: digest channel "${channel}" ${problem}`);
+}
+
+/**
+ * Read the `digest` section of the config file into a Map of rules keyed by
+ * lowercased channel. Returns null when no channel has a digest.
+ */
+export function digestOptions(fileConfig = {}) {
+  const channels = fileConfig.channels ?? {};
+  if (typeof channels !== "object" || Array.isArray(channels)) {
+    throw new Error("Invalid kweenkl config: digest.channels must be an object keyed by channel");
+  }
+
+  const rules = new Map();
+  for (const [channel, raw] of Object.entries(channels)) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw invalid(channel, "must be an object");
+
+    const rule = { ...DEFAULT_DIGEST_CHANNEL, ...raw, channel };
+    if (typeof rule.interval_minutes !== "number" || !(rule.interval_minutes > 0)) {
+      throw invalid(channel, "needs a positive interval_minutes");
+    }
+    if (!Number.isInteger(rule.max_items) || rule.max_items < 2) {
+      throw invalid(channel, "needs an integer max_items of at least 2");
+    }
+    if (!Array.isArray(rule.priorities) || rule.priorities.length === 0 ||
+        rule.priorities.some((priority) => !DIGEST_PRIORITIES.includes(priority))) {
+      throw invalid(channel, 'has invalid priorities; use "low" and optionally "normal" (high is never held)');
+    }
+    rules.set(channel.toLowerCase(), rule);
+  }
+
+  return rules.size > 0 ? rules : null;
+}
+
+/**
+ * The rule that holds a notification addressed to any of `channels`, or null
+ * when it must be sent right away.
+ */
+export function digestRule(rules, { channels = [], priority = "normal" }) {
+  if (!rules || priority === "high") return null;
+
+  const rule = channels
+    .filter(Boolean)
+    .map((channel) => rules.get(String(channel).toLowerCase()))
+    .find(Boolean) || rules.get("*");
+
+  return rule?.priorities.includes(priority) ? rule : null;
+}
+
+function oneLine(text, max) {
+  const line = String(text).replace(/\s+/g, " ").trim();
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+/**
+ * The summary notification for a group of held notifications: one line per
+ * notification, as many as fit in `maxLength`, at the highest priority held.
+ */
+export function summarize(group, { maxLength = 500 } = {}) {
+  const { items } = group;
+  const lines = items.map((item) => `• ${oneLine(item.title ? `${item.title}: ${item.message}` : item.message, MAX_LINE_LENGTH)}`);
+
+  let message = "";
+  for (let i = 0; i < lines.length; i++) {
+    const rest = lines.length - i - 1;
+    const more = rest > 0 ? `\n…and ${rest} more` : "";
+    const next = message ? `${message}\n${lines[i]}` : lines[i];
+    if (next.length + more.length > maxLength) {
+      message += `${message ? "\n" : ""}…and ${lines.length - i} more`;
+      break;
+    }
+    message = next;
+  }
+
+  return {
+    title: `Digest: ${items.length} update${items.length === 1 ? "" : "s"}`,
+    message,
+    priority: items.some((item) => (item.priority || "normal") === "normal") ? "normal" : "low",
+    payload: {
+      digest: {
+        count: items.length,
+        first_at: items[0]?.received_at,
+        last_at: items.at(-1)?.received_at,
+      },
+    },
+  };
+}
+
+/**
+ * Create a digest store backed by `file`.
+ *
+ * `send(group, summary)` delivers one summary and resolves to an outcome with
+ * a `status`. Groups that were sent, queued in the outbox, deferred to the
+ * scheduler, or rejected for good (`retryable: false`) are removed; others
+ * are retried an interval later.
+ */
+export function createDigest({ file, send, maxLength = 500, debugLog = () => {}, now = Date.now }) {
+  let groups = [];
+  let timer = null;
+  let running = false;
+  let flushing = null;
+
+  function load() {
+    try {
+      const data = JSON.parse(readFileSync(file, "utf8"));
+      groups = Array.isArray(data.groups) ? data.groups : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") debugLog(`Could not read digest ${file}:`, error.message);
+      groups = [];
+    }
+  }
+
+  function save() {
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ groups }, null, 2), { mode: 0o600 });
+    renameSync(tmp, file);
+  }
+
+  function later(minutes) {
+    return new Date(now() + minutes * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Hold a notification. Notifications for the same profile and webhook
+   * token share a group; a full group is due at once.
+   */
+  function add({ rule, profile, webhook_token, label, notification }) {
+    let group = groups.find((g) => g.profile === profile && g.webhook_token === webhook_token);
+    if (!group) {
+      group = {
+        id: randomUUID(),
+        rule: rule.channel,
+        profile,
+        webhook_token,
+        label,
+        interval_minutes: rule.interval_minutes,
+        created_at: new Date(now()).toISOString(),
+        send_at: later(rule.interval_minutes),
+        items: [],
+      };
+      groups.push(group);
+    }
+
+    const { title, message, priority } = notification;
+    group.items.push({
+      message,
+      ...(title && { title }),
+      ...(priority && { priority }),
+      received_at: new Date(now()).toISOString(),
+    });
+
+    const full = group.items.length >= rule.max_items;
+    if (full) group.send_at = new Date(now()).toISOString();
+
+    save();
+    arm();
+    return { group: { ...group, items: [...group.items] }, full };
+  }
+
+  async function deliver(group) {
+    // add() can still push onto the group while its summary is being sent;
+    // only the items summarized here are done with once it went out
+    const sending = { ...group, items: [...group.items] };
+    let outcome;
+    try {
+      outcome = await send(sending, summarize(sending, { maxLength }));
+    } catch (error) {
+      outcome = { status: "failed", error: error.message };
+    }
+
+    const done = outcome.status === "sent" || outcome.status === "queued" || outcome.status === "deferred" ||
+      (outcome.status === "failed" && outcome.retryable === false);
+
+    if (done) {
+      group.items = group.items.slice(sending.items.length);
+      debugLog(`Digest ${group.id} ${outcome.status} with ${sending.items.length} notification(s)`);
+      if (group.items.length === 0) {
+        groups = groups.filter((g) => g.id !== group.id);
+      } else {
+        group.send_at = new Date(now()).toISOString();
+        debugLog(`Digest ${group.id} got ${group.items.length} notification(s) while sending, due again`);
+      }
+    } else {
+      const retryMinutes = outcome.retryAfterSeconds ? outcome.retryAfterSeconds / 60 : group.interval_minutes;
+      group.send_at = later(retryMinutes);
+      debugLog(`Digest ${group.id} not sent (${outcome.status}), retrying at ${group.send_at}`);
+    }
+    save();
+    return outcome;
+  }
+
+  // Send due groups, or the selected ones whatever their send time
+  async function run({ id, force = false } = {}) {
+    const due = groups
+      .filter((group) => (id ? group.id === id : true))
+      .filter((group) => force || Date.parse(group.send_at) <= now());
+
+    const results = [];
+    for (const group of due) {
+      const snapshot = { ...group, items: [...group.items] };
+      results.push({ group: snapshot, result: await deliver(group) });
+    }
+    return results;
+  }
+
+  function flush(selection = {}) {
+    // One flush at a time so a group is never sent twice
+    const previous = flushing || Promise.resolve();
+    const current = previous.then(() => run({ ...selection, force: selection.force ?? true }));
+    const settled = current.catch(() => {}).finally(() => {
+      if (flushing === settled) flushing = null;
+      arm();
+    });
+    flushing = settled;
+    return current;
+  }
+
+  function arm() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!running || groups.length === 0) return;
+
+    const next = groups.reduce((min, group) => Math.min(min, Date.parse(group.send_at)), Infinity);
+    const wait = Math.min(Math.max(next - now(), 0), MAX_TIMER_MS);
+
+    timer = setTimeout(() => {
+      flush({ force: false }).catch((error) => debugLog('Digest send error:', error.message));
+    }, wait);
+    timer.unref?.();
+  }
+
+  // Load held notifications; overdue digests are sent right away
+  function start() {
+    running = true;
+    load();
+    if (groups.length > 0) debugLog(`Digest has ${groups.length} pending group(s)`);
+    arm();
+  }
+
+  function stop() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function list() {
+    return groups
+      .map((group) => ({ ...group, items: [...group.items] }))
+      .sort((a, b) => Date.parse(a.send_at) - Date.parse(b.send_at));
+  }
+
+  return { start, stop, add, list, flush };
+}
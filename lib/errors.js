@@ -0,0 +1,66 @@
+// Stable error codes for tool results and the errors that carry them.
+//
+// Codes are part of the tool output contract: orchestration code branches on
+// them, so existing codes must never be renamed.
+
+export const ErrorCodes = Object.freeze({
+  VALIDATION: "VALIDATION",
+  INVALID_TOKEN: "INVALID_TOKEN",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  NOT_FOUND: "NOT_FOUND",
+  RATE_LIMITED: "RATE_LIMITED",
+  SERVER_ERROR: "SERVER_ERROR",
+  NETWORK: "NETWORK",
+  NOT_CONFIGURED: "NOT_CONFIGURED",
+  FORBIDDEN: "FORBIDDEN",
+  UNKNOWN: "UNKNOWN",
+});
+
+export class KweenklError extends Error {
+  constructor(message, { code = ErrorCodes.UNKNOWN, httpStatus, attempts, field, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "KweenklError";
+    this.code = code;
+    if (httpStatus !== undefined) this.httpStatus = httpStatus;
+    if (attempts !== undefined) this.attempts = attempts;
+    if (field !== undefined) this.field = field;
+  }
+}
+
+/**
+ * Map an API status to an error code. On webhook endpoints a 404 means the
+ * webhook token doesn't exist, so it is reported as INVALID_TOKEN.
+ */
+export function codeForStatus(status, { webhook = false } = {}) {
+  if (status === 400 || status === 422) return ErrorCodes.VALIDATION;
+  if (status === 401 || status === 403) return ErrorCodes.UNAUTHORIZED;
+  if (status === 404) return webhook ? ErrorCodes.INVALID_TOKEN : ErrorCodes.NOT_FOUND;
+  if (status === 408) return ErrorCodes.NETWORK;
+  if (status === 429) return ErrorCodes.RATE_LIMITED;
+  if (status >= 500) return ErrorCodes.SERVER_ERROR;
+  return ErrorCodes.UNKNOWN;
+}
+
+// Best code for anything thrown: our own codes win, then fetch/timeout failures
+export function codeForError(error) {
+  if (error && Object.hasOwn(ErrorCodes, error.code)) return error.code;
+  if (error?.httpStatus) return codeForStatus(error.httpStatus);
+  if (error?.name === "TimeoutError" || (error instanceof TypeError && error.message === "fetch failed")) {
+    return ErrorCodes.NETWORK;
+  }
+  return ErrorCodes.UNKNOWN;
+}
+
+/**
+ * The `error` object of a structured tool result. Accepts a thrown error or a
+ * plain `{ code, message, httpStatus }` description.
+ */
+export function errorJson(error) {
+  const json = {
+    code: codeForError(error),
+    message: error?.message || String(error),
+  };
+  if (error?.httpStatus) json.http_status = error.httpStatus;
+  if (error?.field) json.field = error.field;
+  return json;
+}
@@ -0,0 +1,138 @@
+// Local history of notifications this server sent, so the model can see
+// what already went out when the kweenkl API can't list a channel's
+// notifications (no device token, or an API without the history endpoint).
+//
+// One JSONL line per sent notification:
+//   {"sent_at":"...","profile":"default","channel":"Ops","token":"3f9a…",
+//    "id":"n1","title":"...","message":"...","priority":"low"}
+//
+// Webhook tokens are stored as a hash, never in the clear. Once the file holds
+// twice `max_entries` lines it is rewritten with the newest `max_entries`.
+
+import { createHash } from "node:crypto";
+import { appendFileSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+
+export const HISTORY_FILE_NAME = "history.jsonl";
+
+export const DEFAULT_HISTORY = {
+  max_entries: 1000,
+};
+
+/**
+ * Merge the `history` section of the config file with KWEENKL_HISTORY.
+ * History is on unless either sets it to false; returns null when off.
+ */
+export function historyOptions(fileConfig = {}, dataDir) {
+  const enabled = process.env.KWEENKL_HISTORY
+    ? process.env.KWEENKL_HISTORY !== "false"
+    : fileConfig.enabled !== false;
+  if (!enabled) return null;
+
+  const options = { file: join(dataDir, HISTORY_FILE_NAME), ...DEFAULT_HISTORY, ...fileConfig };
+  if (!Number.isInteger(options.max_entries) || options.max_entries < 1) {
+    throw new Error("Invalid kweenkl config: history.max_entries must be a positive integer");
+  }
+  return options;
+}
+
+function tokenHash(webhookToken) {
+  return createHash("sha256").update(String(webhookToken)).digest("hex").slice(0, 32);
+}
+
+export function createHistory({ file, maxEntries = DEFAULT_HISTORY.max_entries, redact = (value) => value, debugLog = () => {}, now = Date.now }) {
+  let entries = null;
+  let warned = false;
+
+  function load() {
+    if (entries) return entries;
+    entries = [];
+
+    let raw;
+    try {
+      raw = readFileSync(file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") debugLog(`Could not read history ${file}:`, error.message);
+      return entries;
+    }
+
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A torn final line from a crash mid-append
+      }
+    }
+    return entries;
+  }
+
+  function compact() {
+    entries = entries.slice(-maxEntries);
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, entries.map((entry) => JSON.stringify(entry) + "\n").join(""), { mode: 0o600 });
+    renameSync(tmp, file);
+  }
+
+  /**
+   * Remember a sent notification. Like the audit log, a broken history file
+   * never blocks a send.
+   */
+  function record({ profile, channel, webhook_token, id, title, message, priority }) {
+    const entry = redact({
+      sent_at: new Date(now()).toISOString(),
+      profile,
+      ...(channel && { channel }),
+      token: tokenHash(webhook_token),
+      id: String(id),
+      ...(title && { title }),
+      message,
+      priority: priority || "normal",
+    });
+
+    try {
+      load().push(entry);
+      mkdirSync(dirname(file), { recursive: true });
+      appendFileSync(file, JSON.stringify(entry) + "\n", { mode: 0o600 });
+      if (entries.length >= maxEntries * 2) compact();
+    } catch (error) {
+      if (!warned) console.error(`Could not write notification history ${file}: ${error.message}`);
+      warned = true;
+    }
+  }
+
+  /**
+   * Notifications sent to `webhook_token` (or, when the token is unknown, to
+   * a channel labelled `channel`), newest first.
+   *
+   * @returns {{ notifications: object[], hasMore: boolean }}
+   */
+  function list({ profile, webhook_token, channel, since, until, limit = 20, offset = 0 }) {
+    const token = webhook_token && tokenHash(webhook_token);
+    const label = channel && String(channel).toLowerCase();
+    const from = since ? Date.parse(since) : -Infinity;
+    const to = until ? Date.parse(until) : Infinity;
+
+    const matches = load()
+      .filter((entry) => !profile || entry.profile === profile)
+      .filter((entry) => (token ? entry.token === token : entry.channel?.toLowerCase() === label))
+      .filter((entry) => {
+        const time = Date.parse(entry.sent_at);
+        return time >= from && time <= to;
+      })
+      .reverse();
+
+    return {
+      notifications: matches.slice(offset, offset + limit).map(({ id, title, message, priority, sent_at }) => ({
+        id,
+        title: title ?? null,
+        message,
+        priority,
+        sent_at,
+      })),
+      hasMore: matches.length > offset + limit,
+    };
+  }
+
+  return { record, list };
+}
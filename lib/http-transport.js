@@ -0,0 +1,165 @@
+// Serve the MCP server over HTTP, so one kweenkl server can be shared by
+// several agents. Both MCP HTTP transports are served:
+//
+//   POST /mcp                      Streamable HTTP: initialize a session, then
+//   GET|DELETE /mcp                send messages with its Mcp-Session-Id header
+//   GET  /sse                      legacy HTTP+SSE: open an MCP session
+//   POST /messages?sessionId=...   send a JSON-RPC message to an SSE session
+//   GET  /healthz                  liveness, no auth
+//   GET  /readyz                   readiness and open session count, no auth
+//
+// MCP endpoints require `Authorization: Bearer <token>`. The kweenkl device
+// token stays on this host; clients only ever see the bearer token.
+
+import { createServer as createHttpServer } from "node:http";
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+
+export const DEFAULT_HTTP_HOST = "127.0.0.1";
+export const DEFAULT_HTTP_PORT = 3000;
+
+// Compare digests so the comparison time doesn't leak the token length
+export function tokensMatch(provided, expected) {
+  const a = createHash("sha256").update(provided).digest();
+  const b = createHash("sha256").update(expected).digest();
+  return timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start listening on `host`:`port`. `createServer()` must return a fresh,
+ * unconnected MCP Server for each session.
+ *
+ * Resolves to `{ close, address, sessions }` once the socket is listening.
+ */
+export async function startHttpTransport({ host = DEFAULT_HTTP_HOST, port = DEFAULT_HTTP_PORT, authToken, createServer, debugLog = () => {} }) {
+  if (!authToken) {
+    throw new Error("HTTP transport requires a bearer token. Set KWEENKL_HTTP_TOKEN.");
+  }
+
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  function authorized(req) {
+    const header = req.headers.authorization || "";
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return !!match && tokensMatch(match[1].trim(), authToken);
+  }
+
+  async function openSession(res) {
+    const transport = new SSEServerTransport("/messages", res);
+    const server = createServer();
+
+    sessions.set(transport.sessionId, { transport, server });
+    res.on("close", () => {
+      sessions.delete(transport.sessionId);
+      debugLog('HTTP session closed:', transport.sessionId);
+    });
+
+    await server.connect(transport);
+    debugLog('HTTP session opened:', transport.sessionId);
+  }
+
+  // Requests to /mcp. Without a session ID only an initialize request is
+  // accepted; the transport answers anything else with 400.
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!(session?.transport instanceof StreamableHTTPServerTransport)) {
+        return sendJson(res, 404, { error: "Unknown or expired session" });
+      }
+      return session.transport.handleRequest(req, res);
+    }
+    if (req.method !== "POST") {
+      return sendJson(res, 400, { error: "Missing Mcp-Session-Id header" });
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server });
+        debugLog('HTTP session opened:', id);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        debugLog('HTTP session closed:', transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res);
+    if (!transport.sessionId) await server.close();
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && url.pathname === "/healthz") {
+      return sendJson(res, 200, { status: "ok" });
+    }
+
+    if (req.method === "GET" && url.pathname === "/readyz") {
+      return sendJson(res, 200, {
+        status: "ready",
+        sessions: sessions.size,
+        uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+      });
+    }
+
+    if (url.pathname !== "/mcp" && url.pathname !== "/sse" && url.pathname !== "/messages") {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+
+    if (!authorized(req)) {
+      return sendJson(res, 401, { error: "Missing or invalid bearer token" }, { "WWW-Authenticate": "Bearer" });
+    }
+
+    if (url.pathname === "/mcp") {
+      return handleStreamable(req, res);
+    }
+
+    if (req.method === "GET" && url.pathname === "/sse") {
+      return openSession(res);
+    }
+
+    if (req.method === "POST" && url.pathname === "/messages") {
+      const session = sessions.get(url.searchParams.get("sessionId"));
+      if (!(session?.transport instanceof SSEServerTransport)) {
+        return sendJson(res, 404, { error: "Unknown or expired session" });
+      }
+      return session.transport.handlePostMessage(req, res);
+    }
+
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  const httpServer = createHttpServer((req, res) => {
+    handle(req, res).catch((error) => {
+      debugLog('HTTP request failed:', error.message);
+      if (!res.headersSent) sendJson(res, 500, { error: "Internal server error" });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  async function close() {
+    for (const { transport } of sessions.values()) {
+      await transport.close();
+    }
+    httpServer.closeAllConnections?.();
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+
+  return { close, address: httpServer.address(), sessions };
+}
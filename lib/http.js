@@ -0,0 +1,145 @@
+// Shared HTTP layer for kweenkl API calls: per-request timeouts and retries
+// with jittered exponential backoff that honour Retry-After.
+//
+// Only failures that are safe to repeat are retried. A POST to a webhook is
+// not idempotent, so it is retried only when the server cannot have acted on
+// it (429, 503, or a connection that was never established). DELETE is
+// treated the same way: a retry of a delete that went through answers 404,
+// and the channel would be reported as not found.
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "OPTIONS"]);
+const ALWAYS_RETRYABLE_STATUSES = new Set([429, 503]);
+const IDEMPOTENT_RETRYABLE_STATUSES = new Set([500, 502, 504]);
+
+// Errors raised before the request reached the server
+const CONNECT_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+export const DEFAULT_HTTP_OPTIONS = {
+  maxRetries: 3,
+  timeoutMs: 10000,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+};
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Read retry settings from KWEENKL_MAX_RETRIES, KWEENKL_TIMEOUT_MS and
+// KWEENKL_RETRY_BASE_MS
+export function httpOptionsFromEnv() {
+  return {
+    maxRetries: intFromEnv("KWEENKL_MAX_RETRIES", DEFAULT_HTTP_OPTIONS.maxRetries),
+    timeoutMs: intFromEnv("KWEENKL_TIMEOUT_MS", DEFAULT_HTTP_OPTIONS.timeoutMs),
+    baseDelayMs: intFromEnv("KWEENKL_RETRY_BASE_MS", DEFAULT_HTTP_OPTIONS.baseDelayMs),
+    maxDelayMs: DEFAULT_HTTP_OPTIONS.maxDelayMs,
+  };
+}
+
+// Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential backoff with equal jitter: half fixed, half random
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+function isRetryableError(error, idempotent) {
+  if (error.name === "TimeoutError" || error.name === "AbortError") {
+    return idempotent;
+  }
+
+  const code = error.cause?.code || error.code;
+  if (CONNECT_ERROR_CODES.has(code)) return true;
+
+  // Connection dropped mid-request: the server may have processed it
+  return idempotent && error instanceof TypeError;
+}
+
+function isRetryableStatus(status, idempotent) {
+  return ALWAYS_RETRYABLE_STATUSES.has(status) ||
+    (idempotent && IDEMPOTENT_RETRYABLE_STATUSES.has(status));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create an HTTP client for `baseUrl`.
+ *
+ * `request(path, init)` resolves to `{ response, attempts }` once a response
+ * is final (success, non-retryable status, or retries exhausted). Network
+ * errors that survive all retries are rethrown with an `attempts` property.
+ */
+export function createHttpClient({ baseUrl, debugLog = () => {}, ...options }) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS, ...options };
+
+  async function request(path, { method = "GET", headers, body, timeoutMs = settings.timeoutMs } = {}) {
+    const idempotent = IDEMPOTENT_METHODS.has(method.toUpperCase());
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      let delay;
+
+      try {
+        const response = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers,
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+
+        if (!isRetryableStatus(response.status, idempotent) || attempts > settings.maxRetries) {
+          return { response, attempts };
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        if (retryAfter !== null && retryAfter > settings.maxDelayMs) {
+          debugLog(`Retry-After of ${retryAfter}ms exceeds limit, giving up`);
+          return { response, attempts };
+        }
+
+        delay = retryAfter ?? backoffDelay(attempts, settings);
+        debugLog(`HTTP ${response.status} on attempt ${attempts}, retrying in ${delay}ms`);
+        await response.body?.cancel();
+      } catch (caught) {
+        let error = caught;
+        if (caught.name === "TimeoutError") {
+          error = new Error(`Request timed out after ${timeoutMs}ms`, { cause: caught });
+          error.name = "TimeoutError";
+        }
+
+        if (!isRetryableError(error, idempotent) || attempts > settings.maxRetries) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        delay = backoffDelay(attempts, settings);
+        debugLog(`${error.message} on attempt ${attempts}, retrying in ${delay}ms`);
+      }
+
+      await sleep(delay);
+    }
+  }
+
+  return { request };
+}
@@ -0,0 +1,335 @@
+// A local stand-in for the kweenkl API, for trying agent prompts and running
+// tests without network access or buzzing real phones:
+//
+//   kweenkl-mcp mock --port 4010
+//   KWEENKL_API_URL=http://127.0.0.1:4010 KWEENKL_DEVICE_TOKEN=mock-device-token node index.js
+//
+// It answers /webhook/:token and /api/v1/channels like the real API and keeps
+// channels and notifications in memory. Faults can be injected to see how an
+// agent copes with errors:
+//
+//   curl -X POST http://127.0.0.1:4010/_mock/faults \
+//        -d '{"path": "/webhook", "status": 429, "times": 2, "retry_after": 5}'
+//
+// A fault's `status` is any 4xx/5xx, or "timeout" to never answer. Faults
+// apply to requests whose path starts with `path` (all requests without it),
+// optionally only for one `method`, `times` times or until cleared.
+//
+// Tapping an action button of a notification (for kweenkl_ask) is simulated
+// with its action ID:
+//
+//   curl -X POST http://127.0.0.1:4010/_mock/notifications/<id>/response -d '{"action": "approve"}'
+
+import { randomUUID } from "node:crypto";
+import { createServer } from "node:http";
+
+export const MOCK_DEVICE_TOKEN = "mock-device-token";
+export const MOCK_WEBHOOK_TOKEN = "mock-webhook-token-0001";
+
+export const DEFAULT_MOCK_CHANNELS = [
+  { name: "Alerts", description: "Mock channel", webhook_token: MOCK_WEBHOOK_TOKEN },
+];
+
+const STATUS_MESSAGES = {
+  400: "Bad request",
+  401: "Invalid device token",
+  403: "Forbidden",
+  404: "Not found",
+  429: "Too many requests",
+  500: "Internal server error",
+  502: "Bad gateway",
+  503: "Service unavailable",
+};
+
+function errorBody(message) {
+  return { error: { message } };
+}
+
+async function readJson(req) {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start the mock API. Resolves once it listens; `port: 0` picks a free port.
+ *
+ * @returns {Promise<{ url: string, port: number, requests: object[],
+ *   channels: Function, notifications: Function, fail: Function,
+ *   clearFaults: Function, respond: Function, reset: Function, close: Function }>}
+ */
+export async function startMockApi({
+  port = 0,
+  host = "127.0.0.1",
+  deviceToken = MOCK_DEVICE_TOKEN,
+  channels: seed = DEFAULT_MOCK_CHANNELS,
+  subscribers = 1,
+} = {}) {
+  let channels = [];
+  let notifications = [];
+  let faults = [];
+  let nextId = 1;
+  const requests = [];
+  const responses = new Map();
+  const idempotent = new Map();
+  let url;
+
+  function addChannel({ name, description = null, color = "#007AFF", icon = "bell", webhook_token = randomUUID() }) {
+    const channel = { id: String(nextId++), name, description, color, icon, webhook_token, created_at: new Date().toISOString() };
+    channels.push(channel);
+    return channel;
+  }
+
+  function channelJson(channel) {
+    const { webhook_token, ...rest } = channel;
+    return {
+      ...rest,
+      webhook_url: `${url}/webhook/${webhook_token}`,
+      notification_count: notifications.filter((n) => n.channel_id === channel.id).length,
+    };
+  }
+
+  function reset() {
+    channels = [];
+    notifications = [];
+    faults = [];
+    nextId = 1;
+    requests.length = 0;
+    idempotent.clear();
+    responses.clear();
+    seed.forEach(addChannel);
+  }
+
+  /**
+   * Inject a fault: `{ status: 500 | "timeout", path, method, times, retry_after, message }`.
+   */
+  function fail(fault) {
+    const status = fault.status === "timeout" ? "timeout" : Number(fault.status);
+    if (status !== "timeout" && !(status >= 400 && status <= 599)) {
+      throw new Error(`Mock fault status must be a 4xx/5xx code or "timeout" (got ${fault.status})`);
+    }
+    faults.push({ ...fault, status, times: fault.times ?? Infinity });
+  }
+
+  /**
+   * Answer a notification as if one of its action buttons was tapped.
+   */
+  function respond(notificationId, action) {
+    const notification = notifications.find((n) => n.id === notificationId);
+    if (!notification) throw new Error(`No notification ${notificationId}`);
+
+    const button = (notification.payload?.action_buttons || []).find((b) => b.action === action);
+    if (!button) throw new Error(`Notification ${notificationId} has no action button "${action}"`);
+
+    const response = { status: "answered", action, label: button.label, responded_at: new Date().toISOString() };
+    if (!responses.has(notificationId)) responses.set(notificationId, response);
+    return responses.get(notificationId);
+  }
+
+  function takeFault(method, path) {
+    const fault = faults.find((f) => (!f.path || path.startsWith(f.path)) && (!f.method || f.method.toUpperCase() === method));
+    if (!fault) return null;
+    fault.times -= 1;
+    if (fault.times <= 0) faults = faults.filter((f) => f !== fault);
+    return fault;
+  }
+
+  async function webhook(req, token, reply) {
+    const channel = channels.find((ch) => ch.webhook_token === token);
+    if (!channel) return reply(404, errorBody("Webhook not found"));
+
+    const key = req.headers["idempotency-key"];
+    if (key && idempotent.has(key)) return reply(200, idempotent.get(key));
+
+    const body = await readJson(req);
+    if (!body || typeof body.message !== "string" || !body.message) {
+      return reply(400, errorBody("message is required"));
+    }
+    if (body.priority && !["low", "normal", "high"].includes(body.priority)) {
+      return reply(400, errorBody("priority must be one of: low, normal, high"));
+    }
+
+    const notification = {
+      id: randomUUID(),
+      channel_id: channel.id,
+      title: body.title ?? null,
+      message: body.message,
+      priority: body.priority || "normal",
+      payload: body.payload ?? null,
+      created_at: new Date().toISOString(),
+    };
+    notifications.push(notification);
+
+    const result = { success: true, notification_id: notification.id, subscribers_notified: subscribers };
+    if (key) idempotent.set(key, result);
+    return reply(200, result);
+  }
+
+  function notificationResponse(token, notificationId, reply) {
+    const channel = channels.find((ch) => ch.webhook_token === token);
+    if (!channel) return reply(404, errorBody("Webhook not found"));
+
+    const notification = notifications.find((n) => n.id === notificationId && n.channel_id === channel.id);
+    if (!notification) return reply(404, errorBody("Notification not found"));
+    return reply(200, responses.get(notificationId) || { status: "pending" });
+  }
+
+  function listNotifications(channel, query, reply) {
+    const limit = Math.min(Number(query.get("limit")) || 20, 100);
+    const offset = Number(query.get("offset")) || 0;
+    const since = query.get("since") ? Date.parse(query.get("since")) : -Infinity;
+    const until = query.get("until") ? Date.parse(query.get("until")) : Infinity;
+
+    const matches = notifications
+      .filter((n) => n.channel_id === channel.id)
+      .filter((n) => Date.parse(n.created_at) >= since && Date.parse(n.created_at) <= until)
+      .reverse();
+
+    return reply(200, {
+      notifications: matches.slice(offset, offset + limit).map(({ channel_id, payload, ...n }) => n),
+      total: matches.length,
+      has_more: matches.length > offset + limit,
+    });
+  }
+
+  async function api(req, path, query, reply) {
+    if (req.headers.authorization !== `Bearer ${deviceToken}`) {
+      return reply(401, errorBody(STATUS_MESSAGES[401]));
+    }
+
+    if (path === "/api/v1/channels") {
+      if (req.method === "GET") return reply(200, { channels: channels.map(channelJson) });
+      if (req.method === "POST") {
+        const body = await readJson(req);
+        if (!body || typeof body.name !== "string" || !body.name.trim()) {
+          return reply(400, errorBody("name is required"));
+        }
+        const channel = channelJson(addChannel(body));
+        return reply(201, { channel, webhook_url: channel.webhook_url });
+      }
+      return reply(405, errorBody("Method not allowed"));
+    }
+
+    const match = /^\/api\/v1\/channels\/([^/]+)(\/notifications)?$/.exec(path);
+    const channel = match && channels.find((ch) => ch.id === decodeURIComponent(match[1]));
+    if (!channel) return reply(404, errorBody("Channel not found"));
+
+    if (match[2]) {
+      return req.method === "GET" ? listNotifications(channel, query, reply) : reply(405, errorBody("Method not allowed"));
+    }
+
+    if (req.method === "PATCH") {
+      const body = await readJson(req);
+      if (!body) return reply(400, errorBody("Invalid JSON"));
+      for (const field of ["name", "description", "color", "icon"]) {
+        if (body[field] !== undefined) channel[field] = body[field];
+      }
+      return reply(200, { channel: channelJson(channel) });
+    }
+    if (req.method === "DELETE") {
+      channels = channels.filter((ch) => ch !== channel);
+      notifications = notifications.filter((n) => n.channel_id !== channel.id);
+      return reply(200, { success: true, deleted_channel: { id: channel.id, name: channel.name } });
+    }
+    return reply(405, errorBody("Method not allowed"));
+  }
+
+  // Inspect and steer the mock over HTTP when it runs as its own process
+  async function control(req, path, reply) {
+    if (path === "/_mock/state" && req.method === "GET") {
+      return reply(200, { channels: channels.map(channelJson), notifications, faults, responses: Object.fromEntries(responses) });
+    }
+    const responseMatch = /^\/_mock\/notifications\/([^/]+)\/response$/.exec(path);
+    if (responseMatch && req.method === "POST") {
+      const body = await readJson(req);
+      try {
+        return reply(200, respond(decodeURIComponent(responseMatch[1]), body?.action));
+      } catch (error) {
+        return reply(400, errorBody(error.message));
+      }
+    }
+    if (path === "/_mock/faults" && req.method === "POST") {
+      const body = await readJson(req);
+      try {
+        fail(body || {});
+      } catch (error) {
+        return reply(400, errorBody(error.message));
+      }
+      return reply(201, { faults });
+    }
+    if (path === "/_mock/faults" && req.method === "DELETE") {
+      faults = [];
+      return reply(200, { faults });
+    }
+    if (path === "/_mock/reset" && req.method === "POST") {
+      reset();
+      return reply(200, { channels: channels.map(channelJson) });
+    }
+    return reply(404, errorBody("Unknown mock control endpoint"));
+  }
+
+  const server = createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://mock");
+
+    const reply = (status, data, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(data));
+    };
+
+    try {
+      if (pathname.startsWith("/_mock/")) return await control(req, pathname, reply);
+
+      requests.push({ method: req.method, path: pathname, headers: req.headers });
+
+      const fault = takeFault(req.method, pathname);
+      if (fault?.status === "timeout") return; // never answered; close() drops the connection
+      if (fault) {
+        const headers = fault.retry_after !== undefined ? { "Retry-After": String(fault.retry_after) } : {};
+        return reply(fault.status, errorBody(fault.message || STATUS_MESSAGES[fault.status] || `HTTP ${fault.status}`), headers);
+      }
+
+      const webhookMatch = /^\/webhook\/([^/]+)$/.exec(pathname);
+      if (webhookMatch && req.method === "POST") return await webhook(req, decodeURIComponent(webhookMatch[1]), reply);
+      const responseMatch = /^\/webhook\/([^/]+)\/notifications\/([^/]+)\/response$/.exec(pathname);
+      if (responseMatch && req.method === "GET") {
+        return notificationResponse(decodeURIComponent(responseMatch[1]), decodeURIComponent(responseMatch[2]), reply);
+      }
+      if (pathname.startsWith("/api/v1/")) return await api(req, pathname, searchParams, reply);
+
+      return reply(404, errorBody(STATUS_MESSAGES[404]));
+    } catch (error) {
+      reply(500, errorBody(error.message));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  url = `http://${host.includes(":") ? `[${host}]` : host}:${address.port}`;
+  reset();
+
+  return {
+    url,
+    port: address.port,
+    deviceToken,
+    requests,
+    channels: () => channels.map(channelJson),
+    notifications: () => [...notifications],
+    fail,
+    clearFaults: () => { faults = []; },
+    respond,
+    reset,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,238 @@
+// Durable outbox for notifications that could not be delivered.
+//
+// Failed sends are appended to a JSONL journal with their full request body
+// and idempotency key. A background timer replays due items with backoff, and
+// pending items are picked up again on the next start. Replays reuse the
+// original idempotency key, so the API can drop a send it already accepted.
+//
+// Journal lines:
+//   {"op":"add","item":{...}}
+//   {"op":"attempt","id":...,"attempts":...,"last_error":...,"next_attempt_at":...}
+//   {"op":"done","id":...,"status":"sent"|"deferred"|"suppressed"|"dropped"|"expired","result":{...}}
+
+import { randomUUID } from "node:crypto";
+import { appendFileSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+export const DEFAULT_OUTBOX = {
+  base_delay_seconds: 30,
+  max_delay_seconds: 3600,
+  max_age_hours: 24,
+};
+
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Merge the `outbox` section of the config file with KWEENKL_OUTBOX=true.
+ * Returns null when the outbox is disabled.
+ */
+export function outboxOptions(fileConfig = {}) {
+  const enabled = process.env.KWEENKL_OUTBOX
+    ? process.env.KWEENKL_OUTBOX === "true"
+    : fileConfig.enabled === true;
+
+  return enabled ? { ...DEFAULT_OUTBOX, ...fileConfig } : null;
+}
+
+/**
+ * Create an outbox journaled to `file`.
+ *
+ * `send(item)` replays one item and resolves to an outcome with a `status` of
+ * "sent", "deferred" (held for later by the sending policy), "suppressed"
+ * (not to be sent at all) or "failed"; failed outcomes carry
+ * `retryable: false` when replaying can never succeed (e.g. the webhook token
+ * no longer exists). Every status but "failed" takes the item out. A failed
+ * outcome with `retryAfterSeconds` is tried again after that long instead of
+ * after the usual backoff.
+ */
+export function createOutbox({ file, send, options = DEFAULT_OUTBOX, debugLog = () => {}, now = Date.now }) {
+  const items = new Map();
+  let timer = null;
+  let running = false;
+  let flushing = null;
+
+  function append(entry) {
+    mkdirSync(dirname(file), { recursive: true });
+    appendFileSync(file, JSON.stringify({ ...entry, at: new Date(now()).toISOString() }) + "\n", { mode: 0o600 });
+  }
+
+  // Returns false when there is no journal yet
+  function load() {
+    items.clear();
+
+    let raw;
+    try {
+      raw = readFileSync(file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") debugLog(`Could not read outbox ${file}:`, error.message);
+      return false;
+    }
+
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A torn final line from a crash mid-append; everything before it is intact
+        continue;
+      }
+
+      if (entry.op === "add") {
+        items.set(entry.item.id, entry.item);
+      } else if (entry.op === "attempt" && items.has(entry.id)) {
+        Object.assign(items.get(entry.id), {
+          attempts: entry.attempts,
+          last_error: entry.last_error,
+          next_attempt_at: entry.next_attempt_at,
+        });
+      } else if (entry.op === "done") {
+        items.delete(entry.id);
+      }
+    }
+    return true;
+  }
+
+  // Rewrite the journal with only pending items
+  function compact() {
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    const lines = [...items.values()].map((item) => JSON.stringify({ op: "add", item }) + "\n");
+    writeFileSync(tmp, lines.join(""), { mode: 0o600 });
+    renameSync(tmp, file);
+  }
+
+  function retryDelay(attempts) {
+    const ms = options.base_delay_seconds * 1000 * 2 ** Math.max(0, attempts - 1);
+    return Math.min(ms, options.max_delay_seconds * 1000);
+  }
+
+  function finish(item, status, result) {
+    items.delete(item.id);
+    append({ op: "done", id: item.id, status, result });
+    debugLog(`Outbox item ${item.id} ${status}`);
+  }
+
+  async function attempt(item) {
+    if (now() - Date.parse(item.created_at) > options.max_age_hours * 3600 * 1000) {
+      finish(item, "expired", { status: "failed", error: item.last_error });
+      return { id: item.id, status: "expired", error: item.last_error };
+    }
+
+    let outcome;
+    try {
+      outcome = await send(item);
+    } catch (error) {
+      outcome = { status: "failed", error: error.message };
+    }
+
+    if (outcome.status === "sent" || outcome.status === "deferred" || outcome.status === "suppressed") {
+      finish(item, outcome.status, outcome);
+      return { id: item.id, ...outcome };
+    }
+
+    if (outcome.retryable === false) {
+      finish(item, "dropped", outcome);
+      return { id: item.id, ...outcome, status: "dropped" };
+    }
+
+    item.attempts += 1;
+    item.last_error = outcome.error;
+    const delay = outcome.retryAfterSeconds ? outcome.retryAfterSeconds * 1000 : retryDelay(item.attempts);
+    item.next_attempt_at = new Date(now() + delay).toISOString();
+    append({
+      op: "attempt",
+      id: item.id,
+      attempts: item.attempts,
+      last_error: item.last_error,
+      next_attempt_at: item.next_attempt_at,
+    });
+    return { id: item.id, ...outcome };
+  }
+
+  // Attempt due items (or every pending item when `force` is set)
+  async function run({ id, force = false } = {}) {
+    const due = [...items.values()]
+      .filter((item) => (id ? item.id === id : true))
+      .filter((item) => force || Date.parse(item.next_attempt_at) <= now())
+      .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+    const results = [];
+    for (const item of due) {
+      results.push({ item: { ...item }, result: await attempt(item) });
+    }
+    return results;
+  }
+
+  function flush(selection = {}) {
+    // Serialize replays so an item is never in flight twice
+    const previous = flushing || Promise.resolve();
+    const current = previous.then(() => run({ ...selection, force: selection.force ?? true }));
+    const settled = current.catch(() => {}).finally(() => {
+      if (flushing === settled) flushing = null;
+      arm();
+    });
+    flushing = settled;
+    return current;
+  }
+
+  function arm() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!running || items.size === 0) return;
+
+    const next = [...items.values()]
+      .reduce((min, item) => Math.min(min, Date.parse(item.next_attempt_at)), Infinity);
+    const wait = Math.min(Math.max(next - now(), 0), MAX_TIMER_MS);
+
+    timer = setTimeout(() => {
+      flush({ force: false }).catch((error) => debugLog('Outbox replay error:', error.message));
+    }, wait);
+    timer.unref?.();
+  }
+
+  // Load pending items and replay them in the background
+  function start() {
+    running = true;
+    if (load()) compact();
+    if (items.size > 0) debugLog(`Outbox has ${items.size} pending item(s)`);
+    for (const item of items.values()) {
+      item.next_attempt_at = new Date(now()).toISOString();
+    }
+    arm();
+  }
+
+  function stop() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function add({ profile, channel, webhook_token, body, idempotency_key, error }) {
+    const created = new Date(now());
+    const item = {
+      id: randomUUID(),
+      profile,
+      ...(channel && { channel }),
+      idempotency_key,
+      webhook_token,
+      body,
+      created_at: created.toISOString(),
+      attempts: 1,
+      last_error: error,
+      next_attempt_at: new Date(created.getTime() + retryDelay(1)).toISOString(),
+    };
+
+    items.set(item.id, item);
+    append({ op: "add", item });
+    arm();
+    return item;
+  }
+
+  function list() {
+    return [...items.values()].sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+  }
+
+  return { start, stop, add, list, flush };
+}
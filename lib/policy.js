@@ -0,0 +1,326 @@
+// Sending policy: rules every notification from the MCP tools and from
+// `kweenkl-mcp send` is checked against before it is sent, outbox replays
+// included.
+//
+// The policy lives in its own file, KWEENKL_POLICY or policy.json next to the
+// config file, so it can be kept out of reach of whoever edits the config:
+//
+//   {
+//     "allowed_channels": ["Production Alerts", "deploys"],
+//     "allowed_webhook_tokens": ["…"],
+//     "time_zone": "Europe/Paris",
+//     "max_priority": "normal",
+//     "daily_quota": 50,
+//     "quiet_hours": { "start": "22:00", "end": "07:00", "action": "defer" },
+//     "channels": {
+//       "Production Alerts": { "max_priority": "high", "quiet_hours": false, "daily_quota": 200 }
+//     }
+//   }
+//
+// Without allowed_channels or allowed_webhook_tokens every channel is
+// allowed. The other rules apply to every channel, and the `channels` entries
+// (by name, ID or alias) override them. During quiet hours, notifications
+// below high priority are deferred until they end ("defer") or sent as low
+// priority ("downgrade"). Quotas count sends per channel and local day; a
+// notification counts as soon as it is let through, so concurrent sends can't
+// overrun the quota, and is given back with release() if it isn't sent.
+
+import { createHash } from "node:crypto";
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { configPath } from "./config.js";
+
+const PRIORITIES = ["low", "normal", "high"];
+const QUIET_HOURS_ACTIONS = ["defer", "downgrade"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const RULE_KEYS = ["time_zone", "max_priority", "daily_quota", "quiet_hours"];
+
+export function policyPath() {
+  return process.env.KWEENKL_POLICY || join(dirname(configPath()), "policy.json");
+}
+
+function invalid(problem) {
+  return new Error(`Invalid kweenkl policy: ${problem}`);
+}
+
+function minutesOf(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Check the rule fields shared by the top level and `channels` entries
+function validateRules(rules, where) {
+  if (rules.time_zone !== undefined) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: rules.time_zone });
+    } catch {
+      throw invalid(`${where}time_zone "${rules.time_zone}" is not a known time zone`);
+    }
+  }
+  if (rules.max_priority !== undefined && !PRIORITIES.includes(rules.max_priority)) {
+    throw invalid(`${where}max_priority must be one of: ${PRIORITIES.join(", ")}`);
+  }
+  if (rules.daily_quota !== undefined && rules.daily_quota !== null &&
+      !(Number.isInteger(rules.daily_quota) && rules.daily_quota >= 0)) {
+    throw invalid(`${where}daily_quota must be a non-negative integer`);
+  }
+
+  const quiet = rules.quiet_hours;
+  if (quiet === undefined || quiet === false || quiet === null) return;
+  if (typeof quiet !== "object" || Array.isArray(quiet)) {
+    throw invalid(`${where}quiet_hours must be an object or false`);
+  }
+  if (!TIME_PATTERN.test(quiet.start ?? "") || !TIME_PATTERN.test(quiet.end ?? "")) {
+    throw invalid(`${where}quiet_hours needs start and end as HH:MM`);
+  }
+  if (quiet.start === quiet.end) {
+    throw invalid(`${where}quiet_hours start and end must differ`);
+  }
+  if (quiet.action !== undefined && !QUIET_HOURS_ACTIONS.includes(quiet.action)) {
+    throw invalid(`${where}quiet_hours.action must be one of: ${QUIET_HOURS_ACTIONS.join(", ")}`);
+  }
+}
+
+function stringList(value, name) {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || value.some((entry) => (typeof entry !== "string" && typeof entry !== "number") || entry === "")) {
+    throw invalid(`${name} must be a list of strings`);
+  }
+  return value.map(String);
+}
+
+/**
+ * Validate a parsed policy file. Channel keys and allowed channels are
+ * lowercased for matching.
+ */
+export function policyOptions(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw invalid("expected a JSON object");
+  }
+  validateRules(raw, "");
+
+  const channels = raw.channels ?? {};
+  if (typeof channels !== "object" || Array.isArray(channels)) {
+    throw invalid("channels must be an object keyed by channel");
+  }
+
+  const overrides = new Map();
+  for (const [channel, rules] of Object.entries(channels)) {
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      throw invalid(`channels["${channel}"] must be an object`);
+    }
+    validateRules(rules, `channels["${channel}"].`);
+    overrides.set(channel.toLowerCase(), rules);
+  }
+
+  const allowedChannels = stringList(raw.allowed_channels, "allowed_channels");
+  const allowedTokens = stringList(raw.allowed_webhook_tokens, "allowed_webhook_tokens");
+
+  return {
+    allowedChannels: allowedChannels && new Set(allowedChannels.map((channel) => channel.toLowerCase())),
+    allowedTokens: allowedTokens && new Set(allowedTokens),
+    defaults: Object.fromEntries(RULE_KEYS.filter((key) => raw[key] !== undefined).map((key) => [key, raw[key]])),
+    overrides,
+  };
+}
+
+/**
+ * Read and validate the policy file. Returns null when there is none.
+ */
+export function loadPolicy(path = policyPath()) {
+  let raw;
+  try {
+    raw = readFileSync(path, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Cannot read kweenkl policy ${path}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid kweenkl policy ${path}: ${error.message}`);
+  }
+  return policyOptions(parsed);
+}
+
+// Date and minute of the day on the wall clock of `timeZone` (the system's when undefined)
+function localTime(ms, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }).formatToParts(ms).map(({ type, value }) => [type, value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+  };
+}
+
+// When the wall clock next shows `minutes` past midnight. Across a DST change
+// this can be an hour off; the policy is checked again when it's reached.
+function nextLocalTime(ms, local, minutes) {
+  const ahead = (minutes - local.minutes + 1440) % 1440 || 1440;
+  return ms + ahead * 60000 - local.seconds * 1000;
+}
+
+function inQuietHours(quiet, minutes) {
+  const start = minutesOf(quiet.start);
+  const end = minutesOf(quiet.end);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function quotaKey(webhookToken) {
+  return createHash("sha256").update(String(webhookToken)).digest("hex").slice(0, 32);
+}
+
+/**
+ * Check notifications against `policy` (from policyOptions). Daily quota
+ * counts are kept in `file` so restarts and other server processes share
+ * them.
+ */
+export function createPolicy({ policy, file, debugLog = () => {}, now = Date.now }) {
+  function loadCounts() {
+    try {
+      return JSON.parse(readFileSync(file, "utf8")).quotas ?? {};
+    } catch (error) {
+      if (error.code !== "ENOENT") debugLog(`Could not read quotas ${file}:`, error.message);
+      return {};
+    }
+  }
+
+  function saveCounts(quotas) {
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ quotas }, null, 2), { mode: 0o600 });
+    renameSync(tmp, file);
+  }
+
+  // The rules for a notification addressed to any of `channels`
+  function rulesFor(channels) {
+    const override = channels
+      .filter(Boolean)
+      .map((channel) => policy.overrides.get(String(channel).toLowerCase()))
+      .find(Boolean);
+    return { ...policy.defaults, ...override };
+  }
+
+  function allowed(channels, webhookToken) {
+    if (!policy.allowedChannels && !policy.allowedTokens) return true;
+    if (policy.allowedTokens?.has(webhookToken)) return true;
+    return channels.some((channel) => channel && policy.allowedChannels?.has(String(channel).toLowerCase()));
+  }
+
+  function changeCount(webhookToken, timeZone, delta) {
+    const { day } = localTime(now(), timeZone);
+    const quotas = loadCounts();
+    const key = quotaKey(webhookToken);
+    const count = quotas[key]?.day === day ? quotas[key].count : 0;
+    quotas[key] = { day, count: Math.max(0, count + delta) };
+
+    // Days end at different times across zones; two days back is safely over
+    const stale = new Date(now() - 2 * 86400000).toISOString().slice(0, 10);
+    for (const [other, entry] of Object.entries(quotas)) {
+      if (entry.day < stale) delete quotas[other];
+    }
+    saveCounts(quotas);
+  }
+
+  /**
+   * Decide what happens to a notification. Returns `{ action, priority,
+   * decisions }` where action is "send" (at `priority`, possibly lowered),
+   * "deny", "suppress" (with `retryAfterSeconds`) or "defer" (with `sendAt`).
+   * Each decision names the `rule` that applied and explains it in `message`.
+   * A "send" counts toward the daily quota; `counted` tells whether it did.
+   */
+  function check({ channels = [], webhook_token, priority = "normal" }) {
+    const label = channels.find(Boolean) || `webhook …${String(webhook_token).slice(-4)}`;
+    const decisions = [];
+
+    if (!allowed(channels, webhook_token)) {
+      const message = `${label} is not an allowed channel in the sending policy`;
+      decisions.push({ rule: "allowlist", action: "denied", message });
+      return { action: "deny", priority, decisions, message };
+    }
+
+    const rules = rulesFor(channels);
+    const current = now();
+    const zone = rules.time_zone ?? "local time";
+    const local = localTime(current, rules.time_zone);
+
+    if (Number.isInteger(rules.daily_quota)) {
+      const count = loadCounts()[quotaKey(webhook_token)];
+      const used = count?.day === local.day ? count.count : 0;
+      if (used >= rules.daily_quota) {
+        const until = new Date(nextLocalTime(current, local, 0)).toISOString();
+        const message = `the daily quota of ${rules.daily_quota} notification(s) for ${label} is used up until midnight (${zone})`;
+        decisions.push({ rule: "daily_quota", action: "suppressed", limit: rules.daily_quota, until, message });
+        return {
+          action: "suppress",
+          priority,
+          decisions,
+          message,
+          retryAfterSeconds: Math.ceil((Date.parse(until) - current) / 1000),
+        };
+      }
+    }
+
+    let sendPriority = priority;
+    if (rules.max_priority && PRIORITIES.indexOf(sendPriority) > PRIORITIES.indexOf(rules.max_priority)) {
+      decisions.push({
+        rule: "max_priority",
+        action: "lowered",
+        from: sendPriority,
+        to: rules.max_priority,
+        message: `priority lowered from ${sendPriority} to ${rules.max_priority}, the highest allowed for ${label}`,
+      });
+      sendPriority = rules.max_priority;
+    }
+
+    const quiet = rules.quiet_hours;
+    if (quiet && sendPriority !== "high" && inQuietHours(quiet, local.minutes)) {
+      const hours = `${quiet.start}–${quiet.end} ${zone}`;
+      if ((quiet.action ?? "defer") === "defer") {
+        const sendAt = new Date(nextLocalTime(current, local, minutesOf(quiet.end)));
+        decisions.push({
+          rule: "quiet_hours",
+          action: "deferred",
+          until: sendAt.toISOString(),
+          message: `held during quiet hours (${hours}) for ${label}; it will be sent when they end`,
+        });
+        return { action: "defer", priority: sendPriority, decisions, sendAt };
+      }
+      if (sendPriority !== "low") {
+        decisions.push({
+          rule: "quiet_hours",
+          action: "lowered",
+          from: sendPriority,
+          to: "low",
+          message: `priority lowered from ${sendPriority} to low during quiet hours (${hours}) for ${label}`,
+        });
+        sendPriority = "low";
+      }
+    }
+
+    const counted = Number.isInteger(rules.daily_quota);
+    if (counted) changeCount(webhook_token, rules.time_zone, 1);
+    return { action: "send", priority: sendPriority, decisions, counted };
+  }
+
+  // Give back the quota a "send" took when the notification wasn't sent after all
+  function release({ channels = [], webhook_token }) {
+    const rules = rulesFor(channels);
+    if (Number.isInteger(rules.daily_quota)) changeCount(webhook_token, rules.time_zone, -1);
+  }
+
+  return { check, release };
+}
@@ -0,0 +1,140 @@
+// Named kweenkl accounts from the `profiles` section of the config file.
+//
+//   "default_profile": "personal",
+//   "profiles": {
+//     "personal": { "device_token": "...", "default_channel": "Inbox" },
+//     "oncall": {
+//       "api_url": "https://api.kweenkl.com",
+//       "device_token_env": "KWEENKL_ONCALL_DEVICE_TOKEN",
+//       "aliases": { "prod": "Production Alerts", "pager": { "webhook_token": "..." } }
+//     }
+//   }
+//
+// KWEENKL_API_URL and KWEENKL_DEVICE_TOKEN describe the "default" profile and
+// win over its config file values, so a setup without a config file keeps
+// working unchanged. KWEENKL_PROFILE picks the profile used when a tool call
+// doesn't name one.
+
+import { ErrorCodes, KweenklError } from "./errors.js";
+
+export const DEFAULT_API_URL = "https://api.kweenkl.com";
+export const DEFAULT_PROFILE = "default";
+
+function invalid(name, problem) {
+  return new Error(`Invalid kweenkl config: profile "${name}" ${problem}`);
+}
+
+function optionalString(name, raw, key) {
+  if (raw[key] !== undefined && (typeof raw[key] !== "string" || !raw[key])) {
+    throw invalid(name, `has an invalid ${key}; expected a non-empty string`);
+  }
+  return raw[key];
+}
+
+function normalizeAliases(name, aliases = {}) {
+  if (typeof aliases !== "object" || Array.isArray(aliases)) {
+    throw invalid(name, "has invalid aliases; expected an object mapping alias to channel");
+  }
+
+  for (const [alias, target] of Object.entries(aliases)) {
+    const ok = (typeof target === "string" && target)
+      || (target && typeof target === "object" && typeof target.webhook_token === "string" && target.webhook_token);
+    if (!ok) {
+      throw invalid(name, `has an invalid alias "${alias}"; expected a channel name or ID, or { "webhook_token": "..." }`);
+    }
+  }
+
+  return aliases;
+}
+
+function normalizeProfile(name, raw, env) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw invalid(name, "must be an object");
+  }
+
+  const tokenEnv = optionalString(name, raw, "device_token_env");
+  return {
+    name,
+    description: optionalString(name, raw, "description") ?? null,
+    apiUrl: optionalString(name, raw, "api_url") || DEFAULT_API_URL,
+    deviceToken: optionalString(name, raw, "device_token") || (tokenEnv && env[tokenEnv]) || null,
+    defaultChannel: optionalString(name, raw, "default_channel") ?? null,
+    aliases: normalizeAliases(name, raw.aliases),
+  };
+}
+
+/**
+ * Build the configured profiles from the config file and environment.
+ * Returns `{ profiles, defaultProfile }` where `profiles` maps name to
+ * `{ name, description, apiUrl, deviceToken, defaultChannel, aliases }`.
+ * Throws on config mistakes so they surface at startup.
+ */
+export function loadProfiles(fileConfig = {}, env = process.env) {
+  const configured = fileConfig.profiles ?? {};
+  if (typeof configured !== "object" || Array.isArray(configured)) {
+    throw new Error("Invalid kweenkl config: profiles must be an object keyed by profile name");
+  }
+
+  const profiles = new Map();
+  for (const [name, raw] of Object.entries(configured)) {
+    profiles.set(name, normalizeProfile(name, raw, env));
+  }
+
+  // The environment variables describe the default profile
+  if (profiles.size === 0 || profiles.has(DEFAULT_PROFILE) || env.KWEENKL_API_URL || env.KWEENKL_DEVICE_TOKEN) {
+    const base = profiles.get(DEFAULT_PROFILE) || normalizeProfile(DEFAULT_PROFILE, {}, env);
+    profiles.set(DEFAULT_PROFILE, {
+      ...base,
+      apiUrl: env.KWEENKL_API_URL || base.apiUrl,
+      deviceToken: env.KWEENKL_DEVICE_TOKEN || base.deviceToken,
+    });
+  }
+
+  const defaultProfile = env.KWEENKL_PROFILE
+    || fileConfig.default_profile
+    || (profiles.has(DEFAULT_PROFILE) ? DEFAULT_PROFILE : profiles.keys().next().value);
+
+  if (!profiles.has(defaultProfile)) {
+    throw new Error(`Invalid kweenkl config: default profile "${defaultProfile}" is not defined`);
+  }
+
+  return { profiles, defaultProfile };
+}
+
+/**
+ * Look up a channel alias, case-insensitively. Returns `{ webhook_token }`,
+ * `{ channel }` (a name or ID to resolve) or null when `reference` is no alias.
+ */
+export function resolveAlias(profile, reference) {
+  const needle = String(reference).trim().toLowerCase();
+  const entry = Object.entries(profile.aliases).find(([alias]) => alias.toLowerCase() === needle);
+  if (!entry) return null;
+
+  const target = entry[1];
+  return typeof target === "string" ? { channel: target } : { webhook_token: target.webhook_token };
+}
+
+export function unknownProfileError(name, profiles) {
+  return new KweenklError(
+    `Unknown profile "${name}". Configured profiles: ${[...profiles.keys()].join(", ")}.`,
+    { code: ErrorCodes.VALIDATION }
+  );
+}
+
+// A profile as shown to clients: never includes tokens
+export function profileJson(profile, { isDefault = false } = {}) {
+  return {
+    name: profile.name,
+    description: profile.description,
+    default: isDefault,
+    api_url: profile.apiUrl,
+    channel_management: !!profile.deviceToken,
+    default_channel: profile.defaultChannel,
+    aliases: Object.fromEntries(
+      Object.entries(profile.aliases).map(([alias, target]) => [
+        alias,
+        typeof target === "string" ? target : `webhook …${target.webhook_token.slice(-4)}`,
+      ])
+    ),
+  };
+}
@@ -0,0 +1,207 @@
+// Client-side rate limiting and duplicate suppression for outgoing
+// notifications, so a looping agent can't flood a phone.
+//
+// Two token buckets guard every send: one per webhook token and one global.
+// Identical message/title/priority sent to the same webhook within the dedup
+// window is suppressed ("drop") or counted and reported on the next send
+// after the window ("coalesce"). Repeats not reported within twice the
+// window are forgotten, so the fingerprints kept stay bounded.
+
+import { createHash } from "node:crypto";
+
+export const DEFAULT_RATE_LIMIT = {
+  per_webhook: { max: 10, per_seconds: 60 },
+  global: { max: 30, per_seconds: 60 },
+  dedup_window_seconds: 120,
+  dedup_mode: "drop",
+};
+
+const DEDUP_MODES = ["drop", "coalesce"];
+
+function intFromEnv(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+/**
+ * Merge the `rate_limit` section of the config file with env overrides:
+ * KWEENKL_RATE_LIMIT_PER_WEBHOOK and KWEENKL_RATE_LIMIT_GLOBAL (sends per
+ * minute, 0 disables), KWEENKL_DEDUP_WINDOW_SECONDS and KWEENKL_DEDUP_MODE.
+ */
+export function rateLimitOptions(fileConfig = {}) {
+  const options = {
+    per_webhook: { ...DEFAULT_RATE_LIMIT.per_webhook, ...fileConfig.per_webhook },
+    global: { ...DEFAULT_RATE_LIMIT.global, ...fileConfig.global },
+    dedup_window_seconds: fileConfig.dedup_window_seconds ?? DEFAULT_RATE_LIMIT.dedup_window_seconds,
+    dedup_mode: fileConfig.dedup_mode ?? DEFAULT_RATE_LIMIT.dedup_mode,
+  };
+
+  const perWebhook = intFromEnv("KWEENKL_RATE_LIMIT_PER_WEBHOOK");
+  if (perWebhook !== undefined) options.per_webhook = { max: perWebhook, per_seconds: 60 };
+
+  const global = intFromEnv("KWEENKL_RATE_LIMIT_GLOBAL");
+  if (global !== undefined) options.global = { max: global, per_seconds: 60 };
+
+  const window = intFromEnv("KWEENKL_DEDUP_WINDOW_SECONDS");
+  if (window !== undefined) options.dedup_window_seconds = window;
+
+  if (process.env.KWEENKL_DEDUP_MODE) options.dedup_mode = process.env.KWEENKL_DEDUP_MODE;
+
+  if (!DEDUP_MODES.includes(options.dedup_mode)) {
+    throw new Error(`dedup_mode must be one of: ${DEDUP_MODES.join(", ")}`);
+  }
+
+  return options;
+}
+
+// A bucket holding up to `max` tokens, refilled continuously over `per_seconds`
+export function createTokenBucket({ max, per_seconds }, now = Date.now) {
+  const refillPerMs = max / (per_seconds * 1000);
+  let tokens = max;
+  let updatedAt = now();
+
+  function refill() {
+    const current = now();
+    tokens = Math.min(max, tokens + (current - updatedAt) * refillPerMs);
+    updatedAt = current;
+  }
+
+  return {
+    // Milliseconds until a token is available, 0 if one is available now
+    waitTime() {
+      if (max === 0) return 0;
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs);
+    },
+    take() {
+      if (max === 0) return;
+      refill();
+      tokens -= 1;
+    },
+  };
+}
+
+function fingerprint({ webhook_token, message, title, priority }) {
+  return createHash("sha256")
+    .update(JSON.stringify([webhook_token, message, title || "", priority || "normal"]))
+    .digest("hex");
+}
+
+/**
+ * Create a guard consulted before each send.
+ *
+ * `check(notification)` returns `null` when the send may go ahead, or
+ * `{ reason, message, retryAfterSeconds }` when it must be suppressed.
+ * A send that may go ahead reserves its fingerprint, so identical sends
+ * made while it is in flight are duplicates too. In coalesce mode,
+ * `coalesced(notification)` is the number of duplicates suppressed since the
+ * last identical send, to be mentioned in the next one.
+ * `record(notification)` is called after a successful send and
+ * `release(notification)` after a failed one, to free the fingerprint.
+ * `throttle(webhookToken)` applies only the rate limits, for sends that were
+ * already checked once, such as outbox replays.
+ */
+export function createSendGuard(options = DEFAULT_RATE_LIMIT, now = Date.now) {
+  const global = createTokenBucket(options.global, now);
+  const webhookBuckets = new Map();
+  const recent = new Map();
+  const windowMs = options.dedup_window_seconds * 1000;
+
+  function bucketFor(token) {
+    let bucket = webhookBuckets.get(token);
+    if (!bucket) {
+      bucket = createTokenBucket(options.per_webhook, now);
+      webhookBuckets.set(token, bucket);
+    }
+    return bucket;
+  }
+
+  function prune() {
+    const current = now();
+    for (const [key, entry] of recent) {
+      if (entry.pending) continue;
+      const keepForCoalesce = options.dedup_mode === "coalesce" && entry.suppressed > 0;
+      if (current - entry.sentAt > (keepForCoalesce ? 2 * windowMs : windowMs)) recent.delete(key);
+    }
+  }
+
+  // Take a token from the webhook's bucket and the global one, or say how
+  // long to wait for them
+  function throttle(webhookToken) {
+    const bucket = bucketFor(webhookToken);
+    const webhookWait = bucket.waitTime();
+    if (webhookWait > 0) {
+      return {
+        reason: "rate_limited",
+        message: `Rate limit for this channel reached (${options.per_webhook.max} per ${options.per_webhook.per_seconds}s)`,
+        retryAfterSeconds: Math.ceil(webhookWait / 1000),
+      };
+    }
+
+    const globalWait = global.waitTime();
+    if (globalWait > 0) {
+      return {
+        reason: "rate_limited",
+        message: `Global rate limit reached (${options.global.max} per ${options.global.per_seconds}s)`,
+        retryAfterSeconds: Math.ceil(globalWait / 1000),
+      };
+    }
+
+    bucket.take();
+    global.take();
+    return null;
+  }
+
+  function check(notification) {
+    prune();
+
+    if (windowMs > 0) {
+      const entry = recent.get(fingerprint(notification));
+      if (entry && now() - entry.sentAt <= windowMs) {
+        entry.suppressed++;
+        const ago = Math.round((now() - entry.sentAt) / 1000);
+        return {
+          reason: "duplicate",
+          message: (entry.pending
+            ? "An identical notification is being sent to this channel"
+            : `An identical notification was sent to this channel ${ago}s ago`) +
+            (options.dedup_mode === "coalesce" ? ` (${entry.suppressed} repeat(s) coalesced)` : ""),
+          retryAfterSeconds: Math.ceil((windowMs - (now() - entry.sentAt)) / 1000),
+        };
+      }
+    }
+
+    const limited = throttle(notification.webhook_token);
+    if (limited) return limited;
+
+    if (windowMs > 0) {
+      const key = fingerprint(notification);
+      recent.set(key, { sentAt: now(), suppressed: 0, pending: true, previous: recent.get(key) });
+    }
+    return null;
+  }
+
+  function coalesced(notification) {
+    if (options.dedup_mode !== "coalesce") return 0;
+    const entry = recent.get(fingerprint(notification));
+    return (entry?.pending ? entry.previous : entry)?.suppressed || 0;
+  }
+
+  function record(notification) {
+    if (windowMs <= 0) return;
+    const key = fingerprint(notification);
+    const entry = recent.get(key);
+    // Duplicates suppressed while the send was in flight are still to be reported
+    recent.set(key, { sentAt: now(), suppressed: entry?.pending ? entry.suppressed : 0 });
+  }
+
+  function release(notification) {
+    const key = fingerprint(notification);
+    const entry = recent.get(key);
+    if (!entry?.pending) return;
+    if (entry.previous) recent.set(key, entry.previous);
+    else recent.delete(key);
+  }
+
+  return { check, throttle, coalesced, record, release };
+}
@@ -0,0 +1,86 @@
+// One place that masks secrets before anything leaves the process: debug
+// logs, error texts, tool results and the audit log.
+//
+// Credentials (device tokens, the HTTP bearer token) are masked everywhere.
+// Webhook tokens are masked everywhere except in successful results of tools
+// whose job is to hand out webhook URLs, such as kweenkl_list_channels.
+
+const MAX_WEBHOOK_TOKENS = 1000;
+const MIN_SECRET_LENGTH = 6;
+
+const WEBHOOK_PATH = /(\/webhook\/)([A-Za-z0-9_.~%-]{6,})/g;
+const BEARER = /(Bearer\s+)[^\s"',;]+/gi;
+const CREDENTIAL_KEYS = new Set(["device_token", "authorization", "x-kweenkl-device-token"]);
+const WEBHOOK_KEYS = new Set(["webhook_token"]);
+
+// Keep just enough of a token to tell two apart
+export function maskToken(token) {
+  const text = String(token);
+  return text.length >= 12 ? `…${text.slice(-4)}` : "…";
+}
+
+function replaceAll(text, secret) {
+  return text.split(secret).join(maskToken(secret));
+}
+
+export function createRedactor() {
+  const credentials = new Set();
+  const webhookTokens = new Set();
+
+  function addCredential(...tokens) {
+    for (const token of tokens) {
+      if (token && String(token).length >= MIN_SECRET_LENGTH) credentials.add(String(token));
+    }
+  }
+
+  function addWebhookToken(...tokens) {
+    for (const token of tokens) {
+      if (!token || String(token).length < MIN_SECRET_LENGTH || webhookTokens.has(String(token))) continue;
+      if (webhookTokens.size >= MAX_WEBHOOK_TOKENS) {
+        webhookTokens.delete(webhookTokens.values().next().value);
+      }
+      webhookTokens.add(String(token));
+    }
+  }
+
+  function redactText(value, { webhooks = true } = {}) {
+    let text = String(value);
+    for (const secret of credentials) text = replaceAll(text, secret);
+    text = text.replace(BEARER, "$1[REDACTED]");
+
+    if (webhooks) {
+      for (const token of webhookTokens) text = replaceAll(text, token);
+      text = text.replace(WEBHOOK_PATH, (_, path, token) => path + maskToken(token));
+    }
+    return text;
+  }
+
+  /**
+   * Deep-copy `value` with secrets masked. Strings are scanned, and values
+   * under credential (or webhook token) keys are masked whole. Errors become
+   * their redacted stack trace.
+   */
+  function redact(value, options = {}, seen = new WeakSet()) {
+    const { webhooks = true } = options;
+
+    if (typeof value === "string") return redactText(value, options);
+    if (value instanceof Error) return redactText(value.stack || value.message, options);
+    if (!value || typeof value !== "object") return value;
+    if (seen.has(value)) return "[Circular]";
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map((item) => redact(item, options, seen));
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => {
+        const lower = key.toLowerCase();
+        if (item && (CREDENTIAL_KEYS.has(lower) || (webhooks && WEBHOOK_KEYS.has(lower)))) {
+          return [key, maskToken(item)];
+        }
+        return [key, redact(item, options, seen)];
+      })
+    );
+  }
+
+  return { addCredential, addWebhookToken, redact, redactText };
+}
@@ -0,0 +1,458 @@
+// Inbound webhook relay: a small HTTP listener, run beside the MCP transport,
+// that turns webhooks from systems that can't use MCP into notifications.
+//
+//   "relay": {
+//     "enabled": true,
+//     "port": 3001,
+//     "routes": {
+//       "alertmanager": { "channel": "Production Alerts", "token_env": "KWEENKL_RELAY_TOKEN" },
+//       "github": { "channel": "Deploys", "secret_env": "GITHUB_WEBHOOK_SECRET", "events": ["workflow_run", "release"] },
+//       "backup": {
+//         "format": "generic",
+//         "channel": "Ops",
+//         "title": "Backup {{status}}",
+//         "message": "{{host}}: {{details.summary}}",
+//         "severity_field": "level",
+//         "priorities": { "failed": "high" }
+//       }
+//     }
+//   }
+//
+// Each route listens on POST /relay/<name>. Its `format` (by default the
+// route's name) says how the body is read: "alertmanager" (Prometheus
+// Alertmanager webhooks, one notification per alert group), "github" (GitHub
+// webhooks, checked against their HMAC signature) or "generic" (any JSON
+// object). `title` and `message` are templates with `{{path.to.field}}`
+// placeholders; each format has defaults. The priority comes from the
+// webhook's severity through `priorities`, then `priority`, then the built-in
+// DEFAULT_PRIORITIES.
+//
+// Routes other than GitHub ones can require a bearer token, sent as
+// `Authorization: Bearer <token>` or `?token=<token>`. Outside of loopback
+// addresses every route must be authenticated. A route without a token only
+// accepts requests a web page can't make: JSON bodies (which need a CORS
+// preflight the relay never answers) without an `Origin` header.
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createServer as createHttpServer } from "node:http";
+import { ErrorCodes } from "./errors.js";
+import { tokensMatch } from "./http-transport.js";
+import { PLACEHOLDER } from "./templates.js";
+
+export const DEFAULT_RELAY = {
+  host: "127.0.0.1",
+  port: 3001,
+  max_body_bytes: 1024 * 1024,
+};
+
+export const RELAY_FORMATS = ["alertmanager", "github", "generic"];
+
+const PRIORITIES = ["low", "normal", "high"];
+
+// Severities as Alertmanager labels and GitHub conclusions name them
+export const DEFAULT_PRIORITIES = {
+  critical: "high",
+  error: "high",
+  failure: "high",
+  timed_out: "high",
+  warning: "normal",
+  info: "low",
+  success: "low",
+  resolved: "low",
+};
+
+// Alertmanager severities, most severe first
+const SEVERITY_ORDER = ["critical", "error", "warning", "info"];
+
+const MAX_LISTED_ALERTS = 10;
+
+const DEFAULT_TEMPLATES = {
+  alertmanager: { title: "{{heading}}: {{alertname}}", message: "{{summary}}" },
+  generic: { title: "{{title}}", message: "{{message}}" },
+};
+
+const GITHUB_TEMPLATES = {
+  push: { title: "{{repo}}: {{commit_count}} commit(s) to {{branch}}", message: "{{head_commit.message}} ({{sender.login}})" },
+  pull_request: { title: "{{repo}}: PR #{{pull_request.number}} {{action}}", message: "{{pull_request.title}} ({{sender.login}})" },
+  issues: { title: "{{repo}}: issue #{{issue.number}} {{action}}", message: "{{issue.title}} ({{sender.login}})" },
+  release: { title: "{{repo}}: release {{release.tag_name}} {{action}}", message: "{{release.name}}" },
+  workflow_run: { title: "{{repo}}: {{workflow_run.name}} {{workflow_run.conclusion}}", message: "{{workflow_run.display_title}} on {{workflow_run.head_branch}}" },
+  default: { title: "{{repo}}: {{event}} {{action}}", message: "{{event}} from {{sender.login}}" },
+};
+
+// A rejected webhook, answered with `status`
+export class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "RelayError";
+    this.status = status;
+  }
+}
+
+function invalid(problem) {
+  return new Error(`Invalid kweenkl config: relay.${problem}`);
+}
+
+function isLoopback(host) {
+  return host === "localhost" || host === "::1" || host.startsWith("127.");
+}
+
+// A secret given directly or through an environment variable
+function secretValue(raw, key, env, where) {
+  const value = raw[key] ?? (raw[`${key}_env`] !== undefined ? env[raw[`${key}_env`]] : undefined);
+  if (value !== undefined && (typeof value !== "string" || !value)) {
+    throw invalid(`${where}.${key} must be a non-empty string${raw[`${key}_env`] ? ` (is ${raw[`${key}_env`]} set?)` : ""}`);
+  }
+  return value ?? null;
+}
+
+function normalizeRoute(name, raw, env) {
+  const where = `routes["${name}"]`;
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw invalid(`${where}: route names may only contain letters, digits, "_" and "-"`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw invalid(`${where} must be an object`);
+  }
+
+  const format = raw.format ?? (RELAY_FORMATS.includes(name) ? name : undefined);
+  if (!RELAY_FORMATS.includes(format)) {
+    throw invalid(`${where}.format must be one of: ${RELAY_FORMATS.join(", ")}`);
+  }
+  for (const key of ["profile", "channel", "webhook_token", "title", "message", "severity_field"]) {
+    if (raw[key] !== undefined && (typeof raw[key] !== "string" || !raw[key])) {
+      throw invalid(`${where}.${key} must be a non-empty string`);
+    }
+  }
+  if (raw.channel && raw.webhook_token) {
+    throw invalid(`${where} sets both channel and webhook_token`);
+  }
+  if (raw.priority !== undefined && !PRIORITIES.includes(raw.priority)) {
+    throw invalid(`${where}.priority must be one of: ${PRIORITIES.join(", ")}`);
+  }
+  const priorities = raw.priorities ?? {};
+  if (typeof priorities !== "object" || Array.isArray(priorities) ||
+      Object.values(priorities).some((priority) => !PRIORITIES.includes(priority))) {
+    throw invalid(`${where}.priorities must map severities to one of: ${PRIORITIES.join(", ")}`);
+  }
+  if (raw.events !== undefined && (format !== "github" || !Array.isArray(raw.events) ||
+      raw.events.some((event) => typeof event !== "string" || !event))) {
+    throw invalid(`${where}.events must be a list of GitHub event names, and only applies to github routes`);
+  }
+
+  const secret = secretValue(raw, "secret", env, where);
+  const token = secretValue(raw, "token", env, where);
+  if (format === "github" && !secret) {
+    throw invalid(`${where} needs secret or secret_env: GitHub webhooks are only accepted with a valid signature`);
+  }
+  if (format !== "github" && secret) {
+    throw invalid(`${where}.secret only applies to github routes; use token for others`);
+  }
+
+  return {
+    name,
+    format,
+    profile: raw.profile,
+    channel: raw.channel,
+    webhook_token: raw.webhook_token,
+    title: raw.title,
+    message: raw.message,
+    priority: raw.priority,
+    priorities: Object.fromEntries(Object.entries(priorities).map(([severity, priority]) => [severity.toLowerCase(), priority])),
+    severityField: raw.severity_field ?? "severity",
+    events: raw.events ?? null,
+    secret,
+    token,
+  };
+}
+
+/**
+ * Merge the `relay` section of the config file with KWEENKL_RELAY,
+ * KWEENKL_RELAY_HOST and KWEENKL_RELAY_PORT. Returns null when the relay is
+ * off, else `{ host, port, maxBodyBytes, routes }` with routes by name.
+ */
+export function relayOptions(fileConfig = {}, env = process.env) {
+  const enabled = env.KWEENKL_RELAY
+    ? env.KWEENKL_RELAY === "true"
+    : fileConfig.enabled === true;
+  if (!enabled) return null;
+
+  const options = { ...DEFAULT_RELAY, ...fileConfig };
+  const host = env.KWEENKL_RELAY_HOST || options.host;
+  const port = env.KWEENKL_RELAY_PORT ? parseInt(env.KWEENKL_RELAY_PORT, 10) : options.port;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw invalid("port must be a port number");
+  }
+  if (!Number.isInteger(options.max_body_bytes) || options.max_body_bytes < 1) {
+    throw invalid("max_body_bytes must be a positive integer");
+  }
+
+  const configured = options.routes ?? {};
+  if (typeof configured !== "object" || Array.isArray(configured) || Object.keys(configured).length === 0) {
+    throw invalid("routes must be an object with at least one route");
+  }
+  const routes = new Map(Object.entries(configured).map(([name, raw]) => [name, normalizeRoute(name, raw, env)]));
+
+  if (!isLoopback(host)) {
+    const open = [...routes.values()].find((route) => !route.secret && !route.token);
+    if (open) throw invalid(`routes["${open.name}"] needs a token: the relay listens on ${host}, not only on this machine`);
+  }
+
+  return { host, port, maxBodyBytes: options.max_body_bytes, routes };
+}
+
+// Look up "alerts.0.labels.severity" in a parsed JSON body
+function lookup(data, path) {
+  return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+// Fill `{{path}}` placeholders; missing fields become empty
+export function renderText(template, variables) {
+  return template.replace(PLACEHOLDER, (_, path) => {
+    const value = lookup(variables, path);
+    if (value === null || value === undefined) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }).trim();
+}
+
+function alertmanagerEvent(body) {
+  if (!Array.isArray(body.alerts) || body.alerts.length === 0) {
+    throw new RelayError(400, "Not an Alertmanager webhook: alerts is missing or empty");
+  }
+
+  const firing = body.alerts.filter((alert) => alert.status !== "resolved");
+  const resolved = firing.length === 0;
+  const shown = resolved ? body.alerts : firing;
+  const labels = { ...shown[0].labels, ...body.groupLabels, ...body.commonLabels };
+
+  const severities = shown.map((alert) => String(alert.labels?.severity ?? "").toLowerCase());
+  const severity = resolved ? "resolved" : SEVERITY_ORDER.find((level) => severities.includes(level)) ?? severities.find(Boolean);
+
+  const lines = shown.slice(0, MAX_LISTED_ALERTS).map((alert) => {
+    const text = alert.annotations?.summary || alert.annotations?.description || alert.labels?.alertname || "alert";
+    return alert.labels?.instance ? `• ${alert.labels.instance}: ${text}` : `• ${text}`;
+  });
+  if (shown.length > MAX_LISTED_ALERTS) lines.push(`…and ${shown.length - MAX_LISTED_ALERTS} more`);
+
+  return {
+    severity,
+    variables: {
+      ...body,
+      alertname: labels.alertname ?? "",
+      status: resolved ? "resolved" : "firing",
+      count: shown.length,
+      heading: resolved ? "Resolved" : `Firing${shown.length > 1 ? ` (${shown.length})` : ""}`,
+      summary: shown.length === 1 ? lines[0].slice(2) : lines.join("\n"),
+      labels,
+    },
+  };
+}
+
+function githubEvent(route, headers, body) {
+  const event = headers["x-github-event"];
+  if (!event) throw new RelayError(400, "Not a GitHub webhook: the X-GitHub-Event header is missing");
+  if (event === "ping") return { ignored: "ping" };
+
+  const action = body.action;
+  if (route.events && !route.events.includes(event) && !route.events.includes(`${event}.${action}`)) {
+    return { ignored: `event ${action ? `${event}.${action}` : event} is not relayed by this route` };
+  }
+  // Runs report requested and in_progress too; only the outcome is news
+  if (event === "workflow_run" && action !== "completed") {
+    return { ignored: `workflow_run.${action} is not relayed; only completed runs are` };
+  }
+
+  const run = body.workflow_run || body.check_run || body.check_suite;
+  return {
+    severity: run?.conclusion ?? "info",
+    variables: {
+      ...body,
+      event,
+      repo: body.repository?.full_name ?? "",
+      branch: typeof body.ref === "string" ? body.ref.replace(/^refs\/(heads|tags)\//, "") : "",
+      commit_count: Array.isArray(body.commits) ? body.commits.length : 0,
+    },
+    defaults: GITHUB_TEMPLATES[event] ?? GITHUB_TEMPLATES.default,
+  };
+}
+
+function genericEvent(route, body) {
+  return { severity: lookup(body, route.severityField), variables: body };
+}
+
+/**
+ * Map a webhook body to the notification a route sends. Returns
+ * `{ notification: { title, message, priority } }`, or `{ ignored: reason }`
+ * for webhooks that aren't worth a notification. Throws RelayError for bodies
+ * the route can't read.
+ */
+export function mapWebhook(route, { headers = {}, body }) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new RelayError(400, "Expected a JSON object");
+  }
+
+  const event = route.format === "alertmanager" ? alertmanagerEvent(body)
+    : route.format === "github" ? githubEvent(route, headers, body)
+      : genericEvent(route, body);
+  if (event.ignored) return event;
+
+  const defaults = event.defaults ?? DEFAULT_TEMPLATES[route.format];
+  const title = renderText(route.title ?? defaults.title, event.variables);
+  const message = renderText(route.message ?? defaults.message, event.variables) || title;
+  if (!message) {
+    throw new RelayError(422, `The message template of route "${route.name}" rendered an empty message for this webhook`);
+  }
+
+  const severity = event.severity === undefined || event.severity === null ? "" : String(event.severity).toLowerCase();
+  const priority = route.priorities[severity] ?? route.priority ?? DEFAULT_PRIORITIES[severity] ?? "normal";
+
+  const notification = { message, priority };
+  if (title && title !== message) notification.title = title;
+  return { notification };
+}
+
+// Check GitHub's X-Hub-Signature-256 header against the raw body
+export function verifyGitHubSignature(secret, rawBody, header) {
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(header || "");
+  if (!match) return false;
+
+  const expected = createHmac("sha256", secret).update(rawBody).digest();
+  return timingSafeEqual(expected, Buffer.from(match[1], "hex"));
+}
+
+// Any page open in a browser on this machine can POST to a loopback address,
+// so routes without a token turn away what only a browser would send
+function rejectBrowsers(req) {
+  if (req.headers.origin !== undefined) {
+    throw new RelayError(403, "Requests from web pages are not accepted; give this route a token");
+  }
+  const contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (contentType !== "application/json" && !contentType.endsWith("+json")) {
+    throw new RelayError(415, "Routes without a token only accept Content-Type: application/json");
+  }
+}
+
+function authenticate(route, req, url, rawBody) {
+  if (route.secret) {
+    if (!verifyGitHubSignature(route.secret, rawBody, req.headers["x-hub-signature-256"])) {
+      throw new RelayError(401, "Missing or invalid X-Hub-Signature-256 signature");
+    }
+    return;
+  }
+  if (!route.token) return rejectBrowsers(req);
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  const provided = bearer ? bearer[1].trim() : url.searchParams.get("token");
+  if (!provided || !tokensMatch(provided, route.token)) {
+    throw new RelayError(401, "Missing or invalid token");
+  }
+}
+
+async function readBody(req, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw new RelayError(413, `Body larger than ${maxBytes} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// JSON bodies, and GitHub's form-encoded variant with the JSON in `payload`
+function parseBody(rawBody, contentType = "") {
+  let text = rawBody.toString("utf8");
+  if (contentType.startsWith("application/x-www-form-urlencoded")) {
+    text = new URLSearchParams(text).get("payload") ?? "";
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new RelayError(400, "Body is not valid JSON");
+  }
+}
+
+// The route name in a /relay/:name path segment, or null when its
+// percent-escapes are malformed, e.g. "%E0"
+function routeName(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Failures that sending the same webhook again won't fix
+const PERMANENT_CODES = new Set([
+  ErrorCodes.VALIDATION,
+  ErrorCodes.INVALID_TOKEN,
+  ErrorCodes.NOT_FOUND,
+  ErrorCodes.NOT_CONFIGURED,
+  ErrorCodes.FORBIDDEN,
+]);
+
+// HTTP status for a delivery result: senders retry on 5xx, so only failures
+// that might go away get one
+function resultStatus(result) {
+  if (!result.isError) return 200;
+  return PERMANENT_CODES.has(result.structuredContent?.error?.code) ? 422 : 502;
+}
+
+/**
+ * Start listening on `host`:`port`. `deliver(route, notification)` sends one
+ * mapped notification and resolves to its tool result, like executeKweenkl's.
+ *
+ * Resolves to `{ close, address }` once the socket is listening.
+ */
+export async function startRelay({ host, port, routes, maxBodyBytes = DEFAULT_RELAY.max_body_bytes, deliver, debugLog = () => {} }) {
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && url.pathname === "/healthz") {
+      return sendJson(res, 200, { status: "ok" });
+    }
+
+    const match = /^\/relay\/([^/]+)$/.exec(url.pathname);
+    const route = match && routes.get(routeName(match[1]));
+    if (!route) return sendJson(res, 404, { error: "Unknown relay route" });
+    if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+
+    const rawBody = await readBody(req, maxBodyBytes);
+    authenticate(route, req, url, rawBody);
+
+    const mapped = mapWebhook(route, { headers: req.headers, body: parseBody(rawBody, req.headers["content-type"]) });
+    if (mapped.ignored) {
+      debugLog(`Relay ${route.name}: ignored,`, mapped.ignored);
+      return sendJson(res, 202, { status: "ignored", reason: mapped.ignored });
+    }
+
+    const result = await deliver(route, mapped.notification);
+    debugLog(`Relay ${route.name}:`, result.structuredContent?.status ?? (result.isError ? "failed" : "ok"));
+    return sendJson(res, resultStatus(result), { status: result.isError ? "failed" : "ok", result: result.structuredContent });
+  }
+
+  const httpServer = createHttpServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (error instanceof RelayError) return sendJson(res, error.status, { error: error.message });
+      debugLog('Relay request failed:', error.message);
+      if (!res.headersSent) sendJson(res, 500, { error: "Internal server error" });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  async function close() {
+    httpServer.closeAllConnections?.();
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+
+  return { close, address: httpServer.address() };
+}
@@ -0,0 +1,50 @@
+// MCP resource URIs and payloads for kweenkl channels.
+//
+//   kweenkl://channels        all channels as a JSON array
+//   kweenkl://channels/{id}   one channel as a JSON object
+
+export const CHANNELS_URI = "kweenkl://channels";
+export const CHANNEL_URI_TEMPLATE = `${CHANNELS_URI}/{id}`;
+
+export function channelUri(id) {
+  return `${CHANNELS_URI}/${encodeURIComponent(id)}`;
+}
+
+// Returns { list: true }, { id } or null for URIs we don't serve, including
+// IDs with malformed percent-escapes
+export function parseChannelUri(uri) {
+  if (uri === CHANNELS_URI) return { list: true };
+
+  const prefix = `${CHANNELS_URI}/`;
+  if (uri.startsWith(prefix) && uri.length > prefix.length && !uri.slice(prefix.length).includes("/")) {
+    try {
+      return { id: decodeURIComponent(uri.slice(prefix.length)) };
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// The fields a client needs to use a channel, without API internals
+export function channelJson(channel) {
+  return {
+    id: channel.id,
+    name: channel.name,
+    description: channel.description ?? null,
+    color: channel.color ?? null,
+    icon: channel.icon ?? null,
+    webhook_url: channel.webhook_url,
+    notification_count: channel.notification_count ?? 0,
+  };
+}
+
+export function channelResource(channel) {
+  return {
+    uri: channelUri(channel.id),
+    name: channel.name,
+    description: channel.description || `kweenkl channel "${channel.name}"`,
+    mimeType: "application/json",
+  };
+}
@@ -0,0 +1,29 @@
+// Tool results carry the human-readable text plus `structuredContent`
+// matching the tool's output schema (see tool-schemas.js).
+
+import { errorJson } from "./errors.js";
+
+export function toolResult(text, structuredContent) {
+  return {
+    content: [{
+      type: "text",
+      text,
+    }],
+    structuredContent,
+  };
+}
+
+/**
+ * An error result. `error` is a thrown error or a `{ code, message, httpStatus }`
+ * description; `data` adds tool-specific fields next to `error`.
+ */
+export function toolError(text, error, data = {}) {
+  return {
+    content: [{
+      type: "text",
+      text,
+    }],
+    structuredContent: { ...data, error: errorJson(error) },
+    isError: true,
+  };
+}
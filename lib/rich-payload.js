@@ -0,0 +1,151 @@
+// Arguments for the payload conventions the kweenkl app understands
+// (MCP_SPECIFICATION.md §10.3), so the model doesn't have to hand-write them:
+//
+//   deep_link or url  →  payload.deep_link
+//   image_url         →  payload.image_url
+//   actions           →  payload.action_buttons: [{ "label": "Reply", "action": "reply" }]
+//   category          →  payload.category
+//   thread_id         →  payload.thread_id
+//
+// The fields are merged into any custom `payload`. A payload that already
+// sets one of them to something else is a conflict, reported as an error.
+
+import { ACTION_ID_PATTERN, HTTPS_URL_PATTERN, LINK_PATTERN } from "./validate.js";
+
+export const MAX_ACTIONS = 4;
+
+const URL_MAX_LENGTH = 2048;
+const UNSAFE_SCHEMES = ["javascript:", "data:", "file:", "vbscript:"];
+
+/**
+ * The tool argument definitions, to spread into an inputSchema's properties.
+ */
+export function richPayloadProperties() {
+  return {
+    deep_link: {
+      type: "string",
+      maxLength: URL_MAX_LENGTH,
+      pattern: LINK_PATTERN,
+      description: "Optional link opened when the notification is tapped: a web URL or an app link such as 'kweenkl://posts/12345'.",
+    },
+    url: {
+      type: "string",
+      maxLength: URL_MAX_LENGTH,
+      pattern: LINK_PATTERN,
+      description: "Same as deep_link; use one or the other.",
+    },
+    image_url: {
+      type: "string",
+      maxLength: URL_MAX_LENGTH,
+      pattern: HTTPS_URL_PATTERN,
+      description: "Optional https:// URL of an image shown with the notification.",
+    },
+    actions: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_ACTIONS,
+      description: `Optional action buttons, at most ${MAX_ACTIONS}. Each has a short label and an action ID the app receives when it is tapped.`,
+      items: {
+        type: "object",
+        properties: {
+          label: { type: "string", minLength: 1, maxLength: 30, description: "Button text, e.g. 'Reply'" },
+          action: { type: "string", pattern: ACTION_ID_PATTERN, description: "Action ID, e.g. 'reply'" },
+        },
+        required: ["label", "action"],
+      },
+    },
+    category: {
+      type: "string",
+      pattern: ACTION_ID_PATTERN,
+      description: "Optional notification category, e.g. 'deploy', for grouping and handling in the app.",
+    },
+    thread_id: {
+      type: "string",
+      minLength: 1,
+      maxLength: 64,
+      description: "Optional thread ID; notifications with the same thread_id are grouped together on the phone.",
+    },
+  };
+}
+
+function unsafeScheme(link) {
+  const lower = link.toLowerCase();
+  return UNSAFE_SCHEMES.find((scheme) => lower.startsWith(scheme));
+}
+
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Build the payload for a notification from its rich arguments and custom
+ * `payload`. Returns `{ payload, errors }`; errors are `{ field, message }`
+ * like validateSchema's. `payload` is undefined when there is nothing to send.
+ */
+export function buildPayload({ deep_link, url, image_url, actions, category, thread_id, payload }) {
+  const errors = [];
+  const fields = {};
+  const sources = {};
+
+  const set = (key, value, argument) => {
+    fields[key] = value;
+    sources[key] = argument;
+  };
+
+  if (deep_link !== undefined && url !== undefined && deep_link !== url) {
+    errors.push({ field: "url", message: "conflicts with deep_link; they are the same setting, so give only one" });
+  }
+  const link = deep_link ?? url;
+  if (link !== undefined) {
+    const argument = deep_link !== undefined ? "deep_link" : "url";
+    const scheme = unsafeScheme(link);
+    if (scheme) {
+      errors.push({ field: argument, message: `must not use the ${scheme} scheme` });
+    } else if (!isUrl(link)) {
+      errors.push({ field: argument, message: `is not a valid URL (got ${JSON.stringify(link)})` });
+    } else {
+      set("deep_link", link, argument);
+    }
+  }
+
+  if (image_url !== undefined) {
+    if (isUrl(image_url)) {
+      set("image_url", image_url, "image_url");
+    } else {
+      errors.push({ field: "image_url", message: `is not a valid URL (got ${JSON.stringify(image_url)})` });
+    }
+  }
+
+  if (actions !== undefined) {
+    const seen = new Set();
+    actions.forEach(({ action }, i) => {
+      if (seen.has(action)) errors.push({ field: `actions[${i}].action`, message: `repeats the action ID "${action}"; each button needs its own` });
+      seen.add(action);
+    });
+    set("action_buttons", actions.map(({ label, action }) => ({ label, action })), "actions");
+  }
+
+  if (category !== undefined) set("category", category, "category");
+  if (thread_id !== undefined) set("thread_id", thread_id, "thread_id");
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (payload?.[key] !== undefined && !sameValue(payload[key], value)) {
+      errors.push({
+        field: `payload.${key}`,
+        message: `conflicts with the ${sources[key]} argument, which sets ${key} to ${JSON.stringify(value)}. Remove one of them.`,
+      });
+    }
+  }
+
+  if (errors.length > 0 || Object.keys(fields).length === 0) return { payload, errors };
+  return { payload: { ...payload, ...fields }, errors };
+}
@@ -0,0 +1,114 @@
+// Routing rules: tags that stand for sets of channels, so one kweenkl call
+// with `tags: ["ops"]` reaches everyone who should hear about it.
+//
+//   "routing": {
+//     "ops": [
+//       { "channels": ["Ops", "Team"] },
+//       { "channels": ["pager"], "profile": "oncall", "min_priority": "high" }
+//     ],
+//     "deploys": { "channels": ["Deploys"], "keywords": ["production", "rollback"] }
+//   }
+//
+// A tag maps to one rule or a list of them. Channels are names, IDs or
+// aliases of the rule's profile (default: the profile of the call). A rule
+// only applies when the notification's priority is at least `min_priority`
+// and, with `keywords`, its title or message mentions one of them.
+
+export const ROUTING_PRIORITIES = ["low", "normal", "high"];
+
+const TAG_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+function invalid(tag, problem) {
+  return new Error(`Invalid kweenkl config: routing tag "${tag}" ${problem}`);
+}
+
+function nonEmptyStrings(value) {
+  return Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === "string" && item.trim() !== "");
+}
+
+/**
+ * Read the `routing` section of the config file into a Map of rule lists
+ * keyed by tag. Returns null when no tag is configured.
+ */
+export function routingOptions(fileConfig = {}) {
+  if (typeof fileConfig !== "object" || Array.isArray(fileConfig)) {
+    throw new Error("Invalid kweenkl config: routing must be an object keyed by tag");
+  }
+
+  const routing = new Map();
+  for (const [tag, raw] of Object.entries(fileConfig)) {
+    if (!TAG_PATTERN.test(tag)) throw invalid(tag, "may only use letters, digits, '_', '.' and '-'");
+
+    const list = Array.isArray(raw) ? raw : [raw];
+    if (list.length === 0) throw invalid(tag, "needs at least one rule");
+
+    routing.set(tag, list.map((rule, i) => {
+      const where = Array.isArray(raw) ? `rule ${i + 1} ` : "";
+      if (!rule || typeof rule !== "object" || Array.isArray(rule)) throw invalid(tag, `${where}must be an object`);
+      if (!nonEmptyStrings(rule.channels)) throw invalid(tag, `${where}needs a non-empty list of channels`);
+      if (rule.profile !== undefined && (typeof rule.profile !== "string" || rule.profile === "")) {
+        throw invalid(tag, `${where}has an invalid profile`);
+      }
+      if (rule.min_priority !== undefined && !ROUTING_PRIORITIES.includes(rule.min_priority)) {
+        throw invalid(tag, `${where}min_priority must be one of: ${ROUTING_PRIORITIES.join(", ")}`);
+      }
+      if (rule.keywords !== undefined && !nonEmptyStrings(rule.keywords)) {
+        throw invalid(tag, `${where}keywords must be a non-empty list of words`);
+      }
+
+      return {
+        tag,
+        channels: rule.channels.map((channel) => channel.trim()),
+        profile: rule.profile,
+        min_priority: rule.min_priority,
+        keywords: rule.keywords?.map((keyword) => keyword.toLowerCase()),
+      };
+    }));
+  }
+
+  return routing.size > 0 ? routing : null;
+}
+
+// Whether a rule's conditions hold for a notification
+export function ruleMatches(rule, { priority = "normal", title, message }) {
+  if (rule.min_priority && ROUTING_PRIORITIES.indexOf(priority) < ROUTING_PRIORITIES.indexOf(rule.min_priority)) {
+    return false;
+  }
+  if (rule.keywords) {
+    const text = `${title ?? ""}\n${message ?? ""}`.toLowerCase();
+    return rule.keywords.some((keyword) => text.includes(keyword));
+  }
+  return true;
+}
+
+/**
+ * The channels a notification tagged with `tags` goes to. Each channel is
+ * listed once, with every tag that picked it; channels without a profile
+ * use `profile`.
+ *
+ * @returns {{ targets: { profile: string, channel: string, tags: string[] }[], unknownTags: string[] }}
+ */
+export function routeNotification(routing, { tags = [], profile, priority, title, message }) {
+  const targets = new Map();
+  const unknownTags = [];
+
+  for (const tag of tags) {
+    const rules = routing?.get(tag);
+    if (!rules) {
+      unknownTags.push(tag);
+      continue;
+    }
+
+    for (const rule of rules.filter((candidate) => ruleMatches(candidate, { priority, title, message }))) {
+      const ruleProfile = rule.profile || profile;
+      for (const channel of rule.channels) {
+        const key = `${ruleProfile}\n${channel.toLowerCase()}`;
+        const target = targets.get(key) ?? { profile: ruleProfile, channel, tags: [] };
+        if (!target.tags.includes(tag)) target.tags.push(tag);
+        targets.set(key, target);
+      }
+    }
+  }
+
+  return { targets: [...targets.values()], unknownTags };
+}
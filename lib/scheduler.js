@@ -0,0 +1,235 @@
+// Persistent queue of notifications to send later.
+//
+// Jobs live in a JSON file so they survive restarts. On start, overdue jobs
+// are fired immediately; after that a single timer is armed for the next due
+// job. Each job keeps the result of its delivery attempt.
+
+import { randomUUID } from "node:crypto";
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { ErrorCodes, KweenklError } from "./errors.js";
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const UNIT_ALIASES = {
+  s: "s", sec: "s", secs: "s", second: "s", seconds: "s",
+  m: "m", min: "m", mins: "m", minute: "m", minutes: "m",
+  h: "h", hr: "h", hrs: "h", hour: "h", hours: "h",
+  d: "d", day: "d", days: "d",
+  w: "w", week: "w", weeks: "w",
+};
+
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const MAX_AHEAD_MS = 366 * UNIT_MS.d;
+const KEEP_FINISHED = 100;
+
+// Jobs that haven't finished, whatever else is trimmed from the file
+const UNFINISHED = ["pending", "sending"];
+
+// Parse a relative delay such as "in 2h", "90m" or "1 day 3 hours"
+export function parseDelay(value) {
+  const text = String(value).trim().toLowerCase().replace(/^in\s+/, "");
+  if (!/^(\d+(\.\d+)?\s*[a-z]+(\s*,\s*|\s+and\s+|\s*))+$/.test(text)) return null;
+
+  let total = 0;
+  for (const [, amount, word] of text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)) {
+    const unit = UNIT_ALIASES[word];
+    if (!unit) return null;
+    total += parseFloat(amount) * UNIT_MS[unit];
+  }
+
+  return Math.round(total);
+}
+
+/**
+ * Resolve `send_at` (ISO 8601 time) or `delay` (relative) into a Date.
+ * Throws with a message suitable for the model when neither is usable.
+ */
+export function resolveSendTime({ send_at, delay }, now = Date.now()) {
+  if (send_at && delay) {
+    throw new KweenklError("provide either send_at or delay, not both.", { code: ErrorCodes.VALIDATION });
+  }
+
+  let time;
+  if (send_at) {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(send_at) || Number.isNaN(Date.parse(send_at))) {
+      throw new KweenklError(`send_at must be an ISO 8601 time such as 2025-01-31T09:00:00+01:00 (got "${send_at}").`, { code: ErrorCodes.VALIDATION });
+    }
+    time = Date.parse(send_at);
+  } else if (delay) {
+    const ms = parseDelay(delay);
+    if (ms === null || ms <= 0) {
+      throw new KweenklError(`delay must look like "in 2h", "30m" or "1 day 3 hours" (got "${delay}").`, { code: ErrorCodes.VALIDATION });
+    }
+    time = now + ms;
+  } else {
+    throw new KweenklError("either send_at or delay is required.", { code: ErrorCodes.VALIDATION });
+  }
+
+  if (time < now - UNIT_MS.m) {
+    throw new KweenklError(`send time ${new Date(time).toISOString()} is in the past.`, { code: ErrorCodes.VALIDATION });
+  }
+  if (time - now > MAX_AHEAD_MS) {
+    throw new KweenklError("notifications can be scheduled at most one year ahead.", { code: ErrorCodes.VALIDATION });
+  }
+
+  return new Date(time);
+}
+
+/**
+ * Create a scheduler backed by `file`.
+ *
+ * `deliver(notification, tool)` sends one notification and resolves to an
+ * outcome object with a `status` of "sent", "suppressed" or "failed". `tool`
+ * is the one the job was scheduled with, if any.
+ */
+export function createScheduler({ file, deliver, debugLog = () => {}, now = Date.now }) {
+  let jobs = [];
+  let timer = null;
+  let running = false;
+  let firing = false;
+
+  function load() {
+    try {
+      const data = JSON.parse(readFileSync(file, "utf8"));
+      jobs = Array.isArray(data.jobs) ? data.jobs : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        debugLog(`Could not read schedule ${file}:`, error.message);
+      }
+      jobs = [];
+    }
+  }
+
+  function save() {
+    const unfinished = jobs.filter((job) => UNFINISHED.includes(job.status));
+    const finished = jobs.filter((job) => !UNFINISHED.includes(job.status)).slice(-KEEP_FINISHED);
+    jobs = [...unfinished, ...finished];
+
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ jobs }, null, 2), { mode: 0o600 });
+    renameSync(tmp, file);
+  }
+
+  async function fire(job) {
+    job.status = "sending";
+    save();
+    debugLog('Firing scheduled job:', job.id);
+
+    let outcome;
+    try {
+      outcome = await deliver(job.notification, job.tool);
+    } catch (error) {
+      outcome = { status: "failed", error: error.message };
+    }
+
+    job.status = outcome.status;
+    job.delivered_at = new Date(now()).toISOString();
+    job.result = outcome;
+    // Now the newest finished job, whatever finished while it was being sent
+    jobs = [...jobs.filter((j) => j !== job), job];
+    save();
+  }
+
+  async function runDue() {
+    if (firing) return;
+    firing = true;
+
+    try {
+      const due = jobs
+        .filter((job) => job.status === "pending" && Date.parse(job.send_at) <= now())
+        .sort((a, b) => Date.parse(a.send_at) - Date.parse(b.send_at));
+
+      for (const job of due) {
+        await fire(job);
+      }
+    } finally {
+      firing = false;
+    }
+    arm();
+  }
+
+  function arm() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!running) return;
+
+    const next = jobs
+      .filter((job) => job.status === "pending")
+      .reduce((min, job) => Math.min(min, Date.parse(job.send_at)), Infinity);
+    if (next === Infinity) return;
+
+    const wait = Math.min(Math.max(next - now(), 0), MAX_TIMER_MS);
+    timer = setTimeout(() => {
+      runDue().catch((error) => debugLog('Scheduler error:', error.message));
+    }, wait);
+    timer.unref?.();
+  }
+
+  // Load the queue and fire anything that came due while the server was down
+  async function start() {
+    running = true;
+    load();
+
+    // A job left "sending" was interrupted mid-delivery; don't risk a double send
+    for (const job of jobs.filter((j) => j.status === "sending")) {
+      job.status = "failed";
+      job.result = { status: "failed", error: "Server stopped while sending; delivery unknown" };
+    }
+
+    await runDue();
+  }
+
+  function stop() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function schedule({ notification, sendAt, label, tool }) {
+    const job = {
+      id: randomUUID(),
+      status: "pending",
+      created_at: new Date(now()).toISOString(),
+      send_at: sendAt.toISOString(),
+      label,
+      ...(tool && { tool }),
+      notification,
+    };
+    jobs.push(job);
+    save();
+    arm();
+    return job;
+  }
+
+  function list({ includeFinished = false } = {}) {
+    return jobs
+      .filter((job) => includeFinished || job.status === "pending")
+      .sort((a, b) => Date.parse(a.send_at) - Date.parse(b.send_at));
+  }
+
+  function cancel(id) {
+    const job = jobs.find((j) => j.id === id);
+    if (!job) {
+      throw new KweenklError(`No scheduled notification with ID ${id}.`, { code: ErrorCodes.NOT_FOUND });
+    }
+    if (job.status !== "pending") {
+      throw new KweenklError(`Scheduled notification ${id} is already ${job.status}.`, { code: ErrorCodes.VALIDATION });
+    }
+
+    job.status = "cancelled";
+    job.cancelled_at = new Date(now()).toISOString();
+    save();
+    arm();
+    return job;
+  }
+
+  return { start, stop, schedule, list, cancel };
+}
@@ -0,0 +1,2877 @@
+// The kweenkl MCP server: tools, resources and transports on top of
+// KweenklClient. Started by index.js when it is run as the kweenkl-mcp bin.
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { KweenklClient } from "./client.js";
+import { ErrorCodes, KweenklError, codeForError, errorJson } from "./errors.js";
+import { toolError, toolResult } from "./results.js";
+import { describeTools } from "./tool-schemas.js";
+import { httpOptionsFromEnv } from "./http.js";
+import { randomUUID } from "node:crypto";
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { parseArgs } from "node:util";
+import { dataDir, loadConfig } from "./config.js";
+import { createSendGuard, rateLimitOptions } from "./rate-limit.js";
+import { mapConcurrent } from "./concurrency.js";
+import { createScheduler, resolveSendTime } from "./scheduler.js";
+import { renderTemplate, templateVariables, validateTemplates } from "./templates.js";
+import { createOutbox, outboxOptions } from "./outbox.js";
+import { createDigest, digestOptions, digestRule } from "./digest.js";
+import { createHistory, historyOptions } from "./history.js";
+import { createConfirmations, deletionOptions, isProtected } from "./deletion.js";
+import { createPolicy, loadPolicy } from "./policy.js";
+import { MAX_ACTIONS, buildPayload, richPayloadProperties } from "./rich-payload.js";
+import { relayOptions, startRelay } from "./relay.js";
+import { channelDefinition, channelDefinitionSchema, exportDirectory, exportPath, parseDefinition, planImport } from "./channel-sync.js";
+import { routeNotification, routingOptions } from "./routing.js";
+import {
+  ASK_DEFAULT_TIMEOUT_SECONDS,
+  ASK_MAX_TIMEOUT_SECONDS,
+  createAskStore,
+  waitForResponse,
+} from "./asks.js";
+import { DEFAULT_HTTP_HOST, DEFAULT_HTTP_PORT, startHttpTransport } from "./http-transport.js";
+import {
+  CHANNELS_URI,
+  CHANNEL_URI_TEMPLATE,
+  channelJson,
+  channelResource,
+  parseChannelUri,
+} from "./resources.js";
+import { loadProfiles, profileJson, resolveAlias, unknownProfileError } from "./profiles.js";
+import { createRedactor, maskToken } from "./redact.js";
+import { auditOptions, createAuditLog } from "./audit.js";
+import {
+  HEX_COLOR_PATTERN,
+  ID_PATTERN,
+  UUID_PATTERN,
+  WEBHOOK_TOKEN_PATTERN,
+  checkNotification,
+  describeErrors,
+  iconNames,
+  validateToolArguments,
+  validationOptions,
+} from "./validate.js";
+
+const DEBUG = process.env.KWEENKL_DEBUG === 'true';
+// Sends and channel changes are checked and logged, but never made
+const DRY_RUN = process.env.KWEENKL_DRY_RUN === 'true';
+
+// Every known secret is masked before it reaches a log, error or result
+const redactor = createRedactor();
+
+// Settings and state read from the config file, the policy file and the data
+// directory. Nothing is read when this module is imported: setup() fills them
+// in when the server starts, or on the first call of an exported function.
+let ready = false;
+let templates;
+let validation;
+let deletion;
+let policySettings;
+let relaySettings;
+let routing;
+let profiles;
+let defaultProfile;
+let CHANNELS_ENABLED;
+let CHANNEL_ARG_ENABLED;
+let RESOURCES_ENABLED;
+let STATE_DIR;
+let audit;
+let history;
+let sendGuard;
+let policy;
+let outbox;
+let asks;
+let digest;
+let digestRules;
+let scheduler;
+let confirmations;
+
+function setup() {
+  if (ready) return;
+
+  const config = loadConfig();
+  templates = validateTemplates(config.templates);
+  validation = validationOptions(config.validation);
+  deletion = deletionOptions(config.channel_deletion);
+  policySettings = loadPolicy();
+  relaySettings = relayOptions(config.relay);
+  routing = routingOptions(config.routing);
+  ({ profiles, defaultProfile } = loadProfiles(config));
+
+  for (const route of relaySettings?.routes.values() ?? []) {
+    const profile = profiles.get(route.profile || defaultProfile);
+    if (!profile) {
+      throw new Error(`Invalid kweenkl config: relay.routes["${route.name}"].profile "${route.profile}" is not a configured profile`);
+    }
+    if (!route.channel && !route.webhook_token && !profile.defaultChannel) {
+      throw new Error(`Invalid kweenkl config: relay.routes["${route.name}"] needs a channel or webhook_token, as profile "${profile.name}" has no default channel`);
+    }
+  }
+
+  for (const rule of [...routing?.values() ?? []].flat()) {
+    if (rule.profile && !profiles.has(rule.profile)) {
+      throw new Error(`Invalid kweenkl config: routing tag "${rule.tag}" uses profile "${rule.profile}", which is not a configured profile`);
+    }
+  }
+
+  // Channel tools are offered when at least one profile can manage channels;
+  // the channel argument also works with aliases and default channels
+  CHANNELS_ENABLED = [...profiles.values()].some((profile) => profile.deviceToken);
+  CHANNEL_ARG_ENABLED = [...profiles.values()].some(
+    (profile) => profile.deviceToken || profile.defaultChannel || Object.keys(profile.aliases).length > 0
+  );
+  // Channel resources need the default profile's device token to list channels
+  RESOURCES_ENABLED = !!profiles.get(defaultProfile).deviceToken;
+
+  redactor.addCredential(process.env.KWEENKL_HTTP_TOKEN, ...[...profiles.values()].map((profile) => profile.deviceToken));
+  for (const profile of profiles.values()) {
+    for (const target of Object.values(profile.aliases)) redactor.addWebhookToken(target.webhook_token);
+  }
+  for (const template of Object.values(templates)) redactor.addWebhookToken(template.webhook_token);
+  for (const token of policySettings?.allowedTokens ?? []) redactor.addWebhookToken(token);
+  for (const route of relaySettings?.routes.values() ?? []) {
+    redactor.addCredential(route.secret, route.token);
+    redactor.addWebhookToken(route.webhook_token);
+  }
+
+  // Dry runs keep scheduled, queued and held notifications apart, so they are
+  // never replayed for real (or real ones dropped as simulated)
+  STATE_DIR = DRY_RUN ? join(dataDir(), "dry-run") : dataDir();
+
+  // Opt-in record of sends and channel changes
+  const auditSettings = auditOptions(config.audit, dataDir());
+  audit = auditSettings && createAuditLog({
+    file: auditSettings.file,
+    includeContent: auditSettings.include_content !== false,
+    redact: redactor.redact,
+  });
+
+  // Local record of sent notifications, for kweenkl_list_notifications
+  const historySettings = historyOptions(config.history, STATE_DIR);
+  history = historySettings && createHistory({
+    file: historySettings.file,
+    maxEntries: historySettings.max_entries,
+    redact: redactor.redact,
+    debugLog,
+  });
+
+  sendGuard = createSendGuard(rateLimitOptions(config.rate_limit));
+
+  // Optional sending policy (see lib/policy.js), checked before anything is sent
+  policy = policySettings && createPolicy({
+    policy: policySettings,
+    file: join(STATE_DIR, "quotas.json"),
+    debugLog,
+  });
+
+  // Durable outbox for failed sends (opt-in)
+  const outboxSettings = outboxOptions(config.outbox);
+  outbox = outboxSettings && createOutbox({
+    file: join(STATE_DIR, "outbox.jsonl"),
+    send: replayOutboxItem,
+    options: outboxSettings,
+    debugLog,
+  });
+
+  // Questions asked with kweenkl_ask, so kweenkl_get_response can check them later
+  asks = createAskStore({ file: join(STATE_DIR, "asks.json"), debugLog });
+
+  // Digests of low-priority notifications (opt-in per channel)
+  digestRules = digestOptions(config.digest);
+  digest = digestRules && createDigest({
+    file: join(STATE_DIR, "digest.json"),
+    send: (group, summary) => deliverKweenkl({
+      profile: group.profile,
+      webhook_token: group.webhook_token,
+      channel: group.label,
+      ...summary,
+    }, "digest"),
+    maxLength: validation.max_message_length,
+    debugLog,
+  });
+
+  // Scheduled notifications
+  scheduler = createScheduler({
+    file: join(STATE_DIR, "scheduled.json"),
+    deliver: (notification, tool = "kweenkl_schedule") => deliverKweenkl(notification, tool),
+    debugLog,
+  });
+
+  // Deletions need a confirmation token from a first, previewing call
+  confirmations = createConfirmations({ ttlSeconds: deletion.confirmation_ttl_seconds });
+
+  ready = true;
+}
+
+function debugLog(...args) {
+  if (DEBUG) {
+    console.error('[kweenkl-debug]', ...args.map((arg) => redactor.redact(arg)));
+  }
+}
+
+// Dry-run actions are always logged, so it's clear what would have happened
+function dryRunLog(...args) {
+  console.error('[kweenkl-dry-run]', ...args.map((arg) => redactor.redact(arg)));
+}
+
+// Per-profile API client, created on first use
+const contexts = new Map();
+
+function profileContext(name = defaultProfile) {
+  const profile = profiles.get(name);
+  if (!profile) throw unknownProfileError(name, profiles);
+
+  if (!contexts.has(name)) {
+    contexts.set(name, {
+      profile,
+      client: new KweenklClient({
+        apiUrl: profile.apiUrl,
+        deviceToken: profile.deviceToken,
+        httpOptions: httpOptionsFromEnv(),
+        dryRun: DRY_RUN,
+        debugLog,
+      }),
+    });
+  }
+  return contexts.get(name);
+}
+
+// Suffix for tool results when a request needed more than one attempt
+function attemptsNote(attempts) {
+  return attempts > 1 ? ` (after ${attempts} attempts)` : '';
+}
+
+function retriedLine(attempts) {
+  return attempts > 1 ? `\n🔁 Succeeded after ${attempts} attempts` : '';
+}
+
+// Define all kweenkl tools
+async function listTools() {
+  debugLog('Tool list requested');
+
+  // Only offered when there is more than one account to choose from
+  const profileArg = profiles.size > 1 && {
+    profile: {
+      type: "string",
+      enum: [...profiles.keys()],
+      description: `Profile (account) to use (default: ${defaultProfile}). See kweenkl_list_profiles.`,
+    },
+  };
+
+  const webhookToken = { type: "string", pattern: WEBHOOK_TOKEN_PATTERN };
+  const channelRef = { type: "string", minLength: 1, maxLength: 100 };
+  const channelId = { type: ["string", "integer"], pattern: ID_PATTERN };
+  const messageLimit = `Maximum ${validation.max_message_length} characters`;
+  const titleLimit = `max ${validation.max_title_length} characters`;
+
+  const tools = [
+    {
+      name: "kweenkl",
+      description: "Send a push notification using kweenkl. The verb 'kweenkl' means to send a notification. Use this to notify users about important events, updates, or information that requires immediate attention." +
+        (policy ? " A sending policy applies: it may refuse a channel, lower the priority, or hold the notification for quiet hours or a used-up daily quota; the result's policy field explains what it did." : ""),
+      inputSchema: {
+        type: "object",
+        properties: {
+          webhook_token: {
+            ...webhookToken,
+            description: CHANNEL_ARG_ENABLED
+              ? "The webhook token for your kweenkl channel. Format: UUID-like string. Not needed when 'channel' is provided."
+              : "The webhook token for your kweenkl channel. Format: UUID-like string. Can be found in the kweenkl iOS app by opening a channel and viewing 'Channel Info'.",
+          },
+          ...(CHANNEL_ARG_ENABLED && {
+            channel: {
+              ...channelRef,
+              description: "Name, ID or alias of the channel to notify (e.g., 'Production Alerts'). Names are matched case-insensitively. Use instead of webhook_token; defaults to the profile's default channel.",
+            },
+          }),
+          ...(routing && {
+            tags: {
+              type: "array",
+              minItems: 1,
+              items: { type: "string", enum: [...routing.keys()] },
+              description: `Routing tags (${[...routing.keys()].join(", ")}): send to every channel the config's routing rules pick for them, e.g. ['ops']. Rules can depend on the priority and on keywords in the text. Can be combined with webhook_token or channel; the result reports each channel.`,
+            },
+          }),
+          message: {
+            type: "string",
+            minLength: 1,
+            description: `The notification message content. Should be clear, concise, and actionable. ${messageLimit} for optimal mobile display.`,
+          },
+          title: {
+            type: "string",
+            description: `Optional title for the notification. Should be brief (${titleLimit}). If omitted, only the message will be shown.`,
+          },
+          priority: {
+            type: "string",
+            enum: ["low", "normal", "high"],
+            description: "Priority level for the notification. 'high' = urgent/critical alerts, 'normal' = standard updates (default), 'low' = non-urgent information.",
+          },
+          ...richPayloadProperties(),
+          payload: {
+            type: "object",
+            description: `Optional custom JSON payload for additional metadata your app might process. Prefer deep_link, image_url, actions, category and thread_id for those; they are merged into the payload. At most ${validation.max_payload_bytes} bytes as JSON and ${validation.max_payload_depth} levels deep.`,
+          },
+          ...profileArg,
+        },
+        required: CHANNEL_ARG_ENABLED || routing ? ["message"] : ["webhook_token", "message"],
+      },
+    },
+    {
+      name: "kweenkl_batch",
+      description: `Send several kweenkl notifications in one call, e.g. to report to multiple channels at the end of a run. Items are sent in parallel and one failing item does not stop the others. Returns a result table with one row per item. Maximum ${BATCH_MAX_ITEMS} items.`,
+      inputSchema: {
+        type: "object",
+        properties: {
+          items: {
+            type: "array",
+            description: "The notifications to send. Each item takes the same arguments as the kweenkl tool.",
+            minItems: 1,
+            maxItems: BATCH_MAX_ITEMS,
+            items: {
+              type: "object",
+              properties: {
+                webhook_token: {
+                  ...webhookToken,
+                  description: "The webhook token of the channel to notify",
+                },
+                ...(CHANNEL_ARG_ENABLED && {
+                  channel: {
+                    ...channelRef,
+                    description: "Name, ID or alias of the channel to notify. Use instead of webhook_token.",
+                  },
+                }),
+                message: {
+                  type: "string",
+                  minLength: 1,
+                  description: `The notification message content (${messageLimit.toLowerCase()})`,
+                },
+                title: {
+                  type: "string",
+                  description: `Optional title for the notification (${titleLimit})`,
+                },
+                priority: {
+                  type: "string",
+                  enum: ["low", "normal", "high"],
+                  description: "Priority level for the notification (default: normal)",
+                },
+                ...richPayloadProperties(),
+                payload: {
+                  type: "object",
+                  description: "Optional custom JSON payload; deep_link, image_url, actions, category and thread_id are merged into it",
+                },
+                ...profileArg,
+              },
+              required: ["message"],
+            },
+          },
+          concurrency: {
+            type: "integer",
+            minimum: 1,
+            maximum: BATCH_MAX_CONCURRENCY,
+            description: `How many notifications to send at once (default: ${BATCH_DEFAULT_CONCURRENCY})`,
+          },
+          ...(profileArg && {
+            profile: { ...profileArg.profile, description: `${profileArg.profile.description} Items can override it.` },
+          }),
+        },
+        required: ["items"],
+      },
+    },
+    {
+      name: "kweenkl_ask",
+      description: "Ask the user a question on their phone and wait for the answer. Sends a notification with action buttons, then waits until one is tapped or the timeout passes, reporting progress while it waits. Returns the chosen action, or status 'timeout' if there was no answer yet; check again later with kweenkl_get_response. Replies need a kweenkl API that supports them; if it doesn't, the question is still sent and the result is a NOT_FOUND error. Use this for approvals and quick decisions, e.g. 'Deploy to production?' with Approve and Reject.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          webhook_token: {
+            ...webhookToken,
+            description: "The webhook token of the channel to ask in. Not needed when 'channel' is provided.",
+          },
+          ...(CHANNEL_ARG_ENABLED && {
+            channel: {
+              ...channelRef,
+              description: "Name, ID or alias of the channel to ask in. Use instead of webhook_token; defaults to the profile's default channel.",
+            },
+          }),
+          message: {
+            type: "string",
+            minLength: 1,
+            description: `The question, e.g. 'Deploy v1.4 to production?'. ${messageLimit}.`,
+          },
+          title: {
+            type: "string",
+            description: `Optional title for the notification (${titleLimit})`,
+          },
+          priority: {
+            type: "string",
+            enum: ["low", "normal", "high"],
+            description: "Priority level for the notification (default: normal)",
+          },
+          actions: {
+            ...richPayloadProperties().actions,
+            description: `The possible answers as buttons, at most ${MAX_ACTIONS}. The chosen action ID is returned.`,
+          },
+          timeout_seconds: {
+            type: "integer",
+            minimum: 1,
+            maximum: ASK_MAX_TIMEOUT_SECONDS,
+            description: `How long to wait for an answer (default: ${ASK_DEFAULT_TIMEOUT_SECONDS}, max: ${ASK_MAX_TIMEOUT_SECONDS}). Some clients give up on long tool calls; use kweenkl_get_response to check for a late answer.`,
+          },
+          ...profileArg,
+        },
+        required: CHANNEL_ARG_ENABLED ? ["message", "actions"] : ["webhook_token", "message", "actions"],
+      },
+    },
+    {
+      name: "kweenkl_get_response",
+      description: "Check whether a question sent with kweenkl_ask has been answered, without waiting. Returns the chosen action, or status 'pending'.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          notification_id: {
+            type: "string",
+            minLength: 1,
+            description: "The notification_id returned by kweenkl_ask",
+          },
+        },
+        required: ["notification_id"],
+      },
+    },
+    {
+      name: "kweenkl_schedule",
+      description: "Schedule a kweenkl notification to be sent later, either at an exact time or after a delay. Scheduled notifications survive server restarts; overdue ones are sent when the server starts. Use this for reminders such as 'remind me tomorrow at 9'.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          webhook_token: {
+            ...webhookToken,
+            description: "The webhook token of the channel to notify",
+          },
+          ...(CHANNEL_ARG_ENABLED && {
+            channel: {
+              ...channelRef,
+              description: "Name, ID or alias of the channel to notify. Use instead of webhook_token.",
+            },
+          }),
+          message: {
+            type: "string",
+            minLength: 1,
+            description: `The notification message content (${messageLimit.toLowerCase()})`,
+          },
+          title: {
+            type: "string",
+            description: `Optional title for the notification (${titleLimit})`,
+          },
+          priority: {
+            type: "string",
+            enum: ["low", "normal", "high"],
+            description: "Priority level for the notification (default: normal)",
+          },
+          payload: {
+            type: "object",
+            description: "Optional custom JSON payload",
+          },
+          send_at: {
+            type: "string",
+            minLength: 1,
+            description: "When to send, as an ISO 8601 time with a UTC offset (e.g., '2025-01-31T09:00:00+01:00'). Use either send_at or delay.",
+          },
+          delay: {
+            type: "string",
+            minLength: 1,
+            description: "How long to wait before sending (e.g., 'in 2h', '30m', '1 day 3 hours'). Use either send_at or delay.",
+          },
+          ...profileArg,
+        },
+        required: CHANNEL_ARG_ENABLED ? ["message"] : ["webhook_token", "message"],
+      },
+    },
+    {
+      name: "kweenkl_list_scheduled",
+      description: "List scheduled kweenkl notifications with their send times. Set include_finished to also see sent, failed and cancelled ones with their delivery results.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          include_finished: {
+            type: "boolean",
+            description: "Also list notifications that were already sent, failed or cancelled (default: false)",
+          },
+        },
+        required: [],
+      },
+    },
+    {
+      name: "kweenkl_cancel_scheduled",
+      description: "Cancel a pending scheduled kweenkl notification so it is never sent.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          schedule_id: {
+            type: "string",
+            pattern: UUID_PATTERN,
+            description: "The schedule ID returned by kweenkl_schedule (get this from kweenkl_list_scheduled)",
+          },
+        },
+        required: ["schedule_id"],
+      },
+    }
+  ];
+
+  // Add outbox tools if the outbox is enabled
+  if (outbox) {
+    tools.push(
+      {
+        name: "kweenkl_outbox_status",
+        description: "Show kweenkl notifications that failed to send and are waiting in the local outbox to be retried, with their attempts and last error.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "kweenkl_outbox_flush",
+        description: "Try to deliver notifications waiting in the outbox right now instead of waiting for the background retry. Replays never notify twice.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            outbox_id: {
+              type: "string",
+              pattern: UUID_PATTERN,
+              description: "Optional ID of a single outbox item to retry (get this from kweenkl_outbox_status). Omit to retry everything.",
+            },
+          },
+          required: [],
+        },
+      }
+    );
+  }
+
+  // Add digest tools if any channel has a digest
+  if (digest) {
+    tools.push(
+      {
+        name: "kweenkl_digest_status",
+        description: "Show low-priority kweenkl notifications held for a digest, per channel, with when each digest will be sent. High priority notifications are never held.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "kweenkl_digest_flush",
+        description: "Send held digests now as one summary notification per channel, instead of waiting for their interval.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            digest_id: {
+              type: "string",
+              pattern: UUID_PATTERN,
+              description: "Optional ID of a single digest to send (get this from kweenkl_digest_status). Omit to send every digest.",
+            },
+          },
+          required: [],
+        },
+      }
+    );
+  }
+
+  // Add template tools if any templates are configured
+  if (Object.keys(templates).length > 0) {
+    tools.push(
+      {
+        name: "kweenkl_list_templates",
+        description: "List the configured kweenkl notification templates with their default channel and the variables each one needs. Use this before kweenkl_send_template.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "kweenkl_send_template",
+        description: "Send a kweenkl notification from a named template. The template supplies the title, message, priority, payload and default channel; you supply the variables it needs (see kweenkl_list_templates).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            template: {
+              type: "string",
+              enum: Object.keys(templates),
+              description: "Name of the template to send",
+            },
+            variables: {
+              type: "object",
+              description: "Values for the template's {{variables}}, e.g. { \"service\": \"api\", \"version\": \"1.4.2\" }",
+              additionalProperties: {
+                type: ["string", "number", "boolean"],
+              },
+            },
+            webhook_token: {
+              ...webhookToken,
+              description: "Optional webhook token to send to instead of the template's default channel",
+            },
+            ...(CHANNEL_ARG_ENABLED && {
+              channel: {
+                ...channelRef,
+                description: "Optional channel name, ID or alias to send to instead of the template's default channel",
+              },
+            }),
+            priority: {
+              type: "string",
+              enum: ["low", "normal", "high"],
+              description: "Optional priority overriding the template's default",
+            },
+            ...profileArg,
+          },
+          required: ["template"],
+        },
+      }
+    );
+  }
+
+  // Add channel management tools if a profile has a device token
+  if (CHANNELS_ENABLED) {
+    tools.push(
+      {
+        name: "kweenkl_list_channels",
+        description: "List all your kweenkl notification channels with their webhook URLs. Use this to see what channels you have and get their webhook tokens.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...profileArg,
+          },
+          required: [],
+        },
+      },
+      {
+        name: "kweenkl_create_channel",
+        description: "Create a new kweenkl notification channel. Returns the channel details including the webhook URL that you can use to send notifications.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              ...channelRef,
+              description: "Name for the new channel (e.g., 'Production Alerts', 'Daily Reports')",
+            },
+            description: {
+              type: "string",
+              description: "Optional description of what this channel is for",
+            },
+            color: {
+              type: "string",
+              pattern: HEX_COLOR_PATTERN,
+              description: "Optional hex color code for the channel (e.g., '#FF0000' for red). Default: #007AFF",
+            },
+            icon: {
+              type: "string",
+              enum: iconNames(validation),
+              description: "Optional icon name for the channel. Default: 'bell'",
+            },
+            ...profileArg,
+          },
+          required: ["name"],
+        },
+      },
+      {
+        name: "kweenkl_update_channel",
+        description: "Update a kweenkl channel's name, description, color, or icon. Use this to rename or modify existing channels.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              ...channelId,
+              description: "The ID of the channel to update (get this from kweenkl_list_channels)",
+            },
+            name: {
+              ...channelRef,
+              description: "New name for the channel",
+            },
+            description: {
+              type: "string",
+              description: "New description for the channel",
+            },
+            color: {
+              type: "string",
+              pattern: HEX_COLOR_PATTERN,
+              description: "New hex color code (e.g., '#FF0000')",
+            },
+            icon: {
+              type: "string",
+              enum: iconNames(validation),
+              description: "New icon name",
+            },
+            ...profileArg,
+          },
+          required: ["channel_id"],
+        },
+      },
+      {
+        name: "kweenkl_export_channels",
+        description: "Export all kweenkl channels of a profile (name, description, color and icon) as a channel definition, to back up a setup or copy it to another account with kweenkl_import_channels. Returns the definition, and writes it to a JSON file when 'file' is given. Webhook URLs are not exported.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            file: {
+              type: "string",
+              minLength: 1,
+              maxLength: 255,
+              description: `File name to write the definition to, inside the export directory (${exportDirectory()}), e.g. 'channels.json'. Omit to only return it.`,
+            },
+            ...profileArg,
+          },
+          required: [],
+        },
+      },
+      {
+        name: "kweenkl_import_channels",
+        description: "Make the account's channels match a channel definition from kweenkl_export_channels: create missing channels and update the description, color and icon of changed ones (matched by name). Channels not in the definition are reported as extras and kept" +
+          (deletion.enabled ? ", unless delete_extras is set. Deleting extras needs the confirmation token of a dry run with delete_extras." : ".") +
+          " Call with dry_run first and show the changes to the user. The result lists the webhook URLs of created channels, so secret stores can be updated.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            file: {
+              type: "string",
+              minLength: 1,
+              maxLength: 255,
+              description: `Definition file inside the export directory (${exportDirectory()}), e.g. 'channels.json'`,
+            },
+            channels: {
+              type: "array",
+              items: channelDefinitionSchema(iconNames(validation)),
+              description: "The channels to import, instead of file: each with a name, and optionally a description, color and icon",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Only show what would be created, updated and deleted, without changing anything (default: false)",
+            },
+            ...(deletion.enabled && {
+              delete_extras: {
+                type: "boolean",
+                description: "Also delete channels that are not in the definition, except protected ones (default: false). Deleting removes their notifications too.",
+              },
+              confirm: {
+                type: "string",
+                minLength: 1,
+                maxLength: 100,
+                description: "Confirmation token from a dry run with delete_extras; needed to delete extras",
+              },
+            }),
+            ...profileArg,
+          },
+          required: [],
+        },
+      }
+    );
+
+    // Not offered at all when the config disables deletion
+    if (deletion.enabled) {
+      tools.push({
+        name: "kweenkl_delete_channel",
+        description: "Delete a kweenkl notification channel. This permanently removes the channel and all its notifications. Deleting takes two calls: the first (without confirm) only shows the channel's name and notification count and returns a confirmation token. Check with the user, then call again with confirm set to the token or the channel's exact name.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              ...channelId,
+              description: "The ID of the channel to delete (get this from kweenkl_list_channels)",
+            },
+            confirm: {
+              type: "string",
+              minLength: 1,
+              maxLength: 100,
+              description: `Confirmation token from the first call (valid for ${Math.round(deletion.confirmation_ttl_seconds / 60) || 1} minute(s)), or the channel's exact name. Omit to preview the deletion.`,
+            },
+            ...profileArg,
+          },
+          required: ["channel_id"],
+        },
+      });
+    }
+  }
+
+  // History comes from the API with a device token, else from the local record
+  if (history || CHANNELS_ENABLED) {
+    tools.push({
+      name: "kweenkl_list_notifications",
+      description: "List the recent notifications of a channel, newest first, with their ID, title, message, priority and time. Check this before alerting about something again, e.g. after a context reset, to avoid sending the same notification twice.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          channel: {
+            ...channelRef,
+            description: "Channel name, ID or alias",
+          },
+          webhook_token: {
+            ...webhookToken,
+            description: "Webhook token of the channel, instead of channel. Only notifications sent by this server are listed for webhook tokens.",
+          },
+          limit: {
+            type: "integer",
+            minimum: 1,
+            maximum: HISTORY_MAX_LIMIT,
+            description: `Maximum notifications to return (default: ${HISTORY_DEFAULT_LIMIT}, max: ${HISTORY_MAX_LIMIT})`,
+          },
+          offset: {
+            type: "integer",
+            minimum: 0,
+            description: "Number of notifications to skip, for paging (default: 0)",
+          },
+          since: {
+            type: "string",
+            description: "Only notifications sent at or after this ISO 8601 time (e.g. '2025-01-31T08:00:00Z')",
+          },
+          until: {
+            type: "string",
+            description: "Only notifications sent at or before this ISO 8601 time",
+          },
+          ...profileArg,
+        },
+        required: [],
+      },
+    });
+  }
+
+  tools.push({
+    name: "kweenkl_list_profiles",
+    description: "List the configured kweenkl profiles (accounts) with their default channel, channel aliases and whether they can manage channels. Pass a profile name as the 'profile' argument of other tools.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+    },
+  });
+
+  return { tools: describeTools(tools) };
+}
+
+async function replayOutboxItem(item) {
+  let context;
+  try {
+    context = profileContext(item.profile);
+  } catch (error) {
+    // The profile was removed from the config; replaying can never succeed
+    return { status: "failed", error: error.message, code: codeForError(error), retryable: false };
+  }
+
+  const started = Date.now();
+  const { message, title, priority, payload } = item.body;
+
+  // A replay is checked against the sending policy again: the rules, or the
+  // time of day, may not let it go out now
+  const checked = applyPolicy({ profile: context.profile.name, channel: item.channel, webhook_token: item.webhook_token, message, title, priority, payload });
+  let outcome = checked.outcome;
+  // Replays take rate limit tokens too, so a backlog doesn't reach the phone
+  // all at once after an outage; without one the item waits in the outbox
+  const limited = !outcome && sendGuard.throttle(item.webhook_token);
+  if (limited) {
+    outcome = { status: "failed", error: limited.message, code: ErrorCodes.RATE_LIMITED, retryable: true, retryAfterSeconds: limited.retryAfterSeconds };
+  } else if (!outcome) {
+    const body = checked.notification.priority === priority ? item.body : { ...item.body, priority: checked.notification.priority };
+    outcome = await postWebhook(context, item.webhook_token, body, item.idempotency_key);
+  }
+  if (checked.release && outcome.status !== "sent") checked.release();
+  if (checked.decisions.length > 0) outcome = { ...outcome, policy: checked.decisions };
+
+  audit?.record({
+    tool: "outbox_replay",
+    profile: context.profile.name,
+    target: item.channel || `webhook ${maskToken(item.webhook_token)}`,
+    priority: checked.notification?.priority || priority || "normal",
+    title,
+    message,
+    outcome: outcome.status,
+    latency_ms: Date.now() - started,
+    outbox_id: item.id,
+    notification_id: outcome.notificationId,
+    schedule_id: outcome.scheduleId,
+    reason: outcome.reason,
+    policy: outcome.policy?.map((decision) => decision.rule),
+    error_code: outcome.code,
+    http_status: outcome.httpStatus,
+  });
+
+  if (outcome.status === "sent") {
+    history?.record({
+      profile: context.profile.name,
+      channel: item.channel,
+      webhook_token: item.webhook_token,
+      id: outcome.notificationId,
+      title,
+      message,
+      priority: checked.notification.priority,
+    });
+  }
+
+  return outcome;
+}
+
+function outboxItemJson(item) {
+  const json = {
+    id: item.id,
+    target: `webhook …${item.webhook_token.slice(-4)}`,
+    message: item.body.message,
+    created_at: item.created_at,
+    attempts: item.attempts,
+    last_error: item.last_error,
+    next_attempt_at: item.next_attempt_at,
+  };
+  if (item.body.title) json.title = item.body.title;
+  return json;
+}
+
+function describeOutboxItem(item) {
+  let output = `**${item.body.title || item.body.message.slice(0, 50)}**\n`;
+  output += `   ID: ${item.id}\n`;
+  output += `   Target: webhook …${item.webhook_token.slice(-4)}\n`;
+  output += `   Queued: ${item.created_at}\n`;
+  output += `   Attempts: ${item.attempts}\n`;
+  output += `   Last error: ${item.last_error}\n`;
+  return output;
+}
+
+async function outboxStatus() {
+  const items = outbox.list();
+
+  if (items.length === 0) {
+    return toolResult("📭 Outbox is empty. Every notification has been delivered.", { items: [] });
+  }
+
+  let output = `📮 Outbox: ${items.length} notification(s) waiting to be delivered\n\n`;
+  items.forEach((item, i) => {
+    output += `${i + 1}. ${describeOutboxItem(item)}`;
+    output += `   Next attempt: ${item.next_attempt_at}\n\n`;
+  });
+
+  return toolResult(output, { items: items.map(outboxItemJson) });
+}
+
+async function outboxFlush({ outbox_id } = {}) {
+  debugLog('Flushing outbox:', outbox_id || 'all');
+
+  const results = await outbox.flush({ id: outbox_id });
+
+  if (results.length === 0) {
+    if (outbox_id) {
+      const message = `No pending outbox item with ID ${outbox_id}.`;
+      return toolError(`❌ ${message}`, { code: ErrorCodes.NOT_FOUND, message });
+    }
+    return toolResult("📭 Outbox is empty. Nothing to flush.", { delivered: 0, results: [] });
+  }
+
+  const delivered = results.filter(({ result }) => result.status === "sent").length;
+  let output = `📮 Outbox flush: ${delivered} of ${results.length} delivered\n\n`;
+  results.forEach(({ item, result }, i) => {
+    const label = item.body.title || item.body.message.slice(0, 50);
+    if (result.status === "sent") {
+      output += `${i + 1}. ✅ **${label}** delivered (Notification ID: ${result.notificationId}, ${result.subscribersNotified} subscriber(s))\n`;
+    } else if (result.status === "deferred") {
+      output += `${i + 1}. 🌙 **${label}** held for quiet hours: it will be sent at ${result.sendAt} (Schedule ID: ${result.scheduleId})\n`;
+    } else if (result.status === "suppressed") {
+      output += `${i + 1}. ⏸️ **${label}** removed from outbox, not sent: ${result.message}\n`;
+    } else if (result.status === "dropped" || result.status === "expired") {
+      output += `${i + 1}. 🗑️ **${label}** removed from outbox (${result.status}): ${result.error}\n`;
+    } else {
+      output += `${i + 1}. ❌ **${label}** still failing: ${result.error}. Will retry in the background.\n`;
+    }
+  });
+
+  return toolResult(output, {
+    delivered,
+    results: results.map(({ item, result }) => ({ item: outboxItemJson(item), result: outcomeJson(result) })),
+  });
+}
+
+// Send a prepared body to a webhook. The idempotency key travels with every
+// attempt, including outbox replays, so the API never notifies twice.
+async function postWebhook({ client }, webhook_token, body, idempotencyKey) {
+  try {
+    const { notificationId, subscribersNotified, attempts, dryRun } = await client.send({
+      webhookToken: webhook_token,
+      ...body,
+      idempotencyKey,
+    });
+
+    if (dryRun) {
+      dryRunLog(`Would send to webhook ${maskToken(webhook_token)}:`, body);
+      return { status: "sent", subscribersNotified, notificationId, attempts, dryRun };
+    }
+
+    debugLog('Success:', { subscribersNotified, notificationId, attempts });
+    return { status: "sent", subscribersNotified, notificationId, attempts };
+  } catch (error) {
+    debugLog('Send failed:', error);
+    return {
+      status: "failed",
+      error: error.message,
+      code: codeForError(error),
+      httpStatus: error.httpStatus,
+      // Rejected requests won't succeed later; timeouts, 429 and 5xx might
+      retryable: !error.httpStatus || error.httpStatus === 408 || error.httpStatus === 429 || error.httpStatus >= 500,
+      attempts: error.attempts,
+    };
+  }
+}
+
+// Send a notification and describe the outcome as plain data:
+// { status: "sent" | "suppressed" | "queued" | "failed", ... }
+async function sendNotification({ profile, channel, webhook_token, message, title, priority, payload }) {
+  debugLog('Executing kweenkl:', { profile, message, title, priority, hasPayload: !!payload });
+
+  const context = profileContext(profile);
+  redactor.addWebhookToken(webhook_token);
+
+  // Suppressed sends are not errors: the model should stop, not retry
+  const suppressed = sendGuard.check({ webhook_token, message, title, priority });
+  if (suppressed) {
+    debugLog('Send suppressed:', suppressed.reason);
+    return { status: "suppressed", ...suppressed };
+  }
+
+  const repeats = sendGuard.coalesced({ webhook_token, message, title, priority });
+
+  // Construct request body
+  const body = {
+    message: repeats > 0 ? `${message}\n(repeated ${repeats} more time(s) since last sent)` : message,
+  };
+
+  if (title) body.title = title;
+  if (priority) body.priority = priority;
+  if (payload) body.payload = payload;
+
+  debugLog('Request body:', body);
+
+  const idempotencyKey = randomUUID();
+  const outcome = await postWebhook(context, webhook_token, body, idempotencyKey);
+
+  if (outcome.status === "sent") {
+    sendGuard.record({ webhook_token, message, title, priority });
+  } else if (outbox && outcome.retryable) {
+    // Queued notifications still go out, so repeats of them are duplicates too
+    sendGuard.record({ webhook_token, message, title, priority });
+    const item = outbox.add({
+      profile: context.profile.name,
+      channel,
+      webhook_token,
+      body,
+      idempotency_key: idempotencyKey,
+      error: outcome.error,
+    });
+    debugLog('Saved to outbox:', item.id);
+    return { ...outcome, status: "queued", outboxId: item.id, nextAttemptAt: item.next_attempt_at };
+  } else {
+    sendGuard.release({ webhook_token, message, title, priority });
+  }
+
+  return outcome;
+}
+
+// Check a notification against the sending policy. Returns the notification
+// to send, its priority possibly lowered, or the outcome when the policy
+// doesn't let it go out now; `decisions` explain either. A deferred digest
+// summary keeps its `tool`, so it is still sent as one when quiet hours end.
+function applyPolicy(notification, tool) {
+  if (!policy) return { notification, decisions: [] };
+
+  const { profile, channel, webhook_token, priority } = notification;
+  const alias = channel && resolveAlias(profiles.get(profile || defaultProfile), channel);
+  const verdict = policy.check({ channels: [channel, alias?.channel], webhook_token, priority: priority || "normal" });
+  const { decisions } = verdict;
+  if (decisions.length > 0) debugLog('Policy:', decisions.map((decision) => decision.message));
+
+  if (verdict.action === "deny") {
+    return {
+      outcome: { status: "failed", error: `Not allowed: ${verdict.message}`, code: ErrorCodes.FORBIDDEN, retryable: false },
+      decisions,
+    };
+  }
+  if (verdict.action === "suppress") {
+    return {
+      outcome: { status: "suppressed", reason: "quota_exceeded", message: verdict.message, retryAfterSeconds: verdict.retryAfterSeconds },
+      decisions,
+    };
+  }
+
+  const allowed = verdict.priority === (priority || "normal") ? notification : { ...notification, priority: verdict.priority };
+  if (verdict.action === "defer") {
+    const target = channel || `webhook …${webhook_token.slice(-4)}`;
+    const job = scheduler.schedule({
+      notification: allowed,
+      sendAt: verdict.sendAt,
+      label: `${target} (quiet hours)`,
+      tool: tool === "digest" ? tool : undefined,
+    });
+    return { outcome: { status: "deferred", scheduleId: job.id, sendAt: job.send_at }, decisions };
+  }
+  return {
+    notification: allowed,
+    decisions,
+    release: verdict.counted && (() => policy.release({ channels: [channel, alias?.channel], webhook_token })),
+  };
+}
+
+// Send a notification and record it in the audit log. `channel` only labels
+// the target; the webhook token decides where it goes.
+async function deliverKweenkl(requested, tool = "kweenkl") {
+  const started = Date.now();
+  const checked = applyPolicy(requested, tool);
+  const notification = checked.notification ?? requested;
+  let outcome = checked.outcome;
+
+  if (!outcome) {
+    const rule = digestFor(notification, tool);
+    outcome = rule ? holdForDigest(rule, notification) : await sendNotification(notification);
+  }
+  if (checked.decisions.length > 0) outcome = { ...outcome, policy: checked.decisions };
+
+  // Only notifications that were sent use up the daily quota; a queued one
+  // counts when its replay goes out
+  if (checked.release && outcome.status !== "sent") checked.release();
+
+  audit?.record({
+    tool,
+    profile: notification.profile || defaultProfile,
+    target: notification.channel || `webhook ${maskToken(notification.webhook_token)}`,
+    priority: notification.priority || "normal",
+    title: notification.title,
+    message: notification.message,
+    outcome: outcome.status,
+    latency_ms: Date.now() - started,
+    notification_id: outcome.notificationId,
+    outbox_id: outcome.outboxId,
+    digest_id: outcome.digestId,
+    schedule_id: outcome.scheduleId,
+    dry_run: outcome.dryRun,
+    reason: outcome.reason,
+    policy: outcome.policy?.map((decision) => decision.rule),
+    error_code: outcome.code,
+    http_status: outcome.httpStatus,
+  });
+
+  if (outcome.status === "sent") {
+    history?.record({
+      profile: notification.profile || defaultProfile,
+      channel: notification.channel,
+      webhook_token: notification.webhook_token,
+      id: outcome.notificationId,
+      title: notification.title,
+      message: notification.message,
+      priority: notification.priority,
+    });
+  }
+
+  return outcome;
+}
+
+function suppressedText(outcome) {
+  return `⏸️ Not sent: ${outcome.message}. Nothing was pushed to the phone and there is no need to retry` +
+    (outcome.retryAfterSeconds ? ` before ${outcome.retryAfterSeconds}s from now.` : ".");
+}
+
+function deferredText(outcome) {
+  return `🌙 Held for quiet hours: it will be sent at ${outcome.sendAt} (in ${timeUntil(outcome.sendAt)}). ` +
+    `Nothing was pushed yet and there is no need to resend; kweenkl_cancel_scheduled can cancel it.\n🆔 Schedule ID: ${outcome.scheduleId}`;
+}
+
+// Lines explaining what the sending policy did, appended to a tool result
+function policyLines(outcome) {
+  return (outcome.policy ?? []).map((decision) => `\n🛡️ Policy (${decision.rule}): ${decision.message}`).join("");
+}
+
+function outcomeError(outcome) {
+  return { code: outcome.code, message: outcome.error, httpStatus: outcome.httpStatus };
+}
+
+// Structured form of a delivery outcome, as described by deliverySchema
+function outcomeJson(outcome) {
+  const json = { status: outcome.status };
+
+  if (outcome.status === "sent") {
+    json.notification_id = String(outcome.notificationId);
+    json.subscribers_notified = outcome.subscribersNotified;
+  }
+  if (outcome.attempts) json.attempts = outcome.attempts;
+  if (outcome.dryRun) json.dry_run = true;
+  if (outcome.status === "suppressed") {
+    json.reason = outcome.reason;
+    if (outcome.retryAfterSeconds) json.retry_after_seconds = outcome.retryAfterSeconds;
+  }
+  if (outcome.status === "queued") {
+    json.outbox_id = outcome.outboxId;
+    json.next_attempt_at = outcome.nextAttemptAt;
+  }
+  if (outcome.status === "digested") {
+    json.digest_id = outcome.digestId;
+    json.pending = outcome.pending;
+    json.send_at = outcome.sendAt;
+  }
+  if (outcome.status === "deferred") {
+    json.schedule_id = outcome.scheduleId;
+    json.send_at = outcome.sendAt;
+  }
+  if (outcome.policy) json.policy = outcome.policy;
+  if (outcome.error) {
+    json.error = errorJson(outcomeError(outcome));
+  }
+
+  return json;
+}
+
+// Execute kweenkl notification. Also exported from the package main, so it
+// sets the server up on its first call.
+async function executeKweenkl({ profile, webhook_token, channel, message, title, priority, payload }, tool = "kweenkl") {
+  setup();
+  let outcome;
+  try {
+    outcome = await deliverKweenkl({ profile, webhook_token, channel, message, title, priority, payload }, tool);
+  } catch (error) {
+    return toolError(`❌ Error: ${error.message}`, error);
+  }
+
+  return deliveryResult(outcome);
+}
+
+// The tool result for a delivery outcome of the kweenkl tool
+function deliveryResult(outcome) {
+  if (outcome.status === "suppressed") {
+    return toolResult(suppressedText(outcome), outcomeJson(outcome));
+  }
+
+  if (outcome.status === "deferred") {
+    return toolResult(deferredText(outcome) + policyLines(outcome), outcomeJson(outcome));
+  }
+
+  if (outcome.status === "digested") {
+    return toolResult(digestedText(outcome) + policyLines(outcome), outcomeJson(outcome));
+  }
+
+  if (outcome.status === "queued") {
+    return toolResult(
+      `📮 Not delivered yet: ${outcome.error}${attemptsNote(outcome.attempts)}\nSaved to the outbox and will be retried in the background, so there is no need to send it again.\n🆔 Outbox ID: ${outcome.outboxId}\n🕒 Next attempt: ${outcome.nextAttemptAt}${policyLines(outcome)}`,
+      outcomeJson(outcome)
+    );
+  }
+
+  if (outcome.status === "failed") {
+    const { error, ...json } = outcomeJson(outcome);
+    return toolError(`❌ Failed to kweenkl: ${outcome.error}${attemptsNote(outcome.attempts)}`, outcomeError(outcome), json);
+  }
+
+  if (outcome.dryRun) {
+    return toolResult(
+      `🧪 Dry run: the notification is valid but was not sent, so no phone was notified (KWEENKL_DRY_RUN is on).\n🆔 Notification ID: ${outcome.notificationId}${policyLines(outcome)}`,
+      outcomeJson(outcome)
+    );
+  }
+
+  return toolResult(
+    `✅ Successfully kweenkled!\n📱 ${outcome.subscribersNotified} subscriber(s) notified\n🆔 Notification ID: ${outcome.notificationId}${retriedLine(outcome.attempts)}${policyLines(outcome)}`,
+    outcomeJson(outcome)
+  );
+}
+
+// Error result for arguments that failed validateNotification
+function validationError(message) {
+  return toolError(`❌ Error: ${message}`, { code: ErrorCodes.VALIDATION, message });
+}
+
+// Error result for arguments that failed the tool's inputSchema or the
+// notification policies; names the first field so the model can fix it
+function invalidArguments(errors) {
+  const message = describeErrors(errors);
+  return toolError(
+    `❌ Invalid arguments: ${message}`,
+    new KweenklError(message, { code: ErrorCodes.VALIDATION, field: errors[0].field })
+  );
+}
+
+// Report truncated texts below the result instead of changing them silently
+function withWarnings(result, warnings) {
+  if (warnings.length === 0) return result;
+
+  const [first, ...rest] = result.content;
+  return {
+    ...result,
+    content: [{ ...first, text: `${first.text}\n${warnings.map((warning) => `⚠️ ${warning}`).join("\n")}` }, ...rest],
+    structuredContent: { ...result.structuredContent, warnings },
+  };
+}
+
+// Check the arguments of one notification; returns an error message or null
+function validateNotification({ webhook_token, channel, tags, message, priority }, { profile }) {
+  if (!message || (!webhook_token && !channel && !tags?.length && !profile.defaultChannel)) {
+    if (routing) {
+      return CHANNEL_ARG_ENABLED
+        ? "message and either webhook_token, channel or tags are required parameters."
+        : "message and either webhook_token or tags are required parameters.";
+    }
+    return CHANNEL_ARG_ENABLED
+      ? "message and either webhook_token or channel are required parameters."
+      : "webhook_token and message are required parameters.";
+  }
+
+  if (webhook_token && channel) {
+    return "provide either webhook_token or channel, not both.";
+  }
+
+  if (priority && !['low', 'normal', 'high'].includes(priority)) {
+    return "priority must be one of: low, normal, high";
+  }
+
+  return null;
+}
+
+// The channel a notification is addressed to, for labels and the audit log
+function channelLabel({ webhook_token, channel }, { profile }) {
+  return webhook_token ? undefined : channel || profile.defaultChannel;
+}
+
+// Turn a webhook_token, channel reference or alias into a webhook token.
+// Without either, the profile's default channel is used.
+async function resolveWebhookToken({ webhook_token, channel }, { profile, client }) {
+  if (webhook_token) return webhook_token;
+
+  const reference = channel || profile.defaultChannel;
+  const alias = resolveAlias(profile, reference);
+  if (alias?.webhook_token) return alias.webhook_token;
+
+  if (!profile.deviceToken) {
+    throw new KweenklError(
+      `Channel "${reference}" can't be looked up because profile "${profile.name}" has no device token. Use webhook_token instead.`,
+      { code: ErrorCodes.NOT_CONFIGURED }
+    );
+  }
+
+  const resolved = await client.resolveChannel(alias?.channel ?? reference);
+  debugLog('Resolved channel:', resolved.channel.id);
+  return resolved.webhookToken;
+}
+
+function responseJson(response) {
+  return { action: response.action, label: response.label, responded_at: response.respondedAt };
+}
+
+function answerText(answer) {
+  return answer.label && answer.label !== answer.action
+    ? `${answer.label} (action "${answer.action}")`
+    : `action "${answer.action}"`;
+}
+
+async function askKweenkl(args, context, { signal, progress }) {
+  const { webhook_token, channel, message, title, priority, actions, timeout_seconds = ASK_DEFAULT_TIMEOUT_SECONDS } = args;
+
+  const invalid = validateNotification(args, context);
+  if (invalid) {
+    return validationError(invalid);
+  }
+
+  const { payload, errors } = buildPayload({ actions });
+  if (errors.length > 0) {
+    return invalidArguments(errors);
+  }
+
+  let token;
+  try {
+    token = await resolveWebhookToken({ webhook_token, channel }, context);
+  } catch (error) {
+    return toolError(`❌ Error: ${error.message}`, error);
+  }
+
+  const target = channelLabel(args, context);
+  let outcome;
+  try {
+    outcome = await deliverKweenkl({
+      profile: context.profile.name,
+      webhook_token: token,
+      channel: target,
+      message,
+      title,
+      priority,
+      payload: { ...payload, response_requested: true },
+    }, "kweenkl_ask");
+  } catch (error) {
+    return toolError(`❌ Error: ${error.message}`, error);
+  }
+
+  // Only a question that is on the phone now can be answered
+  if (outcome.status !== "sent" || outcome.dryRun) {
+    const result = deliveryResult(outcome);
+    if (result.isError) return result;
+    return {
+      ...result,
+      content: [{ ...result.content[0], text: `${result.content[0].text}\n\n❔ Not waiting for an answer: the question is not on the phone yet, so its answer can't be checked.` }],
+    };
+  }
+
+  const notificationId = String(outcome.notificationId);
+  asks.add({ notification_id: notificationId, profile: context.profile.name, webhook_token: token, target, question: message, actions: payload.action_buttons });
+
+  let waited;
+  try {
+    waited = await waitForResponse({
+      poll: () => context.client.getResponse({ webhookToken: token, notificationId }),
+      timeoutMs: timeout_seconds * 1000,
+      signal,
+      onProgress: (waitedMs) => progress(Math.floor(waitedMs / 1000), timeout_seconds),
+    });
+  } catch (error) {
+    return toolError(
+      `❌ The question was sent (notification ${notificationId}), but its answer can't be checked: ${error.message}`,
+      error,
+      outcomeJson(outcome)
+    );
+  }
+
+  const waitedSeconds = Math.round(waited.waitedMs / 1000);
+  if (waited.response.status === "answered") {
+    const answer = responseJson(waited.response);
+    asks.answer(notificationId, answer);
+    return toolResult(
+      `✅ Answered: ${answerText(answer)} after ${waitedSeconds}s\n🆔 Notification ID: ${notificationId}`,
+      { ...outcomeJson(outcome), status: "answered", ...answer, waited_seconds: waitedSeconds }
+    );
+  }
+
+  return toolResult(
+    `⌛ No answer after ${waitedSeconds}s. The question is still on the phone; call kweenkl_get_response with notification_id ${notificationId} to check for a later answer instead of asking again.\n🆔 Notification ID: ${notificationId}`,
+    { ...outcomeJson(outcome), status: "timeout", waited_seconds: waitedSeconds }
+  );
+}
+
+async function getResponse({ notification_id }) {
+  const ask = asks.get(notification_id);
+  if (!ask) {
+    const message = `No question with notification ID ${notification_id} was asked with kweenkl_ask.`;
+    return toolError(`❌ ${message}`, { code: ErrorCodes.NOT_FOUND, message });
+  }
+
+  if (!ask.response) {
+    redactor.addWebhookToken(ask.webhook_token);
+    try {
+      const response = await profileContext(ask.profile).client.getResponse({ webhookToken: ask.webhook_token, notificationId: ask.notification_id });
+      if (response.status === "answered") asks.answer(ask.notification_id, responseJson(response));
+    } catch (error) {
+      const status = error.httpStatus ? `${error.httpStatus} ` : "";
+      return toolError(`❌ Failed to check the answer: ${status}${error.message}${attemptsNote(error.attempts)}`, error);
+    }
+  }
+
+  const json = {
+    status: ask.response ? "answered" : "pending",
+    notification_id: ask.notification_id,
+    question: ask.question,
+    asked_at: ask.asked_at,
+    ...ask.response,
+  };
+  if (ask.target) json.target = ask.target;
+
+  return toolResult(
+    ask.response
+      ? `✅ Answered: ${answerText(ask.response)} at ${ask.response.responded_at}\n❓ ${ask.question}`
+      : `⏳ Not answered yet (asked at ${ask.asked_at}).\n❓ ${ask.question}`,
+    json
+  );
+}
+
+const BATCH_MAX_ITEMS = 50;
+const BATCH_DEFAULT_CONCURRENCY = 4;
+const BATCH_MAX_CONCURRENCY = 10;
+
+// Short label for a batch item that never exposes a full webhook token
+function batchTarget(item) {
+  if (item.channel) return item.channel;
+  if (item.webhook_token) return `webhook …${String(item.webhook_token).slice(-4)}`;
+  return "(none)";
+}
+
+function tableCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function failedOutcome(error) {
+  return { status: "failed", error: error.message, code: codeForError(error), httpStatus: error.httpStatus };
+}
+
+// One table row per delivery outcome, with the count of each status
+function outcomeTable(targets, outcomes) {
+  const counts = { sent: 0, suppressed: 0, queued: 0, digested: 0, deferred: 0, failed: 0 };
+  let table = "| # | Target | Result | Notification ID | Subscribers | Details |\n";
+  table += "|---|--------|--------|-----------------|-------------|---------|\n";
+
+  outcomes.forEach((outcome, i) => {
+    counts[outcome.status]++;
+    const target = tableCell(targets[i]);
+
+    if (outcome.status === "sent") {
+      table += `| ${i + 1} | ${target} | ✅ sent | ${outcome.notificationId} | ${outcome.subscribersNotified} | ${attemptsNote(outcome.attempts).trim()} |\n`;
+    } else if (outcome.status === "suppressed") {
+      table += `| ${i + 1} | ${target} | ⏸️ not sent | | | ${tableCell(outcome.message)} |\n`;
+    } else if (outcome.status === "digested") {
+      table += `| ${i + 1} | ${target} | 📬 held for digest | | | ${tableCell(`${outcome.pending} pending, sent at ${outcome.sendAt}`)} |\n`;
+    } else if (outcome.status === "deferred") {
+      table += `| ${i + 1} | ${target} | 🌙 held for quiet hours | | | ${tableCell(`sent at ${outcome.sendAt}; schedule ID ${outcome.scheduleId}`)} |\n`;
+    } else if (outcome.status === "queued") {
+      table += `| ${i + 1} | ${target} | 📮 queued | | | ${tableCell(`${outcome.error}; outbox ID ${outcome.outboxId}`)} |\n`;
+    } else {
+      table += `| ${i + 1} | ${target} | ❌ failed | | | ${tableCell(outcome.error + attemptsNote(outcome.attempts))} |\n`;
+    }
+  });
+
+  return { counts, table };
+}
+
+function countsText(counts) {
+  return `${counts.sent} sent, ${counts.failed} failed, ${counts.suppressed} not sent (suppressed)` +
+    (counts.queued > 0 ? `, ${counts.queued} queued in outbox` : "") +
+    (counts.digested > 0 ? `, ${counts.digested} held for digest` : "") +
+    (counts.deferred > 0 ? `, ${counts.deferred} held for quiet hours` : "");
+}
+
+// Send several notifications in one call; one failing item never aborts the rest
+async function executeBatch({ items, concurrency, profile }) {
+  setup();
+  debugLog('Executing batch:', items?.length, 'item(s)');
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return validationError("items must be a non-empty array of notifications.");
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    return validationError(`a batch can contain at most ${BATCH_MAX_ITEMS} items (got ${items.length}).`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(concurrency, 10) || BATCH_DEFAULT_CONCURRENCY, 1), BATCH_MAX_CONCURRENCY);
+
+  const outcomes = await mapConcurrent(items, limit, async (item) => {
+    if (!item || typeof item !== "object") {
+      return { status: "failed", error: "item must be an object", code: ErrorCodes.VALIDATION };
+    }
+
+    try {
+      const context = profileContext(item.profile ?? profile);
+      const invalid = validateNotification(item, context);
+      if (invalid) return { status: "failed", error: invalid, code: ErrorCodes.VALIDATION };
+
+      // Rich arguments are merged into the payload, as for the kweenkl tool
+      const { payload, errors } = buildPayload(item);
+      errors.push(...checkNotification({ payload }, validation).errors);
+      if (errors.length > 0) return { status: "failed", error: describeErrors(errors), code: ErrorCodes.VALIDATION };
+
+      const webhook_token = await resolveWebhookToken(item, context);
+      const { message, title, priority } = item;
+      const channel = channelLabel(item, context);
+      return await deliverKweenkl(
+        { profile: context.profile.name, webhook_token, channel, message, title, priority, payload },
+        "kweenkl_batch"
+      );
+    } catch (error) {
+      return failedOutcome(error);
+    }
+  });
+
+  const targets = items.map((item) => batchTarget(item || {}));
+  const { counts, table } = outcomeTable(targets, outcomes);
+  const summary = `📦 Batch complete: ${countsText(counts)}` +
+    (DRY_RUN ? "\n🧪 Dry run: nothing was actually sent (KWEENKL_DRY_RUN is on)." : "");
+
+  return {
+    ...toolResult(`${summary}\n\n${table}`, {
+      summary: { total: items.length, ...counts },
+      results: outcomes.map((outcome, i) => ({
+        index: i,
+        target: targets[i],
+        ...outcomeJson(outcome),
+      })),
+    }),
+    isError: counts.failed === items.length,
+  };
+}
+
+// The status every delivery of a fan-out shares, else "partial"
+function fanOutStatus(outcomes) {
+  if (outcomes.length === 0) return "unrouted";
+  const [{ status }] = outcomes;
+  return outcomes.every((outcome) => outcome.status === status) ? status : "partial";
+}
+
+// Send one notification to every channel its routing tags pick, and to the
+// webhook_token or channel named too. Channels that resolve to the same
+// webhook are notified once; one failing channel never stops the rest.
+async function fanOutKweenkl(args, context, payload) {
+  const { webhook_token, channel, tags, message, title, priority } = args;
+  const { targets } = routeNotification(routing, { tags, profile: context.profile.name, priority: priority || "normal", title, message });
+  if (webhook_token || channel) {
+    targets.unshift({ profile: context.profile.name, webhook_token, channel: channelLabel(args, context), tags: [] });
+  }
+  debugLog('Routing by tags:', tags, 'to', targets.length, 'target(s)');
+
+  if (targets.length === 0) {
+    return toolResult(
+      `🏷️ No routing rule for ${tags.join(", ")} matched this notification, so nothing was sent. ` +
+        "The rules' min_priority or keywords left it out; name a channel to send it anyway.",
+      { status: "unrouted", tags, summary: { total: 0, sent: 0, failed: 0, suppressed: 0, queued: 0, digested: 0, deferred: 0 }, results: [] }
+    );
+  }
+
+  const resolved = await mapConcurrent(targets, BATCH_DEFAULT_CONCURRENCY, async (target) => {
+    try {
+      return { webhook_token: await resolveWebhookToken(target, profileContext(target.profile)) };
+    } catch (error) {
+      return { outcome: failedOutcome(error) };
+    }
+  });
+
+  const deliveries = [];
+  const byToken = new Map();
+  targets.forEach((target, i) => {
+    const same = resolved[i].webhook_token && byToken.get(resolved[i].webhook_token);
+    if (same) {
+      same.tags.push(...target.tags.filter((tag) => !same.tags.includes(tag)));
+      return;
+    }
+    const delivery = { ...target, ...resolved[i], tags: [...target.tags] };
+    if (delivery.webhook_token) byToken.set(delivery.webhook_token, delivery);
+    deliveries.push(delivery);
+  });
+
+  const outcomes = await mapConcurrent(deliveries, BATCH_DEFAULT_CONCURRENCY, async (delivery) => {
+    if (delivery.outcome) return delivery.outcome;
+    try {
+      return await deliverKweenkl({
+        profile: delivery.profile,
+        webhook_token: delivery.webhook_token,
+        channel: delivery.channel,
+        message,
+        title,
+        priority,
+        payload,
+      });
+    } catch (error) {
+      return failedOutcome(error);
+    }
+  });
+
+  const labels = deliveries.map((delivery) =>
+    batchTarget(delivery) + (delivery.profile === context.profile.name ? "" : ` (${delivery.profile})`));
+  const { counts, table } = outcomeTable(labels, outcomes);
+  const summary = `🏷️ Routed by ${tags.join(", ")} to ${deliveries.length} channel(s): ${countsText(counts)}` +
+    (DRY_RUN ? "\n🧪 Dry run: nothing was actually sent (KWEENKL_DRY_RUN is on)." : "");
+
+  return {
+    ...toolResult(`${summary}\n\n${table}`, {
+      status: fanOutStatus(outcomes),
+      tags,
+      summary: { total: deliveries.length, ...counts },
+      results: outcomes.map((outcome, i) => ({
+        target: labels[i],
+        tags: deliveries[i].tags,
+        ...outcomeJson(outcome),
+      })),
+    }),
+    isError: counts.failed === deliveries.length,
+  };
+}
+
+// The digest rule holding a notification, or null when it goes out now.
+// Digest summaries (the "digest" tool, also when the scheduler sends one
+// deferred by quiet hours) are never held again, and questions can't wait for one.
+// Notifications with a payload (links, images, action buttons, ...) are sent
+// right away: a digest summary can't carry them
+function digestFor({ profile, channel, priority, payload }, tool) {
+  if (!digest || tool === "digest" || tool === "kweenkl_ask" || payload) return null;
+
+  const alias = channel && resolveAlias(profiles.get(profile || defaultProfile), channel);
+  return digestRule(digestRules, { channels: [channel, alias?.channel], priority: priority || "normal" });
+}
+
+function holdForDigest(rule, { profile, webhook_token, channel, message, title, priority }) {
+  redactor.addWebhookToken(webhook_token);
+
+  const { group, full } = digest.add({
+    rule,
+    profile: profile || defaultProfile,
+    webhook_token,
+    label: channel || `webhook ${maskToken(webhook_token)}`,
+    notification: { message, title, priority },
+  });
+  debugLog('Held for digest:', group.id, `${group.items.length} pending`);
+
+  return { status: "digested", digestId: group.id, pending: group.items.length, sendAt: group.send_at, full };
+}
+
+function digestedText(outcome) {
+  const when = outcome.full
+    ? "The digest is full and is being sent now."
+    : `It will be sent with the others at ${outcome.sendAt} (in ${timeUntil(outcome.sendAt)}).`;
+  return `📬 Held for the digest: ${outcome.pending} notification(s) pending. ${when}\n` +
+    `Nothing was pushed yet and there is no need to resend. High priority notifications are never held.\n🆔 Digest ID: ${outcome.digestId}`;
+}
+
+function digestJson(group) {
+  return {
+    id: group.id,
+    target: group.label,
+    count: group.items.length,
+    created_at: group.created_at,
+    send_at: group.send_at,
+    items: group.items,
+  };
+}
+
+async function digestStatus() {
+  const groups = digest.list();
+
+  if (groups.length === 0) {
+    return toolResult("📭 No notifications are held for a digest.", { digests: [] });
+  }
+
+  let output = `📬 Digests: ${groups.length} pending\n\n`;
+  groups.forEach((group, i) => {
+    output += `${i + 1}. **${group.label}**: ${group.items.length} notification(s)\n`;
+    output += `   ID: ${group.id}\n`;
+    output += `   Sends at: ${group.send_at} (in ${timeUntil(group.send_at)})\n`;
+    group.items.forEach((item) => {
+      output += `   • ${item.title ? `${item.title}: ` : ""}${item.message.slice(0, 80)}\n`;
+    });
+    output += `\n`;
+  });
+
+  return toolResult(output, { digests: groups.map(digestJson) });
+}
+
+async function digestFlush({ digest_id } = {}) {
+  debugLog('Flushing digest:', digest_id || 'all');
+
+  const results = await digest.flush({ id: digest_id });
+
+  if (results.length === 0) {
+    if (digest_id) {
+      const message = `No pending digest with ID ${digest_id}.`;
+      return toolError(`❌ ${message}`, { code: ErrorCodes.NOT_FOUND, message });
+    }
+    return toolResult("📭 No notifications are held for a digest. Nothing to send.", { sent: 0, results: [] });
+  }
+
+  const sent = results.filter(({ result }) => result.status === "sent").length;
+  let output = `📬 Digest flush: ${sent} of ${results.length} sent\n\n`;
+  results.forEach(({ group, result }, i) => {
+    const label = `**${group.label}** (${group.items.length} notification(s))`;
+    if (result.status === "sent") {
+      output += `${i + 1}. ✅ ${label} sent (Notification ID: ${result.notificationId}, ${result.subscribersNotified} subscriber(s))\n`;
+    } else if (result.status === "queued") {
+      output += `${i + 1}. 📮 ${label} queued in the outbox: ${result.error}\n`;
+    } else if (result.status === "deferred") {
+      output += `${i + 1}. 🌙 ${label} held for quiet hours until ${result.sendAt} (Schedule ID: ${result.scheduleId})\n`;
+    } else if (result.status === "suppressed") {
+      output += `${i + 1}. ⏸️ ${label} not sent: ${result.message}. Still held.\n`;
+    } else {
+      output += `${i + 1}. ❌ ${label} failed: ${result.error}${result.retryable === false ? ". Dropped." : ". Still held."}\n`;
+    }
+  });
+
+  return toolResult(output, {
+    sent,
+    results: results.map(({ group, result }) => ({ digest: digestJson(group), result: outcomeJson(result) })),
+  });
+}
+
+// "2h 5m" style description of how far away a time is
+function timeUntil(iso) {
+  const minutes = Math.max(0, Math.round((Date.parse(iso) - Date.now()) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (!days) parts.push(`${minutes % 60}m`);
+  return parts.join(" ");
+}
+
+function describeJobResult(job) {
+  const result = job.result || {};
+  switch (job.status) {
+    case "sent":
+      return `✅ Sent at ${job.delivered_at} (Notification ID: ${result.notificationId})`;
+    case "suppressed":
+      return `⏸️ Not sent at ${job.delivered_at}: ${result.message}`;
+    case "queued":
+      return `📮 Queued in outbox at ${job.delivered_at} after: ${result.error} (Outbox ID: ${result.outboxId})`;
+    case "digested":
+      return `📬 Held for digest at ${job.delivered_at} (Digest ID: ${result.digestId})`;
+    case "deferred":
+      return `🌙 Held for quiet hours at ${job.delivered_at}, now sends at ${result.sendAt} (Schedule ID: ${result.scheduleId})`;
+    case "failed":
+      return `❌ Failed${job.delivered_at ? ` at ${job.delivered_at}` : ""}: ${result.error}`;
+    case "cancelled":
+      return `🚫 Cancelled at ${job.cancelled_at}`;
+    default:
+      return `⏰ Sends at ${job.send_at} (in ${timeUntil(job.send_at)})`;
+  }
+}
+
+// A scheduled job without its webhook token
+function jobJson(job) {
+  const { title, message, priority } = job.notification;
+  const json = {
+    id: job.id,
+    status: job.status,
+    target: job.label,
+    message,
+    created_at: job.created_at,
+    send_at: job.send_at,
+  };
+  if (title) json.title = title;
+  if (priority) json.priority = priority;
+  if (job.delivered_at) json.delivered_at = job.delivered_at;
+  if (job.cancelled_at) json.cancelled_at = job.cancelled_at;
+  if (job.result) json.result = outcomeJson(job.result);
+  return json;
+}
+
+async function scheduleKweenkl(args, context) {
+  debugLog('Scheduling kweenkl:', { send_at: args.send_at, delay: args.delay });
+
+  const invalid = validateNotification(args, context);
+  if (invalid) {
+    return validationError(invalid);
+  }
+
+  try {
+    const sendAt = resolveSendTime(args);
+    const webhook_token = await resolveWebhookToken(args, context);
+    const { message, title, priority, payload } = args;
+    const channel = channelLabel(args, context);
+    const target = channel || `webhook …${webhook_token.slice(-4)}`;
+
+    const job = scheduler.schedule({
+      notification: { profile: context.profile.name, webhook_token, channel, message, title, priority, payload },
+      sendAt,
+      label: profiles.size > 1 ? `${target} (profile ${context.profile.name})` : target,
+    });
+
+    return toolResult(
+      `⏰ Notification scheduled!\n🆔 Schedule ID: ${job.id}\n📍 Target: ${job.label}\n🕒 Sends at: ${job.send_at} (in ${timeUntil(job.send_at)})`,
+      { job: jobJson(job) }
+    );
+  } catch (error) {
+    return toolError(`❌ Failed to schedule: ${error.message}`, error);
+  }
+}
+
+async function listScheduled({ include_finished } = {}) {
+  const jobs = scheduler.list({ includeFinished: include_finished === true });
+
+  if (jobs.length === 0) {
+    return toolResult(
+      include_finished ? "📭 No scheduled notifications." : "📭 No pending scheduled notifications.",
+      { jobs: [] }
+    );
+  }
+
+  let output = `⏰ Scheduled notifications (${jobs.length}):\n\n`;
+  jobs.forEach((job, i) => {
+    const { title, message, priority } = job.notification;
+    output += `${i + 1}. **${title || message.slice(0, 50)}**\n`;
+    output += `   ID: ${job.id}\n`;
+    output += `   Target: ${job.label}\n`;
+    if (priority) output += `   Priority: ${priority}\n`;
+    output += `   Status: ${describeJobResult(job)}\n`;
+    output += `\n`;
+  });
+
+  return toolResult(output, { jobs: jobs.map(jobJson) });
+}
+
+async function cancelScheduled({ schedule_id }) {
+  try {
+    const job = scheduler.cancel(schedule_id);
+    return toolResult(
+      `🚫 Scheduled notification ${job.id} cancelled. It was due at ${job.send_at}.`,
+      { job: jobJson(job) }
+    );
+  } catch (error) {
+    return toolError(`❌ Failed to cancel: ${error.message}`, error);
+  }
+}
+
+// Notification templates
+function listTemplates() {
+  const names = Object.keys(templates);
+
+  if (names.length === 0) {
+    return toolResult("📭 No templates configured. Add a \"templates\" section to the kweenkl config file.", { templates: [] });
+  }
+
+  let output = `🧩 Notification templates (${names.length}):\n\n`;
+  names.forEach((name, i) => {
+    const template = templates[name];
+    const { required, optional } = templateVariables(template);
+
+    output += `${i + 1}. **${name}**\n`;
+    if (template.description) output += `   Description: ${template.description}\n`;
+    if (template.channel) output += `   Default channel: ${template.channel}\n`;
+    if (template.webhook_token) output += `   Default target: webhook …${template.webhook_token.slice(-4)}\n`;
+    if (template.priority) output += `   Priority: ${template.priority}\n`;
+    output += `   Required variables: ${required.length > 0 ? required.join(", ") : "none"}\n`;
+    if (optional.length > 0) {
+      output += `   Optional variables: ${optional.map((v) => `${v} (default: ${template.defaults[v]})`).join(", ")}\n`;
+    }
+    output += `\n`;
+  });
+
+  return toolResult(output, { templates: names.map(templateJson) });
+}
+
+function templateJson(name) {
+  const template = templates[name];
+  const { required, optional } = templateVariables(template);
+  const json = { name, required_variables: required, optional_variables: optional };
+  if (template.description) json.description = template.description;
+  if (template.channel) json.channel = template.channel;
+  if (template.priority) json.priority = template.priority;
+  return json;
+}
+
+async function sendTemplate({ template, variables, webhook_token, channel, priority }, context) {
+  debugLog('Sending template:', template);
+
+  const definition = templates[template];
+  if (!definition) {
+    const message = `Unknown template "${template}". Available templates: ${Object.keys(templates).join(", ") || "none"}.`;
+    return toolError(`❌ Error: ${message}`, { code: ErrorCodes.NOT_FOUND, message });
+  }
+
+  let notification;
+  try {
+    notification = renderTemplate(template, definition, variables);
+  } catch (error) {
+    return toolError(`❌ Error: ${error.message}`, error);
+  }
+
+  // An explicit target or priority from the caller wins over the template's
+  if (webhook_token || channel) {
+    delete notification.webhook_token;
+    delete notification.channel;
+    if (webhook_token) notification.webhook_token = webhook_token;
+    if (channel) notification.channel = channel;
+  }
+  if (priority) notification.priority = priority;
+
+  // Rendered texts are held to the same limits as the kweenkl tool's arguments
+  const { errors, warnings } = checkNotification(notification, validation);
+  if (errors.length > 0) {
+    return invalidArguments(errors);
+  }
+
+  const invalid = validateNotification(notification, context);
+  if (invalid) {
+    return validationError(
+      `${invalid}${!notification.webhook_token && !notification.channel ? ` Template "${template}" has no default channel.` : ""}`
+    );
+  }
+
+  try {
+    const token = await resolveWebhookToken(notification, context);
+    const { message, title, priority: level, payload } = notification;
+    const result = await executeKweenkl({
+      profile: context.profile.name,
+      webhook_token: token,
+      channel: channelLabel(notification, context),
+      message,
+      title,
+      priority: level,
+      payload,
+    }, "kweenkl_send_template");
+    return withWarnings(result, warnings);
+  } catch (error) {
+    return toolError(`❌ Error: ${error.message}`, error);
+  }
+}
+
+// Send a notification mapped from an inbound webhook by the relay. Its texts
+// come from another system that can't shorten them, so they are always
+// truncated to fit.
+async function relayKweenkl(route, notification) {
+  const context = profileContext(route.profile);
+  const target = { webhook_token: route.webhook_token, channel: route.channel };
+
+  // Rejected like the kweenkl tool's arguments; the relay answers these with 422
+  const { payload, errors } = buildPayload(notification);
+  const checked = { ...notification, payload };
+  const { errors: invalid, warnings } = checkNotification(checked, { ...validation, length_policy: "truncate" });
+  errors.push(...invalid);
+  if (errors.length > 0) {
+    return redactor.redact(invalidArguments(errors));
+  }
+
+  let result;
+  try {
+    const token = await resolveWebhookToken(target, context);
+    result = await executeKweenkl({
+      profile: context.profile.name,
+      webhook_token: token,
+      channel: channelLabel(target, context),
+      ...checked,
+    }, `relay:${route.name}`);
+  } catch (error) {
+    result = toolError(`❌ Error: ${error.message}`, error);
+  }
+  return redactor.redact(withWarnings(result, warnings));
+}
+
+// Channel management functions
+// Channel resources, served for the default profile
+async function listResources() {
+  const channels = await profileContext().client.listChannels();
+
+  return {
+    resources: [
+      {
+        uri: CHANNELS_URI,
+        name: "kweenkl channels",
+        description: `All ${channels.length} kweenkl notification channels with their webhook URLs`,
+        mimeType: "application/json",
+      },
+      ...channels.map(channelResource),
+    ],
+  };
+}
+
+async function listResourceTemplates() {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: CHANNEL_URI_TEMPLATE,
+        name: "kweenkl channel",
+        description: "A single kweenkl channel by ID",
+        mimeType: "application/json",
+      },
+    ],
+  };
+}
+
+async function readResource(request) {
+  const { uri } = request.params;
+  const target = parseChannelUri(uri);
+
+  if (!target) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+
+  const channels = await profileContext().client.listChannels();
+  let data;
+
+  if (target.list) {
+    data = channels.map(channelJson);
+  } else {
+    const channel = channels.find((ch) => String(ch.id) === target.id);
+    if (!channel) {
+      throw new McpError(ErrorCode.InvalidParams, `Channel not found: ${target.id}`);
+    }
+    data = channelJson(channel);
+  }
+
+  return {
+    contents: [{
+      uri,
+      mimeType: "application/json",
+      text: JSON.stringify(data, null, 2),
+    }],
+  };
+}
+
+// Tell every connected client that the channel list changed
+function notifyChannelsChanged(context) {
+  if (context.profile.name !== defaultProfile) return;
+
+  for (const server of connectedServers) {
+    server.sendResourceListChanged().catch((error) => {
+      debugLog('Could not send resource list change:', error.message);
+    });
+  }
+}
+
+function deviceTokenMissing({ profile }) {
+  const message = profiles.size > 1
+    ? `Profile "${profile.name}" has no device token. Set device_token or device_token_env for it in the kweenkl config file to use channel management.`
+    : "Device token not configured. Set KWEENKL_DEVICE_TOKEN environment variable to use channel management.";
+  return toolError(`❌ ${message}`, { code: ErrorCodes.NOT_CONFIGURED, message });
+}
+
+// Mark a channel tool result as simulated
+function dryRunNote(result, what) {
+  dryRunLog(`${what[0].toUpperCase()}${what.slice(1)}:`, result.structuredContent);
+  return {
+    ...result,
+    content: [{ ...result.content[0], text: `${result.content[0].text}\n\n🧪 Dry run: ${what} (KWEENKL_DRY_RUN is on).` }],
+    structuredContent: { ...result.structuredContent, dry_run: true },
+  };
+}
+
+// Error result for a failed channel API call
+function channelError(action, error) {
+  const status = error.httpStatus ? `${error.httpStatus} ` : "";
+  return toolError(`❌ Failed to ${action}: ${status}${error.message}${attemptsNote(error.attempts)}`, error);
+}
+
+async function listChannels(context) {
+  debugLog('Listing channels:', context.profile.name);
+
+  if (!context.profile.deviceToken) {
+    return deviceTokenMissing(context);
+  }
+
+  try {
+    const channels = await context.client.listChannels();
+
+    if (channels.length === 0) {
+      return toolResult("📭 No channels found. Create your first channel with kweenkl_create_channel!", { channels: [] });
+    }
+
+    let output = `📢 Your kweenkl channels (${channels.length}):\n\n`;
+    channels.forEach((ch, i) => {
+      output += `${i + 1}. **${ch.name}**\n`;
+      output += `   ID: ${ch.id}\n`;
+      output += `   Webhook: ${ch.webhook_url}\n`;
+      output += `   Notifications: ${ch.notification_count}\n`;
+      if (ch.description) output += `   Description: ${ch.description}\n`;
+      output += `\n`;
+    });
+
+    return toolResult(output, { channels: channels.map(channelJson) });
+  } catch (error) {
+    return channelError("list channels", error);
+  }
+}
+
+async function createChannel({ name, description, color, icon }, context) {
+  debugLog('Creating channel:', name);
+
+  if (!context.profile.deviceToken) {
+    return deviceTokenMissing(context);
+  }
+
+  try {
+    const channel = await context.client.createChannel({ name, description, color, icon });
+    const result = toolResult(
+      `✅ Channel created!\n\n**${channel.name}**\nID: ${channel.id}\nWebhook URL: ${channel.webhook_url}\n\nYou can now send notifications to this channel!`,
+      { channel: channelJson(channel), webhook_url: channel.webhook_url }
+    );
+    if (channel.dryRun) return dryRunNote(result, "the channel was not actually created");
+
+    notifyChannelsChanged(context);
+    return result;
+  } catch (error) {
+    return channelError("create channel", error);
+  }
+}
+
+async function updateChannel({ channel_id, name, description, color, icon }, context) {
+  debugLog('Updating channel:', channel_id);
+
+  if (!context.profile.deviceToken) {
+    return deviceTokenMissing(context);
+  }
+
+  try {
+    const channel = await context.client.updateChannel(channel_id, { name, description, color, icon });
+    const result = toolResult(
+      `✅ Channel updated!\n\n**${channel.name}**\nID: ${channel.id}\nWebhook: ${channel.webhook_url}`,
+      { channel: channelJson(channel) }
+    );
+    if (channel.dryRun) return dryRunNote(result, "the channel was not actually changed");
+
+    notifyChannelsChanged(context);
+    return result;
+  } catch (error) {
+    return channelError("update channel", error);
+  }
+}
+
+function deletionForbidden(message) {
+  return toolError(`❌ ${message}`, { code: ErrorCodes.FORBIDDEN, message });
+}
+
+async function deleteChannel({ channel_id, confirm }, context) {
+  debugLog('Deleting channel:', channel_id, confirm === undefined ? '(preview)' : '(confirmed)');
+
+  if (!context.profile.deviceToken) {
+    return deviceTokenMissing(context);
+  }
+  if (!deletion.enabled) {
+    return deletionForbidden("Deleting channels is disabled in the kweenkl config (channel_deletion.enabled).");
+  }
+
+  // Always look at the current channel, never at a stale list the model kept
+  let channel;
+  try {
+    channel = (await context.client.listChannels()).find((ch) => String(ch.id) === String(channel_id));
+  } catch (error) {
+    return channelError("look up channel", error);
+  }
+  if (!channel) {
+    const message = `No channel with ID ${channel_id}. Use kweenkl_list_channels to see available channels.`;
+    return toolError(`❌ ${message}`, { code: ErrorCodes.NOT_FOUND, message });
+  }
+  if (isProtected(deletion, channel)) {
+    return deletionForbidden(`Channel "${channel.name}" is protected by the kweenkl config (channel_deletion.protected) and can't be deleted.`);
+  }
+
+  const profile = context.profile.name;
+  if (confirm === undefined) {
+    const { token, expiresAt } = confirmations.issue({ profile, channelId: channel.id });
+    const count = channel.notification_count ?? 0;
+    return toolResult(
+      `⚠️ Not deleted yet. Deleting **${channel.name}** (ID: ${channel.id}) permanently removes the channel and its ${count} notification(s).\n\n` +
+      `Check with the user. To delete it, call kweenkl_delete_channel again with channel_id ${channel.id} and confirm "${token}" (valid until ${expiresAt}), or confirm set to the channel's exact name.`,
+      { status: "confirmation_required", channel: channelJson(channel), confirmation_token: token, expires_at: expiresAt }
+    );
+  }
+
+  if (confirm !== channel.name && !confirmations.consume({ token: confirm, profile, channelId: channel.id })) {
+    return invalidArguments([{
+      field: "confirm",
+      message: "is neither a valid confirmation token for this channel nor its exact name. Tokens work once and expire; call kweenkl_delete_channel without confirm to get a new one",
+    }]);
+  }
+
+  try {
+    const deleted = await context.client.deleteChannel(channel.id);
+    const result = toolResult(
+      `✅ Channel "${deleted.name || channel.name}" deleted successfully.`,
+      {
+        status: "deleted",
+        deleted_channel: {
+          id: deleted.id ?? channel.id,
+          name: deleted.name || channel.name,
+        },
+      }
+    );
+    if (deleted.dryRun) return dryRunNote(result, "the channel was not actually deleted");
+
+    notifyChannelsChanged(context);
+    return result;
+  } catch (error) {
+    return channelError("delete channel", error);
+  }
+}
+
+async function exportChannels({ file }, context) {
+  debugLog('Exporting channels:', context.profile.name, file ?? '(inline)');
+
+  if (!context.profile.deviceToken) {
+    return deviceTokenMissing(context);
+  }
+
+  let channels;
+  try {
+    channels = await context.client.listChannels();
+  } catch (error) {
+    return channelError("list channels", error);
+  }
+
+  const definition = channelDefinition(channels, { profile: context.profile.name });
+  const count = definition.channels.length;
+  if (file === undefined) {
+    return toolResult(
+      `📤 Exported ${count} channel(s) of profile ${context.profile.name}. Save this as a JSON file to import it later:\n\n\`\`\`json\n${JSON.stringify(definition, null, 2)}\n\`\`\``,
+      { count, definition }
+    );
+  }
+
+  let path;
+  try {
+    path = exportPath(file);
+    mkdirSync(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmp, `${JSON.stringify(definition, null, 2)}\n`, { mode: 0o600 });
+    renameSync(tmp, path);
+  } catch (error) {
+    return toolError(`❌ Failed to export channels: ${error.message}`, error);
+  }
+
+  return toolResult(
+    `📤 Exported ${count} channel(s) of profile ${context.profile.name} to ${path}.\nImport them with kweenkl_import_channels and file "${file}".`,
+    { count, file: path, definition }
+  );
+}
+
+// A channel definition from the file or inline argument of kweenkl_import_channels
+function definitionToImport({ file, channels }) {
+  if ((file === undefined) === (channels === undefined)) {
+    return { error: validationError(file === undefined ? "file or channels is required." : "provide either file or channels, not both.") };
+  }
+
+  let data = channels;
+  if (file !== undefined) {
+    try {
+      data = JSON.parse(readFileSync(exportPath(file), "utf8"));
+    } catch (error) {
+      const code = error instanceof KweenklError ? error.code : error.code === "ENOENT" ? ErrorCodes.NOT_FOUND : ErrorCodes.VALIDATION;
+      const message = error instanceof KweenklError ? error.message : `cannot read ${file}: ${error.message}`;
+      return { error: toolError(`❌ Error: ${message}`, { code, message, field: "file" }) };
+    }
+  }
+
+  const { channels: wanted, errors } = parseDefinition(data, { icons: iconNames(validation) });
+  if (errors.length > 0) {
+    if (file === undefined) return { error: invalidArguments(errors) };
+    const message = `${file}: ${describeErrors(errors)}`;
+    return { error: toolError(`❌ Invalid channel definition ${message}`, { code: ErrorCodes.VALIDATION, message, field: "file" }) };
+  }
+  return { wanted };
+}
+
+function changedFields(changes) {
+  return Object.entries(changes)
+    .map(([field, { from, to }]) => `${field} ${JSON.stringify(from)} → ${JSON.stringify(to)}`)
+    .join(", ");
+}
+
+// Create, update and (when asked and confirmed) delete channels until the
+// account matches a definition; with dry_run, only report what would change
+async function importChannels({ file, channels, dry_run = false, delete_extras = false, confirm }, context) {
+  debugLog('Importing channels:', context.profile.name, file ?? `${channels?.length} inline`, dry_run ? '(dry run)' : '');
+
+  if (!context.profile.deviceToken) {
+    return deviceTokenMissing(context);
+  }
+
+  const { wanted, error } = definitionToImport({ file, channels });
+  if (error) return error;
+
+  let existing;
+  try {
+    existing = await context.client.listChannels();
+  } catch (error) {
+    return channelError("list channels", error);
+  }
+
+  const plan = planImport(wanted, existing);
+  const doomed = delete_extras ? plan.extra.filter((channel) => !isProtected(deletion, channel)) : [];
+  const profile = context.profile.name;
+  // One token covers exactly the extras the dry run showed
+  const confirmationKey = `import:${doomed.map((channel) => String(channel.id)).sort().join(",")}`;
+
+  if (!dry_run && doomed.length > 0 && !confirmations.consume({ token: confirm, profile, channelId: confirmationKey })) {
+    return invalidArguments([{
+      field: "confirm",
+      message: `${confirm === undefined ? "is required" : "is not a valid confirmation token"} to delete ${doomed.map((channel) => `"${channel.name}"`).join(", ")}. ` +
+        "Tokens work once, expire, and only cover the channels their dry run showed; call kweenkl_import_channels with dry_run and delete_extras to get a new one",
+    }]);
+  }
+
+  const changes = [];
+  const lines = [];
+
+  async function apply(change, line, action) {
+    if (dry_run) {
+      changes.push({ ...change, status: "planned" });
+      lines.push(line);
+      return;
+    }
+    try {
+      const done = await action();
+      changes.push({ ...change, ...done.json, status: "done" });
+      lines.push(done.line);
+    } catch (error) {
+      changes.push({ ...change, status: "failed", error: errorJson(error) });
+      lines.push(`❌ Could not ${change.action} **${change.name}**: ${error.message}${attemptsNote(error.attempts)}`);
+    }
+  }
+
+  for (const definition of plan.create) {
+    const details = ["description", "color", "icon"].filter((field) => definition[field]).map((field) => `${field} ${definition[field]}`);
+    await apply(
+      { action: "create", name: definition.name },
+      `➕ Create **${definition.name}**${details.length > 0 ? ` (${details.join(", ")})` : ""}`,
+      async () => {
+        const channel = await context.client.createChannel(definition);
+        return { json: { id: channel.id, webhook_url: channel.webhook_url }, line: `✅ Created **${channel.name}** (ID: ${channel.id})` };
+      }
+    );
+  }
+
+  for (const { channel, changes: fields } of plan.update) {
+    await apply(
+      { action: "update", name: channel.name, id: channel.id, changes: fields },
+      `✏️ Update **${channel.name}**: ${changedFields(fields)}`,
+      async () => {
+        await context.client.updateChannel(channel.id, Object.fromEntries(Object.entries(fields).map(([field, { to }]) => [field, to])));
+        return { json: {}, line: `✅ Updated **${channel.name}**: ${changedFields(fields)}` };
+      }
+    );
+  }
+
+  for (const channel of doomed) {
+    await apply(
+      { action: "delete", name: channel.name, id: channel.id },
+      `🗑️ Delete **${channel.name}** (ID: ${channel.id}) and its ${channel.notification_count ?? 0} notification(s)`,
+      async () => {
+        await context.client.deleteChannel(channel.id);
+        return { json: {}, line: `✅ Deleted **${channel.name}**` };
+      }
+    );
+  }
+
+  for (const channel of plan.extra.filter((extra) => !doomed.includes(extra))) {
+    const kept = delete_extras ? "protected" : "kept";
+    changes.push({ action: "extra", name: channel.name, id: channel.id, status: kept });
+    lines.push(delete_extras
+      ? `🔒 Extra, protected by channel_deletion.protected: **${channel.name}** (ID: ${channel.id})`
+      : `➖ Extra, kept: **${channel.name}** (ID: ${channel.id})`);
+  }
+
+  for (const channel of plan.unchanged) {
+    changes.push({ action: "unchanged", name: channel.name, id: channel.id, status: "kept" });
+  }
+  if (plan.unchanged.length > 0) {
+    lines.push(`✔️ Unchanged: ${plan.unchanged.map((channel) => channel.name).join(", ")}`);
+  }
+
+  const count = (action, status) => changes.filter((change) => change.action === action && (!status || change.status === status)).length;
+  const failed = changes.filter((change) => change.status === "failed").length;
+  const attempted = changes.filter((change) => change.status === "done" || change.status === "failed").length;
+  const summary = {
+    create: count("create"),
+    update: count("update"),
+    delete: count("delete"),
+    unchanged: plan.unchanged.length,
+    extra: plan.extra.length,
+    failed,
+  };
+
+  let text;
+  const json = { status: "planned", dry_run, summary, changes };
+  if (dry_run) {
+    text = `📋 Import plan for profile ${profile} (dry run, nothing was changed): ${summary.create} to create, ${summary.update} to update, ` +
+      `${summary.delete} to delete, ${summary.unchanged} unchanged, ${summary.extra} extra\n\n${lines.join("\n")}`;
+    if (doomed.length > 0) {
+      const { token, expiresAt } = confirmations.issue({ profile, channelId: confirmationKey });
+      text += `\n\n⚠️ Check with the user before deleting. To apply this plan, call kweenkl_import_channels again with the same definition, delete_extras and confirm "${token}" (valid until ${expiresAt}).`;
+      Object.assign(json, { confirmation_token: token, expires_at: expiresAt });
+    }
+  } else {
+    json.status = failed === 0 ? "applied" : failed === attempted ? "failed" : "partial";
+    text = `📥 Import ${failed === 0 ? "complete" : "finished with errors"}: ${count("create", "done")} created, ${count("update", "done")} updated, ` +
+      `${count("delete", "done")} deleted, ${summary.unchanged} unchanged, ${summary.extra - count("delete", "done")} extra kept` +
+      (failed > 0 ? `, ${failed} failed` : "") +
+      `\n\n${lines.join("\n")}`;
+
+    const created = changes.filter((change) => change.action === "create" && change.status === "done");
+    if (created.length > 0) {
+      text += `\n\n🔗 Webhook URLs of the new channels (update your secret stores):\n${created.map((change) => `- ${change.name}: ${change.webhook_url}`).join("\n")}`;
+    }
+  }
+
+  const result = { ...toolResult(text, json), ...(json.status === "failed" && { isError: true }) };
+  if (!dry_run && DRY_RUN) return dryRunNote(result, "no channel was actually changed");
+  if (count("create", "done") + count("update", "done") + count("delete", "done") > 0) notifyChannelsChanged(context);
+  return result;
+}
+
+// Notification history: from the API when the channel can be looked up there,
+// else from what this server sent (lib/history.js)
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+function historyResult({ source, target, notifications, hasMore, apiError }, { offset }) {
+  const json = { source, target, notifications, has_more: hasMore };
+  if (hasMore) json.next_offset = offset + notifications.length;
+  if (apiError) json.api_error = errorJson(apiError);
+
+  const from = source === "api"
+    ? "from the kweenkl API"
+    : "from this server's send history; notifications sent elsewhere are not included";
+  let output = apiError ? `⚠️ The kweenkl API could not provide history (${apiError.message}).\n` : "";
+
+  if (notifications.length === 0) {
+    output += `📭 No notifications found for ${target} (${from}).`;
+    return toolResult(output, json);
+  }
+
+  output += `📜 Notifications for ${target} (${notifications.length}, newest first, ${from}):\n\n`;
+  notifications.forEach((notification, i) => {
+    output += `${offset + i + 1}. ${notification.title ? `**${notification.title}**: ` : ""}${notification.message}\n`;
+    output += `   ID: ${notification.id}\n`;
+    output += `   Priority: ${notification.priority}\n`;
+    output += `   Sent: ${notification.sent_at}\n`;
+    output += `\n`;
+  });
+  if (hasMore) output += `More notifications are available: call again with offset ${json.next_offset}.\n`;
+
+  return toolResult(output, json);
+}
+
+async function listNotifications({ webhook_token, channel, limit = HISTORY_DEFAULT_LIMIT, offset = 0, since, until }, context) {
+  const { profile, client } = context;
+  debugLog('Listing notifications:', webhook_token ? 'webhook token' : channel || profile.defaultChannel);
+
+  const badTime = Object.entries({ since, until })
+    .find(([, value]) => value !== undefined && Number.isNaN(Date.parse(value)));
+  if (badTime) {
+    return invalidArguments([{ field: badTime[0], message: "must be an ISO 8601 time such as 2025-01-31T08:00:00Z" }]);
+  }
+
+  if (webhook_token && channel) {
+    return validationError("provide either webhook_token or channel, not both.");
+  }
+  const reference = webhook_token ? undefined : channel || profile.defaultChannel;
+  if (!webhook_token && !reference) {
+    return validationError("either channel or webhook_token is required.");
+  }
+
+  const page = { limit, offset, since, until };
+  const alias = reference && resolveAlias(profile, reference);
+  let token = webhook_token || alias?.webhook_token;
+  let target = reference || `webhook ${maskToken(webhook_token)}`;
+  let apiError;
+
+  // The API lists notifications by channel ID, which webhook tokens don't reveal
+  if (!token && profile.deviceToken) {
+    let resolved;
+    try {
+      resolved = await client.resolveChannel(alias?.channel ?? reference);
+    } catch (error) {
+      if (error.code === ErrorCodes.NOT_FOUND || error.code === ErrorCodes.VALIDATION) {
+        return toolError(`❌ Error: ${error.message}`, error);
+      }
+      apiError = error;
+    }
+
+    if (resolved) {
+      token = resolved.webhookToken;
+      target = resolved.channel.name || reference;
+      try {
+        const result = await client.listNotifications(resolved.channel.id, page);
+        return historyResult({ source: "api", target, ...result }, page);
+      } catch (error) {
+        debugLog('History not available from the API:', error.message);
+        apiError = error;
+      }
+    }
+  }
+
+  if (!history) {
+    if (apiError) return channelError("list notifications", apiError);
+    const message = "Local notification history is turned off, and this channel can't be looked up in the kweenkl API without a device token.";
+    return toolError(`❌ ${message}`, { code: ErrorCodes.NOT_CONFIGURED, message });
+  }
+
+  const result = history.list({
+    profile: profile.name,
+    webhook_token: token,
+    channel: token ? undefined : reference,
+    ...page,
+  });
+  return historyResult({ source: "local", target, apiError, ...result }, page);
+}
+
+// Profiles
+function listProfiles() {
+  const list = [...profiles.values()].map((profile) => profileJson(profile, { isDefault: profile.name === defaultProfile }));
+
+  let output = `👤 kweenkl profiles (${list.length}):\n\n`;
+  list.forEach((profile, i) => {
+    output += `${i + 1}. **${profile.name}**${profile.default ? " (default)" : ""}\n`;
+    if (profile.description) output += `   Description: ${profile.description}\n`;
+    output += `   API: ${profile.api_url}\n`;
+    output += `   Channel management: ${profile.channel_management ? "yes" : "no (no device token)"}\n`;
+    if (profile.default_channel) output += `   Default channel: ${profile.default_channel}\n`;
+    const aliases = Object.entries(profile.aliases);
+    if (aliases.length > 0) {
+      output += `   Aliases: ${aliases.map(([alias, target]) => `${alias} → ${target}`).join(", ")}\n`;
+    }
+    output += `\n`;
+  });
+
+  return toolResult(output, { profiles: list });
+}
+
+// Tools whose results hand out webhook URLs on purpose
+const WEBHOOK_URL_TOOLS = new Set(["kweenkl_list_channels", "kweenkl_create_channel", "kweenkl_update_channel", "kweenkl_import_channels"]);
+const CHANNEL_MUTATIONS = new Set(["kweenkl_create_channel", "kweenkl_update_channel", "kweenkl_delete_channel", "kweenkl_import_channels"]);
+
+let toolIndex;
+
+// Look up a tool definition by name; the list only changes on restart
+async function findTool(name) {
+  toolIndex ??= new Map((await listTools()).tools.map((tool) => [tool.name, tool]));
+  return toolIndex.get(name);
+}
+
+// Handle kweenkl tool calls
+async function callTool(request, { signal, server } = {}) {
+  debugLog('Tool call requested:', request.params.name);
+
+  const toolName = request.params.name;
+  const started = Date.now();
+
+  const tool = await findTool(toolName);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${redactor.redactText(toolName)}`);
+  }
+
+  // Every tool's inputSchema is enforced here, before any handler runs
+  const { args, errors, warnings } = validateToolArguments(tool, request.params.arguments, validation);
+
+  let result;
+  if (errors.length > 0) {
+    debugLog('Invalid arguments:', describeErrors(errors));
+    result = invalidArguments(errors);
+  } else {
+    try {
+      result = withWarnings(await runTool(toolName, args, { signal, progress: progressReporter(server, request) }), warnings);
+    } catch (error) {
+      throw new Error(redactor.redactText(error.message));
+    }
+  }
+
+  if (CHANNEL_MUTATIONS.has(toolName)) {
+    const error = result.structuredContent?.error;
+    audit?.record({
+      tool: toolName,
+      profile: args.profile || defaultProfile,
+      target: args.channel_id || args.name || args.file,
+      outcome: result.isError ? "failed" : result.structuredContent?.status || "ok",
+      latency_ms: Date.now() - started,
+      error_code: error?.code,
+      http_status: error?.http_status,
+    });
+  }
+
+  return redactor.redact(result, { webhooks: result.isError || !WEBHOOK_URL_TOOLS.has(toolName) });
+}
+
+// Progress notifications for a long tool call, if the client asked for them
+function progressReporter(server, request) {
+  const progressToken = request.params._meta?.progressToken;
+  if (!server || progressToken === undefined) return () => {};
+
+  return (progress, total) => {
+    server.notification({ method: "notifications/progress", params: { progressToken, progress, total } })
+      .catch((error) => debugLog('Progress notification failed:', error.message));
+  };
+}
+
+async function runTool(toolName, args, extra) {
+  let context;
+  try {
+    context = profileContext(args.profile);
+  } catch (error) {
+    return toolError(`❌ Error: ${error.message}`, error);
+  }
+
+  // Route to appropriate handler
+  switch (toolName) {
+    case "kweenkl": {
+      const { webhook_token, channel, message, title, priority } = args;
+
+      const invalid = validateNotification(args, context);
+      if (invalid) {
+        return validationError(invalid);
+      }
+
+      // The rich arguments can push a payload over the size limits too
+      const { payload, errors } = buildPayload(args);
+      errors.push(...checkNotification({ payload }, validation).errors);
+      if (errors.length > 0) {
+        return invalidArguments(errors);
+      }
+
+      if (args.tags) {
+        return await fanOutKweenkl(args, context, payload);
+      }
+
+      let token;
+      try {
+        token = await resolveWebhookToken({ webhook_token, channel }, context);
+      } catch (error) {
+        return toolError(`❌ Error: ${error.message}`, error);
+      }
+
+      return await executeKweenkl({
+        profile: context.profile.name,
+        webhook_token: token,
+        channel: channelLabel(args, context),
+        message,
+        title,
+        priority,
+        payload,
+      });
+    }
+
+    case "kweenkl_batch":
+      return await executeBatch(args);
+
+    case "kweenkl_ask":
+      return await askKweenkl(args, context, extra);
+
+    case "kweenkl_get_response":
+      return await getResponse(args);
+
+    case "kweenkl_schedule":
+      return await scheduleKweenkl(args, context);
+
+    case "kweenkl_list_scheduled":
+      return await listScheduled(args);
+
+    case "kweenkl_cancel_scheduled":
+      return await cancelScheduled(args);
+
+    case "kweenkl_list_templates":
+      return listTemplates();
+
+    case "kweenkl_send_template":
+      return await sendTemplate(args, context);
+
+    case "kweenkl_outbox_status":
+      return await outboxStatus();
+
+    case "kweenkl_outbox_flush":
+      return await outboxFlush(args);
+
+    case "kweenkl_digest_status":
+      return await digestStatus();
+
+    case "kweenkl_digest_flush":
+      return await digestFlush(args);
+
+    case "kweenkl_list_channels":
+      return await listChannels(context);
+
+    case "kweenkl_create_channel":
+      return await createChannel(args, context);
+
+    case "kweenkl_update_channel":
+      return await updateChannel(args, context);
+
+    case "kweenkl_delete_channel":
+      return await deleteChannel(args, context);
+
+    case "kweenkl_export_channels":
+      return await exportChannels(args, context);
+
+    case "kweenkl_import_channels":
+      return await importChannels(args, context);
+
+    case "kweenkl_list_notifications":
+      return await listNotifications(args, context);
+
+    case "kweenkl_list_profiles":
+      return listProfiles();
+
+    default:
+      throw new Error(`Unknown tool: ${toolName}`);
+  }
+}
+
+// Servers with a live client, for resource change notifications
+const connectedServers = new Set();
+
+// A fresh MCP server; the HTTP transport creates one per session
+function createServer() {
+  const server = new Server(
+    {
+      name: "kweenkl",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        ...(RESOURCES_ENABLED && { resources: { listChanged: true } }),
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => callTool(request, { ...extra, server }));
+
+  if (RESOURCES_ENABLED) {
+    server.setRequestHandler(ListResourcesRequestSchema, listResources);
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+    server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  }
+
+  server.oninitialized = () => connectedServers.add(server);
+  server.onclose = () => connectedServers.delete(server);
+
+  return server;
+}
+
+async function main(args) {
+  setup();
+  outbox?.start();
+  digest?.start();
+  scheduler.start().catch((error) => {
+    console.error("Failed to start scheduler:", error.message);
+  });
+
+  const { values: options } = parseArgs({
+    args,
+    options: {
+      transport: { type: "string" },
+      host: { type: "string" },
+      port: { type: "string" },
+    },
+  });
+
+  const transportName = options.transport || process.env.KWEENKL_TRANSPORT || "stdio";
+
+  if (transportName === "http") {
+    const host = options.host || process.env.KWEENKL_HTTP_HOST || DEFAULT_HTTP_HOST;
+    const port = parseInt(options.port || process.env.KWEENKL_HTTP_PORT || DEFAULT_HTTP_PORT, 10);
+
+    await startHttpTransport({
+      host,
+      port,
+      authToken: process.env.KWEENKL_HTTP_TOKEN,
+      createServer,
+      debugLog,
+    });
+    console.error(`kweenkl MCP server listening on http://${host}:${port} (Streamable HTTP endpoint: /mcp, SSE endpoint: /sse)`);
+  } else if (transportName === "stdio") {
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    console.error("kweenkl MCP server running on stdio");
+  } else {
+    throw new Error(`Unknown transport "${transportName}". Use "stdio" or "http".`);
+  }
+
+  if (relaySettings) {
+    const { host, port } = relaySettings;
+    const relay = await startRelay({ ...relaySettings, deliver: relayKweenkl, debugLog });
+    // A stdio server ends with its client; the listener must not keep it running
+    if (transportName === "stdio") {
+      if (process.stdin.readableEnded) await relay.close();
+      else process.stdin.once("end", () => relay.close());
+    }
+    console.error(`kweenkl relay listening on http://${host}:${port}/relay/<route> (routes: ${[...relaySettings.routes.keys()].join(", ")})`);
+  }
+
+  if (DRY_RUN) console.error("kweenkl dry run: notifications and channel changes are checked and logged, but not made");
+  debugLog('Debug mode enabled');
+}
+
+// Start the server with the bin's `serve` flags (--transport, --host, --port)
+export function startServer(args = []) {
+  return main(args).catch((error) => {
+    console.error("Fatal error:", redactor.redact(error));
+    process.exit(1);
+  });
+}
+
+export { executeKweenkl, executeBatch };
@@ -0,0 +1,95 @@
+// Named notification templates from the `templates` section of the config file.
+//
+// Titles, messages and string values anywhere in the payload may contain
+// `{{variable}}` placeholders. A variable is required unless the template
+// lists a value for it under `defaults`.
+
+import { ErrorCodes, KweenklError } from "./errors.js";
+
+export const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_.-]*)\s*\}\}/g;
+
+function collectPlaceholders(value, names) {
+  if (typeof value === "string") {
+    for (const [, name] of value.matchAll(PLACEHOLDER)) names.add(name);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectPlaceholders(item, names));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => collectPlaceholders(item, names));
+  }
+  return names;
+}
+
+// Every placeholder used by the template, split into required and optional
+export function templateVariables(template) {
+  const names = collectPlaceholders([template.title, template.message, template.payload], new Set());
+  const defaults = template.defaults || {};
+
+  return {
+    required: [...names].filter((name) => !Object.hasOwn(defaults, name)),
+    optional: [...names].filter((name) => Object.hasOwn(defaults, name)),
+  };
+}
+
+function substitute(value, variables) {
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER, (_, name) => String(variables[name]));
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => substitute(item, variables));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substitute(item, variables)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Render template `name` with `variables`. Returns the notification fields
+ * (title, message, priority, payload) plus the template's default target.
+ */
+export function renderTemplate(name, template, variables = {}) {
+  const values = { ...template.defaults, ...variables };
+  const { required } = templateVariables(template);
+  const missing = required.filter((variable) => values[variable] === undefined || values[variable] === null);
+
+  if (missing.length > 0) {
+    throw new KweenklError(
+      `Template "${name}" is missing required variable(s): ${missing.join(", ")}.`,
+      { code: ErrorCodes.VALIDATION }
+    );
+  }
+
+  const rendered = {
+    message: substitute(template.message, values),
+  };
+  if (template.title) rendered.title = substitute(template.title, values);
+  if (template.priority) rendered.priority = template.priority;
+  if (template.payload) rendered.payload = substitute(template.payload, values);
+  if (template.channel) rendered.channel = template.channel;
+  if (template.webhook_token) rendered.webhook_token = template.webhook_token;
+
+  return rendered;
+}
+
+// Check the templates section at startup so mistakes surface early
+export function validateTemplates(templates = {}) {
+  if (typeof templates !== "object" || Array.isArray(templates)) {
+    throw new Error("templates must be an object keyed by template name");
+  }
+
+  for (const [name, template] of Object.entries(templates)) {
+    if (!template || typeof template.message !== "string" || !template.message) {
+      throw new Error(`Template "${name}" needs a message`);
+    }
+    if (template.priority && !["low", "normal", "high"].includes(template.priority)) {
+      throw new Error(`Template "${name}" has an invalid priority: ${template.priority}`);
+    }
+    if (template.channel && template.webhook_token) {
+      throw new Error(`Template "${name}" sets both channel and webhook_token`);
+    }
+  }
+
+  return templates;
+}
@@ -0,0 +1,380 @@
+// Output schemas and behaviour annotations for every kweenkl tool.
+//
+// Each schema describes the `structuredContent` of a successful result. Error
+// results (isError: true) carry `{ error: { code, message, http_status } }`
+// instead, optionally next to tool-specific fields. Invalid arguments also
+// name the offending `field`, e.g. "items[2].priority".
+
+import { ErrorCodes } from "./errors.js";
+
+export const errorSchema = {
+  type: "object",
+  properties: {
+    code: { type: "string", enum: Object.values(ErrorCodes) },
+    message: { type: "string" },
+    http_status: { type: "integer" },
+    field: { type: "string" },
+  },
+  required: ["code", "message"],
+};
+
+// What the sending policy did to a notification, see lib/policy.js
+const policyDecisionSchema = {
+  type: "object",
+  properties: {
+    rule: { type: "string", enum: ["allowlist", "daily_quota", "max_priority", "quiet_hours"] },
+    action: { type: "string", enum: ["denied", "suppressed", "lowered", "deferred"] },
+    message: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    limit: { type: "integer" },
+    until: { type: "string", format: "date-time" },
+  },
+  required: ["rule", "action", "message"],
+};
+
+// The outcome of sending one notification
+export const deliverySchema = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: ["sent", "suppressed", "queued", "digested", "deferred", "failed"] },
+    notification_id: { type: "string" },
+    subscribers_notified: { type: "integer" },
+    attempts: { type: "integer" },
+    reason: { type: "string", enum: ["rate_limited", "duplicate", "quota_exceeded"] },
+    retry_after_seconds: { type: "integer" },
+    outbox_id: { type: "string" },
+    next_attempt_at: { type: "string", format: "date-time" },
+    digest_id: { type: "string" },
+    pending: { type: "integer" },
+    schedule_id: { type: "string" },
+    send_at: { type: "string", format: "date-time" },
+    dry_run: { type: "boolean" },
+    policy: { type: "array", items: policyDecisionSchema },
+    error: errorSchema,
+  },
+  required: ["status"],
+};
+
+// A tapped action button of a question sent with kweenkl_ask
+const answerProperties = {
+  action: { type: "string" },
+  label: { type: ["string", "null"] },
+  responded_at: { type: ["string", "null"], format: "date-time" },
+};
+
+export const channelSchema = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "integer"] },
+    name: { type: "string" },
+    description: { type: ["string", "null"] },
+    color: { type: ["string", "null"] },
+    icon: { type: ["string", "null"] },
+    webhook_url: { type: "string" },
+    notification_count: { type: "integer" },
+  },
+  required: ["id", "name"],
+};
+
+// A channel in a definition from kweenkl_export_channels
+const channelDefinitionSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    description: { type: ["string", "null"] },
+    color: { type: ["string", "null"] },
+    icon: { type: ["string", "null"] },
+  },
+  required: ["name"],
+};
+
+const notificationSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    title: { type: ["string", "null"] },
+    message: { type: "string" },
+    priority: { type: "string" },
+    sent_at: { type: "string", format: "date-time" },
+  },
+  required: ["id", "message", "priority", "sent_at"],
+};
+
+const jobSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    status: { type: "string", enum: ["pending", "sending", "sent", "suppressed", "queued", "digested", "deferred", "failed", "cancelled"] },
+    target: { type: "string" },
+    title: { type: "string" },
+    message: { type: "string" },
+    priority: { type: "string" },
+    created_at: { type: "string", format: "date-time" },
+    send_at: { type: "string", format: "date-time" },
+    delivered_at: { type: "string", format: "date-time" },
+    cancelled_at: { type: "string", format: "date-time" },
+    result: deliverySchema,
+  },
+  required: ["id", "status", "send_at"],
+};
+
+const outboxItemSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    target: { type: "string" },
+    title: { type: "string" },
+    message: { type: "string" },
+    created_at: { type: "string", format: "date-time" },
+    attempts: { type: "integer" },
+    last_error: { type: "string" },
+    next_attempt_at: { type: "string", format: "date-time" },
+  },
+  required: ["id", "attempts", "next_attempt_at"],
+};
+
+const digestSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    target: { type: "string" },
+    count: { type: "integer" },
+    created_at: { type: "string", format: "date-time" },
+    send_at: { type: "string", format: "date-time" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          message: { type: "string" },
+          priority: { type: "string" },
+          received_at: { type: "string", format: "date-time" },
+        },
+        required: ["message", "received_at"],
+      },
+    },
+  },
+  required: ["id", "target", "count", "send_at", "items"],
+};
+
+const templateSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    description: { type: "string" },
+    channel: { type: "string" },
+    priority: { type: "string" },
+    required_variables: { type: "array", items: { type: "string" } },
+    optional_variables: { type: "array", items: { type: "string" } },
+  },
+  required: ["name", "required_variables", "optional_variables"],
+};
+
+const profileSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    description: { type: ["string", "null"] },
+    default: { type: "boolean" },
+    api_url: { type: "string" },
+    channel_management: { type: "boolean" },
+    default_channel: { type: ["string", "null"] },
+    aliases: { type: "object", additionalProperties: { type: "string" } },
+  },
+  required: ["name", "default", "api_url", "channel_management", "aliases"],
+};
+
+function objectSchema(properties, required = Object.keys(properties)) {
+  return { type: "object", properties, required };
+}
+
+// How many notifications of a batch or fan-out ended in each status
+const summarySchema = objectSchema({
+  total: { type: "integer" },
+  sent: { type: "integer" },
+  failed: { type: "integer" },
+  suppressed: { type: "integer" },
+  queued: { type: "integer" },
+  digested: { type: "integer" },
+  deferred: { type: "integer" },
+});
+
+export const OUTPUT_SCHEMAS = {
+  // One delivery, or with `tags` one per routed channel. A fan-out's status
+  // is the one all deliveries share, else "partial"; "unrouted" when no rule matched.
+  kweenkl: {
+    ...deliverySchema,
+    properties: {
+      ...deliverySchema.properties,
+      status: { type: "string", enum: [...deliverySchema.properties.status.enum, "partial", "unrouted"] },
+      tags: { type: "array", items: { type: "string" } },
+      summary: summarySchema,
+      results: {
+        type: "array",
+        items: {
+          ...deliverySchema,
+          properties: { target: { type: "string" }, tags: { type: "array", items: { type: "string" } }, ...deliverySchema.properties },
+          required: ["target", "tags", "status"],
+        },
+      },
+    },
+  },
+  kweenkl_batch: objectSchema({
+    summary: summarySchema,
+    results: {
+      type: "array",
+      items: {
+        ...deliverySchema,
+        properties: { index: { type: "integer" }, target: { type: "string" }, ...deliverySchema.properties },
+        required: ["index", "target", "status"],
+      },
+    },
+  }),
+  kweenkl_ask: {
+    ...deliverySchema,
+    properties: {
+      ...deliverySchema.properties,
+      status: { type: "string", enum: ["answered", "timeout", ...deliverySchema.properties.status.enum] },
+      ...answerProperties,
+      waited_seconds: { type: "integer" },
+    },
+  },
+  kweenkl_get_response: objectSchema({
+    status: { type: "string", enum: ["answered", "pending"] },
+    notification_id: { type: "string" },
+    target: { type: "string" },
+    question: { type: "string" },
+    asked_at: { type: "string", format: "date-time" },
+    ...answerProperties,
+  }, ["status", "notification_id", "question", "asked_at"]),
+  kweenkl_schedule: objectSchema({ job: jobSchema }),
+  kweenkl_list_scheduled: objectSchema({ jobs: { type: "array", items: jobSchema } }),
+  kweenkl_cancel_scheduled: objectSchema({ job: jobSchema }),
+  kweenkl_outbox_status: objectSchema({ items: { type: "array", items: outboxItemSchema } }),
+  kweenkl_outbox_flush: objectSchema({
+    delivered: { type: "integer" },
+    results: {
+      type: "array",
+      items: objectSchema({
+        item: outboxItemSchema,
+        result: {
+          ...deliverySchema,
+          properties: {
+            ...deliverySchema.properties,
+            // Removed from the outbox: a permanent failure, or too old to send
+            status: { type: "string", enum: [...deliverySchema.properties.status.enum, "dropped", "expired"] },
+          },
+        },
+      }),
+    },
+  }),
+  kweenkl_digest_status: objectSchema({ digests: { type: "array", items: digestSchema } }),
+  kweenkl_digest_flush: objectSchema({
+    sent: { type: "integer" },
+    results: {
+      type: "array",
+      items: objectSchema({ digest: digestSchema, result: deliverySchema }),
+    },
+  }),
+  kweenkl_list_templates: objectSchema({ templates: { type: "array", items: templateSchema } }),
+  kweenkl_send_template: deliverySchema,
+  kweenkl_list_channels: objectSchema({ channels: { type: "array", items: channelSchema } }),
+  kweenkl_create_channel: objectSchema(
+    { channel: channelSchema, webhook_url: { type: "string" }, dry_run: { type: "boolean" } },
+    ["channel", "webhook_url"]
+  ),
+  kweenkl_update_channel: objectSchema({ channel: channelSchema, dry_run: { type: "boolean" } }, ["channel"]),
+  kweenkl_delete_channel: objectSchema({
+    status: { type: "string", enum: ["confirmation_required", "deleted"] },
+    channel: channelSchema,
+    confirmation_token: { type: "string" },
+    expires_at: { type: "string" },
+    deleted_channel: objectSchema({ id: { type: ["string", "integer"] }, name: { type: "string" } }, ["name"]),
+    dry_run: { type: "boolean" },
+  }, ["status"]),
+  kweenkl_export_channels: objectSchema({
+    count: { type: "integer" },
+    file: { type: "string" },
+    definition: objectSchema({
+      version: { type: "integer" },
+      exported_at: { type: "string", format: "date-time" },
+      profile: { type: "string" },
+      channels: { type: "array", items: channelDefinitionSchema },
+    }),
+  }, ["count", "definition"]),
+  kweenkl_import_channels: objectSchema({
+    status: { type: "string", enum: ["planned", "applied", "partial", "failed"] },
+    dry_run: { type: "boolean" },
+    summary: objectSchema({
+      create: { type: "integer" },
+      update: { type: "integer" },
+      delete: { type: "integer" },
+      unchanged: { type: "integer" },
+      extra: { type: "integer" },
+      failed: { type: "integer" },
+    }),
+    changes: {
+      type: "array",
+      items: objectSchema({
+        action: { type: "string", enum: ["create", "update", "delete", "extra", "unchanged"] },
+        status: { type: "string", enum: ["planned", "done", "failed", "kept", "protected"] },
+        name: { type: "string" },
+        id: { type: ["string", "integer"] },
+        changes: {
+          type: "object",
+          additionalProperties: objectSchema({ from: { type: ["string", "null"] }, to: { type: ["string", "null"] } }),
+        },
+        webhook_url: { type: "string" },
+        error: errorSchema,
+      }, ["action", "status", "name"]),
+    },
+    confirmation_token: { type: "string" },
+    expires_at: { type: "string", format: "date-time" },
+  }, ["status", "dry_run", "summary", "changes"]),
+  kweenkl_list_notifications: objectSchema({
+    source: { type: "string", enum: ["api", "local"] },
+    target: { type: "string" },
+    notifications: { type: "array", items: notificationSchema },
+    has_more: { type: "boolean" },
+    next_offset: { type: "integer" },
+    api_error: errorSchema,
+  }, ["source", "target", "notifications", "has_more"]),
+  kweenkl_list_profiles: objectSchema({ profiles: { type: "array", items: profileSchema } }),
+};
+
+// Hints for clients deciding what needs confirmation. Sends are not
+// idempotent: calling twice notifies twice (unless duplicate suppression kicks in).
+export const TOOL_ANNOTATIONS = {
+  kweenkl: { title: "Send notification", readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  kweenkl_batch: { title: "Send notifications in bulk", readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  kweenkl_ask: { title: "Ask and wait for an answer", readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  kweenkl_get_response: { title: "Check answer", readOnlyHint: true, openWorldHint: true },
+  kweenkl_schedule: { title: "Schedule notification", readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+  kweenkl_list_scheduled: { title: "List scheduled notifications", readOnlyHint: true, openWorldHint: false },
+  kweenkl_cancel_scheduled: { title: "Cancel scheduled notification", readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+  kweenkl_outbox_status: { title: "Show outbox", readOnlyHint: true, openWorldHint: false },
+  kweenkl_outbox_flush: { title: "Retry outbox now", readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+  kweenkl_digest_status: { title: "Show held digests", readOnlyHint: true, openWorldHint: false },
+  kweenkl_digest_flush: { title: "Send digests now", readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  kweenkl_list_templates: { title: "List templates", readOnlyHint: true, openWorldHint: false },
+  kweenkl_send_template: { title: "Send templated notification", readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  kweenkl_list_channels: { title: "List channels", readOnlyHint: true, openWorldHint: true },
+  kweenkl_create_channel: { title: "Create channel", readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  kweenkl_update_channel: { title: "Update channel", readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+  kweenkl_delete_channel: { title: "Delete channel", readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
+  kweenkl_export_channels: { title: "Export channels", readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+  kweenkl_import_channels: { title: "Import channels", readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
+  kweenkl_list_notifications: { title: "List sent notifications", readOnlyHint: true, openWorldHint: true },
+  kweenkl_list_profiles: { title: "List profiles", readOnlyHint: true, openWorldHint: false },
+};
+
+// Attach the output schema and annotations to each tool definition
+export function describeTools(tools) {
+  return tools.map((tool) => ({
+    ...tool,
+    ...(OUTPUT_SCHEMAS[tool.name] && { outputSchema: OUTPUT_SCHEMAS[tool.name] }),
+    ...(TOOL_ANNOTATIONS[tool.name] && { annotations: TOOL_ANNOTATIONS[tool.name] }),
+  }));
+}
@@ -0,0 +1,248 @@
+// Central argument validation, run before any tool handler.
+//
+// Every tool's inputSchema is enforced (the subset of JSON Schema the tool
+// definitions use), then notification policies are applied: message and
+// title lengths, payload size and depth. Errors name the exact argument,
+// e.g. `items[2].priority`, so the model can fix it in one retry.
+
+export const DEFAULT_VALIDATION = {
+  max_message_length: 500,
+  max_title_length: 50,
+  // "reject" refuses long messages and titles; "truncate" shortens them and says so
+  length_policy: "reject",
+  max_payload_bytes: 4096,
+  max_payload_depth: 5,
+  extra_icons: [],
+};
+
+// SF Symbols the kweenkl app shows for channels
+export const KNOWN_ICONS = [
+  "bell", "bell.fill", "bell.badge", "exclamationmark.triangle", "checkmark.circle", "xmark.octagon",
+  "info.circle", "star", "heart", "flag", "bolt", "flame", "gear", "hammer", "wrench", "server.rack",
+  "cloud", "cpu", "lock", "key", "cart", "creditcard", "dollarsign.circle", "chart.bar",
+  "chart.line.uptrend.xyaxis", "calendar", "clock", "envelope", "bubble.left", "person", "person.2",
+  "house", "airplane", "car", "leaf", "sun.max", "moon", "bug", "terminal", "shippingbox", "doc.text",
+  "megaphone", "trophy", "gift",
+];
+
+export const WEBHOOK_TOKEN_PATTERN = "^[A-Za-z0-9_-]{8,128}$";
+export const ID_PATTERN = "^[A-Za-z0-9_-]{1,128}$";
+export const UUID_PATTERN = "^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$";
+export const HEX_COLOR_PATTERN = "^#(?:[0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$";
+export const LINK_PATTERN = "^[A-Za-z][A-Za-z0-9+.-]*:\\S+$";
+export const HTTPS_URL_PATTERN = "^https://\\S+$";
+export const ACTION_ID_PATTERN = "^[A-Za-z0-9_.-]{1,64}$";
+
+// What each pattern means, for error messages
+const PATTERN_DESCRIPTIONS = {
+  [WEBHOOK_TOKEN_PATTERN]: "8-128 letters, digits, '-' or '_'",
+  [ID_PATTERN]: "letters, digits, '-' or '_'",
+  [UUID_PATTERN]: "a UUID such as 3f2c1a9e-5b7d-4c8e-9f01-23456789abcd",
+  [HEX_COLOR_PATTERN]: "a hex color such as '#FF0000'",
+  [LINK_PATTERN]: "a URL such as 'https://example.com/builds/42' or an app link such as 'kweenkl://posts/12345'",
+  [HTTPS_URL_PATTERN]: "an https:// URL",
+  [ACTION_ID_PATTERN]: "1-64 letters, digits, '.', '-' or '_'",
+};
+
+/**
+ * Merge the `validation` section of the config file with the defaults.
+ * Throws on invalid settings so mistakes surface at startup.
+ */
+export function validationOptions(fileConfig = {}) {
+  const options = { ...DEFAULT_VALIDATION, ...fileConfig };
+
+  for (const key of ["max_message_length", "max_title_length", "max_payload_bytes", "max_payload_depth"]) {
+    if (!Number.isInteger(options[key]) || options[key] < 1) {
+      throw new Error(`Invalid kweenkl config: validation.${key} must be a positive integer`);
+    }
+  }
+  if (!["reject", "truncate"].includes(options.length_policy)) {
+    throw new Error('Invalid kweenkl config: validation.length_policy must be "reject" or "truncate"');
+  }
+  if (!Array.isArray(options.extra_icons) || options.extra_icons.some((icon) => typeof icon !== "string")) {
+    throw new Error("Invalid kweenkl config: validation.extra_icons must be an array of icon names");
+  }
+
+  return options;
+}
+
+export function iconNames(options = DEFAULT_VALIDATION) {
+  return [...new Set([...KNOWN_ICONS, ...options.extra_icons])];
+}
+
+function fieldPath(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Check `value` against `schema`. Objects with `properties` reject unknown
+ * keys unless `additionalProperties` says otherwise. Returns a list of
+ * `{ field, message }`, empty when the value is valid.
+ */
+export function validateSchema(schema, value, path = "") {
+  const errors = [];
+  const fail = (message) => errors.push({ field: path || "arguments", message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(", ")} (got ${describeValue(value)})`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters (got ${value.length})`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      const expected = PATTERN_DESCRIPTIONS[schema.pattern];
+      fail(`has an invalid format${expected ? `; expected ${expected}` : ""} (got ${describeValue(value)})`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must contain at most ${schema.maxItems} items (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, fieldPath(path, i))));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ field: fieldPath(path, key), message: "is required" });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const field = fieldPath(path, key);
+
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, field));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, item, field));
+      } else if (schema.properties && schema.additionalProperties !== true) {
+        errors.push({
+          field,
+          message: `is not a known argument. Known arguments: ${Object.keys(properties).join(", ") || "none"}`,
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+function depthOf(value) {
+  if (!value || typeof value !== "object") return 0;
+  const children = Array.isArray(value) ? value : Object.values(value);
+  return 1 + children.reduce((max, child) => Math.max(max, depthOf(child)), 0);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Apply the length and payload policies to one notification. With the
+ * "truncate" policy long texts are shortened in place and reported in
+ * `warnings`; otherwise they are reported in `errors`.
+ */
+export function checkNotification(notification, options = DEFAULT_VALIDATION, path = "") {
+  const errors = [];
+  const warnings = [];
+
+  for (const [key, max] of [["message", options.max_message_length], ["title", options.max_title_length]]) {
+    const text = notification[key];
+    if (typeof text !== "string" || text.length <= max) continue;
+
+    const field = fieldPath(path, key);
+    if (options.length_policy === "truncate") {
+      notification[key] = truncate(text, max);
+      warnings.push(`${field} was truncated from ${text.length} to ${max} characters`);
+    } else {
+      errors.push({ field, message: `must be at most ${max} characters (got ${text.length}). Shorten it and try again.` });
+    }
+  }
+
+  if (notification.payload !== undefined) {
+    const field = fieldPath(path, "payload");
+    const bytes = Buffer.byteLength(JSON.stringify(notification.payload) ?? "", "utf8");
+    if (bytes > options.max_payload_bytes) {
+      errors.push({ field, message: `must be at most ${options.max_payload_bytes} bytes as JSON (got ${bytes})` });
+    }
+    const depth = depthOf(notification.payload);
+    if (depth > options.max_payload_depth) {
+      errors.push({ field, message: `must be nested at most ${options.max_payload_depth} levels deep (got ${depth})` });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate the arguments of a call to `tool` (a tool definition). Returns
+ * `{ args, errors, warnings }`; `args` is a copy, possibly with texts truncated.
+ */
+export function validateToolArguments(tool, rawArgs, options = DEFAULT_VALIDATION) {
+  const args = structuredClone(rawArgs ?? {});
+  const errors = validateSchema(tool.inputSchema, args);
+  const warnings = [];
+
+  // Notification policies apply to the tool's own fields and to batch items
+  const notifications = Array.isArray(args.items)
+    ? args.items.map((item, i) => [item, `items[${i}]`])
+    : [[args, ""]];
+
+  for (const [notification, path] of notifications) {
+    if (!notification || typeof notification !== "object") continue;
+    const result = checkNotification(notification, options, path);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  }
+
+  return { args, errors, warnings };
+}
+
+// One line per problem, naming the argument
+export function describeErrors(errors) {
+  return errors.map(({ field, message }) => `"${field}" ${message}`).join("; ");
+}
@@ -1,5 +1,5 @@
 // Quick test with real webhook token
-import { executeKweenkl } from '../index.js';
+import { executeKweenkl } from '../lib/server.js';
 
 async function quickTest() {
   console.log('Testing kweenkl with real webhook token...\n');
@@ -0,0 +1,150 @@
+// tests/test-asks.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ErrorCodes, KweenklClient, KweenklError } from '../index.js';
+import { createAskStore, waitForResponse } from '../lib/asks.js';
+import { MOCK_DEVICE_TOKEN, MOCK_WEBHOOK_TOKEN, startMockApi } from '../lib/mock-api.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'kweenkl-asks-'));
+
+// A clock that only moves when the wait loop sleeps
+function fakeTime() {
+  let time = 0;
+  const now = () => time;
+  const sleep = async (ms) => { time += ms; };
+  return { now, sleep };
+}
+
+async function testStore() {
+  console.log('\n=== Testing the ask store ===');
+  const file = join(dir, 'asks.json');
+  const store = createAskStore({ file, maxEntries: 2, now: () => Date.parse('2025-06-01T10:00:00Z') });
+
+  store.add({ notification_id: 'n1', profile: 'default', webhook_token: 'ops-token-1234', question: 'Deploy?' });
+  assert.equal(store.get('n1').asked_at, '2025-06-01T10:00:00.000Z');
+  assert.equal(store.get('n1').response, null);
+  assert.equal(store.get('n9'), null);
+
+  store.answer('n1', { action: 'approve', label: 'Approve', responded_at: '2025-06-01T10:01:00Z' });
+  store.answer('n1', { action: 'reject', label: 'Reject', responded_at: '2025-06-01T10:02:00Z' });
+  assert.equal(createAskStore({ file }).get('n1').response.action, 'approve');
+  console.log('✅ Keeps asks across restarts; the first answer wins');
+
+  store.add({ notification_id: 'n2', question: 'Rollback?' });
+  store.add({ notification_id: 'n3', question: 'Restart?' });
+  assert.equal(createAskStore({ file }).get('n1'), null);
+  assert.equal(createAskStore({ file }).get('n3').question, 'Restart?');
+  console.log('✅ Keeps only the newest asks');
+}
+
+async function testWait() {
+  console.log('\n=== Testing waiting for an answer ===');
+  let polls = 0;
+  const answered = await waitForResponse({
+    poll: async () => (++polls === 3 ? { status: 'answered', action: 'approve' } : { status: 'pending' }),
+    timeoutMs: 60000,
+    ...fakeTime(),
+  });
+  assert.equal(answered.response.action, 'approve');
+  assert.equal(answered.waitedMs, 4000);
+  console.log('✅ Polls until an action is chosen');
+
+  const progress = [];
+  const timedOut = await waitForResponse({
+    poll: async () => ({ status: 'pending' }),
+    timeoutMs: 5000,
+    onProgress: (waitedMs, total) => progress.push([waitedMs, total]),
+    ...fakeTime(),
+  });
+  assert.equal(timedOut.response.status, 'pending');
+  assert.equal(timedOut.waitedMs, 5000);
+  assert.deepEqual(progress, [[0, 5000], [2000, 5000], [4000, 5000]]);
+  console.log('✅ Gives up at the timeout, reporting progress while it waits');
+
+  let failures = 0;
+  const retried = await waitForResponse({
+    poll: async () => {
+      if (failures++ < 2) throw new KweenklError('Service unavailable', { code: ErrorCodes.SERVER_ERROR });
+      return { status: 'answered', action: 'reject' };
+    },
+    timeoutMs: 60000,
+    ...fakeTime(),
+  });
+  assert.equal(retried.response.action, 'reject');
+  await assert.rejects(waitForResponse({
+    poll: async () => { throw new KweenklError('Notification not found', { code: ErrorCodes.NOT_FOUND }); },
+    timeoutMs: 60000,
+    ...fakeTime(),
+  }), { code: ErrorCodes.NOT_FOUND });
+  console.log('✅ Retries transient errors and stops on others');
+
+  const controller = new AbortController();
+  const cancelled = await waitForResponse({
+    poll: async () => {
+      controller.abort();
+      return { status: 'pending' };
+    },
+    timeoutMs: 60000,
+    signal: controller.signal,
+    ...fakeTime(),
+  });
+  assert.equal(cancelled.response.status, 'pending');
+  assert.equal(cancelled.waitedMs, 2000);
+  console.log('✅ Stops waiting when the request is cancelled');
+}
+
+async function testMockReplies() {
+  console.log('\n=== Testing answers through the mock API ===');
+  const api = await startMockApi();
+  try {
+    const client = new KweenklClient({ apiUrl: api.url, deviceToken: MOCK_DEVICE_TOKEN, httpOptions: { maxRetries: 0, timeoutMs: 300 } });
+    const { notificationId } = await client.send({
+      webhookToken: MOCK_WEBHOOK_TOKEN,
+      message: 'Deploy v1.4?',
+      payload: { action_buttons: [{ label: 'Approve', action: 'approve' }, { label: 'Reject', action: 'reject' }] },
+    });
+    const ask = { webhookToken: MOCK_WEBHOOK_TOKEN, notificationId };
+
+    assert.deepEqual(await client.getResponse(ask), { status: 'pending' });
+    assert.throws(() => api.respond(notificationId, 'maybe'), /has no action button "maybe"/);
+
+    const control = await fetch(`${api.url}/_mock/notifications/${notificationId}/response`, {
+      method: 'POST',
+      body: JSON.stringify({ action: 'approve' }),
+    });
+    assert.equal(control.status, 200);
+    const answer = await client.getResponse(ask);
+    assert.equal(answer.action, 'approve');
+    assert.equal(answer.label, 'Approve');
+    assert.ok(answer.respondedAt);
+    console.log('✅ Reports the tapped action button');
+
+    await assert.rejects(client.getResponse({ ...ask, notificationId: 'unknown' }), {
+      code: ErrorCodes.NOT_FOUND,
+      message: /^Replies are not supported by this kweenkl API, or it doesn't know notification unknown/,
+    });
+    await assert.rejects(client.getResponse({ ...ask, webhookToken: 'unknown-token' }), { code: ErrorCodes.NOT_FOUND });
+    console.log('✅ A 404 says replies may not be supported');
+  } finally {
+    await api.close();
+  }
+}
+
+async function runTests() {
+  try {
+    await testStore();
+    await testWait();
+    await testMockReplies();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
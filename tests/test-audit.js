@@ -0,0 +1,86 @@
+// tests/test-audit.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { auditOptions, createAuditLog } from '../lib/audit.js';
+import { createRedactor } from '../lib/redact.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'kweenkl-audit-'));
+
+function readLines(file) {
+  return readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+async function testOptions() {
+  console.log('\n=== Testing audit options ===');
+  const saved = process.env.KWEENKL_AUDIT_LOG;
+  try {
+    delete process.env.KWEENKL_AUDIT_LOG;
+    assert.equal(auditOptions({}, dir), null);
+    assert.equal(auditOptions({ enabled: true }, dir).file, join(dir, 'audit.jsonl'));
+
+    process.env.KWEENKL_AUDIT_LOG = 'true';
+    assert.equal(auditOptions(undefined, dir).file, join(dir, 'audit.jsonl'));
+    process.env.KWEENKL_AUDIT_LOG = '/var/log/kweenkl.jsonl';
+    assert.equal(auditOptions({ enabled: true }, dir).file, '/var/log/kweenkl.jsonl');
+    process.env.KWEENKL_AUDIT_LOG = 'false';
+    assert.equal(auditOptions({ enabled: true }, dir), null);
+  } finally {
+    if (saved === undefined) delete process.env.KWEENKL_AUDIT_LOG;
+    else process.env.KWEENKL_AUDIT_LOG = saved;
+  }
+  console.log('✅ Audit log is opt-in and KWEENKL_AUDIT_LOG wins');
+}
+
+async function testRecord() {
+  console.log('\n=== Testing audit records ===');
+  const file = join(dir, 'nested', 'audit.jsonl');
+  const redactor = createRedactor();
+  redactor.addWebhookToken('51fa2b2d-2080-4a73-b059-7e67712d93f7');
+  const audit = createAuditLog({ file, redact: redactor.redact, now: () => Date.parse('2025-01-01T00:00:00Z') });
+
+  audit.record({
+    tool: 'kweenkl',
+    target: 'Ops',
+    message: 'Deploy of 51fa2b2d-2080-4a73-b059-7e67712d93f7 done',
+    outcome: 'sent',
+    latency_ms: 12,
+    notification_id: 'n1',
+    error_code: undefined,
+  });
+  audit.record({ tool: 'kweenkl_delete_channel', target: 'c1', outcome: 'failed', latency_ms: 3, error_code: 'NOT_FOUND' });
+
+  const [send, remove] = readLines(file);
+  assert.equal(send.time, '2025-01-01T00:00:00.000Z');
+  assert.equal(send.tool, 'kweenkl');
+  assert.equal(send.message, 'Deploy of …93f7 done');
+  assert.equal('error_code' in send, false);
+  assert.equal(remove.error_code, 'NOT_FOUND');
+  assert.equal(statSync(file).mode & 0o777, 0o600);
+  console.log('✅ Entries are appended as redacted JSON lines');
+
+  const quiet = createAuditLog({ file, includeContent: false });
+  quiet.record({ tool: 'kweenkl', title: 'Secret title', message: 'Secret', outcome: 'sent' });
+  const last = readLines(file).at(-1);
+  assert.equal(last.message, undefined);
+  assert.equal(last.title, undefined);
+  assert.equal(readLines(file).length, 3);
+  console.log('✅ Message content can be left out');
+}
+
+async function runTests() {
+  try {
+    await testOptions();
+    await testRecord();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
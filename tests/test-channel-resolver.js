@@ -0,0 +1,87 @@
+// tests/test-channel-resolver.js
+import assert from 'node:assert/strict';
+import { createChannelResolver, webhookTokenFor } from '../lib/channel-resolver.js';
+
+const channels = [
+  { id: 'ch-1', name: 'Production Alerts', webhook_url: 'https://api.kweenkl.com/webhook/token-1' },
+  { id: 'ch-2', name: 'Daily Reports', webhook_url: 'https://api.kweenkl.com/webhook/token-2' },
+  { id: 'ch-3', name: 'Deploys', webhook_url: 'https://api.kweenkl.com/webhook/token-3' },
+  { id: 'ch-4', name: 'deploys', webhook_url: 'https://api.kweenkl.com/webhook/token-4' },
+];
+
+function fakeFetcher(lists) {
+  let calls = 0;
+  const fetchChannels = async () => lists[Math.min(calls++, lists.length - 1)];
+  return { fetchChannels, calls: () => calls };
+}
+
+async function testWebhookTokenFor() {
+  console.log('\n=== Testing webhook token extraction ===');
+  assert.equal(webhookTokenFor(channels[0]), 'token-1');
+  assert.equal(webhookTokenFor({ webhook_token: 'direct' }), 'direct');
+  assert.equal(webhookTokenFor({ webhook_url: 'https://example.com/other' }), null);
+  console.log('✅ webhook tokens extracted');
+}
+
+async function testResolveByNameAndId() {
+  console.log('\n=== Testing resolve by name and ID ===');
+  const fetcher = fakeFetcher([channels]);
+  const resolver = createChannelResolver({ fetchChannels: fetcher.fetchChannels });
+
+  const byName = await resolver.resolve('production alerts');
+  assert.equal(byName.webhookToken, 'token-1');
+
+  const byId = await resolver.resolve('ch-2');
+  assert.equal(byId.channel.name, 'Daily Reports');
+
+  assert.equal(fetcher.calls(), 1, 'channel list should be cached');
+  console.log('✅ resolved by name and ID with one fetch');
+}
+
+async function testAmbiguousName() {
+  console.log('\n=== Testing ambiguous name ===');
+  const resolver = createChannelResolver({ fetchChannels: fakeFetcher([channels]).fetchChannels });
+
+  await assert.rejects(resolver.resolve('DEPLOYS'), /ambiguous.*ch-3.*ch-4/);
+  console.log('✅ ambiguous name rejected');
+}
+
+async function testRefreshOnMiss() {
+  console.log('\n=== Testing refresh on miss ===');
+  const added = [...channels, { id: 'ch-5', name: 'Nightly', webhook_url: 'https://api.kweenkl.com/webhook/token-5' }];
+  const fetcher = fakeFetcher([channels, added]);
+  const resolver = createChannelResolver({ fetchChannels: fetcher.fetchChannels });
+
+  await resolver.resolve('Daily Reports');
+  const result = await resolver.resolve('nightly');
+  assert.equal(result.webhookToken, 'token-5');
+  assert.equal(fetcher.calls(), 2);
+  console.log('✅ cache refreshed when a channel was missing');
+}
+
+async function testUnknownSuggestsCloseMatches() {
+  console.log('\n=== Testing unknown channel suggestions ===');
+  const resolver = createChannelResolver({ fetchChannels: fakeFetcher([channels]).fetchChannels });
+
+  await assert.rejects(resolver.resolve('Production Alert'), /Unknown channel.*Did you mean: "Production Alerts"/);
+  await assert.rejects(resolver.resolve('zzz'), /kweenkl_list_channels/);
+  console.log('✅ unknown channel reports close matches');
+}
+
+async function runTests() {
+  console.log('Starting channel resolver tests...');
+
+  await testWebhookTokenFor();
+  await testResolveByNameAndId();
+  await testAmbiguousName();
+  await testRefreshOnMiss();
+  await testUnknownSuggestsCloseMatches();
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
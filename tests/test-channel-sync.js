@@ -0,0 +1,83 @@
+// tests/test-channel-sync.js
+import assert from 'node:assert/strict';
+import { join, resolve } from 'node:path';
+import { channelDefinition, exportDirectory, exportPath, parseDefinition, planImport } from '../lib/channel-sync.js';
+
+const icons = ['bell', 'star'];
+
+const existing = [
+  { id: '1', name: 'Production Alerts', description: 'Pager duty', color: '#FF3B30', icon: 'bell', webhook_url: 'https://api.kweenkl.com/webhook/secret-1', notification_count: 12 },
+  { id: '2', name: 'Deploys', description: null, color: '#007AFF', icon: 'bell', webhook_url: 'https://api.kweenkl.com/webhook/secret-2' },
+  { id: '3', name: 'Old', description: null, color: '#007AFF', icon: 'bell', webhook_url: 'https://api.kweenkl.com/webhook/secret-3' },
+];
+
+async function testExport() {
+  console.log('\n=== Testing channel export ===');
+  const definition = channelDefinition(existing, { profile: 'default', now: () => Date.parse('2025-06-01T10:00:00Z') });
+  assert.equal(definition.version, 1);
+  assert.equal(definition.exported_at, '2025-06-01T10:00:00.000Z');
+  assert.deepEqual(definition.channels[0], { name: 'Production Alerts', description: 'Pager duty', color: '#FF3B30', icon: 'bell' });
+  assert.ok(!JSON.stringify(definition).includes('secret'));
+  console.log('✅ Exports names, descriptions, colors and icons, never webhook URLs');
+
+  assert.equal(exportDirectory({ KWEENKL_EXPORT_DIR: '/backups/kweenkl' }), '/backups/kweenkl');
+  assert.equal(exportPath('channels.json', '/backups/kweenkl'), '/backups/kweenkl/channels.json');
+  assert.equal(exportPath('team/channels.json', '/backups/kweenkl'), join('/backups/kweenkl', 'team', 'channels.json'));
+  assert.equal(exportPath(resolve('/backups/kweenkl/a.json'), '/backups/kweenkl'), '/backups/kweenkl/a.json');
+  for (const file of ['../channels.json', '/etc/passwd', '.', 'team/../../x.json']) {
+    assert.throws(() => exportPath(file, '/backups/kweenkl'), { code: 'VALIDATION', field: 'file' });
+  }
+  console.log('✅ Keeps files inside the export directory');
+}
+
+async function testParse() {
+  console.log('\n=== Testing channel definitions ===');
+  const file = { version: 1, channels: [{ name: 'Deploys', color: '#34C759' }] };
+  assert.deepEqual(parseDefinition(file, { icons }), { channels: file.channels, errors: [] });
+  assert.deepEqual(parseDefinition(file.channels, { icons }).channels, file.channels);
+  console.log('✅ Reads whole files and bare channel lists');
+
+  const fields = (data) => parseDefinition(data, { icons }).errors.map((error) => error.field);
+  assert.deepEqual(fields({ channels: [{ name: 'A', color: 'red' }, { description: 'no name' }] }), ['channels[0].color', 'channels[1].name']);
+  assert.deepEqual(fields([{ name: 'A', icon: 'rocket' }]), ['channels[0].icon']);
+  assert.deepEqual(fields([{ name: 'A', colour: '#fff' }]), ['channels[0].colour']);
+  assert.deepEqual(fields([{ name: 'Deploys' }, { name: 'deploys ' }]), ['channels[1].name']);
+  assert.deepEqual(fields({ version: 2, channels: [] }), ['version']);
+  assert.deepEqual(fields({ name: 'Deploys' }), ['channels']);
+  console.log('✅ Names each invalid, unknown or repeated field');
+}
+
+async function testPlan() {
+  console.log('\n=== Testing import plans ===');
+  const plan = planImport([
+    { name: 'production alerts', description: 'Pager duty', color: '#FF3B30', icon: 'bell' },
+    { name: 'Deploys', description: 'Releases', color: '#007AFF' },
+    { name: 'Billing', icon: 'star' },
+  ], existing);
+
+  assert.deepEqual(plan.create, [{ name: 'Billing', icon: 'star' }]);
+  assert.equal(plan.update.length, 2);
+  assert.deepEqual(plan.update[0].changes, { name: { from: 'Production Alerts', to: 'production alerts' } });
+  assert.deepEqual(plan.update[1].changes, { description: { from: null, to: 'Releases' } });
+  assert.deepEqual(plan.extra.map((channel) => channel.name), ['Old']);
+  console.log('✅ Creates missing channels, updates changed ones and reports extras');
+
+  const same = planImport([{ name: 'Deploys' }, { name: 'Old', description: null }], existing);
+  assert.deepEqual(same.unchanged.map((channel) => channel.name), ['Deploys', 'Old']);
+  assert.deepEqual(same.update, []);
+  assert.deepEqual(planImport([], existing).extra.length, 3);
+  console.log('✅ Leaves out fields the definition does not set');
+}
+
+async function runTests() {
+  await testExport();
+  await testParse();
+  await testPlan();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,227 @@
+// tests/test-cli.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { EXIT_CODES, runCli } from '../lib/cli.js';
+
+process.env.KWEENKL_CONFIG = '/nonexistent/kweenkl-config.json';
+process.env.KWEENKL_AUDIT_LOG = 'false';
+process.env.KWEENKL_MAX_RETRIES = '0';
+
+// Local kweenkl API with one channel
+async function startApi() {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, body: body && JSON.parse(body) });
+
+    const reply = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.url === '/webhook/ops-token-1234') return reply(200, { notification_id: 'n1', subscribers_notified: 2 });
+    if (req.url.startsWith('/webhook/')) return reply(404, { error: { message: 'Webhook not found' } });
+    if (req.url === '/api/v1/channels' && req.method === 'GET') {
+      return reply(200, { channels: [{ id: 'c1', name: 'Ops', webhook_url: 'http://x/webhook/ops-token-1234' }] });
+    }
+    if (req.url === '/api/v1/channels' && req.method === 'POST') {
+      return reply(201, { channel: { id: 'c2', name: JSON.parse(body).name }, webhook_url: 'http://x/webhook/new-token-1234' });
+    }
+    if (req.url === '/api/v1/channels/c1' && req.method === 'DELETE') {
+      return reply(200, { deleted_channel: { id: 'c1', name: 'Ops' } });
+    }
+    reply(404, { error: { message: 'Channel not found' } });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    env: { KWEENKL_API_URL: `http://127.0.0.1:${server.address().port}`, KWEENKL_DEVICE_TOKEN: 'device-token-5678' },
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+function output() {
+  return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+// Run the CLI and capture its exit code and output
+async function cli(argv, { env, stdin = Readable.from([]) }) {
+  const stdout = output();
+  const stderr = output();
+  const code = await runCli(argv, { stdin, stdout, stderr, env });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+async function testSend(api) {
+  console.log('\n=== Testing send ===');
+  const sent = await cli(['send', '--channel', 'ops', '--title', 'Backup', '--priority', 'high', 'Backup', 'failed'], api);
+  assert.equal(sent.code, EXIT_CODES.OK);
+  assert.match(sent.stdout, /✅ Sent to ops: 2 subscriber\(s\) notified \(notification n1\)/);
+  assert.deepEqual(api.requests.at(-1).body, { message: 'Backup failed', title: 'Backup', priority: 'high' });
+  console.log('✅ Sends to a channel by name');
+
+  const piped = await cli(['send', '-c', 'Ops', '--json'], { ...api, stdin: Readable.from(['/dev/sda1  91%\n']) });
+  assert.equal(piped.code, EXIT_CODES.OK);
+  assert.deepEqual(JSON.parse(piped.stdout), { status: 'sent', notification_id: 'n1', subscribers_notified: 2, attempts: 1 });
+  assert.equal(api.requests.at(-1).body.message, '/dev/sda1  91%');
+  console.log('✅ Reads the message from stdin and prints JSON');
+
+  const dry = await cli(['send', '--channel', 'ops', 'Hi', '--json'], { env: { ...api.env, KWEENKL_DRY_RUN: 'true' } });
+  assert.equal(dry.code, EXIT_CODES.OK);
+  assert.equal(JSON.parse(dry.stdout).dry_run, true);
+  assert.equal(api.requests.at(-1).url, '/api/v1/channels');
+  console.log('✅ KWEENKL_DRY_RUN checks the send without making it');
+}
+
+async function testErrors(api) {
+  console.log('\n=== Testing exit codes ===');
+  const invalid = await cli(['send', '--webhook-token', 'missing-token-1', 'Hi', '--json'], api);
+  assert.equal(invalid.code, EXIT_CODES.INVALID_TOKEN);
+  const { error } = JSON.parse(invalid.stdout);
+  assert.equal(error.code, 'INVALID_TOKEN');
+  assert.equal(error.http_status, 404);
+  assert.ok(!invalid.stdout.includes('missing-token-1'));
+  console.log('✅ API errors map to exit codes, with tokens masked');
+
+  const unknown = await cli(['send', '--channel', 'Opps', 'Hi'], api);
+  assert.equal(unknown.code, EXIT_CODES.NOT_FOUND);
+  assert.match(unknown.stderr, /Unknown channel "Opps"\. Did you mean: "Ops"/);
+
+  const usage = await cli(['send', '--channel', 'ops', '--priority', 'urgent', 'Hi'], api);
+  assert.equal(usage.code, EXIT_CODES.VALIDATION);
+  assert.match(usage.stderr, /--priority must be one of: low, normal, high/);
+
+  const long = await cli(['send', '--channel', 'ops', 'x'.repeat(501)], api);
+  assert.equal(long.code, EXIT_CODES.VALIDATION);
+  assert.match(long.stderr, /--message must be at most 500 characters/);
+
+  assert.equal((await cli(['send', '--bogus'], api)).code, EXIT_CODES.VALIDATION);
+  assert.equal((await cli(['frobnicate'], api)).code, EXIT_CODES.VALIDATION);
+
+  const noToken = await cli(['channels', 'list'], { env: { KWEENKL_API_URL: api.env.KWEENKL_API_URL } });
+  assert.equal(noToken.code, EXIT_CODES.NOT_CONFIGURED);
+  console.log('✅ Usage mistakes exit with 2, missing device tokens with 9');
+}
+
+async function testPolicy(api) {
+  console.log('\n=== Testing the sending policy ===');
+  const dir = mkdtempSync(join(tmpdir(), 'kweenkl-cli-policy-'));
+  const policyFile = join(dir, 'policy.json');
+  process.env.KWEENKL_POLICY = policyFile;
+  process.env.KWEENKL_DATA_DIR = dir;
+
+  try {
+    writeFileSync(policyFile, JSON.stringify({ allowed_channels: ['Ops'], max_priority: 'normal', daily_quota: 1 }));
+    const lowered = await cli(['send', '--channel', 'ops', '--priority', 'high', 'Disk full'], api);
+    assert.equal(lowered.code, EXIT_CODES.OK);
+    assert.equal(api.requests.at(-1).body.priority, 'normal');
+    assert.match(lowered.stderr, /Policy \(max_priority\): priority lowered from high to normal/);
+
+    const posts = () => api.requests.filter((request) => request.url.startsWith('/webhook/')).length;
+    const sent = posts();
+    const over = await cli(['send', '--channel', 'ops', 'Disk full again'], api);
+    assert.equal(over.code, EXIT_CODES.RATE_LIMITED);
+    assert.match(over.stderr, /daily quota of 1 notification\(s\) for ops is used up/);
+
+    const denied = await cli(['send', '--webhook-token', 'ops-token-1234', 'Hi'], api);
+    assert.equal(denied.code, EXIT_CODES.FORBIDDEN);
+    assert.match(denied.stderr, /not an allowed channel/);
+    assert.equal(posts(), sent);
+    console.log('✅ Applies the allowlist, max priority and daily quota');
+
+    const hour = new Date().getUTCHours();
+    const at = (h) => `${String((h + 24) % 24).padStart(2, '0')}:00`;
+    writeFileSync(policyFile, JSON.stringify({ time_zone: 'UTC', quiet_hours: { start: at(hour), end: at(hour + 2) } }));
+    const quiet = await cli(['send', '--channel', 'ops', 'Nightly report'], api);
+    assert.equal(quiet.code, EXIT_CODES.FORBIDDEN);
+    assert.match(quiet.stderr, /held during quiet hours .* The command line can't hold notifications/);
+    assert.equal((await cli(['send', '--channel', 'ops', '--priority', 'high', 'Site down'], api)).code, EXIT_CODES.OK);
+    console.log('✅ Refuses notifications it would have to hold for quiet hours');
+  } finally {
+    delete process.env.KWEENKL_POLICY;
+    delete process.env.KWEENKL_DATA_DIR;
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testChannels(api) {
+  console.log('\n=== Testing channels commands ===');
+  const list = await cli(['channels', 'list'], api);
+  assert.equal(list.code, EXIT_CODES.OK);
+  assert.equal(list.stdout, 'c1\tOps\thttp://x/webhook/ops-token-1234\n');
+
+  const created = await cli(['channels', 'create', 'Deploys', '--color', '#00FF00', '--icon', 'server.rack', '--json'], api);
+  assert.equal(created.code, EXIT_CODES.OK);
+  assert.equal(JSON.parse(created.stdout).channel.webhook_url, 'http://x/webhook/new-token-1234');
+  assert.deepEqual(api.requests.at(-1).body, { name: 'Deploys', color: '#00FF00', icon: 'server.rack' });
+
+  const color = await cli(['channels', 'create', 'Deploys', '--color', 'green'], api);
+  assert.equal(color.code, EXIT_CODES.VALIDATION);
+
+  const missing = await cli(['channels', 'delete', 'c9'], api);
+  assert.equal(missing.code, EXIT_CODES.NOT_FOUND);
+  assert.match(missing.stderr, /Channel not found/);
+  console.log('✅ Lists, creates and deletes channels');
+
+  const deletes = () => api.requests.filter((request) => request.method === 'DELETE').length;
+  const unconfirmed = await cli(['channels', 'delete', 'c1'], api);
+  assert.equal(unconfirmed.code, EXIT_CODES.VALIDATION);
+  assert.match(unconfirmed.stderr, /Not deleted: deleting "Ops" \(ID: c1\) permanently removes the channel.*--yes, or with --confirm "Ops"/);
+  const misspelled = await cli(['channels', 'delete', 'c1', '--confirm', 'ops'], api);
+  assert.equal(misspelled.code, EXIT_CODES.VALIDATION);
+  assert.match(misspelled.stderr, /--confirm "ops" is not the channel's exact name "Ops"/);
+  assert.equal(deletes(), 0);
+
+  const confirmed = await cli(['channels', 'delete', 'c1', '--confirm', 'Ops', '--json'], api);
+  assert.equal(confirmed.code, EXIT_CODES.OK);
+  assert.deepEqual(JSON.parse(confirmed.stdout).deleted_channel, { id: 'c1', name: 'Ops' });
+  assert.equal((await cli(['channels', 'delete', 'c1', '--yes'], api)).code, EXIT_CODES.OK);
+  assert.equal(deletes(), 2);
+  console.log('✅ Deletes only with --yes or the channel\'s name in --confirm');
+
+  const dir = mkdtempSync(join(tmpdir(), 'kweenkl-cli-'));
+  process.env.KWEENKL_CONFIG = join(dir, 'config.json');
+  try {
+    writeFileSync(process.env.KWEENKL_CONFIG, JSON.stringify({ channel_deletion: { protected: ['ops'] } }));
+    const requestCount = api.requests.length;
+    const protectedChannel = await cli(['channels', 'delete', 'c1'], api);
+    assert.equal(protectedChannel.code, EXIT_CODES.FORBIDDEN);
+    assert.match(protectedChannel.stderr, /Channel "Ops" is protected/);
+    assert.ok(api.requests.slice(requestCount).every((request) => request.method === 'GET'));
+
+    writeFileSync(process.env.KWEENKL_CONFIG, JSON.stringify({ channel_deletion: { enabled: false } }));
+    assert.equal((await cli(['channels', 'delete', 'c9'], api)).code, EXIT_CODES.FORBIDDEN);
+  } finally {
+    process.env.KWEENKL_CONFIG = '/nonexistent/kweenkl-config.json';
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ The config can protect channels or disable deleting them');
+}
+
+async function runTests() {
+  const api = await startApi();
+  try {
+    await testSend(api);
+    await testErrors(api);
+    await testPolicy(api);
+    await testChannels(api);
+  } finally {
+    await api.close();
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+// tests/test-client.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { inspect } from 'node:util';
+import { ErrorCodes, KweenklClient, KweenklError, executeKweenkl } from '../index.js';
+
+const channels = [
+  { id: 'c1', name: 'Ops', webhook_url: 'http://x/webhook/ops-token-1234' },
+  { id: 'c2', name: 'Billing', webhook_url: 'http://x/webhook/billing-token-1234' },
+];
+
+// Local kweenkl API that records every request
+async function startApi() {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body && JSON.parse(body) });
+
+    const reply = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.url === '/webhook/missing-token') return reply(404, { error: { message: 'Webhook not found' } });
+    if (req.url.startsWith('/webhook/')) return reply(200, { notification_id: 42, subscribers_notified: 3 });
+    if (req.headers.authorization !== 'Bearer device-token-5678') return reply(401, { error: { message: 'Invalid device token' } });
+    if (req.method === 'GET' && req.url === '/api/v1/channels') return reply(200, { channels });
+    if (req.method === 'GET' && req.url.startsWith('/api/v1/channels/c1/notifications?')) {
+      return reply(200, {
+        notifications: [{ id: 7, message: 'Disk full', priority: 'high', created_at: '2025-06-01T08:00:00.000Z' }],
+        total: 3,
+      });
+    }
+    if (req.method === 'POST' && req.url === '/api/v1/channels') {
+      return reply(201, { channel: { id: 'c3', ...JSON.parse(body) }, webhook_url: 'http://x/webhook/new-token-1234' });
+    }
+    if (req.method === 'PATCH') return reply(200, { channel: { id: 'c1', ...channels[0], ...JSON.parse(body) } });
+    if (req.method === 'DELETE') return reply(200, { deleted_channel: { id: 'c2', name: 'Billing' } });
+    reply(404, { error: { message: 'Not found' } });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    apiUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+const fast = { maxRetries: 0, timeoutMs: 1000 };
+
+async function testSend(api) {
+  console.log('\n=== Testing KweenklClient.send ===');
+  const client = new KweenklClient({ apiUrl: api.apiUrl, httpOptions: fast });
+
+  const sent = await client.send({ webhookToken: 'some token/1', message: 'Deployed', title: 'CI', priority: 'high' });
+  assert.deepEqual(sent, { notificationId: '42', subscribersNotified: 3, attempts: 1 });
+
+  const request = api.requests.at(-1);
+  assert.equal(request.url, '/webhook/some%20token%2F1');
+  assert.deepEqual(request.body, { message: 'Deployed', title: 'CI', priority: 'high' });
+  assert.ok(request.headers['idempotency-key']);
+  console.log('✅ Returns plain data and escapes the webhook token');
+
+  await assert.rejects(client.send({ webhookToken: 'missing-token', message: 'Hi' }), (error) => {
+    assert.ok(error instanceof KweenklError);
+    assert.equal(error.code, ErrorCodes.INVALID_TOKEN);
+    assert.equal(error.httpStatus, 404);
+    assert.equal(error.message, 'Webhook not found');
+    return true;
+  });
+
+  await assert.rejects(client.send({ webhookToken: 'some-token', message: '' }), { code: ErrorCodes.VALIDATION });
+  await assert.rejects(client.send({ channel: 'Ops', message: 'Hi' }), { code: ErrorCodes.NOT_CONFIGURED });
+  console.log('✅ Failures throw KweenklError with a code');
+
+  const offline = new KweenklClient({ apiUrl: 'http://127.0.0.1:9', httpOptions: fast });
+  await assert.rejects(offline.send({ webhookToken: 'some-token', message: 'Hi' }), { code: ErrorCodes.NETWORK, attempts: 1 });
+  console.log('✅ Unreachable APIs are reported as NETWORK');
+}
+
+async function testChannels(api) {
+  console.log('\n=== Testing channel methods ===');
+  const client = new KweenklClient({ apiUrl: api.apiUrl, deviceToken: 'device-token-5678', httpOptions: fast });
+  assert.equal(client.canManageChannels, true);
+  assert.ok(!inspect(client).includes('device-token-5678'));
+  assert.ok(!JSON.stringify(client).includes('device-token-5678'));
+  console.log('✅ The device token stays private');
+
+  assert.deepEqual((await client.listChannels()).map((ch) => ch.name), ['Ops', 'Billing']);
+
+  await client.send({ channel: 'billing', message: 'Invoice paid' });
+  assert.equal(api.requests.at(-1).url, '/webhook/billing-token-1234');
+  console.log('✅ Channels are listed and resolved by name');
+
+  const created = await client.createChannel({ name: 'Deploys', color: '#00FF00' });
+  assert.equal(created.id, 'c3');
+  assert.equal(created.webhook_url, 'http://x/webhook/new-token-1234');
+
+  const updated = await client.updateChannel('c 1', { name: 'Operations' });
+  assert.equal(updated.name, 'Operations');
+  assert.equal(api.requests.at(-1).url, '/api/v1/channels/c%201');
+  await assert.rejects(client.updateChannel('c1', {}), { code: ErrorCodes.VALIDATION });
+
+  assert.deepEqual(await client.deleteChannel('c2'), { id: 'c2', name: 'Billing' });
+  console.log('✅ Channels are created, updated and deleted');
+
+  const page = await client.listNotifications('c1', { limit: 1, offset: 1, since: '2025-06-01T00:00:00Z' });
+  assert.deepEqual(page, {
+    notifications: [{ id: '7', title: null, message: 'Disk full', priority: 'high', sent_at: '2025-06-01T08:00:00.000Z' }],
+    hasMore: true,
+  });
+  assert.equal(api.requests.at(-1).url, '/api/v1/channels/c1/notifications?limit=1&offset=1&since=2025-06-01T00%3A00%3A00Z');
+  console.log('✅ Lists a channel\'s notifications with paging');
+
+  const wrong = new KweenklClient({ apiUrl: api.apiUrl, deviceToken: 'wrong-token', httpOptions: fast });
+  await assert.rejects(wrong.listChannels(), { code: ErrorCodes.UNAUTHORIZED, httpStatus: 401, message: 'Invalid device token' });
+  console.log('✅ Rejected device tokens are reported as UNAUTHORIZED');
+}
+
+async function testExecuteKweenkl(api) {
+  console.log('\n=== Testing the executeKweenkl export ===');
+  const dir = mkdtempSync(join(tmpdir(), 'kweenkl-client-'));
+  const env = { ...process.env };
+  try {
+    // Importing index.js read nothing, so a broken config only fails the call
+    process.env.KWEENKL_CONFIG = join(dir, 'config.json');
+    writeFileSync(process.env.KWEENKL_CONFIG, '{ not json');
+    await assert.rejects(executeKweenkl({ webhook_token: 'ops-token-1234', message: 'Deploy finished' }), /Invalid kweenkl config/);
+
+    writeFileSync(process.env.KWEENKL_CONFIG, '{}');
+    Object.assign(process.env, { KWEENKL_API_URL: api.apiUrl, KWEENKL_DATA_DIR: dir, KWEENKL_AUDIT_LOG: 'false' });
+    const result = await executeKweenkl({ webhook_token: 'ops-token-1234', message: 'Deploy finished' });
+    assert.equal(result.structuredContent.status, 'sent');
+    assert.equal(api.requests.at(-1).url, '/webhook/ops-token-1234');
+    console.log('✅ Still exported, and reads the config on the first call');
+  } finally {
+    process.env = env;
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  const api = await startApi();
+  try {
+    await testSend(api);
+    await testChannels(api);
+    await testExecuteKweenkl(api);
+  } finally {
+    await api.close();
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
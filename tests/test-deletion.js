@@ -0,0 +1,58 @@
+// tests/test-deletion.js
+import assert from 'node:assert/strict';
+import { createConfirmations, deletionOptions, isProtected } from '../lib/deletion.js';
+
+function fakeClock() {
+  let time = Date.parse('2025-06-01T08:00:00Z');
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+}
+
+async function testOptions() {
+  console.log('\n=== Testing deletion options ===');
+  assert.deepEqual(deletionOptions(), { enabled: true, protected: [], confirmation_ttl_seconds: 300 });
+  assert.equal(deletionOptions({ enabled: false }).enabled, false);
+
+  assert.throws(() => deletionOptions({ enabled: 'no' }), /channel_deletion.enabled must be true or false/);
+  assert.throws(() => deletionOptions({ protected: 'Ops' }), /channel_deletion.protected must be a list/);
+  assert.throws(() => deletionOptions({ confirmation_ttl_seconds: 0 }), /confirmation_ttl_seconds must be a positive number/);
+  console.log('✅ Deletion is allowed by default and validated');
+
+  const options = deletionOptions({ protected: ['Production Alerts', 42] });
+  assert.ok(isProtected(options, { id: 'c1', name: 'production alerts' }));
+  assert.ok(isProtected(options, { id: 42, name: 'Other' }));
+  assert.ok(!isProtected(options, { id: 'c2', name: 'Deploys' }));
+  console.log('✅ Channels are protected by name or ID');
+}
+
+async function testConfirmations() {
+  console.log('\n=== Testing confirmation tokens ===');
+  const now = fakeClock();
+  const confirmations = createConfirmations({ ttlSeconds: 60, now });
+
+  const { token, expiresAt } = confirmations.issue({ profile: 'default', channelId: 7 });
+  assert.equal(expiresAt, '2025-06-01T08:01:00.000Z');
+  assert.ok(!confirmations.consume({ token, profile: 'default', channelId: '8' }));
+  assert.ok(!confirmations.consume({ token, profile: 'work', channelId: '7' }));
+  assert.ok(confirmations.consume({ token, profile: 'default', channelId: '7' }));
+  assert.ok(!confirmations.consume({ token, profile: 'default', channelId: '7' }));
+  console.log('✅ A token confirms one channel of one profile, once');
+
+  const late = confirmations.issue({ profile: 'default', channelId: '7' });
+  now.advance(60_000);
+  assert.ok(!confirmations.consume({ token: late.token, profile: 'default', channelId: '7' }));
+  console.log('✅ Tokens expire');
+}
+
+async function runTests() {
+  await testOptions();
+  await testConfirmations();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
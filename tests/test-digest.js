@@ -0,0 +1,197 @@
+// tests/test-digest.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createDigest, digestOptions, digestRule, summarize } from '../lib/digest.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'kweenkl-digest-'));
+
+function fakeClock() {
+  let time = Date.parse('2025-06-01T08:00:00Z');
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+}
+
+// Records every summary; answers with `next` (sent unless changed)
+function recordingSender() {
+  const sender = {
+    sent: [],
+    next: { status: 'sent', notificationId: 'digest-1', subscribersNotified: 2 },
+    send: async (group, summary) => {
+      sender.sent.push({ group, summary });
+      return sender.next;
+    },
+  };
+  return sender;
+}
+
+const rules = digestOptions({
+  channels: {
+    Reports: { interval_minutes: 30, max_items: 3 },
+    '*': { priorities: ['low', 'normal'] },
+  },
+});
+
+async function testOptions() {
+  console.log('\n=== Testing digest config ===');
+  assert.equal(digestOptions(), null);
+  assert.equal(digestOptions({ channels: {} }), null);
+  assert.deepEqual(rules.get('reports'), { interval_minutes: 30, max_items: 3, priorities: ['low'], channel: 'Reports' });
+
+  assert.throws(() => digestOptions({ channels: [] }), /digest.channels must be an object/);
+  assert.throws(() => digestOptions({ channels: { Ops: { interval_minutes: 0 } } }), /positive interval_minutes/);
+  assert.throws(() => digestOptions({ channels: { Ops: { max_items: 1 } } }), /max_items of at least 2/);
+  assert.throws(() => digestOptions({ channels: { Ops: { priorities: ['high'] } } }), /high is never held/);
+  console.log('✅ Digest settings are checked at startup');
+}
+
+async function testRules() {
+  console.log('\n=== Testing which notifications are held ===');
+  assert.equal(digestRule(rules, { channels: ['reports'], priority: 'low' }).channel, 'Reports');
+  assert.equal(digestRule(rules, { channels: ['Reports'], priority: 'normal' }), null);
+  assert.equal(digestRule(rules, { channels: [undefined, 'Reports'], priority: 'low' }).channel, 'Reports');
+  assert.equal(digestRule(rules, { channels: ['Ops'], priority: 'normal' }).channel, '*');
+  assert.equal(digestRule(rules, { channels: ['Ops'], priority: 'high' }), null);
+  assert.equal(digestRule(digestOptions({ channels: { Reports: {} } }), { channels: ['Ops'], priority: 'low' }), null);
+  console.log('✅ Low priority is held per channel, high priority never');
+}
+
+async function testSummary() {
+  console.log('\n=== Testing digest summaries ===');
+  const items = [
+    { title: 'Build', message: 'main passed', priority: 'low', received_at: '2025-06-01T08:00:00.000Z' },
+    { message: 'Nightly\nreport ready', priority: 'low', received_at: '2025-06-01T08:10:00.000Z' },
+  ];
+  const summary = summarize({ items });
+  assert.equal(summary.title, 'Digest: 2 updates');
+  assert.equal(summary.message, '• Build: main passed\n• Nightly report ready');
+  assert.equal(summary.priority, 'low');
+  assert.deepEqual(summary.payload.digest, { count: 2, first_at: items[0].received_at, last_at: items[1].received_at });
+
+  const many = Array.from({ length: 30 }, (_, i) => ({ message: `Job ${i} finished with a fairly long status line`, received_at: 'x' }));
+  const long = summarize({ items: many }, { maxLength: 200 });
+  assert.ok(long.message.length <= 200, `${long.message.length} characters`);
+  assert.match(long.message, /\n…and \d+ more$/);
+  assert.equal(long.priority, 'normal');
+  console.log('✅ Summaries fit the message limit and keep the highest priority');
+}
+
+async function testHoldAndFlush() {
+  console.log('\n=== Testing held notifications ===');
+  const now = fakeClock();
+  const sender = recordingSender();
+  const file = join(dir, 'digest.json');
+  const digest = createDigest({ file, send: sender.send, now });
+  const rule = rules.get('reports');
+  const hold = (message) => digest.add({ rule, profile: 'default', webhook_token: 'reports-token', label: 'Reports', notification: { message, priority: 'low' } });
+
+  const first = hold('one');
+  assert.equal(first.full, false);
+  assert.equal(first.group.send_at, '2025-06-01T08:30:00.000Z');
+  hold('two');
+  digest.add({ rule, profile: 'default', webhook_token: 'other-token', label: 'Other', notification: { message: 'elsewhere' } });
+  assert.deepEqual(digest.list().map((group) => group.items.length), [2, 1]);
+  console.log('✅ Notifications for the same channel share one digest');
+
+  const reloaded = createDigest({ file, send: sender.send, now });
+  reloaded.start();
+  reloaded.stop();
+  assert.equal(reloaded.list().length, 2);
+  console.log('✅ Held notifications survive a restart');
+
+  assert.equal(hold('three').full, true);
+  const results = await digest.flush({ force: false });
+  assert.equal(results.length, 1);
+  assert.equal(sender.sent[0].summary.message, '• one\n• two\n• three');
+  assert.equal(sender.sent[0].group.webhook_token, 'reports-token');
+  assert.deepEqual(digest.list().map((group) => group.label), ['Other']);
+  console.log('✅ A full digest is due at once');
+
+  now.advance(10 * 60 * 1000);
+  sender.next = { status: 'failed', error: 'fetch failed', retryable: true };
+  const [failed] = await digest.flush();
+  assert.equal(failed.result.status, 'failed');
+  assert.equal(digest.list()[0].send_at, '2025-06-01T08:40:00.000Z');
+
+  sender.next = { status: 'failed', error: 'Webhook not found', retryable: false };
+  await digest.flush({ id: digest.list()[0].id });
+  assert.equal(digest.list().length, 0);
+  console.log('✅ Failed digests are retried later unless they can never succeed');
+}
+
+async function testLateItems() {
+  console.log('\n=== Testing notifications held while a digest is sent ===');
+  const now = fakeClock();
+  let release;
+  const sent = [];
+  const digest = createDigest({
+    file: join(dir, 'late.json'),
+    now,
+    send: async (group, summary) => {
+      sent.push(summary.message);
+      if (sent.length === 1) await new Promise((resolve) => { release = resolve; });
+      return { status: 'sent', notificationId: `digest-${sent.length}` };
+    },
+  });
+  const rule = rules.get('reports');
+  const hold = (message) => digest.add({ rule, profile: 'default', webhook_token: 'late-token', label: 'Late', notification: { message, priority: 'low' } });
+
+  hold('one');
+  const flushing = digest.flush();
+  await new Promise((resolve) => setImmediate(resolve));
+  hold('two');
+  release();
+  await flushing;
+
+  assert.deepEqual(sent, ['• one']);
+  const [left] = digest.list();
+  assert.deepEqual(left.items.map((item) => item.message), ['two']);
+  assert.equal(left.send_at, new Date(now()).toISOString());
+
+  await digest.flush({ force: false });
+  assert.deepEqual(sent, ['• one', '• two']);
+  assert.equal(digest.list().length, 0);
+  console.log('✅ Notifications added during a send are kept for the next digest');
+}
+
+async function testTimer() {
+  console.log('\n=== Testing the digest timer ===');
+  const sender = recordingSender();
+  const digest = createDigest({ file: join(dir, 'timer.json'), send: sender.send });
+  digest.start();
+  digest.add({
+    rule: { channel: '*', interval_minutes: 0.001, max_items: 10, priorities: ['low'] },
+    profile: 'default',
+    webhook_token: 'timer-token',
+    label: 'Timer',
+    notification: { message: 'tick', priority: 'low' },
+  });
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  digest.stop();
+  assert.equal(sender.sent.length, 1);
+  assert.equal(digest.list().length, 0);
+  console.log('✅ Digests are sent when their interval ends');
+}
+
+async function runTests() {
+  try {
+    await testOptions();
+    await testRules();
+    await testSummary();
+    await testHoldAndFlush();
+    await testLateItems();
+    await testTimer();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
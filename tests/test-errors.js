@@ -0,0 +1,91 @@
+// tests/test-errors.js
+import assert from 'node:assert/strict';
+import { ErrorCodes, KweenklError, codeForError, codeForStatus, errorJson } from '../lib/errors.js';
+import { toolError, toolResult } from '../lib/results.js';
+import { OUTPUT_SCHEMAS, TOOL_ANNOTATIONS, describeTools } from '../lib/tool-schemas.js';
+
+async function testStatusCodes() {
+  console.log('\n=== Testing HTTP status mapping ===');
+  assert.equal(codeForStatus(404, { webhook: true }), ErrorCodes.INVALID_TOKEN);
+  assert.equal(codeForStatus(404), ErrorCodes.NOT_FOUND);
+  assert.equal(codeForStatus(401), ErrorCodes.UNAUTHORIZED);
+  assert.equal(codeForStatus(403), ErrorCodes.UNAUTHORIZED);
+  assert.equal(codeForStatus(400), ErrorCodes.VALIDATION);
+  assert.equal(codeForStatus(429), ErrorCodes.RATE_LIMITED);
+  assert.equal(codeForStatus(503), ErrorCodes.SERVER_ERROR);
+  assert.equal(codeForStatus(418), ErrorCodes.UNKNOWN);
+  console.log('✅ Statuses map to stable codes');
+}
+
+async function testThrownErrors() {
+  console.log('\n=== Testing thrown error mapping ===');
+  assert.equal(codeForError(new KweenklError('bad', { code: ErrorCodes.VALIDATION })), ErrorCodes.VALIDATION);
+  assert.equal(codeForError(new KweenklError('gone', { httpStatus: 404 })), ErrorCodes.UNKNOWN);
+  assert.equal(codeForError({ message: 'x', httpStatus: 429 }), ErrorCodes.RATE_LIMITED);
+  assert.equal(codeForError(new TypeError('fetch failed')), ErrorCodes.NETWORK);
+  assert.equal(codeForError(Object.assign(new Error('Request timed out after 10ms'), { name: 'TimeoutError' })), ErrorCodes.NETWORK);
+  assert.equal(codeForError(Object.assign(new Error('nope'), { code: 'ENOENT' })), ErrorCodes.UNKNOWN);
+  assert.equal(codeForError(new TypeError('undefined is not a function')), ErrorCodes.UNKNOWN);
+  console.log('✅ Thrown errors map to stable codes');
+
+  assert.deepEqual(errorJson({ code: ErrorCodes.INVALID_TOKEN, message: 'Webhook not found', httpStatus: 404 }), {
+    code: 'INVALID_TOKEN',
+    message: 'Webhook not found',
+    http_status: 404,
+  });
+  assert.deepEqual(errorJson(new Error('boom')), { code: 'UNKNOWN', message: 'boom' });
+  console.log('✅ Error JSON includes the HTTP status only when known');
+}
+
+async function testResults() {
+  console.log('\n=== Testing tool result helpers ===');
+  const ok = toolResult('✅ done', { status: 'sent' });
+  assert.equal(ok.content[0].text, '✅ done');
+  assert.deepEqual(ok.structuredContent, { status: 'sent' });
+  assert.equal(ok.isError, undefined);
+
+  const failed = toolError('❌ nope', { code: ErrorCodes.RATE_LIMITED, message: 'Slow down', httpStatus: 429 }, { status: 'failed' });
+  assert.equal(failed.isError, true);
+  assert.equal(failed.content[0].text, '❌ nope');
+  assert.deepEqual(failed.structuredContent, {
+    status: 'failed',
+    error: { code: 'RATE_LIMITED', message: 'Slow down', http_status: 429 },
+  });
+  console.log('✅ Results keep the text and add structured content');
+}
+
+async function testToolDescriptions() {
+  console.log('\n=== Testing tool schemas and annotations ===');
+  const [send, remove, unknown] = describeTools([
+    { name: 'kweenkl', inputSchema: {} },
+    { name: 'kweenkl_delete_channel', inputSchema: {} },
+    { name: 'something_else', inputSchema: {} },
+  ]);
+
+  assert.equal(send.outputSchema.properties.notification_id.type, 'string');
+  assert.equal(send.annotations.readOnlyHint, false);
+  assert.equal(remove.annotations.destructiveHint, true);
+  assert.equal(TOOL_ANNOTATIONS.kweenkl_list_channels.readOnlyHint, true);
+  assert.equal(unknown.outputSchema, undefined);
+  assert.equal(unknown.annotations, undefined);
+
+  for (const [name, schema] of Object.entries(OUTPUT_SCHEMAS)) {
+    assert.equal(schema.type, 'object', `${name} output schema must be an object schema`);
+    assert.ok(TOOL_ANNOTATIONS[name], `${name} has annotations`);
+  }
+  console.log('✅ Every tool has an output schema and annotations');
+}
+
+async function runTests() {
+  await testStatusCodes();
+  await testThrownErrors();
+  await testResults();
+  await testToolDescriptions();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+// tests/test-history.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createHistory, historyOptions } from '../lib/history.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'kweenkl-history-'));
+
+function fakeClock() {
+  let time = Date.parse('2025-06-01T08:00:00Z');
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+}
+
+function lines(file) {
+  return readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+async function testOptions() {
+  console.log('\n=== Testing history options ===');
+  delete process.env.KWEENKL_HISTORY;
+  assert.deepEqual(historyOptions({}, dir), { file: join(dir, 'history.jsonl'), max_entries: 1000 });
+  assert.equal(historyOptions({ enabled: false }, dir), null);
+
+  process.env.KWEENKL_HISTORY = 'false';
+  assert.equal(historyOptions({}, dir), null);
+  process.env.KWEENKL_HISTORY = 'true';
+  assert.ok(historyOptions({ enabled: false }, dir));
+  delete process.env.KWEENKL_HISTORY;
+
+  assert.throws(() => historyOptions({ max_entries: 0 }, dir), /history.max_entries must be a positive integer/);
+  console.log('✅ History is on by default and can be turned off');
+}
+
+async function testRecordAndList() {
+  console.log('\n=== Testing recorded notifications ===');
+  const now = fakeClock();
+  const file = join(dir, 'history.jsonl');
+  const history = createHistory({ file, now });
+
+  history.record({ profile: 'default', channel: 'Ops', webhook_token: 'ops-token-1234', id: 1, title: 'Disk', message: 'disk 80%', priority: 'low' });
+  now.advance(60 * 1000);
+  history.record({ profile: 'default', webhook_token: 'ops-token-1234', id: 'n2', message: 'disk 90%' });
+  now.advance(60 * 1000);
+  history.record({ profile: 'default', channel: 'Billing', webhook_token: 'billing-token-1234', id: 'n3', message: 'paid' });
+  history.record({ profile: 'work', channel: 'Ops', webhook_token: 'ops-token-1234', id: 'n4', message: 'other account' });
+
+  assert.ok(!readFileSync(file, 'utf8').includes('ops-token-1234'));
+  console.log('✅ Webhook tokens are not written to disk');
+
+  const byToken = history.list({ profile: 'default', webhook_token: 'ops-token-1234' });
+  assert.deepEqual(byToken, {
+    notifications: [
+      { id: 'n2', title: null, message: 'disk 90%', priority: 'normal', sent_at: '2025-06-01T08:01:00.000Z' },
+      { id: '1', title: 'Disk', message: 'disk 80%', priority: 'low', sent_at: '2025-06-01T08:00:00.000Z' },
+    ],
+    hasMore: false,
+  });
+  assert.deepEqual(history.list({ profile: 'default', channel: 'ops' }).notifications.map((n) => n.id), ['1']);
+  console.log('✅ Lists a channel\'s notifications newest first, by token or channel name');
+
+  const page = history.list({ profile: 'default', webhook_token: 'ops-token-1234', limit: 1 });
+  assert.deepEqual(page.notifications.map((n) => n.id), ['n2']);
+  assert.equal(page.hasMore, true);
+  assert.deepEqual(history.list({ profile: 'default', webhook_token: 'ops-token-1234', limit: 1, offset: 1 }).notifications.map((n) => n.id), ['1']);
+
+  const window = history.list({ profile: 'default', webhook_token: 'ops-token-1234', since: '2025-06-01T08:00:30Z', until: '2025-06-01T09:00:00Z' });
+  assert.deepEqual(window.notifications.map((n) => n.id), ['n2']);
+  console.log('✅ Pages and filters by time');
+
+  const reloaded = createHistory({ file, now });
+  assert.equal(reloaded.list({ profile: 'work', webhook_token: 'ops-token-1234' }).notifications.length, 1);
+  console.log('✅ History survives a restart');
+}
+
+async function testCompaction() {
+  console.log('\n=== Testing history size ===');
+  const file = join(dir, 'small.jsonl');
+  const history = createHistory({ file, maxEntries: 3, now: fakeClock() });
+
+  for (let i = 1; i <= 6; i++) {
+    history.record({ profile: 'default', webhook_token: 'ops-token-1234', id: `n${i}`, message: `message ${i}` });
+  }
+
+  assert.deepEqual(lines(file).map((entry) => entry.id), ['n4', 'n5', 'n6']);
+  assert.equal(history.list({ profile: 'default', webhook_token: 'ops-token-1234', limit: 10 }).notifications.length, 3);
+  console.log('✅ Only the newest max_entries notifications are kept');
+}
+
+async function testRedaction() {
+  console.log('\n=== Testing history redaction ===');
+  const file = join(dir, 'redacted.jsonl');
+  const redact = (entry) => JSON.parse(JSON.stringify(entry).replaceAll('secret-device-token', '…oken'));
+  const history = createHistory({ file, redact });
+
+  history.record({ profile: 'default', webhook_token: 'ops-token-1234', id: 'n1', message: 'token is secret-device-token' });
+  assert.equal(lines(file)[0].message, 'token is …oken');
+  console.log('✅ Entries are redacted before they are written');
+}
+
+async function runTests() {
+  try {
+    await testOptions();
+    await testRecordAndList();
+    await testCompaction();
+    await testRedaction();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
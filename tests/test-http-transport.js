@@ -0,0 +1,164 @@
+// tests/test-http-transport.js
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startHttpTransport } from '../lib/http-transport.js';
+
+const TOKEN = 'test-bearer-token';
+
+function createServer() {
+  const server = new Server({ name: 'kweenkl-test', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'kweenkl', inputSchema: { type: 'object', properties: {} } }],
+  }));
+  return server;
+}
+
+// Read SSE events from a fetch response body
+async function* events(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = /^event: (.*)$/m.exec(raw)?.[1];
+      const data = /^data: (.*)$/m.exec(raw)?.[1];
+      yield { event, data };
+    }
+  }
+}
+
+async function testHealthEndpoints(baseUrl) {
+  console.log('\n=== Testing health endpoints ===');
+  const health = await fetch(`${baseUrl}/healthz`);
+  assert.equal(health.status, 200);
+  assert.deepEqual(await health.json(), { status: 'ok' });
+
+  const ready = await (await fetch(`${baseUrl}/readyz`)).json();
+  assert.equal(ready.status, 'ready');
+  assert.equal(ready.sessions, 0);
+  console.log('✅ /healthz and /readyz answer without auth');
+}
+
+async function testRequiresBearerToken(baseUrl) {
+  console.log('\n=== Testing bearer token is required ===');
+  const missing = await fetch(`${baseUrl}/sse`);
+  assert.equal(missing.status, 401);
+
+  const wrong = await fetch(`${baseUrl}/sse`, { headers: { Authorization: 'Bearer nope' } });
+  assert.equal(wrong.status, 401);
+
+  const post = await fetch(`${baseUrl}/messages?sessionId=x`, { method: 'POST' });
+  assert.equal(post.status, 401);
+
+  const streamable = await fetch(`${baseUrl}/mcp`, { method: 'POST' });
+  assert.equal(streamable.status, 401);
+  console.log('✅ unauthenticated requests rejected');
+}
+
+async function testSession(baseUrl, sessions) {
+  console.log('\n=== Testing MCP session over SSE ===');
+  const controller = new AbortController();
+  const stream = await fetch(`${baseUrl}/sse`, {
+    headers: { Authorization: `Bearer ${TOKEN}` },
+    signal: controller.signal,
+  });
+  assert.equal(stream.status, 200);
+
+  const reader = events(stream);
+  const endpoint = (await reader.next()).value;
+  assert.equal(endpoint.event, 'endpoint');
+  assert.match(endpoint.data, /^\/messages\?sessionId=/);
+  assert.equal(sessions.size, 1);
+
+  const post = (message) => fetch(`${baseUrl}${endpoint.data}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+  });
+
+  const accepted = await post({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+  });
+  assert.equal(accepted.status, 202);
+  const init = JSON.parse((await reader.next()).value.data);
+  assert.equal(init.result.serverInfo.name, 'kweenkl-test');
+
+  await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+  const list = JSON.parse((await reader.next()).value.data);
+  assert.equal(list.result.tools[0].name, 'kweenkl');
+
+  controller.abort();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(sessions.size, 0);
+  console.log('✅ initialize and tools/list answered over SSE');
+}
+
+async function testStreamableSession(baseUrl, sessions) {
+  console.log('\n=== Testing MCP session over Streamable HTTP ===');
+  const notInitialized = await fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+  });
+  assert.equal(notInitialized.status, 400);
+  assert.equal(sessions.size, 0);
+
+  const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), {
+    requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } },
+  });
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(transport);
+  assert.equal(client.getServerVersion().name, 'kweenkl-test');
+  assert.equal(sessions.size, 1);
+
+  const { tools } = await client.listTools();
+  assert.equal(tools[0].name, 'kweenkl');
+
+  // Sessions are per transport: an SSE session ID is no good here, and the reverse
+  const unknown = await fetch(`${baseUrl}/messages?sessionId=${transport.sessionId}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/list' }),
+  });
+  assert.equal(unknown.status, 404);
+
+  await transport.terminateSession();
+  await client.close();
+  assert.equal(sessions.size, 0);
+  console.log('✅ initialize and tools/list answered over Streamable HTTP');
+}
+
+async function runTests() {
+  console.log('Starting HTTP transport tests...');
+
+  await assert.rejects(startHttpTransport({ port: 0, createServer }), /KWEENKL_HTTP_TOKEN/);
+
+  const http = await startHttpTransport({ host: '127.0.0.1', port: 0, authToken: TOKEN, createServer });
+  const baseUrl = `http://127.0.0.1:${http.address.port}`;
+
+  try {
+    await testHealthEndpoints(baseUrl);
+    await testRequiresBearerToken(baseUrl);
+    await testSession(baseUrl, http.sessions);
+    await testStreamableSession(baseUrl, http.sessions);
+  } finally {
+    await http.close();
+  }
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+// tests/test-http.js
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHttpClient, parseRetryAfter, backoffDelay } from '../lib/http.js';
+
+// Local server that answers each request with the next scripted reply
+async function startServer(replies) {
+  let hits = 0;
+  const server = createServer((req, res) => {
+    const reply = replies[Math.min(hits++, replies.length - 1)];
+    if (reply.hang) return;
+    res.writeHead(reply.status, reply.headers || { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply.body || {}));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    hits: () => hits,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+const fast = { maxRetries: 3, baseDelayMs: 5, maxDelayMs: 1000, timeoutMs: 500 };
+
+async function testHelpers() {
+  console.log('\n=== Testing Retry-After and backoff helpers ===');
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(backoffDelay(1, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 0), 50);
+  assert.equal(backoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 1), 400);
+  assert.equal(backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 1), 1000);
+  console.log('✅ helpers behave');
+}
+
+async function testRetriesUntilSuccess() {
+  console.log('\n=== Testing retry on 503 then success ===');
+  const server = await startServer([{ status: 503 }, { status: 503 }, { status: 200, body: { ok: true } }]);
+  const http = createHttpClient({ baseUrl: server.baseUrl, ...fast });
+
+  const { response, attempts } = await http.request('/webhook/abc', { method: 'POST', body: '{}' });
+  assert.equal(response.status, 200);
+  assert.equal(attempts, 3);
+  await server.close();
+  console.log('✅ succeeded after 3 attempts');
+}
+
+async function testRetryAfterHonoured() {
+  console.log('\n=== Testing Retry-After on 429 ===');
+  const server = await startServer([
+    { status: 429, headers: { 'Retry-After': '0.2' } },
+    { status: 200 },
+  ]);
+  const http = createHttpClient({ baseUrl: server.baseUrl, ...fast });
+
+  const started = Date.now();
+  const { attempts } = await http.request('/webhook/abc', { method: 'POST' });
+  assert.equal(attempts, 2);
+  assert.ok(Date.now() - started >= 180, 'should wait for Retry-After');
+  await server.close();
+  console.log('✅ waited for Retry-After');
+}
+
+async function testPostNotRetriedOn500() {
+  console.log('\n=== Testing POST and DELETE are not retried on 500 ===');
+  const server = await startServer([{ status: 500 }, { status: 200 }]);
+  const http = createHttpClient({ baseUrl: server.baseUrl, ...fast });
+
+  const post = await http.request('/webhook/abc', { method: 'POST' });
+  assert.equal(post.response.status, 500);
+  assert.equal(post.attempts, 1);
+  await server.close();
+  console.log('✅ POST returned 500 without retrying');
+
+  const deleting = await startServer([{ status: 500 }, { status: 404 }]);
+  const del = await createHttpClient({ baseUrl: deleting.baseUrl, ...fast }).request('/api/v1/channels/7', { method: 'DELETE' });
+  assert.equal(del.response.status, 500);
+  assert.equal(del.attempts, 1);
+  await deleting.close();
+  console.log('✅ DELETE returned 500 without retrying');
+}
+
+async function testGetRetriedOn500() {
+  console.log('\n=== Testing GET is retried on 500 ===');
+  const server = await startServer([{ status: 500 }, { status: 200 }]);
+  const http = createHttpClient({ baseUrl: server.baseUrl, ...fast });
+
+  const get = await http.request('/api/v1/channels');
+  assert.equal(get.response.status, 200);
+  assert.equal(get.attempts, 2);
+
+  await server.close();
+  console.log('✅ GET retried after 500');
+}
+
+async function testGivesUpAfterMaxRetries() {
+  console.log('\n=== Testing retries are bounded ===');
+  const server = await startServer([{ status: 503 }]);
+  const http = createHttpClient({ baseUrl: server.baseUrl, ...fast, maxRetries: 2 });
+
+  const { response, attempts } = await http.request('/webhook/abc', { method: 'POST' });
+  assert.equal(response.status, 503);
+  assert.equal(attempts, 3);
+  await server.close();
+  console.log('✅ gave up after 3 attempts');
+}
+
+async function testTimeout() {
+  console.log('\n=== Testing request timeout ===');
+  const server = await startServer([{ hang: true }]);
+  const http = createHttpClient({ baseUrl: server.baseUrl, ...fast, maxRetries: 1, timeoutMs: 100 });
+
+  await assert.rejects(http.request('/api/v1/channels'), (error) => {
+    assert.match(error.message, /timed out after 100ms/);
+    assert.equal(error.attempts, 2);
+    return true;
+  });
+  await server.close();
+  console.log('✅ timed out and retried once');
+}
+
+async function runTests() {
+  console.log('Starting HTTP layer tests...');
+
+  await testHelpers();
+  await testRetriesUntilSuccess();
+  await testRetryAfterHonoured();
+  await testPostNotRetriedOn500();
+  await testGetRetriedOn500();
+  await testGivesUpAfterMaxRetries();
+  await testTimeout();
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -1,21 +1,38 @@
 // tests/test-kweenkl.js
-import { executeKweenkl } from '../index.js';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MOCK_WEBHOOK_TOKEN, startMockApi } from '../lib/mock-api.js';
+
+// The server reads its settings on first use, so point it at the mock API first
+const api = await startMockApi();
+const dataDir = mkdtempSync(join(tmpdir(), 'kweenkl-test-'));
+process.env.KWEENKL_API_URL = api.url;
+process.env.KWEENKL_CONFIG = join(dataDir, 'missing-config.json');
+process.env.KWEENKL_DATA_DIR = dataDir;
+process.env.KWEENKL_AUDIT_LOG = 'false';
+process.env.KWEENKL_DEDUP_WINDOW_SECONDS = '0';
+process.env.KWEENKL_RETRY_BASE_MS = '10';
+
+const { executeKweenkl, executeBatch } = await import('../lib/server.js');
 
 async function testBasicKweenkl() {
   console.log('\n=== Testing Basic kweenkl ===');
   const result = await executeKweenkl({
-    webhook_token: "test-token-123",
+    webhook_token: MOCK_WEBHOOK_TOKEN,
     message: "Test notification"
   });
 
   console.log(result.content[0].text);
-  // Expected: ✅ Successfully kweenkled! or ❌ error (depending on token validity)
+  assert.equal(result.structuredContent.status, 'sent');
+  assert.equal(api.notifications().at(-1).message, 'Test notification');
 }
 
 async function testWithAllParameters() {
   console.log('\n=== Testing kweenkl with All Parameters ===');
   const result = await executeKweenkl({
-    webhook_token: "test-token-123",
+    webhook_token: MOCK_WEBHOOK_TOKEN,
     message: "Test notification with all parameters",
     title: "Test Title",
     priority: "high",
@@ -23,45 +40,119 @@ async function testWithAllParameters() {
   });
 
   console.log(result.content[0].text);
+  const sent = api.notifications().at(-1);
+  assert.equal(sent.title, 'Test Title');
+  assert.equal(sent.priority, 'high');
+  assert.equal(sent.payload.test, true);
 }
 
 async function testMissingToken() {
   console.log('\n=== Testing Missing Token (should fail validation) ===');
+  const sentBefore = api.notifications().length;
   const result = await executeKweenkl({
     webhook_token: "",
     message: "Test notification"
   });
 
   console.log(result.content[0].text);
-  // Expected: Should show error about missing token
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, 'VALIDATION');
+  assert.equal(api.notifications().length, sentBefore);
 }
 
 async function testWithTitle() {
   console.log('\n=== Testing with Title ===');
   const result = await executeKweenkl({
-    webhook_token: "test-token-123",
+    webhook_token: MOCK_WEBHOOK_TOKEN,
     message: "This notification has a title",
     title: "Important Update"
   });
 
   console.log(result.content[0].text);
+  assert.equal(result.structuredContent.status, 'sent');
+  assert.equal(api.notifications().at(-1).title, 'Important Update');
 }
 
 async function testWithPriority() {
   console.log('\n=== Testing with High Priority ===');
   const result = await executeKweenkl({
-    webhook_token: "test-token-123",
+    webhook_token: MOCK_WEBHOOK_TOKEN,
     message: "High priority notification",
     priority: "high"
   });
 
   console.log(result.content[0].text);
+  assert.equal(result.structuredContent.status, 'sent');
+  assert.equal(api.notifications().at(-1).priority, 'high');
+}
+
+async function testUnknownToken() {
+  console.log('\n=== Testing Unknown Token (should fail) ===');
+  const result = await executeKweenkl({
+    webhook_token: "test-token-123",
+    message: "Test notification"
+  });
+
+  console.log(result.content[0].text);
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, 'INVALID_TOKEN');
+}
+
+async function testServerError() {
+  console.log('\n=== Testing API Outage (should fail after retries) ===');
+  api.fail({ path: '/webhook', status: 503 });
+  const result = await executeKweenkl({
+    webhook_token: MOCK_WEBHOOK_TOKEN,
+    message: "Sent during an outage"
+  });
+  api.clearFaults();
+
+  console.log(result.content[0].text);
+  assert.equal(result.structuredContent.error.code, 'SERVER_ERROR');
+  assert.equal(result.structuredContent.error.http_status, 503);
+}
+
+async function testBatch() {
+  console.log('\n=== Testing kweenkl_batch (one invalid item) ===');
+  const result = await executeBatch({
+    items: [
+      { webhook_token: MOCK_WEBHOOK_TOKEN, message: "Batch item 1" },
+      { webhook_token: MOCK_WEBHOOK_TOKEN, message: "Batch item 2", priority: "urgent" },
+      { webhook_token: MOCK_WEBHOOK_TOKEN, message: "Batch item 3", title: "Batch" }
+    ],
+    concurrency: 2
+  });
+
+  console.log(result.content[0].text);
+  // Item 2 fails validation without stopping items 1 and 3
+  assert.equal(result.structuredContent.summary.sent, 2);
+  assert.equal(result.structuredContent.summary.failed, 1);
+}
+
+async function testBatchRichArguments() {
+  console.log('\n=== Testing kweenkl_batch with rich arguments ===');
+  const result = await executeBatch({
+    items: [
+      { webhook_token: MOCK_WEBHOOK_TOKEN, message: "Build ready", deep_link: "https://ci.example.com/42", thread_id: "builds" },
+      { webhook_token: MOCK_WEBHOOK_TOKEN, message: "Build broken", url: "javascript:alert(1)" }
+    ]
+  });
+
+  console.log(result.content[0].text);
+  assert.equal(result.structuredContent.summary.sent, 1);
+  const sent = api.notifications().at(-1);
+  assert.equal(sent.message, 'Build ready');
+  assert.equal(sent.payload.deep_link, 'https://ci.example.com/42');
+  assert.equal(sent.payload.thread_id, 'builds');
+
+  const [, rejected] = result.structuredContent.results;
+  assert.equal(rejected.error.code, 'VALIDATION');
+  assert.match(rejected.error.message, /"url" must not use the javascript: scheme/);
 }
 
 async function runTests() {
   console.log('Starting kweenkl MCP Server Tests...');
-  console.log('Note: These tests will make actual API calls to api.kweenkl.com');
-  console.log('Use a valid webhook token to see successful notifications.\n');
+  console.log(`Note: These tests run against the local mock API at ${api.url}\n`);
 
   try {
     await testBasicKweenkl();
@@ -69,11 +160,19 @@ async function runTests() {
     await testMissingToken();
     await testWithTitle();
     await testWithPriority();
+    await testUnknownToken();
+    await testServerError();
+    await testBatch();
+    await testBatchRichArguments();
 
     console.log('\n=== All Tests Completed ===');
   } catch (error) {
     console.error('\n=== Test Error ===');
     console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await api.close();
+    rmSync(dataDir, { recursive: true, force: true });
   }
 }
 
@@ -0,0 +1,114 @@
+// tests/test-mock-api.js
+import assert from 'node:assert/strict';
+import { ErrorCodes, KweenklClient } from '../index.js';
+import { MOCK_DEVICE_TOKEN, MOCK_WEBHOOK_TOKEN, startMockApi } from '../lib/mock-api.js';
+
+const fast = { maxRetries: 0, timeoutMs: 300 };
+
+function clientFor(api, options = {}) {
+  return new KweenklClient({ apiUrl: api.url, deviceToken: MOCK_DEVICE_TOKEN, httpOptions: fast, ...options });
+}
+
+async function testApi(api) {
+  console.log('\n=== Testing the mock API ===');
+  const client = clientFor(api);
+
+  const [alerts] = await client.listChannels();
+  assert.equal(alerts.name, 'Alerts');
+  assert.equal(alerts.webhook_url, `${api.url}/webhook/${MOCK_WEBHOOK_TOKEN}`);
+
+  const created = await client.createChannel({ name: 'Deploys', color: '#00FF00' });
+  const sent = await client.send({ channel: 'deploys', message: 'v1.2 is live', title: 'Deploy', idempotencyKey: 'key-1' });
+  assert.equal(sent.subscribersNotified, 1);
+  const replayed = await client.send({ channel: 'deploys', message: 'v1.2 is live', title: 'Deploy', idempotencyKey: 'key-1' });
+  assert.equal(replayed.notificationId, sent.notificationId);
+  assert.equal(api.notifications().length, 1);
+  console.log('✅ Sends to channels it keeps in memory, once per idempotency key');
+
+  const page = await client.listNotifications(created.id, { limit: 10 });
+  assert.deepEqual(page.notifications.map((n) => n.message), ['v1.2 is live']);
+  assert.equal((await client.updateChannel(created.id, { name: 'Releases' })).name, 'Releases');
+  await client.deleteChannel(created.id);
+  assert.deepEqual((await client.listChannels()).map((ch) => ch.name), ['Alerts']);
+  console.log('✅ Lists, updates and deletes channels');
+
+  await assert.rejects(client.send({ webhookToken: 'unknown-token', message: 'Hi' }), { code: ErrorCodes.INVALID_TOKEN });
+  await assert.rejects(clientFor(api, { deviceToken: 'wrong-token' }).listChannels(), { code: ErrorCodes.UNAUTHORIZED });
+  await assert.rejects(client.deleteChannel('99'), { code: ErrorCodes.NOT_FOUND });
+  console.log('✅ Answers unknown tokens and channels like the real API');
+}
+
+async function testFaults(api) {
+  console.log('\n=== Testing injected faults ===');
+  const client = clientFor(api);
+
+  api.fail({ path: '/webhook', status: 429, times: 1, retry_after: 3 });
+  await assert.rejects(client.send({ webhookToken: MOCK_WEBHOOK_TOKEN, message: 'Hi' }), { code: ErrorCodes.RATE_LIMITED, httpStatus: 429 });
+  await client.send({ webhookToken: MOCK_WEBHOOK_TOKEN, message: 'Hi' });
+  console.log('✅ Faults apply the given number of times');
+
+  api.fail({ path: '/api/v1/channels', method: 'GET', status: 500 });
+  await assert.rejects(client.listChannels(), { code: ErrorCodes.SERVER_ERROR, message: 'Internal server error' });
+  await client.send({ webhookToken: MOCK_WEBHOOK_TOKEN, message: 'Still works' });
+  api.clearFaults();
+  await client.listChannels();
+  console.log('✅ Faults match by path and method until cleared');
+
+  api.fail({ status: 'timeout' });
+  await assert.rejects(client.send({ webhookToken: MOCK_WEBHOOK_TOKEN, message: 'Hi' }), { code: ErrorCodes.NETWORK });
+  api.clearFaults();
+  console.log('✅ Timeouts are never answered');
+
+  const control = await fetch(`${api.url}/_mock/faults`, {
+    method: 'POST',
+    body: JSON.stringify({ path: '/webhook', status: 404, message: 'Webhook not found' }),
+  });
+  assert.equal(control.status, 201);
+  await assert.rejects(client.send({ webhookToken: MOCK_WEBHOOK_TOKEN, message: 'Hi' }), { code: ErrorCodes.INVALID_TOKEN });
+  await fetch(`${api.url}/_mock/faults`, { method: 'DELETE' });
+
+  const invalid = await fetch(`${api.url}/_mock/faults`, { method: 'POST', body: JSON.stringify({ status: 200 }) });
+  assert.equal(invalid.status, 400);
+  console.log('✅ Faults can be injected over HTTP');
+}
+
+async function testDryRun(api) {
+  console.log('\n=== Testing dry runs ===');
+  api.reset();
+  const client = clientFor(api, { dryRun: true });
+
+  const sent = await client.send({ channel: 'Alerts', message: 'Not really' });
+  assert.equal(sent.dryRun, true);
+  assert.match(sent.notificationId, /^dry-run-/);
+  assert.equal(api.notifications().length, 0);
+  await assert.rejects(client.send({ channel: 'Alertz', message: 'Hi' }), { code: ErrorCodes.NOT_FOUND });
+  console.log('✅ Sends are checked but not made');
+
+  const created = await client.createChannel({ name: 'Deploys' });
+  assert.equal(created.dryRun, true);
+  assert.equal(created.name, 'Deploys');
+  assert.equal((await client.updateChannel('1', { name: 'Renamed' })).name, 'Renamed');
+  assert.deepEqual(await client.deleteChannel('1'), { id: '1', name: 'Alerts', dryRun: true });
+  await assert.rejects(client.deleteChannel('99'), { code: ErrorCodes.NOT_FOUND });
+  assert.deepEqual((await client.listChannels()).map((ch) => ch.name), ['Alerts']);
+  assert.ok(api.requests.every((request) => request.method === 'GET'));
+  console.log('✅ Channel changes are checked but not made');
+}
+
+async function runTests() {
+  const api = await startMockApi();
+  try {
+    await testApi(api);
+    await testFaults(api);
+    await testDryRun(api);
+  } finally {
+    await api.close();
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+// tests/test-outbox.js
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createOutbox, outboxOptions } from '../lib/outbox.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'kweenkl-outbox-'));
+
+function fakeClock() {
+  let time = Date.parse('2025-06-01T08:00:00Z');
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+}
+
+// Fails until `healthy` is set, recording every idempotency key it sees
+function flakySender() {
+  const keys = [];
+  const sender = {
+    healthy: false,
+    keys,
+    send: async (item) => {
+      keys.push(item.idempotency_key);
+      return sender.healthy
+        ? { status: 'sent', notificationId: 'notif-1', subscribersNotified: 2 }
+        : { status: 'failed', error: 'fetch failed', retryable: true };
+    },
+  };
+  return sender;
+}
+
+const failedSend = {
+  webhook_token: 'token-abcd',
+  body: { message: 'Server down', title: 'Alert' },
+  idempotency_key: 'key-1',
+  error: 'fetch failed',
+};
+
+async function testOptions() {
+  console.log('\n=== Testing outbox options ===');
+  assert.equal(outboxOptions({}), null);
+  assert.equal(outboxOptions({ enabled: true }).max_age_hours, 24);
+  process.env.KWEENKL_OUTBOX = 'true';
+  assert.ok(outboxOptions({}));
+  delete process.env.KWEENKL_OUTBOX;
+  console.log('✅ outbox is opt-in');
+}
+
+async function testFlushReusesIdempotencyKey() {
+  console.log('\n=== Testing flush keeps the idempotency key ===');
+  const sender = flakySender();
+  const outbox = createOutbox({ file: join(dir, 'flush.jsonl'), send: sender.send });
+
+  const item = outbox.add(failedSend);
+  assert.equal(outbox.list().length, 1);
+
+  const [first] = await outbox.flush();
+  assert.equal(first.result.status, 'failed');
+  assert.equal(outbox.list()[0].attempts, 2);
+
+  sender.healthy = true;
+  const [second] = await outbox.flush({ id: item.id });
+  assert.equal(second.result.status, 'sent');
+  assert.equal(outbox.list().length, 0);
+  assert.deepEqual(sender.keys, ['key-1', 'key-1']);
+  console.log('✅ delivered on replay with the original key');
+}
+
+async function testSurvivesRestart() {
+  console.log('\n=== Testing journal survives restart ===');
+  const file = join(dir, 'restart.jsonl');
+  const now = fakeClock();
+
+  const first = createOutbox({ file, send: flakySender().send, now });
+  first.add(failedSend);
+  const delivered = first.add({ ...failedSend, idempotency_key: 'key-2' });
+  first.add({ ...failedSend, idempotency_key: 'key-3' });
+  appendFileSync(file, JSON.stringify({ op: 'done', id: delivered.id, status: 'sent' }) + '\n');
+  appendFileSync(file, '{"op":"add","item":{"id":"torn');
+
+  const sender = flakySender();
+  sender.healthy = true;
+  const second = createOutbox({ file, send: sender.send, now });
+  second.start();
+
+  assert.equal(second.list().length, 2);
+  await second.flush({ force: false });
+  assert.deepEqual(sender.keys, ['key-1', 'key-3']);
+  assert.equal(second.list().length, 0);
+  second.stop();
+
+  const ops = readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line).op);
+  assert.deepEqual(ops, ['add', 'add', 'done', 'done']);
+  console.log('✅ pending items replayed on startup, journal compacted');
+}
+
+async function testDropAndExpire() {
+  console.log('\n=== Testing permanent failures and expiry ===');
+  const now = fakeClock();
+  const outbox = createOutbox({
+    file: join(dir, 'drop.jsonl'),
+    send: async () => ({ status: 'failed', error: 'Webhook not found', retryable: false }),
+    now,
+  });
+
+  outbox.add(failedSend);
+  const [dropped] = await outbox.flush();
+  assert.equal(dropped.result.status, 'dropped');
+
+  const stale = createOutbox({ file: join(dir, 'expire.jsonl'), send: flakySender().send, now });
+  stale.add(failedSend);
+  now.advance(25 * 3600 * 1000);
+  const [expired] = await stale.flush();
+  assert.equal(expired.result.status, 'expired');
+  assert.equal(stale.list().length, 0);
+  console.log('✅ unrecoverable and stale items removed');
+
+  const held = createOutbox({
+    file: join(dir, 'held.jsonl'),
+    send: async () => ({ status: 'deferred', scheduleId: 'job-1', sendAt: '2025-06-02T07:00:00.000Z' }),
+    now,
+  });
+  held.add({ ...failedSend, channel: 'ops' });
+  assert.equal(held.list()[0].channel, 'ops');
+  const [deferred] = await held.flush();
+  assert.equal(deferred.result.status, 'deferred');
+  assert.equal(held.list().length, 0);
+  assert.match(readFileSync(join(dir, 'held.jsonl'), 'utf8'), /"op":"done","id":"[^"]+","status":"deferred"/);
+  console.log('✅ items the sending policy holds or refuses leave the outbox');
+
+  const throttled = createOutbox({
+    file: join(dir, 'throttled.jsonl'),
+    send: async () => ({ status: 'failed', error: 'Rate limit for this channel reached', retryable: true, retryAfterSeconds: 12 }),
+    now,
+  });
+  throttled.add(failedSend);
+  await throttled.flush();
+  assert.equal(Date.parse(throttled.list()[0].next_attempt_at), now() + 12000);
+  console.log('✅ rate-limited replays wait as long as the limiter says');
+}
+
+async function runTests() {
+  console.log('Starting outbox tests...');
+
+  try {
+    await testOptions();
+    await testFlushReusesIdempotencyKey();
+    await testSurvivesRestart();
+    await testDropAndExpire();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
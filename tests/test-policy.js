@@ -0,0 +1,142 @@
+// tests/test-policy.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createPolicy, loadPolicy, policyOptions } from '../lib/policy.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'kweenkl-policy-'));
+
+// 2025-06-01 is summer time: Europe/Paris is UTC+2
+function fakeClock(iso = '2025-06-01T10:00:00Z') {
+  let time = Date.parse(iso);
+  const now = () => time;
+  now.set = (next) => { time = Date.parse(next); };
+  return now;
+}
+
+function policyFor(raw, now, file = join(dir, `quotas-${Math.random()}.json`)) {
+  return createPolicy({ policy: policyOptions(raw), file, now });
+}
+
+async function testOptions() {
+  console.log('\n=== Testing policy files ===');
+  assert.equal(loadPolicy(join(dir, 'missing.json')), null);
+
+  const file = join(dir, 'policy.json');
+  writeFileSync(file, JSON.stringify({ allowed_channels: ['Ops'], channels: { Ops: { max_priority: 'normal' } } }));
+  const loaded = loadPolicy(file);
+  assert.deepEqual([...loaded.allowedChannels], ['ops']);
+  assert.deepEqual(loaded.overrides.get('ops'), { max_priority: 'normal' });
+
+  writeFileSync(file, '{ nope');
+  assert.throws(() => loadPolicy(file), /Invalid kweenkl policy/);
+  console.log('✅ Loads the policy file; a missing file means no policy');
+
+  assert.throws(() => policyOptions({ time_zone: 'Mars/Olympus' }), /time_zone "Mars\/Olympus" is not a known time zone/);
+  assert.throws(() => policyOptions({ max_priority: 'urgent' }), /max_priority must be one of: low, normal, high/);
+  assert.throws(() => policyOptions({ daily_quota: -1 }), /daily_quota must be a non-negative integer/);
+  assert.throws(() => policyOptions({ quiet_hours: { start: '22h', end: '07:00' } }), /quiet_hours needs start and end as HH:MM/);
+  assert.throws(() => policyOptions({ channels: { Ops: { quiet_hours: { start: '22:00', end: '07:00', action: 'drop' } } } }),
+    /channels\["Ops"\].quiet_hours.action must be one of: defer, downgrade/);
+  assert.throws(() => policyOptions({ allowed_channels: 'Ops' }), /allowed_channels must be a list of strings/);
+  console.log('✅ Rejects invalid rules');
+}
+
+async function testAllowlist() {
+  console.log('\n=== Testing the allowlist ===');
+  const now = fakeClock();
+  const policy = policyFor({ allowed_channels: ['Ops'], allowed_webhook_tokens: ['allowed-token-1234'] }, now);
+
+  assert.equal(policy.check({ channels: ['ops'], webhook_token: 'ops-token-1234' }).action, 'send');
+  assert.equal(policy.check({ channels: ['pager', 'Ops'], webhook_token: 'ops-token-1234' }).action, 'send');
+  assert.equal(policy.check({ channels: [], webhook_token: 'allowed-token-1234' }).action, 'send');
+
+  const denied = policy.check({ channels: [], webhook_token: 'found-token-9876' });
+  assert.equal(denied.action, 'deny');
+  assert.equal(denied.message, 'webhook …9876 is not an allowed channel in the sending policy');
+  assert.equal(denied.decisions[0].rule, 'allowlist');
+  assert.equal(policyFor({}, now).check({ channels: [], webhook_token: 'any-token-0000' }).action, 'send');
+  console.log('✅ Only allowed channels and webhook tokens can be used');
+}
+
+async function testPriorities() {
+  console.log('\n=== Testing priority caps and quiet hours ===');
+  const now = fakeClock('2025-06-01T21:30:00Z'); // 23:30 in Paris
+  const policy = policyFor({
+    time_zone: 'Europe/Paris',
+    max_priority: 'normal',
+    quiet_hours: { start: '22:00', end: '07:00' },
+    channels: {
+      Pager: { max_priority: 'high', quiet_hours: { start: '22:00', end: '07:00', action: 'downgrade' } },
+      Reports: { quiet_hours: false },
+    },
+  }, now);
+
+  const deferred = policy.check({ channels: ['ops'], webhook_token: 'ops-token-1234', priority: 'high' });
+  assert.equal(deferred.action, 'defer');
+  assert.equal(deferred.priority, 'normal');
+  assert.equal(deferred.sendAt.toISOString(), '2025-06-02T05:00:00.000Z');
+  assert.deepEqual(deferred.decisions.map((d) => [d.rule, d.action]), [['max_priority', 'lowered'], ['quiet_hours', 'deferred']]);
+  assert.match(deferred.decisions[1].message, /quiet hours \(22:00–07:00 Europe\/Paris\)/);
+  console.log('✅ Caps the priority, then defers until quiet hours end in the policy time zone');
+
+  const lowered = policy.check({ channels: ['pager'], webhook_token: 'pager-token-1234', priority: 'normal' });
+  assert.equal(lowered.action, 'send');
+  assert.equal(lowered.priority, 'low');
+  assert.equal(policy.check({ channels: ['pager'], webhook_token: 'pager-token-1234', priority: 'high' }).priority, 'high');
+  assert.deepEqual(policy.check({ channels: ['Reports'], webhook_token: 'reports-token-1', priority: 'low' }).decisions, []);
+  console.log('✅ Channels can downgrade instead, let high priority through, or have no quiet hours');
+
+  now.set('2025-06-02T05:00:00Z');
+  assert.equal(policy.check({ channels: ['ops'], webhook_token: 'ops-token-1234' }).action, 'send');
+  console.log('✅ Quiet hours end at their end time');
+}
+
+async function testQuota() {
+  console.log('\n=== Testing daily quotas ===');
+  const now = fakeClock('2025-06-01T20:00:00Z'); // 22:00 in Paris
+  const file = join(dir, 'quotas.json');
+  const policy = policyFor({ time_zone: 'Europe/Paris', daily_quota: 2, channels: { Noisy: { daily_quota: 0 } } }, now, file);
+  const ops = { channels: ['Ops'], webhook_token: 'ops-token-1234' };
+
+  assert.equal(policy.check(ops).counted, true);
+  assert.equal(policy.check(ops).action, 'send');
+
+  const suppressed = policy.check(ops);
+  assert.equal(suppressed.action, 'suppress');
+  assert.equal(suppressed.retryAfterSeconds, 2 * 3600);
+  assert.equal(suppressed.decisions[0].until, '2025-06-01T22:00:00.000Z');
+  assert.match(suppressed.message, /daily quota of 2 notification\(s\) for Ops is used up until midnight \(Europe\/Paris\)/);
+  assert.equal(policy.check({ channels: ['Deploys'], webhook_token: 'deploys-token-1' }).action, 'send');
+  assert.equal(policy.check({ channels: ['Noisy'], webhook_token: 'noisy-token-1234' }).action, 'suppress');
+  console.log('✅ Counts sends per channel and stops at the quota');
+
+  policy.release(ops);
+  assert.equal(policy.check(ops).action, 'send');
+  assert.equal(policy.check(ops).action, 'suppress');
+  console.log('✅ Unsent notifications give their quota back');
+
+  assert.equal(createPolicy({ policy: policyOptions({ time_zone: 'Europe/Paris', daily_quota: 2 }), file, now }).check(ops).action, 'suppress');
+  now.set('2025-06-01T22:00:00Z');
+  assert.equal(policy.check(ops).action, 'send');
+  console.log('✅ Quotas survive restarts and reset at local midnight');
+}
+
+async function runTests() {
+  try {
+    await testOptions();
+    await testAllowlist();
+    await testPriorities();
+    await testQuota();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// tests/test-profiles.js
+import assert from 'node:assert/strict';
+import { DEFAULT_API_URL, loadProfiles, profileJson, resolveAlias, unknownProfileError } from '../lib/profiles.js';
+
+const fileConfig = {
+  default_profile: 'personal',
+  profiles: {
+    personal: {
+      device_token: 'dev-personal',
+      default_channel: 'Inbox',
+      aliases: { prod: 'Production Alerts' },
+    },
+    oncall: {
+      api_url: 'https://oncall.example.com',
+      device_token_env: 'ONCALL_TOKEN',
+      aliases: { Pager: { webhook_token: 'pager-webhook-1234' } },
+    },
+  },
+};
+
+async function testEnvOnly() {
+  console.log('\n=== Testing profiles without a config file ===');
+  const { profiles, defaultProfile } = loadProfiles({}, { KWEENKL_DEVICE_TOKEN: 'dev-env' });
+  assert.equal(defaultProfile, 'default');
+  assert.deepEqual([...profiles.keys()], ['default']);
+  assert.equal(profiles.get('default').deviceToken, 'dev-env');
+  assert.equal(profiles.get('default').apiUrl, DEFAULT_API_URL);
+
+  const bare = loadProfiles({}, {});
+  assert.equal(bare.profiles.get('default').deviceToken, null);
+  console.log('✅ Environment variables describe the default profile');
+}
+
+async function testConfiguredProfiles() {
+  console.log('\n=== Testing configured profiles ===');
+  const { profiles, defaultProfile } = loadProfiles(fileConfig, { ONCALL_TOKEN: 'dev-oncall' });
+  assert.equal(defaultProfile, 'personal');
+  assert.deepEqual([...profiles.keys()], ['personal', 'oncall']);
+  assert.equal(profiles.get('personal').defaultChannel, 'Inbox');
+  assert.equal(profiles.get('oncall').deviceToken, 'dev-oncall');
+  assert.equal(profiles.get('oncall').apiUrl, 'https://oncall.example.com');
+  console.log('✅ Profiles read from the config file, tokens from named env vars');
+
+  const withEnv = loadProfiles(fileConfig, { KWEENKL_DEVICE_TOKEN: 'dev-env', KWEENKL_PROFILE: 'oncall' });
+  assert.equal(withEnv.defaultProfile, 'oncall');
+  assert.equal(withEnv.profiles.get('default').deviceToken, 'dev-env');
+  console.log('✅ KWEENKL_PROFILE picks the default, env vars add a default profile');
+
+  const { profiles: merged } = loadProfiles(
+    { profiles: { default: { api_url: 'https://file.example.com', default_channel: 'Inbox' } } },
+    { KWEENKL_API_URL: 'https://env.example.com' }
+  );
+  assert.equal(merged.get('default').apiUrl, 'https://env.example.com');
+  assert.equal(merged.get('default').defaultChannel, 'Inbox');
+  console.log('✅ Env vars win over the default profile in the file');
+}
+
+async function testInvalidConfig() {
+  console.log('\n=== Testing invalid profile config ===');
+  assert.throws(() => loadProfiles({ profiles: [] }, {}), /profiles must be an object/);
+  assert.throws(() => loadProfiles({ profiles: { a: 'x' } }, {}), /profile "a" must be an object/);
+  assert.throws(() => loadProfiles({ profiles: { a: { api_url: 5 } } }, {}), /invalid api_url/);
+  assert.throws(() => loadProfiles({ profiles: { a: { aliases: { x: 1 } } } }, {}), /invalid alias "x"/);
+  assert.throws(() => loadProfiles({ default_profile: 'nope', profiles: { a: {} } }, {}), /default profile "nope"/);
+  console.log('✅ Config mistakes are reported at startup');
+}
+
+async function testAliases() {
+  console.log('\n=== Testing channel aliases ===');
+  const { profiles } = loadProfiles(fileConfig, {});
+  assert.deepEqual(resolveAlias(profiles.get('personal'), 'PROD'), { channel: 'Production Alerts' });
+  assert.deepEqual(resolveAlias(profiles.get('oncall'), 'pager'), { webhook_token: 'pager-webhook-1234' });
+  assert.equal(resolveAlias(profiles.get('personal'), 'Inbox'), null);
+  console.log('✅ Aliases resolve case-insensitively');
+
+  const json = profileJson(profiles.get('oncall'));
+  assert.deepEqual(json.aliases, { Pager: 'webhook …1234' });
+  assert.equal(json.channel_management, false);
+  assert.ok(!JSON.stringify(json).includes('pager-webhook-1234'));
+  console.log('✅ Profile JSON never exposes tokens');
+
+  assert.match(unknownProfileError('work', profiles).message, /Unknown profile "work"\. Configured profiles: personal, oncall\./);
+  assert.equal(unknownProfileError('work', profiles).code, 'VALIDATION');
+  console.log('✅ Unknown profiles list the configured ones');
+}
+
+async function runTests() {
+  await testEnvOnly();
+  await testConfiguredProfiles();
+  await testInvalidConfig();
+  await testAliases();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
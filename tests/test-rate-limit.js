@@ -0,0 +1,169 @@
+// tests/test-rate-limit.js
+import assert from 'node:assert/strict';
+import { createSendGuard, createTokenBucket, rateLimitOptions } from '../lib/rate-limit.js';
+
+function fakeClock() {
+  let time = 1_000_000;
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+}
+
+const options = {
+  per_webhook: { max: 2, per_seconds: 60 },
+  global: { max: 3, per_seconds: 60 },
+  dedup_window_seconds: 30,
+  dedup_mode: 'drop',
+};
+
+function send(guard, notification) {
+  const suppressed = guard.check(notification);
+  if (!suppressed) guard.record(notification);
+  return suppressed;
+}
+
+async function testTokenBucket() {
+  console.log('\n=== Testing token bucket refill ===');
+  const now = fakeClock();
+  const bucket = createTokenBucket({ max: 2, per_seconds: 60 }, now);
+
+  bucket.take();
+  bucket.take();
+  assert.equal(bucket.waitTime(), 30000);
+  now.advance(30000);
+  assert.equal(bucket.waitTime(), 0);
+  console.log('✅ bucket refills over time');
+}
+
+async function testPerWebhookLimit() {
+  console.log('\n=== Testing per-webhook limit ===');
+  const now = fakeClock();
+  const guard = createSendGuard(options, now);
+
+  assert.equal(send(guard, { webhook_token: 'a', message: 'one' }), null);
+  assert.equal(send(guard, { webhook_token: 'a', message: 'two' }), null);
+  const blocked = send(guard, { webhook_token: 'a', message: 'three' });
+  assert.equal(blocked.reason, 'rate_limited');
+  assert.equal(blocked.retryAfterSeconds, 30);
+
+  assert.equal(send(guard, { webhook_token: 'b', message: 'other channel' }), null);
+  console.log('✅ per-webhook bucket enforced independently');
+
+  const replays = createSendGuard(options, fakeClock());
+  const note = { webhook_token: 'a', message: 'Server down' };
+  assert.equal(send(replays, note), null);
+  assert.equal(replays.throttle('a'), null, 'a replay of a recorded send is not a duplicate');
+  assert.equal(replays.throttle('a').reason, 'rate_limited');
+  console.log('✅ throttle applies the buckets without duplicate checks');
+}
+
+async function testGlobalLimit() {
+  console.log('\n=== Testing global limit ===');
+  const guard = createSendGuard(options, fakeClock());
+
+  send(guard, { webhook_token: 'a', message: '1' });
+  send(guard, { webhook_token: 'b', message: '2' });
+  send(guard, { webhook_token: 'c', message: '3' });
+  const blocked = send(guard, { webhook_token: 'd', message: '4' });
+  assert.match(blocked.message, /Global rate limit/);
+  console.log('✅ global bucket enforced');
+}
+
+async function testDuplicateDropped() {
+  console.log('\n=== Testing duplicate suppression ===');
+  const now = fakeClock();
+  const guard = createSendGuard(options, now);
+  const note = { webhook_token: 'a', message: 'Build failed', title: 'CI', priority: 'high' };
+
+  assert.equal(send(guard, note), null);
+  now.advance(10000);
+  const dup = send(guard, note);
+  assert.equal(dup.reason, 'duplicate');
+  assert.match(dup.message, /10s ago/);
+
+  assert.equal(send(guard, { ...note, priority: 'low' }), null, 'different priority is not a duplicate');
+
+  now.advance(25000);
+  assert.equal(send(guard, note), null, 'window expired');
+  console.log('✅ duplicates dropped within the window only');
+}
+
+async function testInFlight() {
+  console.log('\n=== Testing sends in flight ===');
+  const now = fakeClock();
+  const guard = createSendGuard(options, now);
+  const note = { webhook_token: 'a', message: 'Deploy done' };
+
+  assert.equal(guard.check(note), null);
+  assert.equal(guard.check(note)?.reason, 'duplicate', 'second send while the first is in flight');
+  guard.release(note);
+  assert.equal(guard.check(note), null, 'fingerprint freed after a failed send');
+  guard.record(note);
+  assert.equal(guard.check(note)?.reason, 'duplicate');
+  console.log('✅ in-flight sends reserve their fingerprint until released');
+}
+
+async function testCoalesce() {
+  console.log('\n=== Testing coalesce mode ===');
+  const now = fakeClock();
+  const guard = createSendGuard({ ...options, dedup_mode: 'coalesce' }, now);
+  const note = { webhook_token: 'a', message: 'Disk full' };
+
+  send(guard, note);
+  send(guard, note);
+  send(guard, note);
+  now.advance(31000);
+  assert.equal(guard.coalesced(note), 2);
+  assert.equal(guard.check(note), null);
+  assert.equal(guard.coalesced(note), 2, 'still counted while the send is in flight');
+  guard.record(note);
+  assert.equal(guard.coalesced(note), 0);
+  console.log('✅ suppressed repeats counted for the next send');
+
+  // Repeats nobody sent again for twice the window are dropped, not kept forever
+  const other = { webhook_token: 'a', message: 'CPU high' };
+  send(guard, other);
+  send(guard, other);
+  now.advance(61000);
+  guard.check({ webhook_token: 'b', message: 'Unrelated' });
+  assert.equal(guard.coalesced(other), 0);
+  console.log('✅ unreported repeats expire after twice the window');
+}
+
+async function testOptionsFromEnv() {
+  console.log('\n=== Testing env overrides ===');
+  process.env.KWEENKL_RATE_LIMIT_PER_WEBHOOK = '5';
+  process.env.KWEENKL_DEDUP_MODE = 'coalesce';
+  const merged = rateLimitOptions({ global: { max: 100 }, dedup_window_seconds: 10 });
+  delete process.env.KWEENKL_RATE_LIMIT_PER_WEBHOOK;
+  delete process.env.KWEENKL_DEDUP_MODE;
+
+  assert.deepEqual(merged, {
+    per_webhook: { max: 5, per_seconds: 60 },
+    global: { max: 100, per_seconds: 60 },
+    dedup_window_seconds: 10,
+    dedup_mode: 'coalesce',
+  });
+  assert.throws(() => rateLimitOptions({ dedup_mode: 'merge' }), /dedup_mode/);
+  console.log('✅ config file and env merged');
+}
+
+async function runTests() {
+  console.log('Starting rate limit tests...');
+
+  await testTokenBucket();
+  await testPerWebhookLimit();
+  await testGlobalLimit();
+  await testDuplicateDropped();
+  await testInFlight();
+  await testCoalesce();
+  await testOptionsFromEnv();
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
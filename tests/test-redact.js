@@ -0,0 +1,77 @@
+// tests/test-redact.js
+import assert from 'node:assert/strict';
+import { createRedactor, maskToken } from '../lib/redact.js';
+
+const DEVICE = 'device-token-0123456789';
+const WEBHOOK = '51fa2b2d-2080-4a73-b059-7e67712d93f7';
+
+async function testMasking() {
+  console.log('\n=== Testing token masking ===');
+  assert.equal(maskToken(WEBHOOK), '…93f7');
+  assert.equal(maskToken('short'), '…');
+  console.log('✅ Tokens keep only their last four characters');
+}
+
+async function testText() {
+  console.log('\n=== Testing text redaction ===');
+  const redactor = createRedactor();
+  redactor.addCredential(DEVICE);
+  redactor.addWebhookToken(WEBHOOK);
+
+  const text = `401 device ${DEVICE} rejected; Authorization: Bearer abc.def.ghi; webhook ${WEBHOOK} not found`;
+  const redacted = redactor.redactText(text);
+  assert.ok(!redacted.includes(DEVICE));
+  assert.ok(!redacted.includes(WEBHOOK));
+  assert.ok(!redacted.includes('abc.def.ghi'));
+  assert.match(redacted, /Bearer \[REDACTED\]/);
+  console.log('✅ Known tokens and bearer headers are masked');
+
+  const url = 'https://api.kweenkl.com/webhook/aaaabbbbccccdddd?x=1';
+  assert.equal(redactor.redactText(url), 'https://api.kweenkl.com/webhook/…dddd?x=1');
+  assert.equal(redactor.redactText(url, { webhooks: false }), url);
+  assert.equal(redactor.redactText(`${DEVICE} ${WEBHOOK}`, { webhooks: false }), `…6789 ${WEBHOOK}`);
+  console.log('✅ Webhook URLs are masked unless explicitly allowed');
+
+  assert.equal(redactor.redactText(redactor.redactText(url)), redactor.redactText(url));
+  console.log('✅ Redaction is idempotent');
+}
+
+async function testObjects() {
+  console.log('\n=== Testing object redaction ===');
+  const redactor = createRedactor();
+  const input = {
+    webhook_token: 'unknown-token-123456',
+    headers: { Authorization: 'Bearer secret-value' },
+    nested: [{ device_token: 'another-secret-token' }],
+    message: 'hello',
+    count: 3,
+  };
+  input.self = input;
+
+  const output = redactor.redact(input);
+  assert.equal(output.webhook_token, '…3456');
+  assert.equal(output.headers.Authorization, '…alue');
+  assert.equal(output.nested[0].device_token, '…oken');
+  assert.equal(output.message, 'hello');
+  assert.equal(output.count, 3);
+  assert.equal(output.self, '[Circular]');
+  assert.equal(input.webhook_token, 'unknown-token-123456');
+  console.log('✅ Sensitive keys are masked in a copy');
+
+  const error = new Error(`Request to /webhook/${WEBHOOK} failed`);
+  assert.ok(!redactor.redact(error).includes(WEBHOOK));
+  console.log('✅ Errors become redacted stack traces');
+}
+
+async function runTests() {
+  await testMasking();
+  await testText();
+  await testObjects();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,214 @@
+// tests/test-relay.js
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { mapWebhook, relayOptions, renderText, startRelay, verifyGitHubSignature } from '../lib/relay.js';
+
+const SECRET = 'github-webhook-secret';
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/relay/${name}.json`, import.meta.url));
+}
+
+function body(name) {
+  return JSON.parse(fixture(name));
+}
+
+function sign(raw, secret = SECRET) {
+  return `sha256=${createHmac('sha256', secret).update(raw).digest('hex')}`;
+}
+
+function routesFor(routes, env = {}) {
+  return relayOptions({ enabled: true, routes }, env).routes;
+}
+
+async function testOptions() {
+  console.log('\n=== Testing relay config ===');
+  assert.equal(relayOptions({ routes: { generic: {} } }, {}), null);
+  assert.equal(relayOptions({ enabled: true, routes: { generic: {} } }, { KWEENKL_RELAY: 'false' }), null);
+
+  const options = relayOptions({ routes: { github: { secret_env: 'GH_SECRET' }, ci: { format: 'generic', token: 'ci-token-1234' } } },
+    { KWEENKL_RELAY: 'true', KWEENKL_RELAY_PORT: '4100', GH_SECRET: SECRET });
+  assert.equal(options.host, '127.0.0.1');
+  assert.equal(options.port, 4100);
+  assert.equal(options.routes.get('github').secret, SECRET);
+  assert.equal(options.routes.get('ci').format, 'generic');
+  console.log('✅ Routes take their format from their name, and secrets from the environment');
+
+  assert.throws(() => routesFor({ github: {} }), /relay.routes\["github"\] needs secret or secret_env/);
+  assert.throws(() => routesFor({ github: { secret_env: 'MISSING' } }), /needs secret or secret_env/);
+  assert.throws(() => routesFor({ ci: {} }), /relay.routes\["ci"\].format must be one of: alertmanager, github, generic/);
+  assert.throws(() => routesFor({ generic: { priorities: { failed: 'urgent' } } }), /priorities must map severities to one of: low, normal, high/);
+  assert.throws(() => routesFor({ generic: { events: ['push'] } }), /events must be a list of GitHub event names/);
+  assert.throws(() => relayOptions({ enabled: true, routes: {} }, {}), /relay.routes must be an object with at least one route/);
+  assert.throws(() => relayOptions({ enabled: true, host: '0.0.0.0', routes: { generic: {} } }, {}),
+    /relay.routes\["generic"\] needs a token: the relay listens on 0.0.0.0/);
+  console.log('✅ Rejects invalid routes, and unauthenticated routes off loopback');
+}
+
+async function testAlertmanager() {
+  console.log('\n=== Testing Alertmanager webhooks ===');
+  const [route] = routesFor({ alertmanager: {} }).values();
+
+  const firing = mapWebhook(route, { body: body('alertmanager-firing') }).notification;
+  assert.deepEqual(firing, {
+    title: 'Firing (2): DiskFull',
+    message: '• db-1:9100: Disk /var is 91% full\n• db-2:9100: Disk /var is 99% full',
+    priority: 'high',
+  });
+  console.log('✅ Lists the firing alerts of a group, at the priority of the worst one');
+
+  const resolved = mapWebhook(route, { body: body('alertmanager-resolved') }).notification;
+  assert.deepEqual(resolved, { title: 'Resolved: HighLatency', message: 'p99 latency above 2s', priority: 'low' });
+
+  const [custom] = routesFor({ alertmanager: {
+    title: '{{commonLabels.service}} {{status}}',
+    message: '{{commonAnnotations.summary}} since {{alerts.0.startsAt}}',
+    priorities: { resolved: 'normal' },
+  } }).values();
+  assert.deepEqual(mapWebhook(custom, { body: body('alertmanager-resolved') }).notification, {
+    title: 'api resolved',
+    message: 'p99 latency above 2s since 2025-06-01T08:00:00Z',
+    priority: 'normal',
+  });
+  assert.throws(() => mapWebhook(route, { body: { status: 'firing' } }), { status: 400, message: /alerts is missing/ });
+  console.log('✅ Resolved groups, custom templates and priorities');
+}
+
+async function testGitHub() {
+  console.log('\n=== Testing GitHub webhooks ===');
+  const raw = fixture('github-workflow-run');
+  assert.equal(verifyGitHubSignature(SECRET, raw, sign(raw)), true);
+  assert.equal(verifyGitHubSignature(SECRET, raw, sign(raw, 'wrong-secret')), false);
+  assert.equal(verifyGitHubSignature(SECRET, Buffer.concat([raw, Buffer.from(' ')]), sign(raw)), false);
+  assert.equal(verifyGitHubSignature(SECRET, raw, 'sha1=abc'), false);
+  assert.equal(verifyGitHubSignature(SECRET, raw, undefined), false);
+  console.log('✅ Checks the X-Hub-Signature-256 HMAC');
+
+  const [route] = routesFor({ github: { secret: SECRET } }).values();
+  const run = mapWebhook(route, { headers: { 'x-github-event': 'workflow_run' }, body: JSON.parse(raw) }).notification;
+  assert.deepEqual(run, { title: 'acme/shop: CI failure', message: 'Fix flaky login test on main', priority: 'high' });
+
+  const push = mapWebhook(route, { headers: { 'x-github-event': 'push' }, body: body('github-push') }).notification;
+  assert.deepEqual(push, { title: 'acme/shop: 2 commit(s) to main', message: 'Fix flaky login test (monalisa)', priority: 'low' });
+  console.log('✅ Maps workflow runs and pushes');
+
+  assert.deepEqual(mapWebhook(route, { headers: { 'x-github-event': 'ping' }, body: { zen: 'Keep it simple.' } }), { ignored: 'ping' });
+  const started = { ...JSON.parse(raw), action: 'requested' };
+  assert.match(mapWebhook(route, { headers: { 'x-github-event': 'workflow_run' }, body: started }).ignored, /only completed runs/);
+
+  const [filtered] = routesFor({ github: { secret: SECRET, events: ['workflow_run', 'pull_request.opened'] } }).values();
+  assert.match(mapWebhook(filtered, { headers: { 'x-github-event': 'push' }, body: body('github-push') }).ignored, /event push is not relayed/);
+  assert.ok(mapWebhook(filtered, { headers: { 'x-github-event': 'pull_request' }, body: { action: 'opened', pull_request: { number: 7, title: 'Add search' } } }).notification);
+  assert.throws(() => mapWebhook(route, { body: body('github-push') }), { status: 400, message: /X-GitHub-Event header is missing/ });
+  console.log('✅ Ignores pings, unfinished runs and events the route does not relay');
+}
+
+async function testGeneric() {
+  console.log('\n=== Testing generic JSON webhooks ===');
+  const [route] = routesFor({ backup: {
+    format: 'generic',
+    title: 'Backup {{status}}',
+    message: '{{host}}: {{details.summary}} (exit {{details.exit_code}})',
+    severity_field: 'level',
+    priorities: { failed: 'high' },
+  } }).values();
+  assert.deepEqual(mapWebhook(route, { body: body('generic') }).notification, {
+    title: 'Backup failed',
+    message: 'backup-01: Snapshot of /srv/data failed: no space left on device (exit 28)',
+    priority: 'high',
+  });
+
+  const [plain] = routesFor({ generic: {} }).values();
+  assert.deepEqual(mapWebhook(plain, { body: { title: 'Hello', message: 'World', severity: 'warning' } }).notification,
+    { title: 'Hello', message: 'World', priority: 'normal' });
+  assert.deepEqual(mapWebhook(plain, { body: { title: 'Only a title' } }).notification, { message: 'Only a title', priority: 'normal' });
+  assert.throws(() => mapWebhook(plain, { body: { text: 'Nothing to map' } }), { status: 422 });
+  assert.throws(() => mapWebhook(plain, { body: ['not', 'an', 'object'] }), { status: 400 });
+  assert.equal(renderText('{{a}} {{b.c}} {{missing}}', { a: 1, b: { c: [2] } }), '1 [2]');
+  console.log('✅ Fills templates from any JSON fields, with the priority from a severity field');
+}
+
+async function testListener() {
+  console.log('\n=== Testing the relay listener ===');
+  const delivered = [];
+  const relay = await startRelay({
+    host: '127.0.0.1',
+    port: 0,
+    maxBodyBytes: 4096,
+    routes: routesFor({ github: { secret: SECRET }, alertmanager: { token: 'relay-token-1234' }, backup: { format: 'generic' } }),
+    deliver: async (route, notification) => {
+      delivered.push({ route: route.name, notification });
+      if (notification.message.includes('unknown')) {
+        return { isError: true, structuredContent: { status: 'failed', error: { code: 'INVALID_TOKEN', message: 'Webhook not found' } } };
+      }
+      return { structuredContent: { status: 'sent', notification_id: 'n1', subscribers_notified: 1 } };
+    },
+  });
+  const url = `http://127.0.0.1:${relay.address.port}`;
+  const post = (path, raw, headers = {}) => fetch(`${url}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: raw });
+
+  try {
+    const raw = fixture('github-workflow-run');
+    const sent = await post('/relay/github', raw, { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': sign(raw) });
+    assert.equal(sent.status, 200);
+    assert.deepEqual(await sent.json(), { status: 'ok', result: { status: 'sent', notification_id: 'n1', subscribers_notified: 1 } });
+    assert.equal(delivered.at(-1).notification.title, 'acme/shop: CI failure');
+
+    const forged = await post('/relay/github', raw, { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': sign(raw, 'guess') });
+    assert.equal(forged.status, 401);
+    const form = await post('/relay/github', `payload=${encodeURIComponent(raw)}`, {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-GitHub-Event': 'ping',
+      'X-Hub-Signature-256': sign(`payload=${encodeURIComponent(raw)}`),
+    });
+    assert.equal(form.status, 202);
+    console.log('✅ Relays signed GitHub webhooks and rejects forged ones');
+
+    const alerts = fixture('alertmanager-firing');
+    assert.equal((await post('/relay/alertmanager', alerts)).status, 401);
+    assert.equal((await post('/relay/alertmanager', alerts, { Authorization: 'Bearer relay-token-1234' })).status, 200);
+    assert.equal((await post('/relay/alertmanager?token=relay-token-1234', alerts)).status, 200);
+    assert.equal(delivered.length, 3);
+
+    const unknown = JSON.stringify({ ...JSON.parse(alerts), alerts: [{ status: 'firing', labels: { alertname: 'unknown' } }] });
+    const failed = await post('/relay/alertmanager?token=relay-token-1234', unknown);
+    assert.equal(failed.status, 422);
+    assert.equal((await failed.json()).result.error.code, 'INVALID_TOKEN');
+    console.log('✅ Checks route tokens and reports delivery failures');
+
+    // A route without a token turns away what a web page could send
+    const backup = JSON.stringify({ title: 'Backup', message: 'Backup done' });
+    assert.equal((await post('/relay/backup', backup)).status, 200);
+    assert.equal((await post('/relay/backup', backup, { Origin: 'https://example.com' })).status, 403);
+    assert.equal((await post('/relay/backup', backup, { 'Content-Type': 'text/plain' })).status, 415);
+    assert.equal((await post('/relay/backup', `payload=${encodeURIComponent(backup)}`, { 'Content-Type': 'application/x-www-form-urlencoded' })).status, 415);
+    assert.equal(delivered.length, 5);
+    console.log('✅ Routes without a token reject browser requests');
+
+    assert.equal((await post('/relay/nope', '{}')).status, 404);
+    assert.equal((await post('/relay/%E0', '{}')).status, 404);
+    assert.equal((await fetch(`${url}/relay/alertmanager`)).status, 405);
+    assert.equal((await post('/relay/alertmanager?token=relay-token-1234', '{ nope')).status, 400);
+    assert.equal((await post('/relay/alertmanager?token=relay-token-1234', 'x'.repeat(5000))).status, 413);
+    assert.equal((await fetch(`${url}/healthz`)).status, 200);
+    console.log('✅ Answers unknown routes, bad bodies and health checks');
+  } finally {
+    await relay.close();
+  }
+}
+
+async function runTests() {
+  await testOptions();
+  await testAlertmanager();
+  await testGitHub();
+  await testGeneric();
+  await testListener();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// tests/test-resources.js
+import assert from 'node:assert/strict';
+import { channelJson, channelResource, channelUri, parseChannelUri } from '../lib/resources.js';
+
+const channel = {
+  id: 'abc 123',
+  name: 'Production Alerts',
+  color: '#FF0000',
+  icon: 'bell',
+  webhook_url: 'https://api.kweenkl.com/webhook/token-1',
+  notification_count: 42,
+  device_id: 'internal',
+};
+
+async function testUris() {
+  console.log('\n=== Testing channel resource URIs ===');
+  assert.equal(channelUri(channel.id), 'kweenkl://channels/abc%20123');
+  assert.deepEqual(parseChannelUri('kweenkl://channels'), { list: true });
+  assert.deepEqual(parseChannelUri('kweenkl://channels/abc%20123'), { id: 'abc 123' });
+  assert.equal(parseChannelUri('kweenkl://channels/'), null);
+  assert.equal(parseChannelUri('kweenkl://channels/a/b'), null);
+  assert.equal(parseChannelUri('kweenkl://channels/%E0'), null);
+  assert.equal(parseChannelUri('file:///etc/passwd'), null);
+  console.log('✅ URIs built and parsed');
+}
+
+async function testChannelJson() {
+  console.log('\n=== Testing channel JSON ===');
+  assert.deepEqual(channelJson(channel), {
+    id: 'abc 123',
+    name: 'Production Alerts',
+    description: null,
+    color: '#FF0000',
+    icon: 'bell',
+    webhook_url: 'https://api.kweenkl.com/webhook/token-1',
+    notification_count: 42,
+  });
+
+  const resource = channelResource(channel);
+  assert.equal(resource.name, 'Production Alerts');
+  assert.equal(resource.mimeType, 'application/json');
+  assert.match(resource.description, /Production Alerts/);
+  console.log('✅ channel exposed without internal fields');
+}
+
+async function runTests() {
+  console.log('Starting resource tests...');
+
+  await testUris();
+  await testChannelJson();
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+// tests/test-rich-payload.js
+import assert from 'node:assert/strict';
+import { MAX_ACTIONS, buildPayload, richPayloadProperties } from '../lib/rich-payload.js';
+import { validateSchema } from '../lib/validate.js';
+
+const schema = { type: 'object', properties: richPayloadProperties() };
+
+async function testBuild() {
+  console.log('\n=== Testing rich payloads ===');
+  const { payload, errors } = buildPayload({
+    url: 'kweenkl://posts/12345',
+    image_url: 'https://example.com/chart.png',
+    actions: [{ label: 'Reply', action: 'reply' }, { label: 'View', action: 'view' }],
+    category: 'comments',
+    thread_id: 'post-12345',
+    payload: { post_id: '12345', category: 'comments' },
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(payload, {
+    post_id: '12345',
+    category: 'comments',
+    deep_link: 'kweenkl://posts/12345',
+    image_url: 'https://example.com/chart.png',
+    action_buttons: [{ label: 'Reply', action: 'reply' }, { label: 'View', action: 'view' }],
+    thread_id: 'post-12345',
+  });
+  console.log('✅ Builds the documented payload shape, merged with the custom payload');
+
+  assert.deepEqual(buildPayload({ payload: { a: 1 } }), { payload: { a: 1 }, errors: [] });
+  assert.deepEqual(buildPayload({}), { payload: undefined, errors: [] });
+  console.log('✅ Leaves notifications without rich arguments alone');
+}
+
+async function testErrors() {
+  console.log('\n=== Testing invalid rich arguments ===');
+  const conflict = buildPayload({ deep_link: 'https://ci.example.com/builds/42', payload: { deep_link: 'https://ci.example.com/builds/41' } });
+  assert.equal(conflict.errors[0].field, 'payload.deep_link');
+  assert.match(conflict.errors[0].message, /conflicts with the deep_link argument/);
+
+  assert.equal(buildPayload({ deep_link: 'https://a.example', url: 'https://b.example' }).errors[0].field, 'url');
+  assert.equal(buildPayload({ url: 'JavaScript:alert(1)' }).errors[0].message, 'must not use the javascript: scheme');
+  const repeated = buildPayload({ actions: [{ label: 'OK', action: 'ok' }, { label: 'Sure', action: 'ok' }] });
+  assert.equal(repeated.errors[0].field, 'actions[1].action');
+  console.log('✅ Reports conflicts, unsafe links and repeated action IDs');
+
+  const tooMany = Array.from({ length: MAX_ACTIONS + 1 }, (_, i) => ({ label: `B${i}`, action: `b${i}` }));
+  assert.match(validateSchema(schema, { actions: tooMany })[0].message, /at most 4 items/);
+  assert.equal(validateSchema(schema, { image_url: 'http://example.com/a.png' })[0].field, 'image_url');
+  assert.equal(validateSchema(schema, { deep_link: 'not a link' })[0].field, 'deep_link');
+  assert.equal(validateSchema(schema, { actions: [{ label: 'Reply' }] })[0].field, 'actions[0].action');
+  assert.deepEqual(validateSchema(schema, { deep_link: 'https://example.com', thread_id: 't1' }), []);
+  console.log('✅ The argument schema limits actions and URL formats');
+}
+
+async function runTests() {
+  await testBuild();
+  await testErrors();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+// tests/test-routing.js
+import assert from 'node:assert/strict';
+import { routeNotification, routingOptions, ruleMatches } from '../lib/routing.js';
+
+const routing = routingOptions({
+  ops: [
+    { channels: ['Ops', 'Team'] },
+    { channels: ['pager'], profile: 'oncall', min_priority: 'high' },
+  ],
+  deploys: { channels: ['Deploys', 'team'], keywords: ['Production', 'rollback'] },
+});
+
+function channels({ targets }) {
+  return targets.map((target) => `${target.profile}:${target.channel} [${target.tags.join(',')}]`);
+}
+
+async function testOptions() {
+  console.log('\n=== Testing routing config ===');
+  assert.equal(routingOptions(), null);
+  assert.equal(routingOptions({}), null);
+  assert.deepEqual([...routing.keys()], ['ops', 'deploys']);
+  assert.equal(routing.get('ops').length, 2);
+  assert.deepEqual(routing.get('deploys')[0].keywords, ['production', 'rollback']);
+  console.log('✅ Maps each tag to one rule or a list of rules');
+
+  assert.throws(() => routingOptions([]), /routing must be an object keyed by tag/);
+  assert.throws(() => routingOptions({ 'on call': { channels: ['Ops'] } }), /routing tag "on call" may only use letters/);
+  assert.throws(() => routingOptions({ ops: [] }), /routing tag "ops" needs at least one rule/);
+  assert.throws(() => routingOptions({ ops: { channels: [] } }), /routing tag "ops" needs a non-empty list of channels/);
+  assert.throws(() => routingOptions({ ops: [{ channels: ['Ops'] }, { channels: 'Team' }] }),
+    /routing tag "ops" rule 2 needs a non-empty list of channels/);
+  assert.throws(() => routingOptions({ ops: { channels: ['Ops'], min_priority: 'urgent' } }),
+    /min_priority must be one of: low, normal, high/);
+  assert.throws(() => routingOptions({ ops: { channels: ['Ops'], keywords: [''] } }), /keywords must be a non-empty list of words/);
+  console.log('✅ Rejects invalid tags and rules');
+}
+
+async function testConditions() {
+  console.log('\n=== Testing rule conditions ===');
+  const [, pager] = routing.get('ops');
+  assert.equal(ruleMatches(pager, { priority: 'high' }), true);
+  assert.equal(ruleMatches(pager, { priority: 'normal' }), false);
+  assert.equal(ruleMatches(pager, {}), false);
+
+  const [deploys] = routing.get('deploys');
+  assert.equal(ruleMatches(deploys, { message: 'Deploy to PRODUCTION finished' }), true);
+  assert.equal(ruleMatches(deploys, { title: 'Rollback', message: 'v1.4 reverted' }), true);
+  assert.equal(ruleMatches(deploys, { message: 'Deploy to staging finished' }), false);
+  console.log('✅ Checks the minimum priority and keywords in the title or message');
+}
+
+async function testRouting() {
+  console.log('\n=== Testing routing notifications ===');
+  const normal = routeNotification(routing, { tags: ['ops'], profile: 'default', message: 'Disk almost full' });
+  assert.deepEqual(channels(normal), ['default:Ops [ops]', 'default:Team [ops]']);
+
+  const high = routeNotification(routing, { tags: ['ops'], profile: 'default', priority: 'high', message: 'Disk full' });
+  assert.deepEqual(channels(high), ['default:Ops [ops]', 'default:Team [ops]', 'oncall:pager [ops]']);
+  console.log('✅ Sends to every channel whose rule matches, in the rule\'s profile');
+
+  const both = routeNotification(routing, { tags: ['ops', 'deploys'], profile: 'default', message: 'production deploy failed' });
+  assert.deepEqual(channels(both), ['default:Ops [ops]', 'default:Team [ops,deploys]', 'default:Deploys [deploys]']);
+
+  const unmatched = routeNotification(routing, { tags: ['deploys'], profile: 'default', message: 'staging deploy done' });
+  assert.deepEqual(unmatched, { targets: [], unknownTags: [] });
+  assert.deepEqual(routeNotification(routing, { tags: ['billing'], profile: 'default', message: 'x' }).unknownTags, ['billing']);
+  assert.deepEqual(routeNotification(null, { tags: ['ops'], profile: 'default', message: 'x' }).unknownTags, ['ops']);
+  console.log('✅ Lists a channel once for all its tags, and reports unknown tags');
+}
+
+async function runTests() {
+  await testOptions();
+  await testConditions();
+  await testRouting();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+// tests/test-scheduler.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createScheduler, parseDelay, resolveSendTime } from '../lib/scheduler.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'kweenkl-scheduler-'));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function recordingDeliver() {
+  const sent = [];
+  const tools = [];
+  const deliver = async (notification, tool) => {
+    sent.push(notification);
+    tools.push(tool);
+    return { status: 'sent', notificationId: `notif-${sent.length}`, subscribersNotified: 1 };
+  };
+  return { deliver, sent, tools };
+}
+
+async function testParseDelay() {
+  console.log('\n=== Testing relative delays ===');
+  assert.equal(parseDelay('in 2h'), 2 * 3600 * 1000);
+  assert.equal(parseDelay('1 day 3 hours'), 27 * 3600 * 1000);
+  assert.equal(parseDelay('2h30m'), 150 * 60 * 1000);
+  assert.equal(parseDelay('tomorrow'), null);
+  assert.equal(parseDelay('3 fortnights'), null);
+  console.log('✅ delays parsed');
+}
+
+async function testResolveSendTime() {
+  console.log('\n=== Testing send time validation ===');
+  const now = Date.parse('2025-06-01T08:00:00Z');
+  assert.equal(resolveSendTime({ send_at: '2025-06-02T09:00:00+02:00' }, now).toISOString(), '2025-06-02T07:00:00.000Z');
+  assert.equal(resolveSendTime({ delay: '30m' }, now).toISOString(), '2025-06-01T08:30:00.000Z');
+  assert.throws(() => resolveSendTime({ send_at: 'tomorrow at 9' }, now), /ISO 8601/);
+  assert.throws(() => resolveSendTime({ send_at: '2025-05-01T00:00:00Z' }, now), /in the past/);
+  assert.throws(() => resolveSendTime({ send_at: '2025-06-02T09:00:00Z', delay: '1h' }, now), /not both/);
+  assert.throws(() => resolveSendTime({}, now), /required/);
+  console.log('✅ send times validated');
+}
+
+async function testFiresWhenDue() {
+  console.log('\n=== Testing job fires when due ===');
+  const { deliver, sent, tools } = recordingDeliver();
+  const scheduler = createScheduler({ file: join(dir, 'due.json'), deliver });
+  await scheduler.start();
+
+  const job = scheduler.schedule({
+    notification: { webhook_token: 'token', message: 'Soon' },
+    sendAt: new Date(Date.now() + 50),
+    label: 'test',
+    tool: 'digest',
+  });
+  assert.equal(scheduler.list().length, 1);
+
+  await sleep(150);
+  assert.equal(sent.length, 1);
+  assert.deepEqual(tools, ['digest'], 'delivered as the tool it was scheduled with');
+  const [finished] = scheduler.list({ includeFinished: true });
+  assert.equal(finished.id, job.id);
+  assert.equal(finished.status, 'sent');
+  assert.equal(finished.result.notificationId, 'notif-1');
+  scheduler.stop();
+  console.log('✅ job delivered and result recorded');
+}
+
+async function testSurvivesRestart() {
+  console.log('\n=== Testing queue survives restart ===');
+  const file = join(dir, 'restart.json');
+  const first = createScheduler({ file, deliver: async () => assert.fail('should not send yet') });
+  await first.start();
+  first.schedule({
+    notification: { webhook_token: 'token', message: 'Overdue' },
+    sendAt: new Date(Date.now() + 60 * 60 * 1000),
+    label: 'test',
+  });
+  const later = first.schedule({
+    notification: { webhook_token: 'token', message: 'Later' },
+    sendAt: new Date(Date.now() + 2 * 60 * 60 * 1000),
+    label: 'test',
+  });
+  first.stop();
+
+  // Restart "two hours and a bit" later: only the first job is overdue
+  const { deliver, sent } = recordingDeliver();
+  const clock = () => Date.now() + 90 * 60 * 1000;
+  const second = createScheduler({ file, deliver, now: clock });
+  await second.start();
+
+  assert.deepEqual(sent.map((n) => n.message), ['Overdue']);
+  assert.deepEqual(second.list().map((job) => job.id), [later.id]);
+
+  second.cancel(later.id);
+  assert.equal(second.list().length, 0);
+  assert.throws(() => second.cancel(later.id), /already cancelled/);
+  second.stop();
+
+  const onDisk = JSON.parse(readFileSync(file, 'utf8'));
+  assert.deepEqual(onDisk.jobs.map((job) => job.status).sort(), ['cancelled', 'sent']);
+  console.log('✅ overdue job fired on startup, pending job kept');
+}
+
+async function testKeepsJobsBeingSent() {
+  console.log('\n=== Testing jobs being sent are never trimmed ===');
+  let finishSending;
+  const deliver = () => new Promise((resolve) => { finishSending = resolve; });
+  const scheduler = createScheduler({ file: join(dir, 'trim.json'), deliver });
+  await scheduler.start();
+
+  const slow = scheduler.schedule({
+    notification: { webhook_token: 'token', message: 'Slow' },
+    sendAt: new Date(Date.now() + 20),
+    label: 'test',
+  });
+  await sleep(60);
+
+  // More finished jobs than the file keeps, while the first one is still being sent
+  for (let i = 0; i < 105; i++) {
+    const job = scheduler.schedule({
+      notification: { webhook_token: 'token', message: `Cancelled ${i}` },
+      sendAt: new Date(Date.now() + 60 * 60 * 1000),
+      label: 'test',
+    });
+    scheduler.cancel(job.id);
+  }
+  finishSending({ status: 'sent', notificationId: 'notif-slow' });
+  await sleep(10);
+  scheduler.stop();
+
+  const jobs = scheduler.list({ includeFinished: true });
+  assert.equal(jobs.length, 100);
+  assert.equal(jobs.find((job) => job.id === slow.id).status, 'sent');
+  const onDisk = JSON.parse(readFileSync(join(dir, 'trim.json'), 'utf8'));
+  assert.equal(onDisk.jobs.find((job) => job.id === slow.id).result.notificationId, 'notif-slow');
+  console.log('✅ a job being sent is kept while finished ones are trimmed');
+}
+
+async function runTests() {
+  console.log('Starting scheduler tests...');
+
+  try {
+    await testParseDelay();
+    await testResolveSendTime();
+    await testFiresWhenDue();
+    await testSurvivesRestart();
+    await testKeepsJobsBeingSent();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,237 @@
+// tests/test-sdk-client.js
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { MOCK_DEVICE_TOKEN, MOCK_WEBHOOK_TOKEN, startMockApi } from '../lib/mock-api.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The kweenkl-mcp bin on stdio, against the mock API, as an MCP client sees it
+async function connect(api, dataDir, env = {}) {
+  const client = new Client({ name: 'kweenkl-test-client', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: ['index.js'],
+    env: {
+      ...process.env,
+      KWEENKL_API_URL: api.url,
+      KWEENKL_DEVICE_TOKEN: MOCK_DEVICE_TOKEN,
+      KWEENKL_CONFIG: join(dataDir, 'missing-config.json'),
+      KWEENKL_DATA_DIR: dataDir,
+      KWEENKL_AUDIT_LOG: 'false',
+      KWEENKL_MAX_RETRIES: '0',
+      ...env,
+    },
+    stderr: 'ignore',
+  }));
+  // The client only checks results against output schemas it has listed
+  await client.listTools();
+  return client;
+}
+
+async function testToolDescriptions(client) {
+  console.log('\n=== Testing tool descriptions ===');
+  const { tools } = await client.listTools();
+  const kweenkl = tools.find((tool) => tool.name === 'kweenkl');
+  assert.equal(kweenkl.outputSchema.type, 'object');
+  assert.equal(kweenkl.annotations.readOnlyHint, false);
+  assert.equal(tools.find((tool) => tool.name === 'kweenkl_list_channels').annotations.readOnlyHint, true);
+  console.log('✅ The client receives output schemas and annotations');
+}
+
+async function testStructuredResults(client, api) {
+  console.log('\n=== Testing structured results ===');
+  // The client checks structuredContent against the tool's output schema
+  const sent = await client.callTool({ name: 'kweenkl', arguments: { webhook_token: MOCK_WEBHOOK_TOKEN, message: 'Hello from the SDK client' } });
+  assert.equal(sent.isError, undefined);
+  assert.equal(sent.structuredContent.status, 'sent');
+  assert.equal(sent.structuredContent.notification_id, api.notifications().at(-1).id);
+
+  const channels = await client.callTool({ name: 'kweenkl_list_channels', arguments: {} });
+  assert.equal(channels.structuredContent.channels[0].name, 'Alerts');
+
+  const failed = await client.callTool({ name: 'kweenkl', arguments: { webhook_token: 'unknown-token-1234', message: 'Nobody listens' } });
+  assert.equal(failed.isError, true);
+  assert.equal(failed.structuredContent.error.code, 'INVALID_TOKEN');
+  console.log('✅ The client receives structuredContent for results and errors');
+}
+
+async function testOutboxReplayInQuietHours(api) {
+  console.log('\n=== Testing outbox replays during quiet hours ===');
+  const dataDir = mkdtempSync(join(tmpdir(), 'kweenkl-sdk-'));
+  const hour = new Date().getUTCHours();
+  const at = (h) => `${String((h + 24) % 24).padStart(2, '0')}:00`;
+  writeFileSync(join(dataDir, 'policy.json'), JSON.stringify({ time_zone: 'UTC', quiet_hours: { start: at(hour), end: at(hour + 2) } }));
+
+  // Left over from a send that failed before quiet hours began
+  const created = new Date().toISOString();
+  const item = {
+    id: 'outbox-1',
+    profile: 'default',
+    channel: 'Alerts',
+    idempotency_key: 'key-1',
+    webhook_token: MOCK_WEBHOOK_TOKEN,
+    body: { message: 'Nightly report ready' },
+    created_at: created,
+    attempts: 1,
+    last_error: 'fetch failed',
+    next_attempt_at: created,
+  };
+  writeFileSync(join(dataDir, 'outbox.jsonl'), JSON.stringify({ op: 'add', item }) + '\n');
+
+  const sentBefore = api.notifications().length;
+  const client = await connect(api, dataDir, { KWEENKL_OUTBOX: 'true', KWEENKL_POLICY: join(dataDir, 'policy.json') });
+  try {
+    // Waits for the replay started with the server, if it hasn't finished yet
+    await client.callTool({ name: 'kweenkl_outbox_flush', arguments: {} });
+
+    const { structuredContent: outbox } = await client.callTool({ name: 'kweenkl_outbox_status', arguments: {} });
+    assert.deepEqual(outbox.items, []);
+    const { structuredContent: scheduled } = await client.callTool({ name: 'kweenkl_list_scheduled', arguments: {} });
+    assert.equal(scheduled.jobs.length, 1);
+    assert.equal(scheduled.jobs[0].message, 'Nightly report ready');
+    assert.match(scheduled.jobs[0].send_at, new RegExp(`T${at(hour + 2)}:00`));
+    assert.equal(api.notifications().length, sentBefore);
+    console.log('✅ A replay that falls in quiet hours is held until they end');
+  } finally {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function testOutboxReplayRateLimited(api) {
+  console.log('\n=== Testing outbox replays are rate limited ===');
+  const dataDir = mkdtempSync(join(tmpdir(), 'kweenkl-sdk-'));
+  const created = new Date().toISOString();
+  const lines = [1, 2, 3].map((n) => JSON.stringify({
+    op: 'add',
+    item: {
+      id: `outbox-${n}`,
+      profile: 'default',
+      idempotency_key: `backlog-key-${n}`,
+      webhook_token: MOCK_WEBHOOK_TOKEN,
+      body: { message: `Backlog ${n}` },
+      created_at: created,
+      attempts: 1,
+      last_error: 'fetch failed',
+      next_attempt_at: created,
+    },
+  }) + '\n');
+  writeFileSync(join(dataDir, 'outbox.jsonl'), lines.join(''));
+
+  const sentBefore = api.notifications().length;
+  const client = await connect(api, dataDir, { KWEENKL_OUTBOX: 'true', KWEENKL_RATE_LIMIT_PER_WEBHOOK: '1' });
+  try {
+    await client.callTool({ name: 'kweenkl_outbox_flush', arguments: {} });
+    assert.equal(api.notifications().length, sentBefore + 1);
+
+    const { structuredContent: outbox } = await client.callTool({ name: 'kweenkl_outbox_status', arguments: {} });
+    assert.deepEqual(outbox.items.map((item) => item.message), ['Backlog 2', 'Backlog 3']);
+    assert.match(outbox.items[0].last_error, /Rate limit for this channel reached/);
+    console.log('✅ A backlog goes out no faster than the rate limit; the rest stays queued');
+  } finally {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function testOutboxDroppedItem(api) {
+  console.log('\n=== Testing outbox items dropped on replay ===');
+  const dataDir = mkdtempSync(join(tmpdir(), 'kweenkl-sdk-'));
+  const client = await connect(api, dataDir, { KWEENKL_OUTBOX: 'true' });
+  try {
+    // Queued during an outage; by the replay the channel turns out not to exist
+    api.fail({ path: '/webhook', status: 503, times: 1 });
+    const queued = await client.callTool({ name: 'kweenkl', arguments: { webhook_token: 'deleted-token-1234', message: 'Sent to a deleted channel' } });
+    assert.equal(queued.structuredContent.status, 'queued');
+
+    // The client checks the result against the tool's output schema
+    const { structuredContent } = await client.callTool({ name: 'kweenkl_outbox_flush', arguments: {} });
+    assert.equal(structuredContent.results[0].result.status, 'dropped');
+    assert.equal(structuredContent.results[0].result.error.code, 'INVALID_TOKEN');
+    console.log('✅ Items removed from the outbox are reported as dropped');
+  } finally {
+    api.clearFaults();
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function testDigest(api) {
+  console.log('\n=== Testing digests ===');
+  const dataDir = mkdtempSync(join(tmpdir(), 'kweenkl-sdk-'));
+  writeFileSync(join(dataDir, 'config.json'), JSON.stringify({ digest: { channels: { Alerts: { interval_minutes: 60 } } } }));
+
+  const sentBefore = api.notifications().length;
+  const client = await connect(api, dataDir, { KWEENKL_CONFIG: join(dataDir, 'config.json') });
+  try {
+    const held = await client.callTool({ name: 'kweenkl', arguments: { channel: 'Alerts', message: 'Cache warmed', priority: 'low' } });
+    assert.equal(held.structuredContent.status, 'digested');
+    assert.equal(api.notifications().length, sentBefore);
+    console.log('✅ Low-priority notifications to a digest channel are held');
+  } finally {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function testDeferredDigest(api) {
+  console.log('\n=== Testing digests deferred by quiet hours ===');
+  const dataDir = mkdtempSync(join(tmpdir(), 'kweenkl-sdk-'));
+  writeFileSync(join(dataDir, 'config.json'), JSON.stringify({ digest: { channels: { Alerts: { interval_minutes: 60 } } } }));
+
+  // A summary held by quiet hours that ended while the server was down
+  const created = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const job = {
+    id: 'job-1',
+    status: 'pending',
+    created_at: created,
+    send_at: created,
+    label: 'Alerts (quiet hours)',
+    tool: 'digest',
+    notification: { profile: 'default', channel: 'Alerts', webhook_token: MOCK_WEBHOOK_TOKEN, title: 'Digest: 2 notifications', message: '• Cache warmed\n• Backup done', priority: 'low' },
+  };
+  writeFileSync(join(dataDir, 'scheduled.json'), JSON.stringify({ jobs: [job] }));
+
+  const sentBefore = api.notifications().length;
+  const client = await connect(api, dataDir, { KWEENKL_CONFIG: join(dataDir, 'config.json') });
+  try {
+    for (let i = 0; i < 20 && api.notifications().length === sentBefore; i++) await sleep(100);
+    assert.equal(api.notifications().length, sentBefore + 1);
+    assert.equal(api.notifications().at(-1).title, 'Digest: 2 notifications');
+    console.log('✅ A deferred summary is sent when quiet hours end, not digested again');
+  } finally {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  const api = await startMockApi();
+  const dataDir = mkdtempSync(join(tmpdir(), 'kweenkl-sdk-'));
+  let client;
+  try {
+    client = await connect(api, dataDir);
+    await testToolDescriptions(client);
+    await testStructuredResults(client, api);
+    await testOutboxReplayInQuietHours(api);
+    await testOutboxReplayRateLimited(api);
+    await testOutboxDroppedItem(api);
+    await testDigest(api);
+    await testDeferredDigest(api);
+    console.log('\n=== All Tests Completed ===');
+  } finally {
+    await client?.close();
+    await api.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// tests/test-templates.js
+import assert from 'node:assert/strict';
+import { renderTemplate, templateVariables, validateTemplates } from '../lib/templates.js';
+
+const deployDone = {
+  description: 'A deploy finished',
+  channel: 'Deploys',
+  title: 'Deployed {{service}}',
+  message: '{{ service }} {{version}} is live on {{env}}',
+  priority: 'normal',
+  payload: { deep_link: 'https://ci.example.com/builds/{{build_id}}', tags: ['{{env}}'] },
+  defaults: { env: 'production' },
+};
+
+async function testVariables() {
+  console.log('\n=== Testing template variables ===');
+  const { required, optional } = templateVariables(deployDone);
+  assert.deepEqual(required.sort(), ['build_id', 'service', 'version']);
+  assert.deepEqual(optional, ['env']);
+  console.log('✅ required and optional variables found');
+
+  const inherited = templateVariables({ message: '{{constructor}} called {{toString}}', defaults: {} });
+  assert.deepEqual(inherited, { required: ['constructor', 'toString'], optional: [] });
+  console.log('✅ only the template\'s own defaults make a variable optional');
+}
+
+async function testRender() {
+  console.log('\n=== Testing template rendering ===');
+  const rendered = renderTemplate('deploy_done', deployDone, { service: 'api', version: '1.4.2', build_id: 42 });
+
+  assert.deepEqual(rendered, {
+    title: 'Deployed api',
+    message: 'api 1.4.2 is live on production',
+    priority: 'normal',
+    payload: { deep_link: 'https://ci.example.com/builds/42', tags: ['production'] },
+    channel: 'Deploys',
+  });
+
+  const staging = renderTemplate('deploy_done', deployDone, { service: 'api', version: '2', build_id: 1, env: 'staging' });
+  assert.equal(staging.message, 'api 2 is live on staging');
+  console.log('✅ variables and defaults substituted');
+}
+
+async function testMissingVariable() {
+  console.log('\n=== Testing missing variables ===');
+  assert.throws(
+    () => renderTemplate('deploy_done', deployDone, { service: 'api' }),
+    /Template "deploy_done" is missing required variable\(s\): version, build_id\./
+  );
+  console.log('✅ missing variables reported');
+}
+
+async function testValidation() {
+  console.log('\n=== Testing template validation ===');
+  assert.doesNotThrow(() => validateTemplates({ deploy_done: deployDone }));
+  assert.throws(() => validateTemplates({ empty: { title: 'x' } }), /needs a message/);
+  assert.throws(() => validateTemplates({ loud: { message: 'x', priority: 'urgent' } }), /invalid priority/);
+  assert.throws(() => validateTemplates([]), /must be an object/);
+  console.log('✅ invalid templates rejected');
+}
+
+async function runTests() {
+  console.log('Starting template tests...');
+
+  await testVariables();
+  await testRender();
+  await testMissingVariable();
+  await testValidation();
+
+  console.log('\n=== All Tests Completed ===');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
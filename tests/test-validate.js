@@ -0,0 +1,158 @@
+// tests/test-validate.js
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_VALIDATION,
+  HEX_COLOR_PATTERN,
+  UUID_PATTERN,
+  WEBHOOK_TOKEN_PATTERN,
+  checkNotification,
+  describeErrors,
+  validateSchema,
+  validateToolArguments,
+  validationOptions,
+} from '../lib/validate.js';
+
+const kweenkl = {
+  name: 'kweenkl',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      webhook_token: { type: 'string', pattern: WEBHOOK_TOKEN_PATTERN },
+      message: { type: 'string', minLength: 1 },
+      title: { type: 'string' },
+      priority: { type: 'string', enum: ['low', 'normal', 'high'] },
+      payload: { type: 'object' },
+    },
+    required: ['webhook_token', 'message'],
+  },
+};
+
+const batch = {
+  name: 'kweenkl_batch',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', minItems: 1, maxItems: 3, items: kweenkl.inputSchema },
+      concurrency: { type: 'integer', minimum: 1, maximum: 5 },
+    },
+    required: ['items'],
+  },
+};
+
+const token = 'test-token-123';
+
+async function testSchema() {
+  console.log('\n=== Testing inputSchema enforcement ===');
+  assert.deepEqual(validateSchema(kweenkl.inputSchema, { webhook_token: token, message: 'Hi' }), []);
+
+  const missing = validateSchema(kweenkl.inputSchema, { webhook_token: token });
+  assert.deepEqual(missing, [{ field: 'message', message: 'is required' }]);
+  console.log('✅ Required fields are reported by name');
+
+  const [priority] = validateSchema(kweenkl.inputSchema, { webhook_token: token, message: 'Hi', priority: 'urgent' });
+  assert.equal(priority.field, 'priority');
+  assert.match(priority.message, /must be one of: low, normal, high \(got "urgent"\)/);
+
+  const [type] = validateSchema(kweenkl.inputSchema, { webhook_token: token, message: 42 });
+  assert.deepEqual(type, { field: 'message', message: 'must be string, got integer' });
+  console.log('✅ Enums and types are checked');
+
+  const [unknown] = validateSchema(kweenkl.inputSchema, { webhook_token: token, message: 'Hi', tittle: 'CI' });
+  assert.equal(unknown.field, 'tittle');
+  assert.match(unknown.message, /not a known argument\. Known arguments: webhook_token, message, title/);
+  console.log('✅ Unknown arguments are rejected with the known ones listed');
+
+  const [format] = validateSchema(kweenkl.inputSchema, { webhook_token: '../channels', message: 'Hi' });
+  assert.equal(format.field, 'webhook_token');
+  assert.match(format.message, /invalid format; expected 8-128 letters, digits/);
+  console.log('✅ Token formats are checked');
+
+  const errors = validateSchema(batch.inputSchema, {
+    items: [
+      { webhook_token: token, message: 'ok' },
+      { webhook_token: token, message: 'ok' },
+      { webhook_token: token, message: 'bad', priority: 'urgent' },
+    ],
+    concurrency: 9,
+  });
+  assert.deepEqual(errors.map((error) => error.field), ['items[2].priority', 'concurrency']);
+  assert.match(describeErrors(errors), /^"items\[2\]\.priority" must be one of.*; "concurrency" must be at most 5$/);
+
+  const tooMany = validateSchema(batch.inputSchema, { items: [{}, {}, {}, {}].map(() => ({ webhook_token: token, message: 'x' })) });
+  assert.deepEqual(tooMany, [{ field: 'items', message: 'must contain at most 3 items (got 4)' }]);
+  console.log('✅ Nested fields get their full path');
+}
+
+async function testPatterns() {
+  console.log('\n=== Testing formats ===');
+  const color = new RegExp(HEX_COLOR_PATTERN);
+  assert.ok(color.test('#FF0000') && color.test('#f00'));
+  assert.ok(!color.test('red') && !color.test('#FF00001') && !color.test('FF0000'));
+
+  const uuid = new RegExp(UUID_PATTERN);
+  assert.ok(uuid.test('51fa2b2d-2080-4a73-b059-7e67712d93f7'));
+  assert.ok(!uuid.test('51fa2b2d'));
+  console.log('✅ Hex colors and UUIDs are recognised');
+}
+
+async function testPolicies() {
+  console.log('\n=== Testing notification policies ===');
+  const long = 'x'.repeat(501);
+
+  const rejected = checkNotification({ message: long }, DEFAULT_VALIDATION);
+  assert.equal(rejected.errors[0].field, 'message');
+  assert.match(rejected.errors[0].message, /at most 500 characters \(got 501\)/);
+
+  const options = validationOptions({ length_policy: 'truncate', max_title_length: 10 });
+  const notification = { message: long, title: 'A very long title' };
+  const truncated = checkNotification(notification, options);
+  assert.deepEqual(truncated.errors, []);
+  assert.equal(notification.message.length, 500);
+  assert.ok(notification.message.endsWith('…'));
+  assert.equal(notification.title, 'A very lo…');
+  assert.deepEqual(truncated.warnings, [
+    'message was truncated from 501 to 500 characters',
+    'title was truncated from 17 to 10 characters',
+  ]);
+  console.log('✅ Long texts are rejected, or truncated with a warning');
+
+  const big = checkNotification({ message: 'x', payload: { data: 'y'.repeat(5000) } }, DEFAULT_VALIDATION);
+  assert.match(big.errors[0].message, /at most 4096 bytes as JSON/);
+
+  const deep = checkNotification({ message: 'x', payload: { a: { b: { c: { d: { e: { f: 1 } } } } } } }, DEFAULT_VALIDATION);
+  assert.deepEqual(deep.errors, [{ field: 'payload', message: 'must be nested at most 5 levels deep (got 6)' }]);
+  console.log('✅ Payload size and depth are limited');
+
+  const args = { items: [{ webhook_token: token, message: 'ok' }, { webhook_token: token, message: long }] };
+  const result = validateToolArguments(batch, args, DEFAULT_VALIDATION);
+  assert.deepEqual(result.errors.map((error) => error.field), ['items[1].message']);
+
+  const copy = validateToolArguments(batch, args, options);
+  assert.deepEqual(copy.errors, []);
+  assert.equal(copy.args.items[1].message.length, 500);
+  assert.equal(args.items[1].message.length, 501);
+  console.log('✅ Batch items are checked one by one without touching the caller\'s arguments');
+}
+
+async function testOptions() {
+  console.log('\n=== Testing validation config ===');
+  assert.deepEqual(validationOptions(), DEFAULT_VALIDATION);
+  assert.throws(() => validationOptions({ max_message_length: 0 }), /max_message_length must be a positive integer/);
+  assert.throws(() => validationOptions({ length_policy: 'ignore' }), /length_policy must be "reject" or "truncate"/);
+  assert.throws(() => validationOptions({ extra_icons: 'rocket' }), /extra_icons must be an array/);
+  console.log('✅ Invalid settings are reported at startup');
+}
+
+async function runTests() {
+  await testSchema();
+  await testPatterns();
+  await testPolicies();
+  await testOptions();
+  console.log('\n=== All Tests Completed ===\n');
+}
+
+runTests().catch((error) => {
+  console.error('\n=== Test Error ===');
+  console.error(error);
+  process.exit(1);
+});
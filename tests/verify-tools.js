@@ -26,10 +26,10 @@ rl.on('line', (line) => {
       });
       console.log(`\n✅ Total tools: ${response.result.tools.length}`);
 
-      if (response.result.tools.length === 1) {
-        console.log('\n⚠️  Note: Only 1 tool found (kweenkl). Channel management tools require KWEENKL_DEVICE_TOKEN to be set.');
-      } else if (response.result.tools.length === 5) {
-        console.log('\n✅ All 5 tools loaded (kweenkl + 4 channel management tools)');
+      if (!response.result.tools.some((tool) => tool.name === 'kweenkl_list_channels')) {
+        console.log('\n⚠️  Note: Channel management tools not found. They require KWEENKL_DEVICE_TOKEN to be set.');
+      } else {
+        console.log('\n✅ Notification and channel management tools loaded');
       }
 
       serverProcess.kill();